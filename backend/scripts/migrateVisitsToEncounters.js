@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const Patient = require('../src/models/Patient');
+const Encounter = require('../src/models/Encounter');
+const Appointment = require('../src/models/Appointment');
+
+/**
+ * Visit Migration - Moves embedded Patient.visits entries into the Encounter collection
+ * Each visit becomes a finished encounter with the visit's _id, so the script can be
+ * re-run safely and existing references to visit IDs keep resolving.
+ *
+ * Usage: node scripts/migrateVisitsToEncounters.js [--dry-run] [--keep-visits] [--batch-size <n>]
+ *   --dry-run      report what would be migrated without writing
+ *   --keep-visits  create encounters but leave the embedded visits in place
+ * Exit codes: 0 migrated, 1 some patients failed, 2 migration could not run
+ */
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, keepVisits: false, batchSize: 100 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--keep-visits') {
+      args.keepVisits = true;
+    } else if (arg === '--batch-size') {
+      args.batchSize = parseInt(argv[++i]);
+      if (!(args.batchSize > 0)) {
+        throw new Error('--batch-size must be a positive number');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const toEncounter = (visit, patientId) => ({
+  _id: visit._id,
+  legacyVisitId: visit._id,
+  patientId,
+  providerId: visit.provider,
+  type: visit.type,
+  status: 'finished',
+  startTime: visit.date,
+  endTime: visit.date,
+  reason: visit.chiefComplaint,
+  diagnosis: visit.diagnosis,
+  treatment: visit.treatment,
+  notes: visit.notes,
+  vitals: visit.vitals,
+  followUpRequired: visit.followUpRequired,
+  followUpDate: visit.followUpDate,
+  source: { type: 'migration' },
+  createdBy: visit.provider
+});
+
+const migratePatient = async (patient, args) => {
+  const visits = patient.visits || [];
+  if (args.dryRun) {
+    return visits.length;
+  }
+
+  // Upsert by _id so a re-run never duplicates an encounter
+  await Encounter.bulkWrite(visits.map(visit => ({
+    updateOne: {
+      filter: { _id: visit._id },
+      update: { $setOnInsert: toEncounter(visit, patient._id) },
+      upsert: true
+    }
+  })));
+
+  if (!args.keepVisits) {
+    await Patient.updateOne(
+      { _id: patient._id },
+      { $pull: { visits: { _id: { $in: visits.map(visit => visit._id) } } } }
+    );
+  }
+
+  return visits.length;
+};
+
+// Appointments checked in before encounters existed point at the visit ID,
+// which is now the encounter ID
+const migrateAppointmentReferences = async (args) => {
+  const checkInFilter = { 'checkIn.visitId': { $exists: true } };
+  const followUpFilter = { 'followUpOf.type': 'visit' };
+
+  if (args.dryRun) {
+    const [checkIns, followUps] = await Promise.all([
+      Appointment.collection.countDocuments(checkInFilter),
+      Appointment.collection.countDocuments(followUpFilter)
+    ]);
+    return checkIns + followUps;
+  }
+
+  const [checkIns, followUps] = await Promise.all([
+    Appointment.collection.updateMany(checkInFilter, [
+      { $set: { 'checkIn.encounterId': '$checkIn.visitId' } },
+      { $unset: 'checkIn.visitId' }
+    ]),
+    Appointment.collection.updateMany(followUpFilter, { $set: { 'followUpOf.type': 'encounter' } })
+  ]);
+  return checkIns.modifiedCount + followUps.modifiedCount;
+};
+
+const main = async () => {
+  let exitCode = 2;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const conn = await connectDB();
+    if (!conn) {
+      throw new Error('Could not connect to MongoDB');
+    }
+
+    const report = { patients: 0, visits: 0, failed: [] };
+    const cursor = Patient.find({ 'visits.0': { $exists: true } })
+      .select('visits')
+      .lean()
+      .batchSize(args.batchSize)
+      .cursor();
+
+    for await (const patient of cursor) {
+      try {
+        report.visits += await migratePatient(patient, args);
+        report.patients++;
+      } catch (error) {
+        report.failed.push({ patientId: patient._id.toString(), error: error.message });
+      }
+    }
+
+    report.appointments = await migrateAppointmentReferences(args);
+
+    console.log(`${args.dryRun ? 'Would migrate' : 'Migrated'} ${report.visits} visits from ${report.patients} patients`);
+    console.log(`${args.dryRun ? 'Would update' : 'Updated'} ${report.appointments} appointment references`);
+    if (args.keepVisits && !args.dryRun) {
+      console.log('Embedded visits were kept; re-run without --keep-visits to remove them');
+    }
+    for (const failure of report.failed) {
+      console.log(`❌ Patient ${failure.patientId}: ${failure.error}`);
+    }
+
+    exitCode = report.failed.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Visit migration failed:', error.message);
+  } finally {
+    await mongoose.disconnect();
+  }
+
+  process.exit(exitCode);
+};
+
+main();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const hl7 = require('../src/utils/hl7');
+
+/**
+ * HL7 Fixture Check - Parses HL7 v2 messages offline, without a database
+ * Prints what ingestion would read from each file: the header, the patient
+ * fields (ADT) or the result groups (ORU), and the ACK a parse error produces.
+ *
+ * Usage: node scripts/parseHl7.js <file> [<file> ...] [--json]
+ * Exit codes: 0 all messages parsed, 1 some messages failed, 2 the check could not run
+ */
+
+const parseArgs = (argv) => {
+  const args = { json: false, files: [] };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+
+  if (args.files.length === 0) {
+    throw new Error('At least one message file is required');
+  }
+
+  return args;
+};
+
+const checkFile = (file) => {
+  try {
+    const message = hl7.parseMessage(fs.readFileSync(file, 'utf8'));
+    const { header } = message;
+
+    return {
+      file,
+      valid: true,
+      header,
+      patient: header.messageCode === 'ADT' ? hl7.toPatientFields(message) : hl7.patientSummary(message),
+      results: header.messageCode === 'ORU' ? hl7.toLabResults(message) : undefined
+    };
+  } catch (error) {
+    if (error.code !== 'INVALID_HL7_MESSAGE') throw error;
+    return {
+      file,
+      valid: false,
+      error: { location: error.location, hl7Code: error.hl7Code, message: error.message },
+      ack: hl7.buildAck(error.header, { code: 'AR', text: error.message, errors: [error] })
+    };
+  }
+};
+
+const printReport = (report) => {
+  console.log(`${report.valid ? '✅' : '❌'} ${report.file}`);
+  if (!report.valid) {
+    console.log(`   ${report.error.location}: ${report.error.message}`);
+    console.log(`   ACK: ${report.ack.replace(/\r/g, '\n        ')}`);
+    return;
+  }
+
+  console.log(`   ${report.header.messageType} ${report.header.controlId} from ${report.header.sendingApplication || '-'}/${report.header.sendingFacility || '-'}`);
+  console.log(`   Patient: ${JSON.stringify(report.patient)}`);
+  (report.results || []).forEach((group) => {
+    console.log(`   ${group.location}: ${group.testName || group.testCode} (order ${group.placerOrderNumber || '-'})`);
+    group.results.forEach(result => console.log(`     ${result.testName}: ${result.value ?? ''} ${result.unit || ''} ${result.status || ''}`));
+  });
+};
+
+const main = () => {
+  let exitCode = 2;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const reports = args.files.map(checkFile);
+
+    if (args.json) {
+      console.log(JSON.stringify(reports, null, 2));
+    } else {
+      reports.forEach(printReport);
+    }
+
+    exitCode = reports.every(report => report.valid) ? 0 : 1;
+  } catch (error) {
+    console.error('HL7 check failed:', error.message);
+  }
+
+  process.exit(exitCode);
+};
+
+main();
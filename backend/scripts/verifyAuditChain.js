@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../src/config/database');
+const AuditLog = require('../src/models/AuditLog');
+
+/**
+ * Audit Chain Verification - Offline integrity check for HIPAA audits
+ * Walks the audit log hash chain over a time range and reports the first broken link
+ *
+ * Usage: node scripts/verifyAuditChain.js [--from <ISO date>] [--to <ISO date>] [--json]
+ * Exit codes: 0 chain intact, 1 chain broken, 2 verification could not run
+ */
+
+const parseArgs = (argv) => {
+  const args = { json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--from' || arg === '--to') {
+      const date = new Date(argv[++i]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date for ${arg}`);
+      }
+      args[arg.slice(2)] = date;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const printReport = (report) => {
+  console.log(`Range:              ${report.from ? report.from.toISOString() : 'beginning'} → ${report.to ? report.to.toISOString() : 'now'}`);
+  console.log(`Chained entries:    ${report.checkedEntries} verified (sequence ${report.firstSequence ?? '-'} to ${report.lastSequence ?? '-'})`);
+  console.log(`Unchained entries:  ${report.unchainedEntries} (written before hash chaining)`);
+
+  if (report.valid) {
+    console.log('✅ Audit chain intact');
+    return;
+  }
+
+  const link = report.firstBrokenLink;
+  console.log('❌ Audit chain broken');
+  console.log(`   Reason:    ${link.reason}`);
+  console.log(`   Sequence:  ${link.sequence}`);
+  if (link.logId) console.log(`   Log ID:    ${link.logId}`);
+  if (link.timestamp) console.log(`   Timestamp: ${new Date(link.timestamp).toISOString()}`);
+  console.log(`   Expected:  ${link.expected}`);
+  console.log(`   Actual:    ${link.actual}`);
+};
+
+const main = async () => {
+  let exitCode = 2;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const conn = await connectDB();
+    if (!conn) {
+      throw new Error('Could not connect to MongoDB');
+    }
+
+    const report = await AuditLog.verifyChain({ from: args.from, to: args.to });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    exitCode = report.valid ? 0 : 1;
+  } catch (error) {
+    console.error('Audit chain verification failed:', error.message);
+  } finally {
+    await mongoose.disconnect();
+  }
+
+  process.exit(exitCode);
+};
+
+main();
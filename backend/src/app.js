@@ -9,6 +9,7 @@ const morgan = require('morgan');
 require('express-async-errors');
 
 const { connectDB } = require('./config/database');
+const { scheduler } = require('./jobs');
 const { helmetConfig, corsConfig, requestId, securityHeaders, requestLogger, mongoSanitize } = require('./middleware/security');
 
 // Import routes
@@ -17,6 +18,16 @@ const patientRoutes = require('./routes/patients');
 const consentRoutes = require('./routes/consent');
 const assignmentRoutes = require('./routes/assignments');
 const receptionistRoutes = require('./routes/receptionist');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const labRoutes = require('./routes/lab');
+const pharmacyRoutes = require('./routes/pharmacy');
+const doctorRoutes = require('./routes/doctor');
+const appointmentRoutes = require('./routes/appointments');
+const attachmentRoutes = require('./routes/attachments');
+const fhirRoutes = require('./routes/fhir');
+const hl7Routes = require('./routes/hl7');
+const Hl7Controller = require('./controllers/hl7Controller');
 
 /**
  * Main Application - Secure healthcare system entry point
@@ -97,6 +108,17 @@ app.use('/api/patients', patientRoutes);
 app.use('/api/consent', consentRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/receptionist', receptionistRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/lab', labRoutes);
+app.use('/api/pharmacy', pharmacyRoutes);
+app.use('/api/doctor', doctorRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/hl7', hl7Routes);
+
+// FHIR R4 API
+app.use('/fhir/R4', fhirRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -107,11 +129,20 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: {
         'POST /api/auth/register': 'Register new user',
-        'POST /api/auth/login': 'User login',
+        'POST /api/auth/login': 'User login (returns an mfa token when two-factor applies)',
+        'POST /api/auth/login/2fa': 'Second login step with a TOTP or recovery code',
+        'POST /api/auth/login/2fa/setup': 'Two-factor enrollment during login (required roles)',
         'POST /api/auth/refresh-token': 'Refresh access token',
-        'POST /api/auth/logout': 'User logout',
-        'POST /api/auth/change-password': 'Change password',
-        'GET /api/auth/profile': 'Get user profile'
+        'POST /api/auth/logout': 'User logout (ends the session)',
+        'POST /api/auth/change-password': 'Change password (signs out other sessions)',
+        'GET /api/auth/sessions': 'Active sessions of the signed-in user',
+        'DELETE /api/auth/sessions/:sessionId': 'Sign out one session',
+        'GET /api/auth/profile': 'Get user profile',
+        'GET /api/auth/2fa': 'Two-factor status',
+        'POST /api/auth/2fa/setup': 'Start two-factor enrollment (secret and otpauth URI)',
+        'POST /api/auth/2fa/enable': 'Confirm enrollment with a code; returns recovery codes',
+        'POST /api/auth/2fa/disable': 'Turn two-factor off (not for required roles)',
+        'POST /api/auth/2fa/recovery-codes': 'Replace recovery codes'
       },
       patients: {
         'GET /api/patients/search': 'Search patients (medical staff)',
@@ -119,9 +150,25 @@ app.get('/api', (req, res) => {
         'PUT /api/patients/:patientId/demographics': 'Update demographics',
         'GET /api/patients/:patientId/medical-records': 'Get medical records',
         'POST /api/patients/:patientId/medical-records': 'Create medical record',
-        'GET /api/patients/:patientId/visits': 'Get patient visits',
-        'POST /api/patients/:patientId/visits': 'Add new visit',
+        'PUT /api/patients/:patientId/medical-records/:recordId': 'Amend medical record as a new version',
+        'GET /api/patients/:patientId/medical-records/:recordId/history': 'Record version history with field-level changes',
+        'POST /api/patients/:patientId/medical-records/:recordId/attachments': 'Upload attachment (multipart, field "file")',
+        'GET /api/patients/:patientId/medical-records/:recordId/attachments/:attachmentId/url': 'Short-lived signed download URL',
+        'GET /api/patients/:patientId/visits': 'Get patient visits (encounters in visit form)',
+        'POST /api/patients/:patientId/visits': 'Add new visit (recorded as a finished encounter)',
+        'GET /api/patients/:patientId/encounters': 'Get patient encounters',
+        'POST /api/patients/:patientId/encounters': 'Open walk-in encounter (doctor, receptionist)',
+        'GET /api/patients/:patientId/encounters/:encounterId': 'Encounter with its records, lab orders and source',
+        'PUT /api/patients/:patientId/encounters/:encounterId': 'Update encounter details',
+        'PUT /api/patients/:patientId/encounters/:encounterId/status': 'Start, finish or cancel encounter',
         'GET /api/patients/:patientId/medications': 'Get patient medications',
+        'POST /api/patients/:patientId/prescriptions/check': 'Check prescription for allergy and interaction warnings (doctor)',
+        'GET /api/patients/:patientId/lab-orders': 'Get patient lab orders',
+        'POST /api/patients/:patientId/lab-orders': 'Place lab order (doctor)',
+        'GET /api/patients/:patientId/access-report': 'Who accessed the patient record (json, csv, pdf)',
+        'GET /api/patients/:patientId/export': 'GDPR data export (json or FHIR R4 Bundle)',
+        'POST /api/patients/:patientId/erasure-requests': 'Request erasure (patient)',
+        'GET /api/patients/:patientId/erasure-requests': 'Erasure request history',
         'POST /api/patients/:patientId/emergency-access': 'Emergency access override'
       },
       consent: {
@@ -131,13 +178,121 @@ app.get('/api', (req, res) => {
         'PUT /api/consent/:consentId/revoke': 'Revoke consent',
         'PUT /api/consent/:consentId': 'Update consent',
         'GET /api/consent/check': 'Check consent status',
-        'GET /api/consent/patients/:patientId/stats': 'Get consent statistics'
+        'GET /api/consent/patients/:patientId/stats': 'Get consent statistics',
+        'POST /api/consent/requests': 'Request consent from a patient (clinicians)',
+        'GET /api/consent/requests': 'List own consent requests',
+        'PUT /api/consent/requests/:requestId/approve': 'Approve consent request, optionally narrowing scope (patient)',
+        'PUT /api/consent/requests/:requestId/deny': 'Deny consent request (patient)',
+        'POST /api/consent/:consentId/renewal-requests': 'Request consent renewal (recipient)',
+        'GET /api/consent/renewal-requests': 'List own renewal requests',
+        'PUT /api/consent/renewal-requests/:requestId/approve': 'Approve renewal (patient)',
+        'PUT /api/consent/renewal-requests/:requestId/decline': 'Decline renewal (patient)'
+      },
+      notifications: {
+        'GET /api/notifications': 'List own notifications',
+        'PUT /api/notifications/read-all': 'Mark all notifications as read',
+        'PUT /api/notifications/:notificationId/read': 'Mark notification as read'
+      },
+      lab: {
+        'GET /api/lab/tests': 'Lab test catalog with reference ranges',
+        'GET /api/lab/orders': 'Lab worklist (technicians) or own orders (doctors)',
+        'GET /api/lab/orders/:orderId': 'Get lab order',
+        'PUT /api/lab/orders/:orderId/collect': 'Record specimen collection',
+        'PUT /api/lab/orders/:orderId/results': 'Enter lab results',
+        'POST /api/lab/orders/:orderId/publish': 'Publish results as a lab_result record',
+        'PUT /api/lab/orders/:orderId/cancel': 'Cancel lab order'
+      },
+      pharmacy: {
+        'GET /api/pharmacy/queue': 'Prescription dispense queue',
+        'GET /api/pharmacy/prescriptions/:recordId': 'Prescription with fills, clinical warnings and active medications',
+        'POST /api/pharmacy/prescriptions/:recordId/dispense': 'Dispense full or partial quantity',
+        'PUT /api/pharmacy/prescriptions/:recordId/reject': 'Reject prescription with a reason'
       },
       receptionist: {
         'POST /api/receptionist/register-complaint': 'Register a new complaint',
         'GET /api/receptionist/complaints': 'Get all complaints (filtered by role)',
         'GET /api/receptionist/complaints/:complaintId': 'Get specific complaint',
-        'PUT /api/receptionist/complaints/:complaintId/status': 'Update complaint status'
+        'PUT /api/receptionist/complaints/:complaintId/status': 'Update complaint status (open -> in_progress -> resolved -> closed)'
+      },
+      doctor: {
+        'GET /api/doctor/complaints': 'Assigned complaint inbox (filters: status, priority)',
+        'GET /api/doctor/complaints/:complaintId': 'Get assigned complaint',
+        'PUT /api/doctor/complaints/:complaintId/accept': 'Accept complaint',
+        'PUT /api/doctor/complaints/:complaintId/progress': 'Start work on complaint',
+        'PUT /api/doctor/complaints/:complaintId/resolve': 'Resolve complaint',
+        'PUT /api/doctor/complaints/:complaintId/reassign': 'Reassign complaint to another doctor',
+        'GET /api/doctor/reviews': 'Records routed to you for sign-off (status: pending_review, draft)',
+        'PUT /api/doctor/reviews/:recordId/approve': 'Sign off record',
+        'PUT /api/doctor/reviews/:recordId/return': 'Return record to its author with comments',
+        'GET /api/doctor/doctors': 'Other active doctors (reassignment targets)'
+      },
+      appointments: {
+        'GET /api/appointments/availability/:doctorId': 'Doctor weekly availability template',
+        'PUT /api/appointments/availability/:doctorId': 'Replace availability template (doctor, receptionist, administrator)',
+        'GET /api/appointments/slots': 'Free slots for a doctor (query: doctorId, from, days)',
+        'GET /api/appointments/follow-ups': 'Follow-ups flagged on records or encounters with nothing booked since',
+        'GET /api/appointments': 'Appointments visible to the caller (filters: date, from, to, status, doctorId, patientId)',
+        'POST /api/appointments': 'Book an appointment (patient, receptionist)',
+        'GET /api/appointments/:appointmentId': 'Get appointment',
+        'PUT /api/appointments/:appointmentId/reschedule': 'Move appointment to another slot',
+        'PUT /api/appointments/:appointmentId/cancel': 'Cancel appointment',
+        'PUT /api/appointments/:appointmentId/no-show': 'Mark appointment as no-show',
+        'POST /api/appointments/:appointmentId/check-in': 'Check in patient and open an encounter'
+      },
+      attachments: {
+        'GET /api/attachments/download': 'Download attachment through a signed URL (no access token)'
+      },
+      fhir: {
+        'GET /fhir/R4/metadata': 'FHIR CapabilityStatement (no access token)',
+        'GET /fhir/R4/Patient/:id': 'Read Patient',
+        'GET /fhir/R4/Observation': 'Search vital sign and lab Observations (patient, category, date, code, _count, _offset)',
+        'GET /fhir/R4/MedicationRequest': 'Search prescriptions (patient, date, code, _count, _offset)',
+        'GET /fhir/R4/Condition': 'Search diagnoses (patient, category, date, code, _count, _offset)',
+        'GET /fhir/R4/Consent': 'Search consents (patient, date, _count, _offset)',
+        'GET /fhir/R4/:resourceType/:id': 'Read Observation, MedicationRequest, Condition or Consent'
+      },
+      hl7: {
+        'POST /api/hl7/messages': 'Receive an HL7 v2 ADT^A04, ADT^A08 or ORU^R01 message; answers with an ACK',
+        'GET /api/hl7/messages': 'HL7 message log',
+        'GET /api/hl7/messages/:messageId': 'HL7 message with raw text and ACK',
+        'GET /api/hl7/reconciliation': 'Messages waiting for a patient match',
+        'PUT /api/hl7/reconciliation/:messageId/resolve': 'Apply a queued message to a patient',
+        'PUT /api/hl7/reconciliation/:messageId/dismiss': 'Dismiss a queued message'
+      },
+      admin: {
+        'GET /api/admin/users': 'List users (administrator)',
+        'POST /api/admin/users': 'Create staff account',
+        'GET /api/admin/users/:userId': 'Get user account',
+        'PUT /api/admin/users/:userId': 'Update user profile',
+        'PUT /api/admin/users/:userId/status': 'Suspend or reactivate user',
+        'PUT /api/admin/users/:userId/role': 'Change user role',
+        'PUT /api/admin/users/:userId/two-factor/reset': 'Reset two-factor authentication',
+        'GET /api/admin/users/:userId/sessions': 'Active sessions of a user',
+        'PUT /api/admin/users/:userId/sessions/revoke': 'Force logout (revoke all sessions)',
+        'DELETE /api/admin/users/:userId': 'Soft delete (anonymize) user',
+        'GET /api/admin/audit-logs': 'Search audit logs (cursor pagination)',
+        'GET /api/admin/audit-logs/export': 'Export audit logs as CSV or NDJSON',
+        'GET /api/admin/audit-logs/security-events': 'Recent security events',
+        'GET /api/admin/audit-logs/emergency-access': 'Recent emergency access events',
+        'GET /api/admin/audit-logs/verify': 'Verify the audit log hash chain',
+        'GET /api/admin/audit-logs/:logId': 'Get audit log entry',
+        'GET /api/admin/erasure-requests': 'Erasure request review queue',
+        'GET /api/admin/erasure-requests/:requestId': 'Erasure request with retention assessment',
+        'PUT /api/admin/erasure-requests/:requestId/approve': 'Approve erasure and anonymize',
+        'PUT /api/admin/erasure-requests/:requestId/reject': 'Reject erasure request',
+        'GET /api/admin/emergency-access-reviews': 'Emergency access review queue',
+        'GET /api/admin/emergency-access-reviews/metrics': 'Emergency access review metrics',
+        'GET /api/admin/emergency-access-reviews/:grantId': 'Emergency access with records accessed',
+        'PUT /api/admin/emergency-access-reviews/:grantId': 'Mark emergency access justified or unjustified',
+        'GET /api/admin/jobs': 'Scheduled job status',
+        'GET /api/admin/jobs/:jobName/runs': 'Scheduled job run history',
+        'POST /api/admin/jobs/:jobName/run': 'Run a scheduled job now',
+        'POST /api/admin/imports': 'Upload a CSV or FHIR Bundle patient import (dry run)',
+        'GET /api/admin/imports': 'List patient imports',
+        'GET /api/admin/imports/:batchId': 'Import status and counts',
+        'GET /api/admin/imports/:batchId/rows': 'Per-row import report',
+        'POST /api/admin/imports/:batchId/commit': 'Import the valid rows',
+        'PUT /api/admin/imports/:batchId/cancel': 'Cancel an import'
       }
     },
     security: {
@@ -213,6 +368,8 @@ app.use((error, req, res, next) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 
+let mllpServer = null;
+
 const startServer = async () => {
   try {
     // Connect to database
@@ -224,6 +381,16 @@ const startServer = async () => {
       console.warn('⚠️  Database not connected - running in limited mode');
     }
 
+    // Background jobs need the database for locks and run history
+    if (dbConnection && process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduler.start();
+    }
+
+    // HL7 v2 over MLLP for analyzers and interface engines (HL7_MLLP_PORT)
+    if (dbConnection) {
+      mllpServer = Hl7Controller.startMllpListener();
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 Healthcare API Server running on port ${PORT}`);
@@ -253,11 +420,15 @@ process.on('uncaughtException', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
+  mllpServer?.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  scheduler.stop();
+  mllpServer?.close();
   process.exit(0);
 });
 
@@ -34,6 +34,10 @@ const connectDB = async () => {
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
 
+    if (!(await supportsTransactions())) {
+      console.warn('⚠️  MongoDB is a standalone server without transactions. Record amendments are refused until it runs as a replica set.');
+    }
+
     // Enable encryption for sensitive fields
     mongoose.plugin(schema => {
       if (schema.options.encryption) {
@@ -81,6 +85,20 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Multi-document transactions need a replica set or a sharded cluster.
+ * A standalone mongod (the default local setup) does not support them.
+ */
+let transactionSupport = null;
+
+const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionSupport;
+};
+
 /**
  * Field-level encryption for sensitive data
  * Note: In production, use proper key management (AWS KMS, Azure Key Vault, etc.)
@@ -127,4 +145,4 @@ const decryptField = (encryptedData) => {
   return decrypted;
 };
 
-module.exports = { connectDB, encryptField, decryptField };
+module.exports = { connectDB, supportsTransactions, encryptField, decryptField };
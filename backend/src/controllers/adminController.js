@@ -0,0 +1,785 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const AuthController = require('./authController');
+const { isTwoFactorRequired } = require('../utils/totp');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Admin Controller - User lifecycle management for administrators
+ * Implements staff onboarding, suspension, role changes and GDPR soft deletion
+ */
+
+// Roles that can be provisioned by an administrator (patients self-register)
+const STAFF_ROLES = ['doctor', 'receptionist', 'lab_technician', 'pharmacist', 'administrator'];
+
+// Professional information required per staff role (mirrors User schema validators)
+const REQUIRED_PROFESSIONAL_INFO = {
+  doctor: ['licenseNumber', 'specialization', 'department'],
+  lab_technician: ['licenseNumber', 'department'],
+  pharmacist: ['licenseNumber', 'department'],
+  receptionist: ['receptionistId'],
+  administrator: []
+};
+
+// Match search text literally inside $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AdminController {
+  // List users with role, status and last login filters
+  static async getUsers(req, res) {
+    try {
+      const {
+        role,
+        status,
+        search,
+        lastLoginFrom,
+        lastLoginTo,
+        limit = 20,
+        page = 1
+      } = req.query;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      // Build filter query
+      const filter = {};
+
+      if (role) filter.role = role;
+
+      // Deleted (anonymized) accounts are hidden unless explicitly requested
+      filter.status = status || { $ne: 'deleted' };
+
+      if (lastLoginFrom || lastLoginTo) {
+        filter['security.lastLogin'] = {};
+        if (lastLoginFrom) filter['security.lastLogin'].$gte = new Date(lastLoginFrom);
+        if (lastLoginTo) filter['security.lastLogin'].$lte = new Date(lastLoginTo);
+      }
+
+      if (typeof search === 'string' && search.length >= 2) {
+        const pattern = escapeRegex(search);
+        filter.$or = [
+          { 'profile.firstName': { $regex: pattern, $options: 'i' } },
+          { 'profile.lastName': { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } }
+        ];
+      }
+
+      // Paginate
+      const skip = (page - 1) * limit;
+      const users = await User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await User.countDocuments(filter);
+
+      // Log access
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId,
+        userRole,
+        resourceType: 'user',
+        resourceId: null, // Use null for list events
+        action: 'ADMIN_LIST_USERS',
+        description: `Administrator listed ${users.length} user accounts`,
+        dataAccessed: {
+          recordCount: users.length,
+          dataType: 'user_accounts'
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Admin get users error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get users',
+        code: 'ADMIN_USERS_ERROR'
+      });
+    }
+  }
+
+  // Get a single user account
+  static async getUserById(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+
+      const user = mongoose.isValidObjectId(targetUserId) ? await User.findById(targetUserId) : null;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_VIEW_USER',
+        description: `Administrator viewed account ${user.email}`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          user
+        }
+      });
+    } catch (error) {
+      console.error('Admin get user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get user',
+        code: 'ADMIN_USER_ERROR'
+      });
+    }
+  }
+
+  // Create a staff account with required professional information
+  static async createUser(req, res) {
+    try {
+      const { email, password, role, profile } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      // Validate required fields
+      if (!email || !password || !role || !profile) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: email, password, role, profile',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const normalizedRole = role.toLowerCase();
+      if (!STAFF_ROLES.includes(normalizedRole)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid staff role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+          code: 'INVALID_ROLE'
+        });
+      }
+
+      const missingInfo = AdminController.getMissingProfessionalInfo(normalizedRole, profile.professionalInfo);
+      if (missingInfo.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Professional information incomplete',
+          code: 'PROFESSIONAL_INFO_REQUIRED',
+          errors: missingInfo.map(field => `profile.professionalInfo.${field} is required for ${normalizedRole}`)
+        });
+      }
+
+      if (!AuthController.validatePassword(password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet security requirements',
+          code: 'WEAK_PASSWORD'
+        });
+      }
+
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'User already exists',
+          code: 'USER_EXISTS'
+        });
+      }
+
+      const user = new User({
+        email: email.toLowerCase(),
+        password,
+        role: normalizedRole,
+        profile,
+        privacy: {
+          dataProcessingConsent: true,
+          consentDate: new Date()
+        }
+      });
+
+      try {
+        await user.save();
+      } catch (validationError) {
+        if (validationError.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(validationError.errors).map(err => err.message),
+            code: 'VALIDATION_ERROR'
+          });
+        }
+        throw validationError;
+      }
+
+      await AuditLog.createLog({
+        eventType: 'CREATE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_CREATE_USER',
+        description: `Administrator created ${user.role} account: ${user.email}`,
+        dataChanges: {
+          after: {
+            email: user.email,
+            role: user.role,
+            department: user.profile.professionalInfo?.department
+          }
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Admin create user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+        code: 'ADMIN_USER_CREATE_ERROR'
+      });
+    }
+  }
+
+  // Update profile details of a user account
+  static async updateUser(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const { profile } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      if (!profile) {
+        return res.status(400).json({
+          success: false,
+          message: 'Profile updates required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const user = mongoose.isValidObjectId(targetUserId) ? await User.findById(targetUserId) : null;
+      if (!user || user.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const previousProfile = {
+        firstName: user.profile.firstName,
+        lastName: user.profile.lastName,
+        phone: user.profile.phone,
+        professionalInfo: { ...user.profile.professionalInfo?.toObject?.() }
+      };
+
+      // Only whitelisted profile fields can be changed here; role and status have dedicated endpoints
+      ['firstName', 'lastName', 'phone'].forEach(field => {
+        if (profile[field] !== undefined) {
+          user.profile[field] = profile[field];
+        }
+      });
+
+      if (profile.professionalInfo) {
+        ['licenseNumber', 'specialization', 'department', 'receptionistId', 'requiresSignOff'].forEach(field => {
+          if (profile.professionalInfo[field] !== undefined) {
+            user.profile.professionalInfo[field] = profile.professionalInfo[field];
+          }
+        });
+      }
+
+      try {
+        await user.save();
+      } catch (validationError) {
+        if (validationError.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(validationError.errors).map(err => err.message),
+            code: 'VALIDATION_ERROR'
+          });
+        }
+        throw validationError;
+      }
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_UPDATE_USER',
+        description: `Administrator updated profile for ${user.email}`,
+        dataChanges: {
+          before: previousProfile,
+          after: {
+            firstName: user.profile.firstName,
+            lastName: user.profile.lastName,
+            phone: user.profile.phone
+          },
+          changes: Object.keys(profile)
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Admin update user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update user',
+        code: 'ADMIN_USER_UPDATE_ERROR'
+      });
+    }
+  }
+
+  // Suspend or reactivate a user account
+  static async updateUserStatus(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const { status, reason } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      const validStatuses = ['active', 'suspended'];
+      if (!validStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid status. Must be one of: active, suspended',
+          code: 'INVALID_STATUS'
+        });
+      }
+
+      if (targetUserId === userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators cannot change their own account status',
+          code: 'SELF_MODIFICATION_NOT_ALLOWED'
+        });
+      }
+
+      const user = mongoose.isValidObjectId(targetUserId) ? await User.findById(targetUserId) : null;
+      if (!user || user.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const previousStatus = user.status;
+      user.status = status;
+
+      // Reactivation also clears any lockout left over from failed logins
+      if (status === 'active') {
+        user.security.loginAttempts = 0;
+        user.security.lockUntil = undefined;
+      }
+
+      await user.save();
+
+      // Suspension signs the user out everywhere; reactivation does not revive old sessions
+      if (status === 'suspended') {
+        await Session.revokeAllForUser(user._id, 'account_suspended', userId);
+      }
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: status === 'suspended' ? 'ADMIN_SUSPEND_USER' : 'ADMIN_REACTIVATE_USER',
+        description: `Administrator changed status of ${user.email} from ${previousStatus} to ${status}${reason ? `. Reason: ${reason}` : ''}`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status },
+          changes: ['status']
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'low'
+        }
+      });
+
+      res.json({
+        success: true,
+        message: status === 'suspended' ? 'User suspended successfully' : 'User reactivated successfully',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Admin update user status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update user status',
+        code: 'ADMIN_USER_STATUS_ERROR'
+      });
+    }
+  }
+
+  // Change the role of a staff account
+  static async changeUserRole(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const { role, professionalInfo, reason } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      const newRole = role?.toLowerCase();
+      if (!STAFF_ROLES.includes(newRole)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid staff role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+          code: 'INVALID_ROLE'
+        });
+      }
+
+      if (targetUserId === userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators cannot change their own role',
+          code: 'SELF_MODIFICATION_NOT_ALLOWED'
+        });
+      }
+
+      const user = mongoose.isValidObjectId(targetUserId)
+        ? await User.findById(targetUserId).select('+profile.professionalInfo.licenseNumber')
+        : null;
+      if (!user || user.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      // Patient accounts are linked to a Patient record and cannot become staff
+      if (user.role === 'patient') {
+        return res.status(400).json({
+          success: false,
+          message: 'Patient accounts cannot be converted to staff roles',
+          code: 'ROLE_CHANGE_NOT_ALLOWED'
+        });
+      }
+
+      if (user.role === newRole) {
+        return res.status(400).json({
+          success: false,
+          message: `User already has role ${newRole}`,
+          code: 'ROLE_UNCHANGED'
+        });
+      }
+
+      const mergedInfo = {
+        ...user.profile.professionalInfo?.toObject?.(),
+        ...professionalInfo
+      };
+
+      const missingInfo = AdminController.getMissingProfessionalInfo(newRole, mergedInfo);
+      if (missingInfo.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Professional information incomplete for new role',
+          code: 'PROFESSIONAL_INFO_REQUIRED',
+          errors: missingInfo.map(field => `professionalInfo.${field} is required for ${newRole}`)
+        });
+      }
+
+      const previousRole = user.role;
+      user.role = newRole;
+      user.profile.professionalInfo = mergedInfo;
+      await user.save();
+
+      await AuditLog.createLog({
+        eventType: 'ROLE_CHANGE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_CHANGE_ROLE',
+        description: `Administrator changed role of ${user.email} from ${previousRole} to ${newRole}${reason ? `. Reason: ${reason}` : ''}`,
+        dataChanges: {
+          before: { role: previousRole },
+          after: { role: newRole },
+          changes: ['role']
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'medium'
+        },
+        compliance: {
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'User role changed successfully',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Admin change role error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change user role',
+        code: 'ADMIN_ROLE_CHANGE_ERROR'
+      });
+    }
+  }
+
+  // Soft delete (anonymize) a user account
+  static async deleteUser(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      if (targetUserId === userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators cannot delete their own account',
+          code: 'SELF_MODIFICATION_NOT_ALLOWED'
+        });
+      }
+
+      const user = mongoose.isValidObjectId(targetUserId) ? await User.findById(targetUserId) : null;
+      if (!user || user.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const previousStatus = user.status;
+      await user.anonymize();
+      await Session.revokeAllForUser(user._id, 'account_deleted', userId);
+
+      await AuditLog.createLog({
+        eventType: 'DELETE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_DELETE_USER',
+        description: `Administrator soft-deleted and anonymized ${user.role} account`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status: 'deleted' },
+          changes: ['email', 'profile', 'status', 'deletedAt']
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      console.error('Admin delete user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete user',
+        code: 'ADMIN_USER_DELETE_ERROR'
+      });
+    }
+  }
+
+  // Reset two-factor authentication for a user who lost their authenticator and recovery codes
+  static async resetTwoFactor(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const { reason } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      if (!reason || reason.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason of at least 5 characters is required',
+          code: 'REASON_REQUIRED'
+        });
+      }
+
+      if (targetUserId === userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators cannot reset their own two-factor authentication',
+          code: 'SELF_MODIFICATION_NOT_ALLOWED'
+        });
+      }
+
+      const user = mongoose.isValidObjectId(targetUserId)
+        ? await User.findById(targetUserId)
+          .select('+security.twoFactorSecret +security.twoFactorPendingSecret +security.twoFactorRecoveryCodes')
+        : null;
+      if (!user || user.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      if (!user.security.twoFactorEnabled && !user.security.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not set up for this user',
+          code: 'MFA_NOT_ENABLED'
+        });
+      }
+
+      const wasEnabled = user.security.twoFactorEnabled;
+      user.clearTwoFactor();
+      await user.save();
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId,
+        userRole,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_RESET_TWO_FACTOR',
+        description: `Administrator reset two-factor authentication for ${user.email}. Reason: ${reason.trim()}`,
+        dataChanges: {
+          before: { twoFactorEnabled: wasEnabled },
+          after: { twoFactorEnabled: false },
+          changes: ['security.twoFactorEnabled', 'security.twoFactorSecret', 'security.twoFactorRecoveryCodes']
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'medium'
+        }
+      });
+
+      res.json({
+        success: true,
+        message: isTwoFactorRequired(user.role)
+          ? 'Two-factor authentication reset. The user must enroll again at their next sign-in.'
+          : 'Two-factor authentication reset',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Admin reset two-factor error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reset two-factor authentication',
+        code: 'ADMIN_RESET_TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  // Professional info helper: list required fields missing for a role
+  static getMissingProfessionalInfo(role, professionalInfo = {}) {
+    const required = REQUIRED_PROFESSIONAL_INFO[role] || [];
+    return required.filter(field => !professionalInfo || !professionalInfo[field]);
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,945 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const DoctorAvailability = require('../models/DoctorAvailability');
+const Patient = require('../models/Patient');
+const Encounter = require('../models/Encounter');
+const MedicalRecord = require('../models/MedicalRecord');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const JobLock = require('../models/JobLock');
+const AuditLog = require('../models/AuditLog');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Appointment Controller - Doctor availability, booking and check-in
+ * Receptionists and patients book template slots; check-in opens the encounter
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking leases (held in JobLock) let one booking at a time through per doctor
+// and per patient, so the overlap checks and the save cannot interleave with
+// another booking of an overlapping slot that starts at a different time
+const BOOKING_LEASE_TTL_MS = 10 * 1000;
+const BOOKING_LEASE_WAIT_MS = 2 * 1000;
+const BOOKING_LEASE_RETRY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const acquireBookingLease = async (name, owner) => {
+  const deadline = Date.now() + BOOKING_LEASE_WAIT_MS;
+  while (!(await JobLock.acquire(name, owner, BOOKING_LEASE_TTL_MS))) {
+    if (Date.now() >= deadline) return false;
+    await sleep(BOOKING_LEASE_RETRY_MS);
+  }
+  return true;
+};
+
+const populateAppointment = [
+  {
+    path: 'patientId',
+    select: 'userId',
+    populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+  },
+  { path: 'doctorId', select: 'profile.firstName profile.lastName profile.professionalInfo.specialization' }
+];
+
+const startOfDay = (date, addDays = 0) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + addDays);
+
+// "YYYY-MM-DD" is read as a local calendar day, not UTC midnight
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return startOfDay(match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value));
+};
+
+class AppointmentController {
+  // Weekly availability template for a doctor
+  static async getAvailability(req, res) {
+    try {
+      const windows = await DoctorAvailability.find({ doctorId: req.params.doctorId })
+        .sort({ dayOfWeek: 1, startTime: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          windows
+        }
+      });
+    } catch (error) {
+      console.error('Get availability error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve availability',
+        code: 'GET_AVAILABILITY_ERROR'
+      });
+    }
+  }
+
+  // Replace a doctor's weekly template; booked appointments are kept
+  static async setAvailability(req, res) {
+    try {
+      const { doctorId } = req.params;
+      const { windows } = req.body;
+
+      if (req.user.role === 'doctor' && doctorId !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Doctors can only edit their own availability',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      if (!Array.isArray(windows)) {
+        return res.status(400).json({
+          success: false,
+          message: 'windows must be an array',
+          code: 'INVALID_AVAILABILITY'
+        });
+      }
+
+      const doctor = await AppointmentController.findDoctor(res, doctorId);
+      if (!doctor) return;
+
+      const entries = windows.map(({ dayOfWeek, startTime, endTime, slotMinutes, location }) =>
+        new DoctorAvailability({ doctorId, dayOfWeek, startTime, endTime, slotMinutes, location })
+      );
+
+      for (const entry of entries) {
+        const validationError = entry.validateSync();
+        if (validationError) {
+          return res.status(400).json({
+            success: false,
+            message: Object.values(validationError.errors).map(err => err.message).join(', '),
+            code: 'INVALID_AVAILABILITY'
+          });
+        }
+      }
+
+      // "HH:MM" strings compare correctly as text
+      const overlapping = entries.some((entry, i) => entries.some((other, j) =>
+        i !== j &&
+        entry.dayOfWeek === other.dayOfWeek &&
+        entry.startTime < other.endTime &&
+        other.startTime < entry.endTime
+      ));
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: 'Availability windows on the same day must not overlap',
+          code: 'INVALID_AVAILABILITY'
+        });
+      }
+
+      await DoctorAvailability.deleteMany({ doctorId });
+      const saved = await DoctorAvailability.insertMany(entries);
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetUserId: doctor._id,
+        resourceType: 'user',
+        resourceId: doctor._id,
+        action: 'UPDATE_DOCTOR_AVAILABILITY',
+        description: `Set ${saved.length} availability windows`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Availability updated',
+        data: {
+          windows: saved
+        }
+      });
+    } catch (error) {
+      console.error('Set availability error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update availability',
+        code: 'UPDATE_AVAILABILITY_ERROR'
+      });
+    }
+  }
+
+  // Free future slots for a doctor over the next `days` days
+  static async getSlots(req, res) {
+    try {
+      const { doctorId, from, days = 7 } = req.query;
+
+      if (!doctorId || !mongoose.isValidObjectId(doctorId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'doctorId is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const rangeStart = from ? parseDay(from) : startOfDay(new Date());
+      if (isNaN(rangeStart.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid from date',
+          code: 'INVALID_DATE'
+        });
+      }
+      const dayCount = Math.min(Math.max(parseInt(days) || 7, 1), 31);
+      const rangeEnd = startOfDay(rangeStart, dayCount);
+
+      const [windows, booked] = await Promise.all([
+        DoctorAvailability.find({ doctorId }),
+        Appointment.find({
+          doctorId,
+          status: { $in: Appointment.ACTIVE_STATUSES },
+          startTime: { $lt: rangeEnd },
+          endTime: { $gt: rangeStart }
+        }).select('startTime endTime')
+      ]);
+
+      const now = new Date();
+      const slots = [];
+      for (let day = rangeStart; day < rangeEnd; day = startOfDay(day, 1)) {
+        for (const window of windows) {
+          for (const slot of window.slotsOn(day)) {
+            const taken = booked.some(appointment =>
+              appointment.startTime < slot.endTime && appointment.endTime > slot.startTime
+            );
+            if (slot.startTime > now && !taken) {
+              slots.push(slot);
+            }
+          }
+        }
+      }
+      slots.sort((a, b) => a.startTime - b.startTime);
+
+      res.json({
+        success: true,
+        data: {
+          doctorId,
+          slots
+        }
+      });
+    } catch (error) {
+      console.error('Get slots error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve slots',
+        code: 'GET_SLOTS_ERROR'
+      });
+    }
+  }
+
+  // Appointments visible to the caller (filters: date, from, to, status, doctorId, patientId)
+  static async getAppointments(req, res) {
+    try {
+      const { date, from, to, status, doctorId, patientId, limit = 100 } = req.query;
+      const filter = {};
+
+      if (req.user.role === 'patient') {
+        const patient = await Patient.findOne({ userId: req.user._id });
+        if (!patient) {
+          return res.json({ success: true, data: [] });
+        }
+        filter.patientId = patient._id;
+      } else if (req.user.role === 'doctor') {
+        filter.doctorId = req.user._id;
+      } else {
+        if (doctorId) filter.doctorId = doctorId;
+        if (patientId) filter.patientId = patientId;
+      }
+
+      if (status) {
+        filter.status = { $in: String(status).split(',') };
+      }
+
+      if (date) {
+        const day = parseDay(date);
+        filter.startTime = { $gte: day, $lt: startOfDay(day, 1) };
+      } else if (from || to) {
+        filter.startTime = {
+          ...(from && { $gte: new Date(from) }),
+          ...(to && { $lte: new Date(to) })
+        };
+      }
+
+      const appointments = await Appointment.find(filter)
+        .populate(populateAppointment)
+        .sort({ startTime: 1 })
+        .limit(Math.min(parseInt(limit) || 100, 500));
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'appointment',
+        action: 'VIEW_APPOINTMENTS',
+        description: `Viewed ${appointments.length} appointments`,
+        dataAccessed: {
+          recordCount: appointments.length
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: appointments
+      });
+    } catch (error) {
+      console.error('Get appointments error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve appointments',
+        code: 'GET_APPOINTMENTS_ERROR'
+      });
+    }
+  }
+
+  // Single appointment
+  static async getAppointment(req, res) {
+    try {
+      const appointment = await AppointmentController.findAppointment(req, res);
+      if (!appointment) return;
+
+      await appointment.populate(populateAppointment);
+
+      res.json({
+        success: true,
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      console.error('Get appointment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve appointment',
+        code: 'GET_APPOINTMENT_ERROR'
+      });
+    }
+  }
+
+  // Book a template slot; patients book for themselves
+  static async createAppointment(req, res) {
+    try {
+      const { patientId, doctorId, startTime, type, reason, followUpOf } = req.body;
+
+      if (!doctorId || !startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: doctorId, startTime',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const patient = await AppointmentController.findPatient(req, res, patientId);
+      if (!patient) return;
+
+      const doctor = await AppointmentController.findDoctor(res, doctorId);
+      if (!doctor) return;
+
+      const followUp = followUpOf?.id && ['medical_record', 'encounter'].includes(followUpOf.type)
+        ? { type: followUpOf.type, id: followUpOf.id }
+        : undefined;
+
+      const appointment = await AppointmentController.withBookingLease(res, doctor._id, patient._id, async () => {
+        const slot = await AppointmentController.checkSlot(res, doctor._id, patient._id, startTime);
+        if (!slot) return null;
+
+        const booking = new Appointment({
+          patientId: patient._id,
+          doctorId: doctor._id,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          location: slot.location,
+          type: type || (followUp ? 'follow_up' : 'consultation'),
+          reason,
+          bookedBy: req.user._id,
+          followUpOf: followUp
+        });
+        return AppointmentController.saveBooking(res, booking);
+      });
+      if (!appointment) return;
+
+      await AppointmentController.notifyPatient(req, patient, appointment, {
+        type: 'appointment_booked',
+        title: 'Appointment booked',
+        message: `An appointment was booked for ${appointment.startTime.toLocaleString()}`
+      });
+
+      await AppointmentController.logAppointmentEvent(req, appointment, {
+        eventType: 'CREATE',
+        action: 'BOOK_APPOINTMENT',
+        description: `Booked ${appointment.type} appointment`,
+        dataChanges: {
+          after: { startTime: appointment.startTime, doctorId: appointment.doctorId }
+        }
+      });
+
+      await appointment.populate(populateAppointment);
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment booked',
+        data: {
+          appointment
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', '),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      console.error('Create appointment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to book appointment',
+        code: 'CREATE_APPOINTMENT_ERROR'
+      });
+    }
+  }
+
+  // Move a scheduled appointment to another slot with the same doctor
+  static async rescheduleAppointment(req, res) {
+    try {
+      const { startTime, reason } = req.body;
+
+      if (!startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'startTime is required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const appointment = await AppointmentController.findAppointment(req, res);
+      if (!appointment) return;
+
+      if (!AppointmentController.checkScheduled(res, appointment, 'reschedule')) return;
+
+      const previousStart = appointment.startTime;
+      const saved = await AppointmentController.withBookingLease(res, appointment.doctorId, appointment.patientId, async () => {
+        const slot = await AppointmentController.checkSlot(
+          res, appointment.doctorId, appointment.patientId, startTime, appointment._id
+        );
+        if (!slot) return null;
+
+        appointment.rescheduleHistory.push({
+          from: previousStart,
+          to: slot.startTime,
+          rescheduledBy: req.user._id,
+          rescheduledAt: new Date(),
+          reason
+        });
+        appointment.startTime = slot.startTime;
+        appointment.endTime = slot.endTime;
+        appointment.location = slot.location;
+        return AppointmentController.saveBooking(res, appointment);
+      });
+      if (!saved) return;
+
+      const patient = await Patient.findById(appointment.patientId);
+      await AppointmentController.notifyPatient(req, patient, appointment, {
+        type: 'appointment_rescheduled',
+        title: 'Appointment rescheduled',
+        message: `Your appointment was moved to ${appointment.startTime.toLocaleString()}`
+      });
+
+      await AppointmentController.logAppointmentEvent(req, appointment, {
+        action: 'RESCHEDULE_APPOINTMENT',
+        description: 'Rescheduled appointment',
+        dataChanges: {
+          before: { startTime: previousStart },
+          after: { startTime: appointment.startTime }
+        }
+      });
+
+      await AppointmentController.sendAppointment(res, appointment, 'Appointment rescheduled');
+    } catch (error) {
+      console.error('Reschedule appointment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reschedule appointment',
+        code: 'UPDATE_APPOINTMENT_ERROR'
+      });
+    }
+  }
+
+  // Cancel a scheduled appointment and free its slot
+  static async cancelAppointment(req, res) {
+    try {
+      const { reason } = req.body;
+
+      const appointment = await AppointmentController.findAppointment(req, res);
+      if (!appointment) return;
+
+      if (!AppointmentController.checkScheduled(res, appointment, 'cancel')) return;
+
+      appointment.status = 'cancelled';
+      appointment.cancellation = {
+        cancelledBy: req.user._id,
+        cancelledAt: new Date(),
+        reason
+      };
+      await appointment.save();
+
+      const patient = await Patient.findById(appointment.patientId);
+      await AppointmentController.notifyPatient(req, patient, appointment, {
+        type: 'appointment_cancelled',
+        title: 'Appointment cancelled',
+        message: `Your appointment on ${appointment.startTime.toLocaleString()} was cancelled`
+      });
+
+      await AppointmentController.logAppointmentEvent(req, appointment, {
+        action: 'CANCEL_APPOINTMENT',
+        description: 'Cancelled appointment',
+        dataChanges: {
+          before: { status: 'scheduled' },
+          after: { status: 'cancelled' }
+        }
+      });
+
+      await AppointmentController.sendAppointment(res, appointment, 'Appointment cancelled');
+    } catch (error) {
+      console.error('Cancel appointment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to cancel appointment',
+        code: 'UPDATE_APPOINTMENT_ERROR'
+      });
+    }
+  }
+
+  // Record that the patient did not attend
+  static async markNoShow(req, res) {
+    try {
+      const appointment = await AppointmentController.findAppointment(req, res);
+      if (!appointment) return;
+
+      if (!AppointmentController.checkScheduled(res, appointment, 'mark as no-show')) return;
+
+      if (appointment.startTime > new Date()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Appointment has not started yet',
+          code: 'APPOINTMENT_NOT_STARTED'
+        });
+      }
+
+      appointment.status = 'no_show';
+      appointment.noShow = {
+        markedBy: req.user._id,
+        markedAt: new Date()
+      };
+      await appointment.save();
+
+      await AppointmentController.logAppointmentEvent(req, appointment, {
+        action: 'MARK_APPOINTMENT_NO_SHOW',
+        description: 'Marked appointment as no-show',
+        dataChanges: {
+          before: { status: 'scheduled' },
+          after: { status: 'no_show' }
+        }
+      });
+
+      await AppointmentController.sendAppointment(res, appointment, 'Appointment marked as no-show');
+    } catch (error) {
+      console.error('Mark no-show error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to mark no-show',
+        code: 'UPDATE_APPOINTMENT_ERROR'
+      });
+    }
+  }
+
+  // Check the patient in on the day; opens the encounter for the visit
+  static async checkIn(req, res) {
+    try {
+      const appointment = await AppointmentController.findAppointment(req, res);
+      if (!appointment) return;
+
+      if (!AppointmentController.checkScheduled(res, appointment, 'check in')) return;
+
+      const today = startOfDay(new Date());
+      if (appointment.startTime < today || appointment.startTime >= startOfDay(today, 1)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Patients can only be checked in on the day of the appointment',
+          code: 'CHECK_IN_NOT_TODAY'
+        });
+      }
+
+      // Claim the appointment first so a double submit cannot open two encounters
+      const checkedInAt = new Date();
+      const claimed = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: 'scheduled' },
+        { status: 'checked_in', checkIn: { checkedInBy: req.user._id, checkedInAt } },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Appointment was updated by another user',
+          code: 'APPOINTMENT_CONFLICT'
+        });
+      }
+
+      const encounter = await Encounter.create({
+        patientId: claimed.patientId,
+        providerId: claimed.doctorId,
+        type: claimed.type,
+        status: 'in_progress',
+        startTime: checkedInAt,
+        location: claimed.location,
+        reason: claimed.reason || 'Scheduled appointment',
+        source: { type: 'appointment', id: claimed._id },
+        createdBy: req.user._id
+      });
+      claimed.checkIn.encounterId = encounter._id;
+      await claimed.save();
+
+      await AppointmentController.logAppointmentEvent(req, claimed, {
+        action: 'CHECK_IN_APPOINTMENT',
+        description: 'Checked in patient and opened encounter',
+        dataChanges: {
+          before: { status: 'scheduled' },
+          after: { status: 'checked_in', encounterId: encounter._id }
+        }
+      });
+
+      await AppointmentController.sendAppointment(res, claimed, 'Patient checked in');
+    } catch (error) {
+      console.error('Check-in error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check in patient',
+        code: 'CHECK_IN_ERROR'
+      });
+    }
+  }
+
+  // Records and encounters flagged for follow-up that have no appointment booked since
+  static async getFollowUpSuggestions(req, res) {
+    try {
+      const { doctorId, days = 90 } = req.query;
+      const since = new Date(Date.now() - Math.min(parseInt(days) || 90, 365) * DAY_MS);
+      const providerId = req.user.role === 'doctor'
+        ? req.user._id
+        : (doctorId && mongoose.isValidObjectId(doctorId) ? new mongoose.Types.ObjectId(doctorId) : null);
+
+      const [records, encounters] = await Promise.all([
+        MedicalRecord.find({
+          'flags.followUpRequired': true,
+          isLatestVersion: true,
+          deletedAt: { $exists: false },
+          status: { $ne: 'archived' },
+          recordDate: { $gte: since },
+          ...(providerId && { providerId })
+        })
+          .select('patientId providerId providerRole recordType content.title recordDate flags.followUpDate')
+          .limit(200),
+        Encounter.find({
+          followUpRequired: true,
+          status: { $ne: 'cancelled' },
+          startTime: { $gte: since },
+          ...(providerId && { providerId })
+        })
+          .select('patientId providerId reason startTime followUpDate')
+          .limit(200)
+      ]);
+
+      // Lab results are filed by technicians; leave the doctor for the receptionist to pick
+      const candidates = [
+        ...records.map(record => ({
+          source: { type: 'medical_record', id: record._id, recordType: record.recordType },
+          patientId: record.patientId,
+          doctorId: record.providerRole === 'doctor' ? record.providerId : null,
+          reason: record.content?.title,
+          sourceDate: record.recordDate,
+          suggestedDate: record.flags.followUpDate || null
+        })),
+        ...encounters.map(encounter => ({
+          source: { type: 'encounter', id: encounter._id },
+          patientId: encounter.patientId,
+          doctorId: encounter.providerId,
+          reason: encounter.reason,
+          sourceDate: encounter.startTime,
+          suggestedDate: encounter.followUpDate || null
+        }))
+      ];
+
+      const patientIds = [...new Set(candidates.map(c => c.patientId.toString()))];
+      const [booked, patients] = await Promise.all([
+        Appointment.find({
+          patientId: { $in: patientIds },
+          status: { $in: Appointment.ACTIVE_STATUSES },
+          startTime: { $gte: since }
+        }).select('patientId doctorId startTime followUpOf'),
+        Patient.find({ _id: { $in: patientIds } })
+          .select('userId')
+          .populate('userId', 'profile.firstName profile.lastName')
+      ]);
+
+      const patientsById = new Map(patients.map(p => [p._id.toString(), p]));
+      const suggestions = candidates
+        .filter(candidate => !booked.some(appointment =>
+          appointment.followUpOf?.id?.equals(candidate.source.id) || (
+            appointment.patientId.equals(candidate.patientId) &&
+            appointment.startTime > candidate.sourceDate &&
+            (!candidate.doctorId || appointment.doctorId.equals(candidate.doctorId))
+          )
+        ))
+        .map(candidate => ({
+          ...candidate,
+          patient: patientsById.get(candidate.patientId.toString()) || null
+        }))
+        .sort((a, b) => (a.suggestedDate || a.sourceDate) - (b.suggestedDate || b.sourceDate));
+
+      res.json({
+        success: true,
+        data: suggestions
+      });
+    } catch (error) {
+      console.error('Get follow-up suggestions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve follow-up suggestions',
+        code: 'GET_FOLLOW_UPS_ERROR'
+      });
+    }
+  }
+
+  // Patients book for themselves; staff may pass a Patient id or the patient's user id
+  static async findPatient(req, res, patientId) {
+    let patient = null;
+    if (req.user.role === 'patient') {
+      patient = await Patient.findOne({ userId: req.user._id });
+    } else if (patientId && mongoose.isValidObjectId(patientId)) {
+      patient = await Patient.findOne({ $or: [{ _id: patientId }, { userId: patientId }] });
+    }
+
+    if (!patient) {
+      res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+        code: 'PATIENT_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return patient;
+  }
+
+  static async findDoctor(res, doctorId) {
+    const doctor = mongoose.isValidObjectId(doctorId) ? await User.findById(doctorId) : null;
+    if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+      res.status(404).json({
+        success: false,
+        message: 'Doctor not found or inactive',
+        code: 'DOCTOR_NOT_FOUND'
+      });
+      return null;
+    }
+    return doctor;
+  }
+
+  // Load :appointmentId if the caller is its patient, its doctor, or front-desk staff
+  static async findAppointment(req, res) {
+    const appointment = mongoose.isValidObjectId(req.params.appointmentId)
+      ? await Appointment.findById(req.params.appointmentId)
+      : null;
+
+    let visible = Boolean(appointment);
+    if (appointment && req.user.role === 'patient') {
+      const patient = await Patient.findOne({ userId: req.user._id }).select('_id');
+      visible = Boolean(patient) && appointment.patientId.equals(patient._id);
+    } else if (appointment && req.user.role === 'doctor') {
+      visible = appointment.doctorId.equals(req.user._id);
+    }
+
+    if (!visible) {
+      res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+        code: 'APPOINTMENT_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return appointment;
+  }
+
+  // Resolve startTime to a free future template slot, or send the reason it is not bookable
+  static async checkSlot(res, doctorId, patientId, startTime, excludeId = null) {
+    const start = new Date(startTime);
+    if (isNaN(start.getTime())) {
+      res.status(400).json({
+        success: false,
+        message: 'Invalid startTime',
+        code: 'INVALID_DATE'
+      });
+      return null;
+    }
+
+    if (start <= new Date()) {
+      res.status(400).json({
+        success: false,
+        message: 'Appointments must be booked in the future',
+        code: 'SLOT_IN_PAST'
+      });
+      return null;
+    }
+
+    const slot = await DoctorAvailability.findSlot(doctorId, start);
+    if (!slot) {
+      res.status(400).json({
+        success: false,
+        message: 'The doctor has no slot at this time',
+        code: 'SLOT_UNAVAILABLE'
+      });
+      return null;
+    }
+
+    if (await Appointment.findOverlapping({ doctorId }, slot.startTime, slot.endTime, excludeId)) {
+      AppointmentController.sendSlotTaken(res);
+      return null;
+    }
+
+    if (await Appointment.findOverlapping({ patientId }, slot.startTime, slot.endTime, excludeId)) {
+      res.status(409).json({
+        success: false,
+        message: 'Patient already has an appointment at this time',
+        code: 'PATIENT_DOUBLE_BOOKED'
+      });
+      return null;
+    }
+
+    return slot;
+  }
+
+  // Run book() holding the booking leases of the doctor and the patient. Sends
+  // 409 BOOKING_IN_PROGRESS and resolves null if another booking keeps them.
+  static async withBookingLease(res, doctorId, patientId, book) {
+    const owner = uuidv4();
+    const held = [];
+
+    try {
+      for (const name of [`appointment-booking:doctor:${doctorId}`, `appointment-booking:patient:${patientId}`]) {
+        if (!(await acquireBookingLease(name, owner))) {
+          res.status(409).json({
+            success: false,
+            message: 'Another booking for this doctor or patient is in progress. Please try again.',
+            code: 'BOOKING_IN_PROGRESS'
+          });
+          return null;
+        }
+        held.push(name);
+      }
+
+      return await book();
+    } finally {
+      await Promise.all(held.map(name => JobLock.release(name, owner)));
+    }
+  }
+
+  // Save a booked or moved appointment; the unique slot key still catches a
+  // second booking of the same start time should a lease have run out
+  static async saveBooking(res, appointment) {
+    try {
+      return await appointment.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        AppointmentController.sendSlotTaken(res);
+        return null;
+      }
+      throw saveError;
+    }
+  }
+
+  static checkScheduled(res, appointment, action) {
+    if (appointment.status === 'scheduled') {
+      return true;
+    }
+    res.status(409).json({
+      success: false,
+      message: `Cannot ${action} a ${appointment.status} appointment`,
+      code: 'INVALID_APPOINTMENT_STATUS'
+    });
+    return false;
+  }
+
+  static sendSlotTaken(res) {
+    return res.status(409).json({
+      success: false,
+      message: 'This slot is already booked',
+      code: 'SLOT_TAKEN'
+    });
+  }
+
+  static async sendAppointment(res, appointment, message) {
+    await appointment.populate(populateAppointment);
+    res.json({
+      success: true,
+      message,
+      data: {
+        appointment
+      }
+    });
+  }
+
+  // Tell the patient when someone else changed their booking
+  static async notifyPatient(req, patient, appointment, { type, title, message }) {
+    if (!patient || patient.userId.equals(req.user._id)) {
+      return;
+    }
+    await Notification.notify({
+      userId: patient.userId,
+      type,
+      title,
+      message,
+      resource: { type: 'appointment', id: appointment._id }
+    });
+  }
+
+  static async logAppointmentEvent(req, appointment, { eventType = 'UPDATE', action, description, dataChanges }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: appointment.patientId,
+      resourceType: 'appointment',
+      resourceId: appointment._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = AppointmentController;
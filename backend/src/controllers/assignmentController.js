@@ -1,5 +1,8 @@
 const Assignment = require('../models/Assignment');
+const ConsentRequest = require('../models/ConsentRequest');
+const Patient = require('../models/Patient');
 const User = require('../models/User');
+const ConsentRequestController = require('./consentRequestController');
 const AuditLog = require('../models/AuditLog');
 const { v4: uuidv4 } = require('uuid');
 
@@ -176,7 +179,7 @@ class AssignmentController {
    */
   static async assignDoctor(req, res) {
     try {
-      const { doctorId, patientId, reason } = req.body;
+      const { doctorId, patientId, reason, requestConsent } = req.body;
       const userId = req.user._id;
       const userRole = req.user.role;
 
@@ -265,10 +268,34 @@ class AssignmentController {
         status: 'success'
       });
 
+      // Optionally ask the patient for the doctor's default treatment consent
+      let consentRequest = null;
+      if (requestConsent) {
+        const patientProfile = await Patient.findOne({ userId: patient._id }).select('userId');
+        const scope = ConsentRequest.DEFAULT_TREATMENT_REQUEST;
+        const duplicate = patientProfile && await ConsentRequest.findPendingDuplicate({
+          patientId: patientProfile._id,
+          requestedBy: doctor._id,
+          dataType: scope.dataType,
+          purpose: scope.purpose
+        });
+
+        if (patientProfile && !duplicate) {
+          consentRequest = await ConsentRequestController.fileRequest(req, {
+            patient: patientProfile,
+            recipient: doctor,
+            scope,
+            justification: `Treatment by Dr. ${doctor.profile.firstName} ${doctor.profile.lastName} following assignment: ${assignment.reason}`,
+            assignmentId: assignment._id
+          });
+        }
+      }
+
       res.status(201).json({
         success: true,
         message: 'Doctor assigned successfully',
-        data: assignment
+        data: assignment,
+        consentRequest
       });
     } catch (error) {
       console.error('Error assigning doctor:', error);
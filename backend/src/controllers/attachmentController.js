@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const MedicalRecord = require('../models/MedicalRecord');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const attachmentStorage = require('../utils/attachmentStorage');
+const { createSignedUrl, verifySignedUrl } = require('../utils/signedUrl');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Attachment Controller - Imaging and scanned documents on medical records
+ * Uploads are checked by content, encrypted and stored; downloads go through
+ * short-lived signed URLs issued after the consent check, and every download
+ * is audited
+ */
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 300;
+const DOWNLOAD_PATH = '/api/attachments/download';
+
+// Accepted file types, recognized by their leading bytes rather than the
+// type the client declares
+const FILE_SIGNATURES = [
+  { mimeType: 'application/pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/jpeg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mimeType: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/tiff', matches: buffer => ['II*\u0000', 'MM\u0000*'].includes(buffer.subarray(0, 4).toString('latin1')) },
+  { mimeType: 'application/dicom', matches: buffer => buffer.subarray(128, 132).toString('latin1') === 'DICM' }
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+const detectMimeType = (buffer) => FILE_SIGNATURES.find(signature => signature.matches(buffer))?.mimeType || null;
+
+// Attachment metadata without the storage key and encryption parameters
+const describeAttachment = (attachment) => ({
+  _id: attachment._id,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  sha256: attachment.sha256,
+  uploadedAt: attachment.uploadedAt,
+  uploadedBy: attachment.uploadedBy
+});
+
+class AttachmentController {
+  // Parse the multipart body (one file in the "file" field) into req.file
+  static receiveFile(req, res, next) {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `Files can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`,
+          code: 'FILE_TOO_LARGE'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? error.message : 'Invalid multipart upload',
+        code: 'INVALID_UPLOAD'
+      });
+    });
+  }
+
+  // Upload an attachment to a medical record (medical staff)
+  static async uploadAttachment(req, res) {
+    try {
+      const { patientId } = req.params;
+
+      if (!req.file || req.file.size === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A file is required in the "file" field',
+          code: 'FILE_REQUIRED'
+        });
+      }
+
+      const mimeType = detectMimeType(req.file.buffer);
+      if (!mimeType) {
+        return res.status(415).json({
+          success: false,
+          message: `Unsupported file type; allowed: ${FILE_SIGNATURES.map(signature => signature.mimeType).join(', ')}`,
+          code: 'UNSUPPORTED_FILE_TYPE'
+        });
+      }
+
+      const record = await AttachmentController.findRecord(req, res);
+      if (!record) return;
+
+      if (!record.isLatestVersion || record.status === 'archived') {
+        return res.status(409).json({
+          success: false,
+          message: 'Attachments can only be added to the latest version of an active record',
+          code: 'RECORD_NOT_EDITABLE'
+        });
+      }
+
+      const key = `${patientId}/${record._id}/${uuidv4()}`;
+      const stored = await attachmentStorage.saveFile(key, req.file.buffer);
+
+      const attachment = record.attachments.create({
+        filename: key,
+        originalName: path.basename(req.file.originalname || 'attachment').substring(0, 255),
+        mimeType,
+        size: req.file.size,
+        storage: stored.storage,
+        sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        encryption: stored.encryption,
+        uploadedBy: req.user._id
+      });
+
+      try {
+        await record.addAttachment(attachment);
+      } catch (saveError) {
+        await attachmentStorage.removeFile(key).catch(() => {});
+        throw saveError;
+      }
+
+      await AuditLog.createLog({
+        eventType: 'CREATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'medical_record',
+        resourceId: record._id,
+        action: 'UPLOAD_ATTACHMENT',
+        description: `Attached ${mimeType} file (${req.file.size} bytes) to ${record.recordType} record`,
+        dataChanges: {
+          after: describeAttachment(attachment)
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded',
+        data: {
+          attachment: describeAttachment(attachment)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'STORAGE_NOT_CONFIGURED') {
+        return res.status(503).json({
+          success: false,
+          message: 'Attachment storage is not configured',
+          code: 'STORAGE_NOT_CONFIGURED'
+        });
+      }
+      console.error('Upload attachment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload attachment',
+        code: 'ATTACHMENT_UPLOAD_ERROR'
+      });
+    }
+  }
+
+  // Issue a short-lived download URL (consent checked by the route)
+  static async getDownloadUrl(req, res) {
+    try {
+      const record = await AttachmentController.findRecord(req, res);
+      if (!record) return;
+
+      // Patients only see signed-off records
+      const attachment = req.user.role === 'patient' && !MedicalRecord.RELEASED_STATUSES.includes(record.status)
+        ? null
+        : record.attachments.id(req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found',
+          code: 'ATTACHMENT_NOT_FOUND'
+        });
+      }
+
+      // The URL carries who asked and under which consent, for the download audit
+      const { url, expiresAt } = createSignedUrl(DOWNLOAD_PATH, {
+        record: record._id.toString(),
+        attachment: attachment._id.toString(),
+        user: req.user._id.toString(),
+        consent: req.consentId ? req.consentId.toString() : ''
+      }, DOWNLOAD_URL_TTL_SECONDS);
+
+      res.json({
+        success: true,
+        data: {
+          url,
+          expiresAt,
+          attachment: describeAttachment(attachment)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'SIGNED_URL_NOT_CONFIGURED') {
+        return res.status(503).json({
+          success: false,
+          message: 'Download links are not configured',
+          code: 'SIGNED_URL_NOT_CONFIGURED'
+        });
+      }
+      console.error('Get attachment URL error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create download link',
+        code: 'ATTACHMENT_URL_ERROR'
+      });
+    }
+  }
+
+  // Serve a file through a signed URL; the signature stands in for the access token
+  static async downloadAttachment(req, res) {
+    try {
+      const params = verifySignedUrl(DOWNLOAD_PATH, req.query);
+      if (!params || !mongoose.isValidObjectId(params.record) || !mongoose.isValidObjectId(params.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Download link is invalid or has expired',
+          code: 'INVALID_SIGNED_URL'
+        });
+      }
+
+      const [record, user] = await Promise.all([
+        MedicalRecord.findOne({ _id: params.record, deletedAt: { $exists: false } }),
+        User.findById(params.user).select('role status')
+      ]);
+      const attachment = record?.attachments.id(params.attachment);
+
+      if (!user || user.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Download link is invalid or has expired',
+          code: 'INVALID_SIGNED_URL'
+        });
+      }
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found',
+          code: 'ATTACHMENT_NOT_FOUND'
+        });
+      }
+
+      const file = await attachmentStorage.readFile(attachment.filename, attachment.encryption);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: user._id,
+        userRole: user.role,
+        targetPatientId: record.patientId,
+        resourceType: 'medical_record',
+        resourceId: record._id,
+        action: 'DOWNLOAD_ATTACHMENT',
+        description: `Downloaded ${attachment.mimeType} attachment from ${record.recordType} record`,
+        dataAccessed: {
+          fields: ['attachments'],
+          recordCount: 1,
+          dataType: record.recordType
+        },
+        consentVerified: Boolean(params.consent),
+        consentId: params.consent || undefined,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: DOWNLOAD_PATH,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      const asciiName = attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': file.length,
+        'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(file);
+    } catch (error) {
+      if (error.code === 'SIGNED_URL_NOT_CONFIGURED') {
+        return res.status(503).json({
+          success: false,
+          message: 'Download links are not configured',
+          code: 'SIGNED_URL_NOT_CONFIGURED'
+        });
+      }
+      console.error('Download attachment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to download attachment',
+        code: 'ATTACHMENT_DOWNLOAD_ERROR'
+      });
+    }
+  }
+
+  // Load :recordId for :patientId
+  static async findRecord(req, res) {
+    const { patientId, recordId } = req.params;
+
+    const record = mongoose.isValidObjectId(recordId)
+      ? await MedicalRecord.findOne({ _id: recordId, patientId, deletedAt: { $exists: false } })
+      : null;
+
+    if (!record) {
+      res.status(404).json({
+        success: false,
+        message: 'Medical record not found',
+        code: 'RECORD_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return record;
+  }
+}
+
+module.exports = AttachmentController;
@@ -0,0 +1,528 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { toCsvRow } = require('../utils/csv');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Audit Log Controller - Administrator access to the audit trail
+ * Implements filtered search, cursor pagination and compliance exports
+ */
+
+const MAX_PAGE_SIZE = 200;
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = [
+  ['timestamp', log => log.systemDetails?.timestamp],
+  ['eventType', log => log.eventType],
+  ['action', log => log.action],
+  ['userId', log => log.userId],
+  ['userRole', log => log.userRole],
+  ['targetUserId', log => log.targetUserId],
+  ['targetPatientId', log => log.targetPatientId],
+  ['resourceType', log => log.resourceType],
+  ['resourceId', log => log.resourceId],
+  ['description', log => log.description],
+  ['consentVerified', log => log.consentVerified],
+  ['consentId', log => log.consentId],
+  ['emergency', log => log.emergencyAccess?.isEmergency],
+  ['securityEvent', log => log.securityEvent?.isSecurityEvent],
+  ['threatLevel', log => log.securityEvent?.threatLevel],
+  ['ipAddress', log => log.requestDetails?.ipAddress],
+  ['method', log => log.requestDetails?.method],
+  ['endpoint', log => log.requestDetails?.endpoint],
+  ['requestId', log => log.requestDetails?.requestId]
+];
+
+// Resolves once the response can take more data, or once the client has gone
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+class AuditLogController {
+  // Search audit logs with filters and cursor pagination
+  static async getAuditLogs(req, res) {
+    try {
+      const { cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+
+      const { filter, errors } = AuditLogController.buildFilter(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid audit log filters',
+          code: 'INVALID_FILTER',
+          errors
+        });
+      }
+
+      // Keyset pagination on (timestamp, _id) so results stay stable while new logs arrive
+      if (cursor) {
+        const position = AuditLogController.decodeCursor(cursor);
+        if (!position) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid pagination cursor',
+            code: 'INVALID_CURSOR'
+          });
+        }
+
+        filter.$and = [
+          ...(filter.$and || []),
+          {
+            $or: [
+              { 'systemDetails.timestamp': { $lt: position.timestamp } },
+              { 'systemDetails.timestamp': position.timestamp, _id: { $lt: position.id } }
+            ]
+          }
+        ];
+      }
+
+      const logs = await AuditLog.find(filter)
+        .sort({ 'systemDetails.timestamp': -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('userId', 'profile.firstName profile.lastName email role');
+
+      const hasMore = logs.length > limit;
+      const page = hasMore ? logs.slice(0, limit) : logs;
+      const last = page[page.length - 1];
+
+      await AuditLogController.logAuditAccess(req, 'VIEW_AUDIT_LOGS', `Administrator searched audit logs (${page.length} results)`, page.length);
+
+      res.json({
+        success: true,
+        data: {
+          logs: page,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore && last ? AuditLogController.encodeCursor(last) : null
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get audit logs',
+        code: 'AUDIT_LOGS_ERROR'
+      });
+    }
+  }
+
+  // Get a single audit log entry
+  static async getAuditLogById(req, res) {
+    try {
+      const { logId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(logId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid audit log ID',
+          code: 'INVALID_AUDIT_LOG_ID'
+        });
+      }
+
+      const log = await AuditLog.findById(logId)
+        .populate('userId', 'profile.firstName profile.lastName email role');
+
+      if (!log) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audit log not found',
+          code: 'AUDIT_LOG_NOT_FOUND'
+        });
+      }
+
+      await AuditLogController.logAuditAccess(req, 'VIEW_AUDIT_LOG', `Administrator viewed audit log ${logId}`, 1);
+
+      res.json({
+        success: true,
+        data: {
+          log
+        }
+      });
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get audit log',
+        code: 'AUDIT_LOG_ERROR'
+      });
+    }
+  }
+
+  // Recent security events
+  static async getSecurityEvents(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+      const logs = await AuditLog.findSecurityEvents(limit);
+
+      await AuditLogController.logAuditAccess(req, 'VIEW_SECURITY_EVENTS', `Administrator viewed ${logs.length} security events`, logs.length);
+
+      res.json({
+        success: true,
+        data: {
+          logs
+        }
+      });
+    } catch (error) {
+      console.error('Get security events error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get security events',
+        code: 'SECURITY_EVENTS_ERROR'
+      });
+    }
+  }
+
+  // Recent emergency (break-glass) access events
+  static async getEmergencyAccessEvents(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+      const logs = await AuditLog.findEmergencyAccess(limit);
+
+      await AuditLogController.logAuditAccess(req, 'VIEW_EMERGENCY_ACCESS_EVENTS', `Administrator viewed ${logs.length} emergency access events`, logs.length);
+
+      res.json({
+        success: true,
+        data: {
+          logs
+        }
+      });
+    } catch (error) {
+      console.error('Get emergency access events error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get emergency access events',
+        code: 'EMERGENCY_ACCESS_EVENTS_ERROR'
+      });
+    }
+  }
+
+  // Verify the audit log hash chain over a time range
+  static async verifyAuditChain(req, res) {
+    try {
+      const { from, to } = req.query;
+      const range = {};
+      const errors = [];
+
+      if (from) {
+        range.from = new Date(from);
+        if (isNaN(range.from.getTime())) errors.push('Invalid from date');
+      }
+      if (to) {
+        range.to = new Date(to);
+        if (isNaN(range.to.getTime())) errors.push('Invalid to date');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification range',
+          code: 'INVALID_FILTER',
+          errors
+        });
+      }
+
+      const report = await AuditLog.verifyChain(range);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'system',
+        resourceId: null,
+        action: 'VERIFY_AUDIT_CHAIN',
+        description: report.valid
+          ? `Audit chain verified: ${report.checkedEntries} entries intact`
+          : `Audit chain broken at sequence ${report.firstBrokenLink.sequence} (${report.firstBrokenLink.reason})`,
+        dataAccessed: {
+          recordCount: report.checkedEntries,
+          dataType: 'audit_logs'
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: !report.valid,
+          threatLevel: report.valid ? 'low' : 'critical',
+          anomalyDetected: !report.valid,
+          anomalyDetails: report.valid ? undefined : report.firstBrokenLink.reason
+        },
+        compliance: {
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      console.error('Verify audit chain error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify audit chain',
+        code: 'AUDIT_VERIFY_ERROR'
+      });
+    }
+  }
+
+  // Stream filtered audit logs as CSV or NDJSON
+  static async exportAuditLogs(req, res) {
+    try {
+      const format = (req.query.format || 'ndjson').toLowerCase();
+
+      if (!['csv', 'ndjson'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid export format. Must be one of: csv, ndjson',
+          code: 'INVALID_EXPORT_FORMAT'
+        });
+      }
+
+      const { filter, errors } = AuditLogController.buildFilter(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid audit log filters',
+          code: 'INVALID_FILTER',
+          errors
+        });
+      }
+
+      // Record the export before streaming so it is audited even if the client disconnects
+      await AuditLog.createLog({
+        eventType: 'DATA_EXPORT',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'system',
+        resourceId: null,
+        action: 'EXPORT_AUDIT_LOGS',
+        description: `Administrator exported audit logs as ${format.toUpperCase()}`,
+        dataAccessed: {
+          dataType: 'audit_logs',
+          fields: Object.keys(req.query).filter(key => key !== 'format')
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'low'
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      const filename = `audit-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${format === 'csv' ? 'csv' : 'ndjson'}`;
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'csv') {
+        res.write(toCsvRow(CSV_COLUMNS.map(([name]) => name)));
+      }
+
+      const cursor = AuditLog.find(filter)
+        .select('-signature.hash')
+        .sort({ 'systemDetails.timestamp': -1, _id: -1 })
+        .lean()
+        .cursor();
+
+      try {
+        for await (const log of cursor) {
+          // The client went away; stop reading instead of waiting for a drain that never comes
+          if (res.destroyed) break;
+
+          const chunk = format === 'csv'
+            ? toCsvRow(CSV_COLUMNS.map(([, getValue]) => getValue(log)))
+            : `${JSON.stringify(log)}\n`;
+
+          // Respect backpressure so large exports do not buffer in memory
+          if (!res.write(chunk)) {
+            await waitForDrain(res);
+          }
+        }
+      } finally {
+        await cursor.close();
+      }
+
+      if (res.destroyed) return;
+
+      res.end();
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export audit logs',
+        code: 'AUDIT_EXPORT_ERROR'
+      });
+    }
+  }
+
+  // Filter helper: translate query parameters into a MongoDB filter
+  static buildFilter(query) {
+    const {
+      eventType,
+      userId,
+      targetPatientId,
+      resourceType,
+      threatLevel,
+      requestId,
+      securityOnly,
+      from,
+      to
+    } = query;
+
+    const filter = {};
+    const errors = [];
+
+    const eventTypes = AuditLog.schema.path('eventType').enumValues;
+    const resourceTypes = AuditLog.schema.path('resourceType').enumValues;
+    const threatLevels = AuditLog.schema.path('securityEvent.threatLevel').enumValues;
+
+    if (eventType) {
+      const values = String(eventType).split(',');
+      if (values.some(value => !eventTypes.includes(value))) {
+        errors.push('Invalid eventType');
+      } else {
+        filter.eventType = values.length > 1 ? { $in: values } : values[0];
+      }
+    }
+
+    if (resourceType) {
+      if (!resourceTypes.includes(resourceType)) {
+        errors.push('Invalid resourceType');
+      } else {
+        filter.resourceType = resourceType;
+      }
+    }
+
+    if (threatLevel) {
+      if (!threatLevels.includes(threatLevel)) {
+        errors.push('Invalid threatLevel');
+      } else {
+        filter['securityEvent.threatLevel'] = threatLevel;
+      }
+    }
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        errors.push('Invalid userId');
+      } else {
+        filter.userId = userId;
+      }
+    }
+
+    if (targetPatientId) {
+      if (!mongoose.Types.ObjectId.isValid(targetPatientId)) {
+        errors.push('Invalid targetPatientId');
+      } else {
+        filter.targetPatientId = targetPatientId;
+      }
+    }
+
+    if (requestId) {
+      filter['requestDetails.requestId'] = String(requestId);
+    }
+
+    if (securityOnly === 'true') {
+      filter['securityEvent.isSecurityEvent'] = true;
+    }
+
+    if (from || to) {
+      const range = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          errors.push('Invalid from date');
+        } else {
+          range.$gte = fromDate;
+        }
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          errors.push('Invalid to date');
+        } else {
+          range.$lte = toDate;
+        }
+      }
+      filter['systemDetails.timestamp'] = range;
+    }
+
+    return { filter, errors };
+  }
+
+  // Cursor helpers: opaque base64url token of the last (timestamp, _id) pair
+  static encodeCursor(log) {
+    return Buffer.from(JSON.stringify({
+      t: log.systemDetails.timestamp.toISOString(),
+      id: log._id.toString()
+    })).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const timestamp = new Date(t);
+
+      if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+      }
+
+      return { timestamp, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Audit helper: reading the audit trail is itself audited
+  static async logAuditAccess(req, action, description, recordCount) {
+    await AuditLog.createLog({
+      eventType: 'READ',
+      userId: req.user._id,
+      userRole: req.user.role,
+      resourceType: 'system',
+      resourceId: null,
+      action,
+      description,
+      dataAccessed: {
+        recordCount,
+        dataType: 'audit_logs'
+      },
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      }
+    });
+  }
+}
+
+module.exports = AuditLogController;
@@ -1,11 +1,16 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const { isTwoFactorRequired } = require('../utils/totp');
 
 /**
  * Authentication Controller - Secure user authentication
- * Implements login, registration, token management with security best practices
+ * Implements login, registration, token management with security best practices.
+ * Accounts with two-factor authentication (or whose role requires it) finish
+ * signing in through TwoFactorController after the password step. Every login
+ * starts a server-side session whose refresh token rotates on each use.
  */
 
 class AuthController {
@@ -71,9 +76,11 @@ class AuthController {
 
         await user.save();
 
+        // Roles that require two-factor authentication enroll at their first sign-in
+        const twoFactorEnrollmentRequired = isTwoFactorRequired(user.role);
+
         // Generate tokens
-        const accessToken = user.generateAuthToken();
-        const refreshToken = user.generateRefreshToken();
+        const tokens = twoFactorEnrollmentRequired ? null : await AuthController.startSession(req, user);
 
         // Update last login
         user.security.lastLogin = new Date();
@@ -113,10 +120,7 @@ class AuthController {
           message: 'User registered successfully',
           data: {
             user: userResponse,
-            tokens: {
-              accessToken,
-              refreshToken
-            }
+            ...(tokens ? { tokens } : { twoFactorEnrollmentRequired })
           }
         });
       } catch (validationError) {
@@ -231,57 +235,22 @@ class AuthController {
         });
       }
 
-      // Reset login attempts on successful login
-      if (user.security.loginAttempts > 0) {
-        user.security.loginAttempts = 0;
-        user.security.lockUntil = undefined;
-      }
-
-      // Update last login
-      user.security.lastLogin = new Date();
-      await user.save();
-
-      // Generate tokens
-      const accessToken = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
+      // Second factor: enrolled accounts confirm a code, required roles enroll first
+      if (user.security.twoFactorEnabled || isTwoFactorRequired(user.role)) {
+        const enrolled = user.security.twoFactorEnabled;
 
-      // Log successful login
-      try {
-        await AuditLog.createLog({
-          eventType: 'LOGIN',
-          userId: user._id,
-          userRole: user.role,
-          resourceType: 'user',
-          resourceId: user._id,
-          action: 'LOGIN_SUCCESS',
-          description: `User logged in: ${user.email}`,
-          requestDetails: {
-            ipAddress: req.ip,
-            userAgent: req.get('User-Agent'),
-            endpoint: req.originalUrl,
-            method: req.method,
-            requestId: req.requestId || uuidv4()
+        return res.json({
+          success: true,
+          message: enrolled ? 'Two-factor code required' : 'Two-factor enrollment required',
+          code: enrolled ? 'MFA_REQUIRED' : 'MFA_ENROLLMENT_REQUIRED',
+          data: {
+            mfaToken: user.generateMfaToken(),
+            expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m'
           }
         });
-      } catch (logError) {
-        console.warn('Audit log failed during login success:', logError.message);
       }
 
-      // Return user data without sensitive information
-      const userResponse = user.toJSON();
-
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: userResponse,
-          tokens: {
-            accessToken,
-            refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '15m'
-          }
-        }
-      });
+      return AuthController.completeLogin(req, res, user);
     } catch (error) {
       console.error('Login error:', error);
       return res.status(500).json({
@@ -292,14 +261,139 @@ class AuthController {
     }
   }
 
-  // Token refresh
+  // Issue tokens once every login step has passed (method: password, totp or recovery_code)
+  static async completeLogin(req, res, user, { method = 'password', data = {} } = {}) {
+    // Reset login attempts on successful login
+    if (user.security.loginAttempts > 0) {
+      user.security.loginAttempts = 0;
+      user.security.lockUntil = undefined;
+    }
+
+    // Update last login
+    user.security.lastLogin = new Date();
+    await user.save();
+
+    // Generate tokens
+    const tokens = await AuthController.startSession(req, user);
+
+    // Log successful login
+    try {
+      await AuditLog.createLog({
+        eventType: 'LOGIN',
+        userId: user._id,
+        userRole: user.role,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'LOGIN_SUCCESS',
+        description: `User logged in: ${user.email}${method === 'password' ? '' : ` (two-factor: ${method})`}`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+    } catch (logError) {
+      console.warn('Audit log failed during login success:', logError.message);
+    }
+
+    // Return user data without sensitive information
+    const userResponse = user.toJSON();
+
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...data,
+        user: userResponse,
+        tokens
+      }
+    });
+  }
+
+  // New session (refresh token family) for a device that has signed in
+  static async startSession(req, user) {
+    const session = new Session({
+      userId: user._id,
+      tokenId: uuidv4(),
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      lastIpAddress: req.ip
+    });
+
+    return AuthController.issueTokens(user, session);
+  }
+
+  // Sign tokens for the session's current refresh token; the session lives as long as that token
+  static async issueTokens(user, session) {
+    const accessToken = user.generateAuthToken(session);
+    const refreshToken = user.generateRefreshToken(session);
+
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await session.save();
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    };
+  }
+
+  // Token refresh: rotates the refresh token; reusing an old one revokes its session
   static async refreshToken(req, res) {
     try {
       const user = req.user;
+      const { sessionId, tokenId } = req.refreshClaims;
+
+      const session = await Session.rotate(sessionId, user._id, tokenId, uuidv4(), req.ip);
+
+      if (!session) {
+        const family = await Session.findById(sessionId);
+
+        // A superseded token of a live session has been used before: assume it was stolen
+        if (family && family.isActive && family.userId.equals(user._id) && family.tokenId !== tokenId) {
+          await family.revoke('token_reuse');
+
+          await AuditLog.createLog({
+            eventType: 'LOGIN',
+            userId: user._id,
+            userRole: user.role,
+            resourceType: 'system',
+            resourceId: family._id,
+            action: 'REFRESH_TOKEN_REUSE',
+            description: `Reused refresh token for ${user.email}; session ${family._id} revoked`,
+            requestDetails: {
+              ipAddress: req.ip,
+              userAgent: req.get('User-Agent'),
+              endpoint: req.originalUrl,
+              method: req.method,
+              requestId: req.requestId || uuidv4()
+            },
+            securityEvent: {
+              isSecurityEvent: true,
+              threatLevel: 'high',
+              anomalyDetected: true,
+              anomalyDetails: 'Refresh token used after it was rotated'
+            }
+          });
+
+          return res.status(401).json({
+            success: false,
+            message: 'Refresh token was already used. The session has been ended; please sign in again.',
+            code: 'REFRESH_TOKEN_REUSED'
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please sign in again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
 
       // Generate new tokens
-      const accessToken = user.generateAuthToken();
-      const refreshToken = user.generateRefreshToken();
+      const tokens = await AuthController.issueTokens(user, session);
 
       // Log token refresh
       await AuditLog.createLog({
@@ -323,11 +417,7 @@ class AuthController {
         success: true,
         message: 'Token refreshed successfully',
         data: {
-          tokens: {
-            accessToken,
-            refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '15m'
-          }
+          tokens
         }
       });
     } catch (error) {
@@ -340,11 +430,13 @@ class AuthController {
     }
   }
 
-  // Logout
+  // Logout: ends the session, so its access and refresh tokens stop working
   static async logout(req, res) {
     try {
       const user = req.user;
 
+      await req.authSession.revoke('logout', user._id);
+
       // Log logout
       await AuditLog.createLog({
         eventType: 'LOGOUT',
@@ -416,6 +508,10 @@ class AuthController {
       userWithPassword.password = newPassword;
       await userWithPassword.save();
 
+      // Sign out every device; this one continues with a new session
+      const revokedSessions = await Session.revokeAllForUser(user._id, 'password_changed', user._id);
+      const tokens = await AuthController.startSession(req, userWithPassword);
+
       // Log password change
       await AuditLog.createLog({
         eventType: 'PASSWORD_CHANGE',
@@ -424,7 +520,7 @@ class AuthController {
         resourceType: 'user',
         resourceId: user._id,
         action: 'PASSWORD_CHANGED',
-        description: `Password changed for user: ${user.email}`,
+        description: `Password changed for user: ${user.email}; ${revokedSessions} session(s) signed out`,
         requestDetails: {
           ipAddress: req.ip,
           userAgent: req.get('User-Agent'),
@@ -440,7 +536,10 @@ class AuthController {
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully. Other devices have been signed out.',
+        data: {
+          tokens
+        }
       });
     } catch (error) {
       console.error('Password change error:', error);
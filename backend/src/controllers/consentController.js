@@ -2,8 +2,12 @@ const Consent = require('../models/Consent');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const ConsentRenewalRequest = require('../models/ConsentRenewalRequest');
+const Notification = require('../models/Notification');
 const { v4: uuidv4 } = require('uuid');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Consent Controller - Patient-driven consent management
  * Implements granular consent creation, management, and revocation
@@ -554,6 +558,381 @@ class ConsentController {
       });
     }
   }
+
+  // Request renewal of a consent (consent recipient)
+  static async requestRenewal(req, res) {
+    try {
+      const { consentId } = req.params;
+      const { durationDays, message } = req.body;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+
+      const consent = await Consent.findById(consentId);
+      if (!consent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consent not found',
+          code: 'CONSENT_NOT_FOUND'
+        });
+      }
+
+      if (consent.recipientId.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the consent recipient can request renewal',
+          code: 'CONSENT_RENEWAL_RECIPIENT_ONLY'
+        });
+      }
+
+      if (consent.status === 'revoked') {
+        return res.status(400).json({
+          success: false,
+          message: 'A revoked consent cannot be renewed',
+          code: 'CONSENT_REVOKED'
+        });
+      }
+
+      const existing = await ConsentRenewalRequest.findOne({ consentId, status: 'pending' });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A renewal request for this consent is already pending',
+          code: 'RENEWAL_REQUEST_EXISTS',
+          data: {
+            renewalRequest: existing
+          }
+        });
+      }
+
+      // Default to the length of the current consent
+      const duration = durationDays
+        ? parseInt(durationDays)
+        : Math.max(1, Math.round((consent.validUntil - consent.validFrom) / DAY_MS));
+
+      if (!(duration >= 1 && duration <= 730)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Duration must be between 1 and 730 days',
+          code: 'INVALID_RENEWAL_DURATION'
+        });
+      }
+
+      const renewalRequest = await ConsentRenewalRequest.create({
+        consentId,
+        patientId: consent.patientId,
+        requestedBy: userId,
+        durationDays: duration,
+        message
+      });
+
+      const patient = await Patient.findById(consent.patientId).select('userId');
+      if (patient) {
+        await Notification.notify({
+          userId: patient.userId,
+          type: 'consent_renewal_requested',
+          title: 'Consent renewal requested',
+          message: `${req.user.profile.firstName} ${req.user.profile.lastName} (${userRole}) asks to renew ${consent.dataType.replace('_', ' ')} access for ${consent.purpose.replace('_', ' ')} for ${duration} days`,
+          resource: { type: 'consent_renewal_request', id: renewalRequest._id }
+        });
+      }
+
+      await AuditLog.createLog({
+        eventType: 'CREATE',
+        userId,
+        userRole,
+        targetPatientId: consent.patientId,
+        resourceType: 'consent',
+        resourceId: consent._id,
+        action: 'REQUEST_CONSENT_RENEWAL',
+        description: `Requested renewal of ${consent.dataType} consent for ${duration} days`,
+        dataChanges: {
+          after: {
+            renewalRequestId: renewalRequest._id,
+            durationDays: duration
+          }
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Renewal request sent to patient',
+        data: {
+          renewalRequest
+        }
+      });
+    } catch (error) {
+      console.error('Request consent renewal error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to request consent renewal',
+        code: 'CONSENT_RENEWAL_REQUEST_ERROR'
+      });
+    }
+  }
+
+  // Renewal requests for the current user (patients see requests to them,
+  // recipients see requests they filed)
+  static async getRenewalRequests(req, res) {
+    try {
+      const { status } = req.query;
+      const userId = req.user._id;
+
+      const query = {};
+      if (req.user.role === 'patient') {
+        const patient = await Patient.findOne({ userId }).select('_id');
+        if (!patient) {
+          return res.status(404).json({
+            success: false,
+            message: 'Patient profile not found',
+            code: 'PATIENT_NOT_FOUND'
+          });
+        }
+        query.patientId = patient._id;
+      } else {
+        query.requestedBy = userId;
+      }
+
+      if (status) {
+        query.status = status;
+      }
+
+      const renewalRequests = await ConsentRenewalRequest.find(query)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('requestedBy', 'profile.firstName profile.lastName role')
+        .populate('consentId', 'dataType purpose validFrom validUntil status version');
+
+      res.json({
+        success: true,
+        data: {
+          renewalRequests
+        }
+      });
+    } catch (error) {
+      console.error('Get renewal requests error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get renewal requests',
+        code: 'CONSENT_RENEWAL_REQUESTS_ERROR'
+      });
+    }
+  }
+
+  // Load a pending renewal request addressed to the signed-in patient
+  static async findPatientRenewalRequest(req, res) {
+    const renewalRequest = await ConsentRenewalRequest.findById(req.params.requestId);
+    if (!renewalRequest) {
+      res.status(404).json({
+        success: false,
+        message: 'Renewal request not found',
+        code: 'RENEWAL_REQUEST_NOT_FOUND'
+      });
+      return null;
+    }
+
+    const patient = await Patient.findOne({ userId: req.user._id }).select('_id');
+    if (!patient || patient._id.toString() !== renewalRequest.patientId.toString()) {
+      res.status(403).json({
+        success: false,
+        message: 'Only the patient can respond to a renewal request',
+        code: 'PATIENT_CONSENT_ONLY'
+      });
+      return null;
+    }
+
+    if (renewalRequest.status !== 'pending') {
+      res.status(409).json({
+        success: false,
+        message: `Renewal request is already ${renewalRequest.status}`,
+        code: 'RENEWAL_REQUEST_CLOSED'
+      });
+      return null;
+    }
+
+    return renewalRequest;
+  }
+
+  // Approve a renewal request, creating the next consent version (patient)
+  static async approveRenewal(req, res) {
+    try {
+      const renewalRequest = await ConsentController.findPatientRenewalRequest(req, res);
+      if (!renewalRequest) return;
+
+      const previous = await Consent.findById(renewalRequest.consentId);
+      if (!previous || previous.status === 'revoked') {
+        return res.status(409).json({
+          success: false,
+          message: 'The consent was revoked and can no longer be renewed',
+          code: 'CONSENT_REVOKED'
+        });
+      }
+
+      // Start where the current consent ends so access continues without a gap
+      const now = new Date();
+      const validFrom = previous.status === 'active' && previous.validUntil > now
+        ? previous.validUntil
+        : now;
+
+      const consent = new Consent({
+        patientId: previous.patientId,
+        recipientId: previous.recipientId,
+        recipientRole: previous.recipientRole,
+        dataType: previous.dataType,
+        purpose: previous.purpose,
+        validFrom,
+        validUntil: new Date(validFrom.getTime() + renewalRequest.durationDays * DAY_MS),
+        limitations: {
+          maxAccessCount: previous.limitations.maxAccessCount,
+          ipAddress: previous.limitations.ipAddress,
+          deviceFingerprint: previous.limitations.deviceFingerprint
+        },
+        grantedBy: req.user._id,
+        version: previous.version + 1,
+        previousVersionId: previous._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      await consent.save();
+
+      renewalRequest.status = 'approved';
+      renewalRequest.respondedAt = now;
+      renewalRequest.renewedConsentId = consent._id;
+      await renewalRequest.save();
+
+      await Notification.notify({
+        userId: renewalRequest.requestedBy,
+        type: 'consent_renewal_approved',
+        title: 'Consent renewal approved',
+        message: `Your ${consent.dataType.replace('_', ' ')} access was renewed until ${consent.validUntil.toDateString()}`,
+        resource: { type: 'consent', id: consent._id }
+      });
+
+      await AuditLog.createLog({
+        eventType: 'CONSENT_GRANTED',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: consent.patientId,
+        resourceType: 'consent',
+        resourceId: consent._id,
+        action: 'RENEW_CONSENT',
+        description: `Renewed ${consent.dataType} consent as version ${consent.version} until ${consent.validUntil.toISOString()}`,
+        consentId: consent._id,
+        dataChanges: {
+          before: {
+            consentId: previous._id,
+            version: previous.version,
+            validUntil: previous.validUntil
+          },
+          after: {
+            consentId: consent._id,
+            version: consent.version,
+            validFrom: consent.validFrom,
+            validUntil: consent.validUntil
+          }
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Consent renewed successfully',
+        data: {
+          renewalRequest,
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Approve consent renewal error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to approve consent renewal',
+        code: 'CONSENT_RENEWAL_APPROVE_ERROR'
+      });
+    }
+  }
+
+  // Decline a renewal request (patient)
+  static async declineRenewal(req, res) {
+    try {
+      const renewalRequest = await ConsentController.findPatientRenewalRequest(req, res);
+      if (!renewalRequest) return;
+
+      const { reason } = req.body || {};
+
+      renewalRequest.status = 'declined';
+      renewalRequest.respondedAt = new Date();
+      renewalRequest.declineReason = reason;
+      await renewalRequest.save();
+
+      await Notification.notify({
+        userId: renewalRequest.requestedBy,
+        type: 'consent_renewal_declined',
+        title: 'Consent renewal declined',
+        message: reason ? `The patient declined your renewal request: ${reason}` : 'The patient declined your renewal request',
+        resource: { type: 'consent', id: renewalRequest.consentId }
+      });
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: renewalRequest.patientId,
+        resourceType: 'consent',
+        resourceId: renewalRequest.consentId,
+        action: 'DECLINE_CONSENT_RENEWAL',
+        description: `Declined consent renewal request${reason ? `. Reason: ${reason}` : ''}`,
+        dataChanges: {
+          before: { status: 'pending' },
+          after: { status: 'declined', declineReason: reason }
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Renewal request declined',
+        data: {
+          renewalRequest
+        }
+      });
+    } catch (error) {
+      console.error('Decline consent renewal error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to decline consent renewal',
+        code: 'CONSENT_RENEWAL_DECLINE_ERROR'
+      });
+    }
+  }
 }
 
 module.exports = ConsentController;
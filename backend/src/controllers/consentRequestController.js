@@ -0,0 +1,419 @@
+const Consent = require('../models/Consent');
+const ConsentRequest = require('../models/ConsentRequest');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Consent Request Controller - Clinician-initiated consent requests
+ * Doctors, lab technicians and pharmacists propose a scope; the patient
+ * approves (optionally narrowing it), which creates a Consent, or denies
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConsentRequestController {
+  // Propose a consent to a patient (doctor, lab technician, pharmacist)
+  static async createRequest(req, res) {
+    try {
+      const { patientId, dataType, purpose, durationDays, justification } = req.body;
+
+      const errors = ConsentRequestController.validateScope({ dataType, purpose, durationDays });
+      if (!patientId) {
+        errors.push('Patient ID is required');
+      }
+      if (!justification || justification.trim().length < 10) {
+        errors.push('Justification must be at least 10 characters');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Consent request validation failed',
+          code: 'CONSENT_REQUEST_VALIDATION_ERROR',
+          errors
+        });
+      }
+
+      const patient = await Patient.findById(patientId).select('userId');
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      const duplicate = await ConsentRequest.findPendingDuplicate({
+        patientId,
+        requestedBy: req.user._id,
+        dataType,
+        purpose
+      });
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: 'A matching consent request is already pending',
+          code: 'CONSENT_REQUEST_EXISTS',
+          data: {
+            consentRequest: duplicate
+          }
+        });
+      }
+
+      const consentRequest = await ConsentRequestController.fileRequest(req, {
+        patient,
+        recipient: req.user,
+        scope: { dataType, purpose, durationDays: parseInt(durationDays) },
+        justification
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Consent request sent to patient',
+        data: {
+          consentRequest
+        }
+      });
+    } catch (error) {
+      console.error('Create consent request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create consent request',
+        code: 'CONSENT_REQUEST_CREATE_ERROR'
+      });
+    }
+  }
+
+  // Consent requests for the current user (patients see requests addressed
+  // to them, clinicians see requests they will receive access from)
+  static async getRequests(req, res) {
+    try {
+      const { status } = req.query;
+
+      const query = {};
+      if (req.user.role === 'patient') {
+        const patient = await Patient.findOne({ userId: req.user._id }).select('_id');
+        if (!patient) {
+          return res.status(404).json({
+            success: false,
+            message: 'Patient profile not found',
+            code: 'PATIENT_NOT_FOUND'
+          });
+        }
+        query.patientId = patient._id;
+      } else {
+        query.requestedBy = req.user._id;
+      }
+
+      if (status) {
+        query.status = status;
+      }
+
+      const consentRequests = await ConsentRequest.find(query)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('requestedBy', 'profile.firstName profile.lastName role profile.professionalInfo.specialization')
+        .populate('initiatedBy', 'profile.firstName profile.lastName role')
+        .populate({
+          path: 'patientId',
+          select: 'userId',
+          populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+        });
+
+      res.json({
+        success: true,
+        data: {
+          consentRequests
+        }
+      });
+    } catch (error) {
+      console.error('Get consent requests error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get consent requests',
+        code: 'CONSENT_REQUESTS_ERROR'
+      });
+    }
+  }
+
+  // Approve a request, optionally narrowing dataType, purpose or durationDays (patient)
+  static async approveRequest(req, res) {
+    try {
+      const consentRequest = await ConsentRequestController.findPatientRequest(req, res);
+      if (!consentRequest) return;
+
+      const granted = {
+        dataType: req.body?.dataType || consentRequest.dataType,
+        purpose: req.body?.purpose || consentRequest.purpose,
+        durationDays: req.body?.durationDays ? parseInt(req.body.durationDays) : consentRequest.durationDays
+      };
+
+      const errors = ConsentRequestController.validateScope(granted);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Consent scope validation failed',
+          code: 'CONSENT_REQUEST_VALIDATION_ERROR',
+          errors
+        });
+      }
+
+      const recipient = await User.findById(consentRequest.requestedBy).select('role status');
+      if (!recipient || recipient.status !== 'active') {
+        return res.status(409).json({
+          success: false,
+          message: 'The requesting user is no longer active',
+          code: 'RECIPIENT_INACTIVE'
+        });
+      }
+
+      const now = new Date();
+      const consent = new Consent({
+        patientId: consentRequest.patientId,
+        recipientId: consentRequest.requestedBy,
+        recipientRole: recipient.role,
+        dataType: granted.dataType,
+        purpose: granted.purpose,
+        validFrom: now,
+        validUntil: new Date(now.getTime() + granted.durationDays * DAY_MS),
+        grantedBy: req.user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      await consent.save();
+
+      const modified = ['dataType', 'purpose', 'durationDays']
+        .filter(field => granted[field] !== consentRequest[field]);
+
+      consentRequest.status = 'approved';
+      consentRequest.respondedAt = now;
+      consentRequest.consentId = consent._id;
+      if (modified.length > 0) {
+        consentRequest.grantedScope = granted;
+      }
+      await consentRequest.save();
+
+      await Notification.notify({
+        userId: consentRequest.requestedBy,
+        type: 'consent_request_approved',
+        title: 'Consent request approved',
+        message: modified.length > 0
+          ? `The patient granted ${granted.dataType.replace('_', ' ')} access for ${granted.purpose.replace('_', ' ')} (${granted.durationDays} days) with a narrower scope than requested`
+          : `The patient granted ${granted.dataType.replace('_', ' ')} access for ${granted.purpose.replace('_', ' ')} (${granted.durationDays} days)`,
+        resource: { type: 'consent', id: consent._id }
+      });
+
+      await ConsentRequestController.logRequestEvent(req, {
+        eventType: 'CONSENT_GRANTED',
+        patientId: consentRequest.patientId,
+        resourceId: consent._id,
+        action: 'APPROVE_CONSENT_REQUEST',
+        description: `Approved consent request ${consentRequest._id}: ${granted.dataType} for ${granted.purpose}, ${granted.durationDays} days${modified.length > 0 ? ` (changed ${modified.join(', ')})` : ''}`,
+        consentId: consent._id,
+        dataChanges: {
+          before: {
+            status: 'pending',
+            dataType: consentRequest.dataType,
+            purpose: consentRequest.purpose,
+            durationDays: consentRequest.durationDays
+          },
+          after: {
+            status: 'approved',
+            consentId: consent._id,
+            ...granted
+          },
+          changes: modified
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Consent granted',
+        data: {
+          consentRequest,
+          consent
+        }
+      });
+    } catch (error) {
+      console.error('Approve consent request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to approve consent request',
+        code: 'CONSENT_REQUEST_APPROVE_ERROR'
+      });
+    }
+  }
+
+  // Deny a request (patient)
+  static async denyRequest(req, res) {
+    try {
+      const consentRequest = await ConsentRequestController.findPatientRequest(req, res);
+      if (!consentRequest) return;
+
+      const { reason } = req.body || {};
+
+      consentRequest.status = 'denied';
+      consentRequest.respondedAt = new Date();
+      consentRequest.denialReason = reason;
+      await consentRequest.save();
+
+      await Notification.notify({
+        userId: consentRequest.requestedBy,
+        type: 'consent_request_denied',
+        title: 'Consent request denied',
+        message: reason
+          ? `The patient denied your ${consentRequest.dataType.replace('_', ' ')} access request: ${reason}`
+          : `The patient denied your ${consentRequest.dataType.replace('_', ' ')} access request`,
+        resource: { type: 'consent_request', id: consentRequest._id }
+      });
+
+      await ConsentRequestController.logRequestEvent(req, {
+        eventType: 'UPDATE',
+        patientId: consentRequest.patientId,
+        resourceId: consentRequest._id,
+        action: 'DENY_CONSENT_REQUEST',
+        description: `Denied ${consentRequest.dataType} consent request${reason ? `. Reason: ${reason}` : ''}`,
+        dataChanges: {
+          before: { status: 'pending' },
+          after: { status: 'denied', denialReason: reason }
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Consent request denied',
+        data: {
+          consentRequest
+        }
+      });
+    } catch (error) {
+      console.error('Deny consent request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to deny consent request',
+        code: 'CONSENT_REQUEST_DENY_ERROR'
+      });
+    }
+  }
+
+  // Create, notify and audit a request. Also used by assignDoctor for the
+  // default treatment request filed by a receptionist.
+  static async fileRequest(req, { patient, recipient, scope, justification, assignmentId }) {
+    const consentRequest = await ConsentRequest.create({
+      patientId: patient._id,
+      requestedBy: recipient._id,
+      recipientRole: recipient.role,
+      initiatedBy: req.user._id,
+      assignmentId,
+      ...scope,
+      justification
+    });
+
+    await Notification.notify({
+      userId: patient.userId,
+      type: 'consent_requested',
+      title: 'New consent request',
+      message: `${recipient.profile.firstName} ${recipient.profile.lastName} (${recipient.role.replace('_', ' ')}) requests ${scope.dataType.replace('_', ' ')} access for ${scope.purpose.replace('_', ' ')} (${scope.durationDays} days)`,
+      resource: { type: 'consent_request', id: consentRequest._id }
+    });
+
+    await ConsentRequestController.logRequestEvent(req, {
+      eventType: 'CREATE',
+      patientId: patient._id,
+      resourceId: consentRequest._id,
+      action: 'CREATE_CONSENT_REQUEST',
+      description: `Requested ${scope.dataType} access for ${scope.purpose} (${scope.durationDays} days) on behalf of ${recipient.profile.firstName} ${recipient.profile.lastName} (${recipient.role})`,
+      dataChanges: {
+        after: {
+          requestedBy: recipient._id,
+          ...scope,
+          justification,
+          assignmentId
+        }
+      }
+    });
+
+    return consentRequest;
+  }
+
+  // Load a pending request addressed to the signed-in patient
+  static async findPatientRequest(req, res) {
+    const consentRequest = await ConsentRequest.findById(req.params.requestId);
+    if (!consentRequest) {
+      res.status(404).json({
+        success: false,
+        message: 'Consent request not found',
+        code: 'CONSENT_REQUEST_NOT_FOUND'
+      });
+      return null;
+    }
+
+    const patient = await Patient.findOne({ userId: req.user._id }).select('_id');
+    if (!patient || patient._id.toString() !== consentRequest.patientId.toString()) {
+      res.status(403).json({
+        success: false,
+        message: 'Only patients can manage their own consent',
+        code: 'PATIENT_CONSENT_ONLY'
+      });
+      return null;
+    }
+
+    if (consentRequest.status !== 'pending') {
+      res.status(409).json({
+        success: false,
+        message: `Consent request is already ${consentRequest.status}`,
+        code: 'CONSENT_REQUEST_CLOSED'
+      });
+      return null;
+    }
+
+    return consentRequest;
+  }
+
+  static validateScope({ dataType, purpose, durationDays }) {
+    const errors = [];
+
+    if (!ConsentRequest.DATA_TYPES.includes(dataType)) {
+      errors.push('Invalid data type');
+    }
+    if (!ConsentRequest.PURPOSES.includes(purpose)) {
+      errors.push('Invalid purpose');
+    }
+    const duration = parseInt(durationDays);
+    if (!(duration >= 1 && duration <= 730)) {
+      errors.push('Duration must be between 1 and 730 days');
+    }
+
+    return errors;
+  }
+
+  static async logRequestEvent(req, { eventType, patientId, resourceId, action, description, consentId, dataChanges }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: patientId,
+      resourceType: 'consent',
+      resourceId,
+      action,
+      description,
+      consentId,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = ConsentRequestController;
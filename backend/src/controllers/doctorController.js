@@ -0,0 +1,615 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const Encounter = require('../models/Encounter');
+const MedicalRecord = require('../models/MedicalRecord');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Doctor Controller - Complaint inbox and record review queue for the assigned doctor
+ * Doctors accept, progress, resolve or reassign the complaints assigned to them,
+ * and sign off or return the medical records routed to them for review
+ */
+
+const populateComplaint = [
+  {
+    path: 'patientId',
+    select: 'userId demographics.dateOfBirth demographics.gender',
+    populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+  },
+  { path: 'receptionistId', select: 'profile.firstName profile.lastName' },
+  { path: 'resolvedBy', select: 'profile.firstName profile.lastName' },
+  { path: 'notes.authorId', select: 'profile.firstName profile.lastName' }
+];
+
+const populateReview = [
+  {
+    path: 'patientId',
+    select: 'userId demographics.dateOfBirth demographics.gender',
+    populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+  },
+  { path: 'providerId', select: 'profile.firstName profile.lastName role' },
+  { path: 'review.returnedBy', select: 'profile.firstName profile.lastName' }
+];
+
+class DoctorController {
+  // Complaints assigned to the caller, most urgent first, then oldest first
+  static async getComplaints(req, res) {
+    try {
+      const { status, priority, limit = 100 } = req.query;
+
+      const match = { assignedDoctorId: req.user._id };
+      if (status) {
+        match.status = { $in: String(status).split(',') };
+      }
+      if (priority) {
+        match.priority = { $in: String(priority).split(',') };
+      }
+
+      const rows = await Complaint.aggregate([
+        { $match: match },
+        { $addFields: { priorityRank: { $indexOfArray: [Complaint.PRIORITIES, '$priority'] } } },
+        { $sort: { priorityRank: 1, createdAt: 1 } },
+        { $limit: Math.min(parseInt(limit) || 100, 200) }
+      ]);
+      const complaints = await Complaint.populate(rows, populateComplaint);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'complaint',
+        action: 'VIEW_COMPLAINT_INBOX',
+        description: `Viewed ${complaints.length} assigned complaints`,
+        dataAccessed: {
+          recordCount: complaints.length
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: complaints
+      });
+    } catch (error) {
+      console.error('Get doctor complaints error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve complaints',
+        code: 'GET_COMPLAINTS_ERROR'
+      });
+    }
+  }
+
+  // Single assigned complaint
+  static async getComplaint(req, res) {
+    try {
+      const complaint = await DoctorController.findComplaint(req, res);
+      if (!complaint) return;
+
+      await complaint.populate(populateComplaint);
+
+      res.json({
+        success: true,
+        data: {
+          complaint
+        }
+      });
+    } catch (error) {
+      console.error('Get doctor complaint error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve complaint',
+        code: 'GET_COMPLAINT_ERROR'
+      });
+    }
+  }
+
+  // Acknowledge an open complaint
+  static async acceptComplaint(req, res) {
+    try {
+      const complaint = await DoctorController.findComplaint(req, res);
+      if (!complaint) return;
+
+      if (complaint.status !== 'open' || complaint.acceptedAt) {
+        return res.status(409).json({
+          success: false,
+          message: complaint.acceptedAt ? 'Complaint already accepted' : `Cannot accept a ${complaint.status} complaint`,
+          code: 'INVALID_COMPLAINT_STATUS'
+        });
+      }
+
+      complaint.acceptedAt = new Date();
+      await complaint.save();
+
+      await DoctorController.logComplaintEvent(req, complaint, {
+        action: 'ACCEPT_COMPLAINT',
+        description: 'Accepted assigned complaint',
+        dataChanges: {
+          after: { acceptedAt: complaint.acceptedAt }
+        }
+      });
+
+      await DoctorController.sendComplaint(res, complaint, 'Complaint accepted');
+    } catch (error) {
+      console.error('Accept complaint error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to accept complaint',
+        code: 'UPDATE_COMPLAINT_ERROR'
+      });
+    }
+  }
+
+  // Start work on a complaint (open -> in_progress), optionally with a note
+  static async progressComplaint(req, res) {
+    try {
+      const { note } = req.body;
+
+      const complaint = await DoctorController.findComplaint(req, res);
+      if (!complaint) return;
+
+      if (!DoctorController.checkTransition(res, complaint, 'in_progress')) return;
+
+      // Starting work implies accepting the complaint
+      complaint.acceptedAt = complaint.acceptedAt || new Date();
+      complaint.transitionTo('in_progress', req.user._id);
+      if (note?.trim()) {
+        complaint.notes.push({ authorId: req.user._id, action: 'progress', text: note.trim() });
+      }
+      await complaint.save();
+      await Encounter.syncWithComplaint(complaint, req.user._id);
+
+      await DoctorController.logComplaintEvent(req, complaint, {
+        action: 'PROGRESS_COMPLAINT',
+        description: 'Complaint moved to in progress',
+        dataChanges: {
+          before: { status: 'open' },
+          after: { status: 'in_progress' }
+        }
+      });
+
+      await DoctorController.sendComplaint(res, complaint, 'Complaint in progress');
+    } catch (error) {
+      console.error('Progress complaint error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update complaint',
+        code: 'UPDATE_COMPLAINT_ERROR'
+      });
+    }
+  }
+
+  // Resolve an in-progress complaint with a resolution summary
+  static async resolveComplaint(req, res) {
+    try {
+      const { resolution } = req.body;
+
+      if (!resolution || resolution.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A resolution of at least 5 characters is required',
+          code: 'RESOLUTION_REQUIRED'
+        });
+      }
+
+      const complaint = await DoctorController.findComplaint(req, res);
+      if (!complaint) return;
+
+      if (!DoctorController.checkTransition(res, complaint, 'resolved')) return;
+
+      complaint.transitionTo('resolved', req.user._id);
+      complaint.resolution = resolution.trim();
+      await complaint.save();
+      await Encounter.syncWithComplaint(complaint, req.user._id);
+
+      await DoctorController.logComplaintEvent(req, complaint, {
+        action: 'RESOLVE_COMPLAINT',
+        description: 'Resolved complaint',
+        dataChanges: {
+          before: { status: 'in_progress' },
+          after: { status: 'resolved' }
+        }
+      });
+
+      await DoctorController.sendComplaint(res, complaint, 'Complaint resolved');
+    } catch (error) {
+      console.error('Resolve complaint error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to resolve complaint',
+        code: 'UPDATE_COMPLAINT_ERROR'
+      });
+    }
+  }
+
+  // Hand an unresolved complaint to another doctor; it reopens in their inbox
+  static async reassignComplaint(req, res) {
+    try {
+      const { doctorId, reason } = req.body;
+
+      if (!doctorId || !reason || reason.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'doctorId and a reason of at least 5 characters are required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      const complaint = await DoctorController.findComplaint(req, res);
+      if (!complaint) return;
+
+      if (!['open', 'in_progress'].includes(complaint.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot reassign a ${complaint.status} complaint`,
+          code: 'INVALID_COMPLAINT_STATUS'
+        });
+      }
+
+      if (doctorId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Complaint is already assigned to you',
+          code: 'INVALID_REASSIGNMENT'
+        });
+      }
+
+      const doctor = await User.findById(doctorId);
+      if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found or inactive',
+          code: 'DOCTOR_NOT_FOUND'
+        });
+      }
+
+      const previousStatus = complaint.status;
+      complaint.assignedDoctorId = doctor._id;
+      complaint.status = 'open';
+      complaint.acceptedAt = undefined;
+      complaint.notes.push({ authorId: req.user._id, action: 'reassign', text: reason.trim() });
+      await complaint.save();
+      await Encounter.syncWithComplaint(complaint, req.user._id);
+
+      await Notification.notify({
+        userId: doctor._id,
+        type: 'complaint_assigned',
+        title: 'Complaint reassigned to you',
+        message: `A ${complaint.priority} priority complaint was reassigned to you`,
+        resource: { type: 'complaint', id: complaint._id }
+      });
+
+      await DoctorController.logComplaintEvent(req, complaint, {
+        action: 'REASSIGN_COMPLAINT',
+        description: `Reassigned complaint to another doctor: ${reason.trim().substring(0, 100)}`,
+        targetUserId: doctor._id,
+        dataChanges: {
+          before: { assignedDoctorId: req.user._id, status: previousStatus },
+          after: { assignedDoctorId: doctor._id, status: 'open' }
+        }
+      });
+
+      await DoctorController.sendComplaint(res, complaint, 'Complaint reassigned');
+    } catch (error) {
+      console.error('Reassign complaint error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reassign complaint',
+        code: 'UPDATE_COMPLAINT_ERROR'
+      });
+    }
+  }
+
+  // Records routed to the caller for sign-off, oldest first (status: pending_review or draft)
+  static async getReviews(req, res) {
+    try {
+      const { status = 'pending_review', limit = 100 } = req.query;
+
+      const records = await MedicalRecord.find({
+        'review.reviewerId': req.user._id,
+        status: { $in: String(status).split(',').filter(value => ['pending_review', 'draft'].includes(value)) },
+        isLatestVersion: true,
+        deletedAt: { $exists: false }
+      })
+        .sort({ 'review.submittedAt': 1 })
+        .limit(Math.min(parseInt(limit) || 100, 200))
+        .populate(populateReview);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'medical_record',
+        action: 'VIEW_REVIEW_QUEUE',
+        description: `Viewed ${records.length} records routed for review`,
+        dataAccessed: {
+          recordCount: records.length
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          records
+        }
+      });
+    } catch (error) {
+      console.error('Get review queue error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve records for review',
+        code: 'GET_REVIEWS_ERROR'
+      });
+    }
+  }
+
+  // Sign off a record; it becomes visible to the patient
+  static async approveRecord(req, res) {
+    try {
+      const record = await DoctorController.findReview(req, res);
+      if (!record) return;
+
+      record.signOff(req.user._id);
+      await record.save();
+
+      await DoctorController.logReviewEvent(req, record, {
+        action: 'SIGN_OFF_MEDICAL_RECORD',
+        description: `Signed off ${record.recordType} record`,
+        dataChanges: {
+          before: { status: 'pending_review' },
+          after: {
+            status: record.status,
+            signedOffBy: record.review.signedOffBy,
+            signedOffAt: record.review.signedOffAt
+          },
+          changes: ['status', 'review.signedOffBy', 'review.signedOffAt']
+        }
+      });
+
+      await DoctorController.sendReview(res, record, 'Record signed off');
+    } catch (error) {
+      console.error('Approve record error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sign off record',
+        code: 'REVIEW_RECORD_ERROR'
+      });
+    }
+  }
+
+  // Return a record to its author as a draft with comments
+  static async returnRecord(req, res) {
+    try {
+      const { comments } = req.body;
+
+      if (!comments || comments.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comments of at least 5 characters are required',
+          code: 'COMMENTS_REQUIRED'
+        });
+      }
+
+      const record = await DoctorController.findReview(req, res);
+      if (!record) return;
+
+      record.returnToAuthor(req.user._id, comments.trim());
+      await record.save();
+
+      const authorId = record.lastModifiedBy || record.createdBy;
+      await Notification.notify({
+        userId: authorId,
+        type: 'record_returned',
+        title: 'Record returned for changes',
+        message: `${record.content.title}: ${record.review.comments}`,
+        resource: { type: 'medical_record', id: record._id }
+      });
+
+      await DoctorController.logReviewEvent(req, record, {
+        action: 'RETURN_MEDICAL_RECORD',
+        description: `Returned ${record.recordType} record to its author`,
+        targetUserId: authorId,
+        dataChanges: {
+          before: { status: 'pending_review' },
+          after: { status: 'draft', comments: record.review.comments },
+          changes: ['status', 'review.comments']
+        }
+      });
+
+      await DoctorController.sendReview(res, record, 'Record returned to its author');
+    } catch (error) {
+      console.error('Return record error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to return record',
+        code: 'REVIEW_RECORD_ERROR'
+      });
+    }
+  }
+
+  // Other active doctors, for picking a reassignment target
+  static async getDoctors(req, res) {
+    try {
+      const doctors = await User.find({
+        role: 'doctor',
+        status: 'active',
+        _id: { $ne: req.user._id },
+        deletedAt: { $exists: false }
+      })
+        .select('profile.firstName profile.lastName profile.professionalInfo.specialization profile.professionalInfo.department')
+        .sort({ 'profile.lastName': 1 })
+        .limit(200);
+
+      res.json({
+        success: true,
+        data: {
+          doctors
+        }
+      });
+    } catch (error) {
+      console.error('Get doctors error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve doctors',
+        code: 'GET_DOCTORS_ERROR'
+      });
+    }
+  }
+
+  // Load :complaintId if it is assigned to the caller
+  static async findComplaint(req, res) {
+    const complaint = mongoose.isValidObjectId(req.params.complaintId)
+      ? await Complaint.findOne({
+        _id: req.params.complaintId,
+        assignedDoctorId: req.user._id
+      })
+      : null;
+
+    if (!complaint) {
+      res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+        code: 'COMPLAINT_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return complaint;
+  }
+
+  // Load :recordId if it is the latest version waiting for the caller's review
+  static async findReview(req, res) {
+    const record = mongoose.isValidObjectId(req.params.recordId)
+      ? await MedicalRecord.findOne({
+        _id: req.params.recordId,
+        'review.reviewerId': req.user._id,
+        isLatestVersion: true,
+        deletedAt: { $exists: false }
+      })
+      : null;
+
+    if (!record) {
+      res.status(404).json({
+        success: false,
+        message: 'Record not found in your review queue',
+        code: 'RECORD_NOT_FOUND'
+      });
+      return null;
+    }
+
+    if (record.status !== 'pending_review') {
+      res.status(409).json({
+        success: false,
+        message: `Record is ${record.status.replace('_', ' ')}, not waiting for review`,
+        code: 'RECORD_NOT_PENDING_REVIEW'
+      });
+      return null;
+    }
+
+    return record;
+  }
+
+  static checkTransition(res, complaint, status) {
+    if (complaint.canTransitionTo(status)) {
+      return true;
+    }
+    res.status(409).json({
+      success: false,
+      message: `Cannot move a ${complaint.status} complaint to ${status}`,
+      code: 'INVALID_COMPLAINT_STATUS'
+    });
+    return false;
+  }
+
+  static async sendComplaint(res, complaint, message) {
+    await complaint.populate(populateComplaint);
+    res.json({
+      success: true,
+      message,
+      data: {
+        complaint
+      }
+    });
+  }
+
+  static async sendReview(res, record, message) {
+    await record.populate(populateReview);
+    res.json({
+      success: true,
+      message,
+      data: {
+        record
+      }
+    });
+  }
+
+  static async logReviewEvent(req, record, { action, description, dataChanges, targetUserId }) {
+    await AuditLog.createLog({
+      eventType: 'UPDATE',
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: record.patientId,
+      targetUserId,
+      resourceType: 'medical_record',
+      resourceId: record._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+
+  static async logComplaintEvent(req, complaint, { action, description, dataChanges, targetUserId }) {
+    await AuditLog.createLog({
+      eventType: 'UPDATE',
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: complaint.patientId,
+      targetUserId,
+      resourceType: 'complaint',
+      resourceId: complaint._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = DoctorController;
@@ -0,0 +1,360 @@
+const EmergencyAccessGrant = require('../models/EmergencyAccessGrant');
+const Consent = require('../models/Consent');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Emergency Access Controller - Post-hoc review of break-glass access
+ * Every emergency grant is a review item; administrators other than the
+ * requester see what was accessed during the window and record an outcome
+ */
+
+const REVIEW_OUTCOMES = ['justified', 'unjustified'];
+
+// Upper bound on audit entries shown for a single grant
+const MAX_ACCESS_ENTRIES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const populatePatient = {
+  path: 'patientId',
+  select: 'userId',
+  populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+};
+
+class EmergencyAccessController {
+  // Review queue (filters: status, overdue; oldest deadline first)
+  static async getReviews(req, res) {
+    try {
+      const { status, overdue, limit = 20, page = 1 } = req.query;
+
+      const query = {};
+      if (status) {
+        query['review.status'] = status;
+      }
+      if (overdue === 'true') {
+        query['review.status'] = 'pending';
+        query['review.dueAt'] = { $lte: new Date() };
+      }
+
+      const skip = (page - 1) * limit;
+      const [grants, total] = await Promise.all([
+        EmergencyAccessGrant.find(query)
+          .sort({ 'review.dueAt': 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate(populatePatient)
+          .populate('requestedBy', 'profile.firstName profile.lastName role')
+          .populate('review.reviewedBy', 'profile.firstName profile.lastName'),
+        EmergencyAccessGrant.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          reviews: grants,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get emergency access reviews error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get emergency access reviews',
+        code: 'EMERGENCY_REVIEWS_ERROR'
+      });
+    }
+  }
+
+  // Queue health and outcomes over the last `days` days (default 30)
+  static async getReviewMetrics(req, res) {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 30, 365);
+      const now = new Date();
+      const since = new Date(now.getTime() - days * DAY_MS);
+
+      const [[queue], [period]] = await Promise.all([
+        EmergencyAccessGrant.aggregate([
+          { $match: { 'review.status': 'pending' } },
+          {
+            $group: {
+              _id: null,
+              pending: { $sum: 1 },
+              overdue: { $sum: { $cond: [{ $lte: ['$review.dueAt', now] }, 1, 0] } },
+              escalated: { $sum: { $cond: [{ $ifNull: ['$review.escalatedAt', false] }, 1, 0] } },
+              oldestDueAt: { $min: '$review.dueAt' }
+            }
+          }
+        ]),
+        EmergencyAccessGrant.aggregate([
+          { $match: { grantedAt: { $gte: since } } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              active: { $sum: { $cond: [{ $gt: ['$expiresAt', now] }, 1, 0] } },
+              justified: { $sum: { $cond: [{ $eq: ['$review.status', 'justified'] }, 1, 0] } },
+              unjustified: { $sum: { $cond: [{ $eq: ['$review.status', 'unjustified'] }, 1, 0] } },
+              reviewedLate: {
+                $sum: { $cond: [{ $gt: ['$review.reviewedAt', '$review.dueAt'] }, 1, 0] }
+              },
+              avgReviewMs: {
+                $avg: {
+                  $cond: [
+                    { $ifNull: ['$review.reviewedAt', false] },
+                    { $subtract: ['$review.reviewedAt', '$grantedAt'] },
+                    null
+                  ]
+                }
+              }
+            }
+          }
+        ])
+      ]);
+
+      const reviewed = (period?.justified || 0) + (period?.unjustified || 0);
+
+      res.json({
+        success: true,
+        data: {
+          periodDays: days,
+          queue: {
+            pending: queue?.pending || 0,
+            overdue: queue?.overdue || 0,
+            escalated: queue?.escalated || 0,
+            oldestDueAt: queue?.oldestDueAt || null
+          },
+          period: {
+            total: period?.total || 0,
+            active: period?.active || 0,
+            reviewed,
+            justified: period?.justified || 0,
+            unjustified: period?.unjustified || 0,
+            reviewedLate: period?.reviewedLate || 0,
+            unjustifiedRate: reviewed ? Math.round((period.unjustified / reviewed) * 100) : 0,
+            averageReviewHours: period?.avgReviewMs ? Math.round(period.avgReviewMs / HOUR_MS) : null
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get emergency review metrics error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get emergency review metrics',
+        code: 'EMERGENCY_METRICS_ERROR'
+      });
+    }
+  }
+
+  // Single review item with everything the requester did during the window
+  static async getReview(req, res) {
+    try {
+      const grant = await EmergencyAccessGrant.findById(req.params.grantId)
+        .populate(populatePatient)
+        .populate('requestedBy', 'email profile.firstName profile.lastName role')
+        .populate('review.reviewedBy', 'profile.firstName profile.lastName');
+
+      if (!grant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Emergency access grant not found',
+          code: 'EMERGENCY_GRANT_NOT_FOUND'
+        });
+      }
+
+      const accessLog = await EmergencyAccessController.findWindowAccess(grant);
+
+      const dataTypes = [...new Set(
+        accessLog.map(entry => entry.dataAccessed?.dataType).filter(Boolean)
+      )];
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: grant.patientId?._id,
+        targetUserId: grant.requestedBy?._id,
+        resourceType: 'consent',
+        resourceId: grant.consentId,
+        action: 'VIEW_EMERGENCY_REVIEW',
+        description: `Viewed emergency access review with ${accessLog.length} access entries`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          review: grant,
+          accessLog,
+          summary: {
+            accessCount: accessLog.length,
+            dataTypes,
+            truncated: accessLog.length === MAX_ACCESS_ENTRIES
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get emergency access review error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get emergency access review',
+        code: 'EMERGENCY_REVIEW_ERROR'
+      });
+    }
+  }
+
+  // Mark an emergency access justified or unjustified (not by the requester)
+  static async completeReview(req, res) {
+    try {
+      const { outcome, notes } = req.body;
+
+      if (!REVIEW_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: `Outcome must be one of: ${REVIEW_OUTCOMES.join(', ')}`,
+          code: 'INVALID_REVIEW_OUTCOME'
+        });
+      }
+
+      if (!notes || notes.trim().length < 10) {
+        return res.status(400).json({
+          success: false,
+          message: 'Review notes (at least 10 characters) are required',
+          code: 'REVIEW_NOTES_REQUIRED'
+        });
+      }
+
+      const grant = await EmergencyAccessGrant.findById(req.params.grantId)
+        .populate('patientId', 'userId');
+
+      if (!grant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Emergency access grant not found',
+          code: 'EMERGENCY_GRANT_NOT_FOUND'
+        });
+      }
+
+      try {
+        await grant.completeReview(req.user._id, outcome, notes.trim());
+      } catch (error) {
+        if (error.code === 'SELF_REVIEW_NOT_ALLOWED') {
+          return res.status(403).json({ success: false, message: error.message, code: error.code });
+        }
+        if (error.code === 'REVIEW_ALREADY_COMPLETED') {
+          return res.status(409).json({ success: false, message: error.message, code: error.code });
+        }
+        throw error;
+      }
+
+      const changes = ['review.status', 'review.reviewedBy', 'review.reviewedAt', 'review.notes'];
+      let accessEnded = false;
+
+      if (outcome === 'justified') {
+        await Consent.updateOne(
+          { _id: grant.consentId },
+          { $set: { 'emergencyAccess.approvedBy': req.user._id } }
+        );
+        changes.push('consent.emergencyAccess.approvedBy');
+      } else if (grant.isActive) {
+        // Unjustified access still running is cut off immediately
+        const consent = await Consent.findById(grant.consentId);
+        if (consent?.status === 'active') {
+          await consent.revokeAccess('Emergency access reviewed as unjustified', req.user._id);
+        }
+        grant.expiresAt = new Date();
+        await grant.save();
+        changes.push('consent.status', 'expiresAt');
+        accessEnded = true;
+      }
+
+      await Notification.notify({
+        userId: grant.requestedBy,
+        type: 'emergency_review_completed',
+        title: 'Emergency access reviewed',
+        message: `Your emergency access on ${grant.grantedAt.toDateString()} was reviewed as ${outcome}`,
+        resource: { type: 'emergency_access', id: grant._id }
+      });
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: grant.patientId?._id,
+        targetUserId: grant.requestedBy,
+        resourceType: 'consent',
+        resourceId: grant.consentId,
+        action: 'REVIEW_EMERGENCY_ACCESS',
+        description: `Emergency access reviewed as ${outcome}${accessEnded ? '; remaining access revoked' : ''}`,
+        consentId: grant.consentId,
+        dataChanges: {
+          before: { status: 'pending' },
+          after: { status: outcome, grantId: grant._id, accessEnded },
+          changes
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        ...(outcome === 'unjustified' && {
+          securityEvent: {
+            isSecurityEvent: true,
+            threatLevel: 'high'
+          }
+        }),
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `Emergency access marked ${outcome}`,
+        data: {
+          review: grant,
+          accessEnded
+        }
+      });
+    } catch (error) {
+      console.error('Complete emergency access review error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record review',
+        code: 'EMERGENCY_REVIEW_UPDATE_ERROR'
+      });
+    }
+  }
+
+  // Audit entries written for the requester on this patient while the grant was open
+  static findWindowAccess(grant) {
+    return AuditLog.find({
+      userId: grant.requestedBy?._id || grant.requestedBy,
+      targetPatientId: grant.patientId?._id || grant.patientId,
+      action: { $ne: 'EMERGENCY_ACCESS_GRANTED' },
+      'systemDetails.timestamp': { $gte: grant.grantedAt, $lte: grant.expiresAt }
+    })
+      .select('eventType action description dataAccessed consentId requestDetails.endpoint requestDetails.method systemDetails.timestamp')
+      .sort({ 'systemDetails.timestamp': 1 })
+      .limit(MAX_ACCESS_ENTRIES)
+      .lean();
+  }
+}
+
+module.exports = EmergencyAccessController;
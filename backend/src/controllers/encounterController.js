@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const Encounter = require('../models/Encounter');
+const MedicalRecord = require('../models/MedicalRecord');
+const LabOrder = require('../models/LabOrder');
+const Complaint = require('../models/Complaint');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Encounter Controller - Patient encounters and everything attached to them
+ * Consent and patient access are checked by the patient routes
+ */
+
+// Fields each role may edit on an encounter
+const EDITABLE_FIELDS = {
+  doctor: ['type', 'reason', 'location', 'diagnosis', 'treatment', 'notes', 'vitals', 'followUpRequired', 'followUpDate'],
+  receptionist: ['reason', 'location', 'vitals']
+};
+
+const populateProvider = { path: 'providerId', select: 'profile.firstName profile.lastName role' };
+
+class EncounterController {
+  // Encounters for a patient, newest first (filters: from, to, status, type)
+  static async getEncounters(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { from, to, status, type, limit = 20, page = 1 } = req.query;
+
+      const query = { patientId };
+      if (status) {
+        query.status = { $in: String(status).split(',') };
+      }
+      if (type) {
+        query.type = type;
+      }
+      if (from || to) {
+        query.startTime = {
+          ...(from && { $gte: new Date(from) }),
+          ...(to && { $lte: new Date(to) })
+        };
+      }
+
+      const pageSize = Math.min(parseInt(limit) || 20, 100);
+      const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+      const [encounters, total] = await Promise.all([
+        Encounter.find(query)
+          .sort({ startTime: -1 })
+          .skip(skip)
+          .limit(pageSize)
+          .populate(populateProvider),
+        Encounter.countDocuments(query)
+      ]);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'encounter',
+        resourceId: patientId,
+        action: 'VIEW_ENCOUNTERS',
+        description: `Accessed ${encounters.length} encounters for patient`,
+        dataAccessed: {
+          recordCount: encounters.length,
+          dataType: 'visits'
+        },
+        consentVerified: req.consentVerified || false,
+        consentId: req.consentId,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          encounters,
+          pagination: {
+            page: Math.max(parseInt(page) || 1, 1),
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get encounters error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get encounters',
+        code: 'ENCOUNTERS_ERROR'
+      });
+    }
+  }
+
+  // One encounter with its records, lab orders, and the complaint or appointment that opened it
+  static async getEncounter(req, res) {
+    try {
+      const encounter = await EncounterController.findEncounter(req, res);
+      if (!encounter) return;
+
+      const isPatient = req.user.role === 'patient';
+      const [records, orders, complaint, appointment] = await Promise.all([
+        MedicalRecord.find({
+          encounterId: encounter._id,
+          isLatestVersion: true,
+          deletedAt: { $exists: false },
+          // Patients only see signed-off records
+          ...(isPatient && { status: { $in: MedicalRecord.RELEASED_STATUSES } })
+        })
+          .sort({ recordDate: 1 })
+          .populate(populateProvider),
+        LabOrder.find({ encounterId: encounter._id })
+          .sort({ createdAt: 1 })
+          .populate('orderedBy', 'profile.firstName profile.lastName'),
+        Complaint.findOne({ encounterId: encounter._id })
+          .select('description priority status resolution createdAt'),
+        Appointment.findOne({ 'checkIn.encounterId': encounter._id })
+          .select('startTime endTime type reason status')
+      ]);
+
+      const labOrders = isPatient ? await LabOrder.forPatientView(orders) : orders;
+
+      await encounter.populate([populateProvider, { path: 'closedBy', select: 'profile.firstName profile.lastName' }]);
+
+      // Group records by type so vitals, diagnoses, prescriptions and results read as sections
+      const recordsByType = records.reduce((groups, record) => {
+        (groups[record.recordType] = groups[record.recordType] || []).push(record);
+        return groups;
+      }, {});
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: encounter.patientId,
+        resourceType: 'encounter',
+        resourceId: encounter._id,
+        action: 'VIEW_ENCOUNTER',
+        description: `Viewed encounter with ${records.length} records and ${labOrders.length} lab orders`,
+        dataAccessed: {
+          recordCount: records.length + labOrders.length,
+          dataType: 'all_records'
+        },
+        consentVerified: req.consentVerified || false,
+        consentId: req.consentId,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          encounter,
+          records: recordsByType,
+          labOrders,
+          complaint,
+          appointment
+        }
+      });
+    } catch (error) {
+      console.error('Get encounter error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get encounter',
+        code: 'ENCOUNTER_ERROR'
+      });
+    }
+  }
+
+  // Open a walk-in encounter; receptionists name the doctor
+  static async createEncounter(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { providerId, type, reason, location, vitals } = req.body;
+
+      let provider = req.user;
+      if (req.user.role === 'receptionist') {
+        provider = mongoose.isValidObjectId(providerId) ? await User.findById(providerId) : null;
+        if (!provider || provider.role !== 'doctor' || provider.status !== 'active') {
+          return res.status(404).json({
+            success: false,
+            message: 'Doctor not found or inactive',
+            code: 'DOCTOR_NOT_FOUND'
+          });
+        }
+      }
+
+      const encounter = new Encounter({
+        patientId,
+        providerId: provider._id,
+        type,
+        reason,
+        location,
+        vitals,
+        status: 'in_progress',
+        source: { type: 'walk_in' },
+        createdBy: req.user._id
+      });
+
+      try {
+        await encounter.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', '),
+            code: 'INVALID_ENCOUNTER'
+          });
+        }
+        throw error;
+      }
+
+      await EncounterController.logEncounterEvent(req, encounter, {
+        eventType: 'CREATE',
+        action: 'CREATE_ENCOUNTER',
+        description: `Opened ${encounter.type} encounter`,
+        dataChanges: {
+          after: { type: encounter.type, providerId: encounter.providerId, status: encounter.status }
+        }
+      });
+
+      await encounter.populate(populateProvider);
+
+      res.status(201).json({
+        success: true,
+        message: 'Encounter opened',
+        data: {
+          encounter
+        }
+      });
+    } catch (error) {
+      console.error('Create encounter error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open encounter',
+        code: 'ENCOUNTER_CREATE_ERROR'
+      });
+    }
+  }
+
+  // Update clinical details (provider) or vitals and logistics (receptionist)
+  static async updateEncounter(req, res) {
+    try {
+      const encounter = await EncounterController.findEncounter(req, res);
+      if (!encounter) return;
+
+      if (encounter.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot update a cancelled encounter',
+          code: 'INVALID_ENCOUNTER_STATUS'
+        });
+      }
+
+      if (req.user.role === 'doctor' && !encounter.providerId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the encounter provider can update it',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      const allowed = EDITABLE_FIELDS[req.user.role] || [];
+      const fields = Object.keys(req.body).filter(field => allowed.includes(field));
+      if (fields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Nothing to update. Allowed fields: ${allowed.join(', ')}`,
+          code: 'NO_UPDATABLE_FIELDS'
+        });
+      }
+
+      const before = {};
+      const after = {};
+      for (const field of fields) {
+        before[field] = encounter.get(field);
+        encounter.set(field, req.body[field]);
+        after[field] = encounter.get(field);
+      }
+
+      try {
+        await encounter.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', '),
+            code: 'INVALID_ENCOUNTER'
+          });
+        }
+        throw error;
+      }
+
+      await EncounterController.logEncounterEvent(req, encounter, {
+        action: 'UPDATE_ENCOUNTER',
+        description: `Updated encounter: ${fields.join(', ')}`,
+        dataChanges: {
+          before,
+          after,
+          changes: fields
+        }
+      });
+
+      await EncounterController.sendEncounter(res, encounter, 'Encounter updated');
+    } catch (error) {
+      console.error('Update encounter error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update encounter',
+        code: 'ENCOUNTER_UPDATE_ERROR'
+      });
+    }
+  }
+
+  // Start, finish or cancel an encounter
+  static async updateStatus(req, res) {
+    try {
+      const { status } = req.body;
+
+      const encounter = await EncounterController.findEncounter(req, res);
+      if (!encounter) return;
+
+      // Complaint encounters move with the complaint workflow
+      if (encounter.source?.type === 'complaint') {
+        return res.status(409).json({
+          success: false,
+          message: 'This encounter follows its complaint; update the complaint instead',
+          code: 'ENCOUNTER_MANAGED_BY_COMPLAINT'
+        });
+      }
+
+      if (req.user.role === 'doctor' && !encounter.providerId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the encounter provider can change its status',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      if (req.user.role === 'receptionist' && status === 'finished') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the provider can finish an encounter',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      if (!encounter.canTransitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move a ${encounter.status} encounter to ${status}`,
+          code: 'INVALID_ENCOUNTER_STATUS'
+        });
+      }
+
+      const previousStatus = encounter.status;
+      encounter.transitionTo(status, req.user._id);
+      await encounter.save();
+
+      await EncounterController.logEncounterEvent(req, encounter, {
+        action: 'UPDATE_ENCOUNTER_STATUS',
+        description: `Encounter moved from ${previousStatus} to ${status}`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status }
+        }
+      });
+
+      await EncounterController.sendEncounter(res, encounter, 'Encounter updated');
+    } catch (error) {
+      console.error('Update encounter status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update encounter',
+        code: 'ENCOUNTER_UPDATE_ERROR'
+      });
+    }
+  }
+
+  // Load :encounterId if it belongs to :patientId
+  static async findEncounter(req, res) {
+    const encounter = mongoose.isValidObjectId(req.params.encounterId)
+      ? await Encounter.findOne({ _id: req.params.encounterId, patientId: req.params.patientId })
+      : null;
+
+    if (!encounter) {
+      res.status(404).json({
+        success: false,
+        message: 'Encounter not found',
+        code: 'ENCOUNTER_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return encounter;
+  }
+
+  static async sendEncounter(res, encounter, message) {
+    await encounter.populate(populateProvider);
+    res.json({
+      success: true,
+      message,
+      data: {
+        encounter
+      }
+    });
+  }
+
+  static async logEncounterEvent(req, encounter, { eventType = 'UPDATE', action, description, dataChanges }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: encounter.patientId,
+      resourceType: 'encounter',
+      resourceId: encounter._id,
+      action,
+      description,
+      dataChanges,
+      consentVerified: req.consentVerified || false,
+      consentId: req.consentId,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = EncounterController;
@@ -0,0 +1,481 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const MedicalRecord = require('../models/MedicalRecord');
+const Consent = require('../models/Consent');
+const AuditLog = require('../models/AuditLog');
+const fhir = require('../utils/fhir');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * FHIR Controller - Read-only HL7 FHIR R4 facade over patients, medical records and consents
+ * Every search is scoped to one patient so the usual patient access and consent
+ * checks apply; the resolve* handlers run first to work out which patient and
+ * consent scope a request needs
+ */
+
+const FHIR_VERSION = '4.0.1';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le'];
+
+// Resource types backed by medical records: the record types behind them, the
+// record type each search category selects, and the element searched by date
+const RECORD_RESOURCES = {
+  Observation: {
+    recordTypes: ['vital_signs', 'lab_result'],
+    categories: { 'vital-signs': 'vital_signs', laboratory: 'lab_result' },
+    dateElement: 'effectiveDateTime'
+  },
+  MedicationRequest: {
+    recordTypes: ['prescription'],
+    categories: {},
+    dateElement: 'authoredOn'
+  },
+  Condition: {
+    recordTypes: ['diagnosis'],
+    categories: { 'encounter-diagnosis': 'diagnosis' },
+    dateElement: 'recordedDate'
+  }
+};
+
+// Search parameters supported by each searchable type (besides _count and _offset)
+const SEARCH_PARAMS = {
+  Observation: ['patient', 'category', 'date', 'code'],
+  MedicationRequest: ['patient', 'date', 'code'],
+  Condition: ['patient', 'category', 'date', 'code'],
+  Consent: ['patient', 'date']
+};
+
+const SEARCH_PARAM_TYPES = {
+  patient: 'reference',
+  category: 'token',
+  date: 'date',
+  code: 'token'
+};
+
+// Consent scope needed to read each record type
+const RECORD_CONSENT_SCOPES = {
+  vital_signs: { dataType: 'all_records', purpose: 'treatment' },
+  lab_result: { dataType: 'lab_results', purpose: 'diagnosis' },
+  prescription: { dataType: 'prescriptions', purpose: 'treatment' },
+  diagnosis: { dataType: 'medical_history', purpose: 'diagnosis' }
+};
+
+const AUDIT_RESOURCE_TYPES = {
+  Patient: 'patient',
+  Consent: 'consent'
+};
+
+const PROVIDER_FIELDS = 'profile.firstName profile.lastName role';
+const CONSENT_RECIPIENT_FIELDS = 'profile.firstName profile.lastName role';
+
+const sendFhir = (res, status, body) => res.status(status).type('application/fhir+json').json(body);
+
+const sendOutcome = (res, status, code, diagnostics) => sendFhir(res, status, fhir.toOperationOutcome(code, diagnostics));
+
+// Query values as a list of strings: repeated parameters are ANDed, commas within one are ORed
+const queryValues = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.every(item => typeof item === 'string') ? values : null;
+};
+
+// "system|code", "|code" or "code"
+const parseToken = (value) => {
+  const separator = value.indexOf('|');
+  return separator === -1
+    ? { code: value }
+    : { system: value.slice(0, separator) || undefined, code: value.slice(separator + 1) };
+};
+
+// Date search value with an optional prefix, as the half-open range its precision covers
+const parseDateParam = (value) => {
+  const match = /^(eq|ne|gt|lt|ge|le)?(\d{4})(?:-(\d{2})(?:-(\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, prefix = 'eq', year, month, day, time] = match;
+  if ((month && (month < 1 || month > 12)) || (day && (day < 1 || day > 31))) return null;
+
+  let start;
+  let end;
+
+  if (time) {
+    start = new Date(`${year}-${month}-${day}${time}`);
+    end = new Date(start.getTime() + 1000);
+  } else {
+    start = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+    end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+
+  return isNaN(start.getTime()) ? null : { prefix, start, end };
+};
+
+const matchesDate = (value, { prefix, start, end }) => {
+  if (!value) return false;
+  const time = new Date(value).getTime();
+
+  switch (prefix) {
+    case 'ne': return time < start.getTime() || time >= end.getTime();
+    case 'gt': return time >= end.getTime();
+    case 'lt': return time < start.getTime();
+    case 'ge': return time >= start.getTime();
+    case 'le': return time < end.getTime();
+    default: return time >= start.getTime() && time < end.getTime();
+  }
+};
+
+// A token matches a coding by code (and system, if given), or the concept's text
+const matchesCode = (resource, token) => {
+  const concepts = [
+    resource.code,
+    resource.medicationCodeableConcept,
+    ...(resource.component || []).map(component => component.code)
+  ].filter(Boolean);
+
+  return concepts.some(concept =>
+    (concept.coding || []).some(coding =>
+      coding.code === token.code && (!token.system || coding.system === token.system)
+    ) ||
+    (!token.system && typeof concept.text === 'string' && concept.text.toLowerCase() === token.code.toLowerCase())
+  );
+};
+
+// The narrowest consent scope covering every record type in a search
+const consentScopeFor = (recordTypes) => {
+  const scopes = recordTypes.map(recordType => RECORD_CONSENT_SCOPES[recordType]);
+  const [first] = scopes;
+  return first && scopes.every(scope => scope.dataType === first.dataType && scope.purpose === first.purpose)
+    ? first
+    : { dataType: 'all_records', purpose: 'treatment' };
+};
+
+class FhirController {
+  // CapabilityStatement describing the supported resources and search parameters
+  static getCapabilityStatement(req, res) {
+    const searchResources = Object.entries(SEARCH_PARAMS).map(([type, params]) => ({
+      type,
+      interaction: [{ code: 'read' }, { code: 'search-type' }],
+      searchParam: params.map(name => ({ name, type: SEARCH_PARAM_TYPES[name] }))
+    }));
+
+    sendFhir(res, 200, {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: {
+        name: 'Secure Healthcare Information System',
+        version: process.env.npm_package_version || '1.0.0'
+      },
+      implementation: {
+        description: 'Read-only FHIR API; searches are scoped to one patient and subject to patient consent',
+        url: fhir.FHIR_BASE_URL
+      },
+      fhirVersion: FHIR_VERSION,
+      format: ['application/fhir+json', 'json'],
+      rest: [{
+        mode: 'server',
+        security: {
+          cors: true,
+          description: 'JWT Bearer token from POST /api/auth/login; access to another patient requires an active consent'
+        },
+        resource: [
+          { type: 'Patient', interaction: [{ code: 'read' }] },
+          ...searchResources
+        ]
+      }]
+    });
+  }
+
+  // Validate search parameters and point the access and consent checks at the searched patient
+  static resolveSearch(req, res, next) {
+    const { resourceType } = req.params;
+    const supported = Object.hasOwn(SEARCH_PARAMS, resourceType) ? SEARCH_PARAMS[resourceType] : null;
+
+    if (!supported) {
+      return sendOutcome(res, 404, 'not-supported', `Search is not supported for ${resourceType}`);
+    }
+
+    for (const name of Object.keys(SEARCH_PARAM_TYPES)) {
+      if (req.query[name] !== undefined && !supported.includes(name)) {
+        return sendOutcome(res, 400, 'not-supported', `${resourceType} does not support the ${name} search parameter`);
+      }
+    }
+
+    const patients = queryValues(req.query.patient);
+    const categories = queryValues(req.query.category);
+    const dateValues = queryValues(req.query.date);
+    const codeValues = queryValues(req.query.code);
+
+    if (!patients || !categories || !dateValues || !codeValues) {
+      return sendOutcome(res, 400, 'invalid', 'Search parameters must be plain values');
+    }
+
+    // One patient per search: the consent check is per patient
+    const patientId = patients.length === 1 ? patients[0].replace(/^Patient\//, '') : null;
+    if (!patientId || !mongoose.isValidObjectId(patientId)) {
+      return sendOutcome(res, 400, 'required', 'The patient search parameter is required and must reference a single Patient');
+    }
+
+    const dates = dateValues.map(parseDateParam);
+    if (dates.includes(null)) {
+      return sendOutcome(res, 400, 'invalid', `Invalid date parameter; use an optional prefix (${DATE_PREFIXES.join(', ')}) followed by YYYY, YYYY-MM, YYYY-MM-DD or a full dateTime`);
+    }
+
+    let recordTypes = RECORD_RESOURCES[resourceType]?.recordTypes || [];
+    for (const value of categories) {
+      const { categories: known } = RECORD_RESOURCES[resourceType];
+      const selected = value.split(',').map(token => known[parseToken(token).code]);
+
+      if (selected.includes(undefined)) {
+        return sendOutcome(res, 400, 'code-invalid', `Unknown ${resourceType} category; supported: ${Object.keys(known).join(', ')}`);
+      }
+      recordTypes = recordTypes.filter(recordType => selected.includes(recordType));
+    }
+
+    const count = Math.min(Math.max(parseInt(req.query._count) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query._offset) || 0, 0);
+
+    const scope = resourceType === 'Consent'
+      ? { dataType: 'all_records', purpose: 'treatment' }
+      : consentScopeFor(recordTypes);
+
+    req.params.patientId = patientId;
+    req.consentDataType = scope.dataType;
+    req.consentPurpose = scope.purpose;
+    req.fhirSearch = {
+      resourceType,
+      recordTypes,
+      dates,
+      codes: codeValues.map(value => value.split(',').map(parseToken)),
+      count,
+      offset
+    };
+    next();
+  }
+
+  // Search a resource type for one patient; returns a searchset Bundle with paging links
+  static async search(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { resourceType, recordTypes, dates, codes, count, offset } = req.fhirSearch;
+
+      let resources = [];
+      let dateElement = 'dateTime';
+
+      if (resourceType === 'Consent') {
+        const consents = await Consent.find({ patientId })
+          .select('-signature.hash')
+          .sort({ grantedAt: -1 })
+          .populate('recipientId', CONSENT_RECIPIENT_FIELDS)
+          .lean();
+        resources = consents.map(fhir.toConsent);
+      } else if (recordTypes.length > 0) {
+        const query = {
+          patientId,
+          recordType: { $in: recordTypes },
+          isLatestVersion: true,
+          deletedAt: { $exists: false }
+        };
+
+        // Patients only see records a doctor has signed off
+        if (req.user.role === 'patient') {
+          query.status = { $in: MedicalRecord.RELEASED_STATUSES };
+        }
+
+        const records = await MedicalRecord.find(query)
+          .sort({ recordDate: -1 })
+          .populate('providerId', PROVIDER_FIELDS)
+          .lean();
+        resources = records.flatMap(fhir.fromMedicalRecord);
+        dateElement = RECORD_RESOURCES[resourceType].dateElement;
+      }
+
+      // Date and code are matched on the mapped resources, so a lab record with
+      // several results can match on one of them
+      const matches = resources.filter(resource =>
+        dates.every(date => matchesDate(resource[dateElement], date)) &&
+        codes.every(tokens => tokens.some(token => matchesCode(resource, token)))
+      );
+      const page = matches.slice(offset, offset + count);
+
+      await FhirController.logFhirAccess(req, {
+        resourceType,
+        resourceId: patientId,
+        action: 'FHIR_SEARCH',
+        description: `FHIR ${resourceType} search returned ${page.length} of ${matches.length} resources`,
+        recordCount: page.length
+      });
+
+      sendFhir(res, 200, fhir.toBundle(page, {
+        type: 'searchset',
+        total: matches.length,
+        link: FhirController.pageLinks(req, matches.length)
+      }));
+    } catch (error) {
+      console.error('FHIR search error:', error);
+      return sendOutcome(res, 500, 'exception', 'Search failed');
+    }
+  }
+
+  // Load the resource being read and point the access and consent checks at its patient
+  static async resolveRead(req, res, next) {
+    try {
+      const { resourceType, id } = req.params;
+      let scope = { dataType: 'all_records', purpose: 'treatment' };
+      let patientId;
+
+      if (resourceType === 'Patient') {
+        patientId = mongoose.isValidObjectId(id) ? id : null;
+        scope = { dataType: 'demographics', purpose: 'treatment' };
+      } else if (Object.hasOwn(RECORD_RESOURCES, resourceType)) {
+        // Lab result observations are "<recordId>-<index>"
+        const recordId = resourceType === 'Observation' ? id.replace(/-\d+$/, '') : id;
+        const record = mongoose.isValidObjectId(recordId)
+          ? await MedicalRecord.findOne({
+            _id: recordId,
+            recordType: { $in: RECORD_RESOURCES[resourceType].recordTypes },
+            deletedAt: { $exists: false }
+          })
+            .populate('providerId', PROVIDER_FIELDS)
+            .lean()
+          : null;
+
+        if (record) {
+          req.fhirSource = record;
+          patientId = record.patientId.toString();
+          scope = RECORD_CONSENT_SCOPES[record.recordType];
+        }
+      } else if (resourceType === 'Consent') {
+        const consent = mongoose.isValidObjectId(id)
+          ? await Consent.findById(id)
+            .select('-signature.hash')
+            .populate('recipientId', CONSENT_RECIPIENT_FIELDS)
+            .lean()
+          : null;
+
+        if (consent) {
+          req.fhirSource = consent;
+          patientId = consent.patientId.toString();
+        }
+      } else {
+        return sendOutcome(res, 404, 'not-supported', `Resource type ${resourceType} is not supported`);
+      }
+
+      if (!patientId) {
+        return sendOutcome(res, 404, 'not-found', `${resourceType}/${id} not found`);
+      }
+
+      req.params.patientId = patientId;
+      req.consentDataType = scope.dataType;
+      req.consentPurpose = scope.purpose;
+      next();
+    } catch (error) {
+      console.error('FHIR read resolution error:', error);
+      return sendOutcome(res, 500, 'exception', 'Read failed');
+    }
+  }
+
+  // Read one resource by id
+  static async read(req, res) {
+    try {
+      const { resourceType, id, patientId } = req.params;
+      const source = req.fhirSource;
+      let resource = null;
+
+      if (resourceType === 'Patient') {
+        const patient = await Patient.findOne({ _id: patientId, deletedAt: { $exists: false } }).lean();
+        if (patient) {
+          const user = await User.findById(patient.userId)
+            .select('email profile.firstName profile.lastName profile.phone')
+            .lean();
+          resource = fhir.toPatient(patient, user);
+        }
+      } else if (resourceType === 'Consent') {
+        resource = fhir.toConsent(source);
+      } else if (req.user.role !== 'patient' || MedicalRecord.RELEASED_STATUSES.includes(source.status)) {
+        // Patients only see records a doctor has signed off
+        resource = fhir.fromMedicalRecord(source)
+          .find(candidate => candidate.resourceType === resourceType && candidate.id === id) || null;
+      }
+
+      if (!resource) {
+        return sendOutcome(res, 404, 'not-found', `${resourceType}/${id} not found`);
+      }
+
+      await FhirController.logFhirAccess(req, {
+        resourceType,
+        resourceId: source ? source._id : patientId,
+        action: 'FHIR_READ',
+        description: `FHIR read of ${resourceType}/${id}`,
+        recordCount: 1
+      });
+
+      sendFhir(res, 200, resource);
+    } catch (error) {
+      console.error('FHIR read error:', error);
+      return sendOutcome(res, 500, 'exception', 'Read failed');
+    }
+  }
+
+  // self/first/previous/next/last links for a search result page
+  static pageLinks(req, total) {
+    const { resourceType, count, offset } = req.fhirSearch;
+
+    const url = (pageOffset) => {
+      const params = new URLSearchParams();
+      for (const name of SEARCH_PARAMS[resourceType]) {
+        queryValues(req.query[name]).forEach(value => params.append(name, value));
+      }
+      params.set('_count', count);
+      params.set('_offset', pageOffset);
+      return `${fhir.FHIR_BASE_URL}/${resourceType}?${params}`;
+    };
+
+    const lastOffset = total > 0 ? Math.floor((total - 1) / count) * count : 0;
+
+    return [
+      { relation: 'self', url: url(offset) },
+      { relation: 'first', url: url(0) },
+      offset > 0 ? { relation: 'previous', url: url(Math.max(offset - count, 0)) } : undefined,
+      offset + count < total ? { relation: 'next', url: url(offset + count) } : undefined,
+      { relation: 'last', url: url(lastOffset) }
+    ].filter(Boolean);
+  }
+
+  static async logFhirAccess(req, { resourceType, resourceId, action, description, recordCount }) {
+    await AuditLog.createLog({
+      eventType: 'READ',
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: req.params.patientId,
+      resourceType: AUDIT_RESOURCE_TYPES[resourceType] || 'medical_record',
+      resourceId,
+      action,
+      description,
+      dataAccessed: {
+        recordCount,
+        dataType: req.consentDataType
+      },
+      consentVerified: req.consentVerified || false,
+      consentId: req.consentId,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = FhirController;
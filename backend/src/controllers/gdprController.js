@@ -0,0 +1,922 @@
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const Encounter = require('../models/Encounter');
+const Appointment = require('../models/Appointment');
+const LabOrder = require('../models/LabOrder');
+const Consent = require('../models/Consent');
+const ConsentRequest = require('../models/ConsentRequest');
+const ConsentRenewalRequest = require('../models/ConsentRenewalRequest');
+const EmergencyAccessGrant = require('../models/EmergencyAccessGrant');
+const PrescriptionFill = require('../models/PrescriptionFill');
+const Notification = require('../models/Notification');
+const Complaint = require('../models/Complaint');
+const Assignment = require('../models/Assignment');
+const ImportRow = require('../models/ImportRow');
+const Hl7Message = require('../models/Hl7Message');
+const ErasureRequest = require('../models/ErasureRequest');
+const AuditLog = require('../models/AuditLog');
+const PatientController = require('./patientController');
+const fhir = require('../utils/fhir');
+const attachmentStorage = require('../utils/attachmentStorage');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * GDPR Controller - Data subject rights
+ * Implements the right of access / portability as a machine-readable export
+ * and the retention-aware right to erasure
+ */
+
+const EXPORT_FORMATS = ['json', 'fhir'];
+
+// Fields never included in an export
+const USER_SECRET_FIELDS = '-password -security.twoFactorSecret';
+
+// HIPAA default when the user has no retention period configured
+const DEFAULT_RETENTION_YEARS = 7;
+
+const REDACTED_TEXT = 'Erased under GDPR Article 17';
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+class GdprController {
+  // Export every piece of data held about a patient (patient or administrator)
+  static async exportPatientData(req, res) {
+    try {
+      const { patientId } = req.params;
+      const format = String(req.query.format || 'json').toLowerCase();
+      const { reason } = req.query;
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be one of: json, fhir',
+          code: 'INVALID_FORMAT'
+        });
+      }
+
+      // Administrators export on behalf of the patient and must say why
+      if (req.user.role === 'administrator' && (!reason || String(reason).trim().length < 5)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators must provide a reason (e.g. request reference) for the export',
+          code: 'EXPORT_REASON_REQUIRED'
+        });
+      }
+
+      const data = await GdprController.collectPatientData(patientId);
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      const recordCount = 1 +
+        data.medicalRecords.length +
+        data.encounters.length +
+        data.consents.length +
+        data.complaints.length +
+        data.accessHistory.length;
+
+      // Log export
+      await AuditLog.createLog({
+        eventType: 'DATA_EXPORT',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        targetUserId: data.user?._id,
+        resourceType: 'patient',
+        resourceId: patientId,
+        action: 'GDPR_DATA_EXPORT',
+        description: req.user.role === 'administrator'
+          ? `Administrator exported patient data (${format}): ${String(reason).trim()}`
+          : `Patient exported their data (${format})`,
+        dataAccessed: {
+          fields: ['user', 'patient', 'medicalRecords', 'encounters', 'consents', 'complaints', 'accessHistory'],
+          recordCount,
+          dataType: 'all_records'
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      const body = format === 'fhir'
+        ? GdprController.toFhirBundle(data)
+        : {
+          exportedAt: new Date().toISOString(),
+          format: 'json',
+          formatVersion: 1,
+          ...data
+        };
+
+      const fileName = `patient-export-${patientId}-${new Date().toISOString().slice(0, 10)}.${format === 'fhir' ? 'fhir.json' : 'json'}`;
+
+      res.setHeader('Content-Type', format === 'fhir' ? 'application/fhir+json; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(JSON.stringify(body, null, 2));
+    } catch (error) {
+      console.error('Export patient data error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export patient data',
+        code: 'DATA_EXPORT_ERROR'
+      });
+    }
+  }
+
+  // Export helper: gather the patient's data from every collection
+  static async collectPatientData(patientId) {
+    const patient = await Patient.findById(patientId).lean();
+    if (!patient) return null;
+
+    const [user, medicalRecords, encounters, consents, complaints, accessLogs] = await Promise.all([
+      User.findById(patient.userId).select(USER_SECRET_FIELDS).lean(),
+      // Every version, not only the latest
+      MedicalRecord.find({ patientId })
+        .sort({ recordDate: 1, version: 1 })
+        .populate('providerId', 'profile.firstName profile.lastName role')
+        .lean(),
+      Encounter.find({ patientId })
+        .sort({ startTime: 1 })
+        .populate('providerId', 'profile.firstName profile.lastName role')
+        .lean(),
+      Consent.find({ patientId })
+        .select('-signature.hash')
+        .sort({ grantedAt: 1 })
+        .populate('recipientId', 'profile.firstName profile.lastName role')
+        .lean(),
+      Complaint.find({ patientId })
+        .sort({ createdAt: 1 })
+        .populate('assignedDoctorId', 'profile.firstName profile.lastName')
+        .populate('receptionistId', 'profile.firstName profile.lastName')
+        .lean(),
+      AuditLog.generateAuditReport(patientId, new Date(0), new Date())
+        .populate('consentId', 'dataType purpose')
+        .lean()
+    ]);
+
+    const patientUserId = patient.userId.toString();
+    const accessHistory = accessLogs
+      .filter(log => !log.userId || log.userId._id.toString() !== patientUserId)
+      .map(PatientController.formatAccessEntry);
+
+    return {
+      user,
+      patient,
+      medicalRecords,
+      encounters,
+      consents,
+      complaints,
+      accessHistory
+    };
+  }
+
+  // Export helper: FHIR R4 collection Bundle of the same data
+  static toFhirBundle({ user, patient, medicalRecords, encounters, consents, complaints, accessHistory }) {
+    const patientId = patient._id;
+    const history = patient.medicalHistory || {};
+
+    const resources = [
+      fhir.toPatient(patient, user),
+      ...(patient.demographics?.allergies || []).map((allergy, index) => fhir.toAllergyIntolerance({
+        id: `${patientId}-allergy-${index}`,
+        text: allergy,
+        patientId
+      })),
+      ...(history.conditions || []).map(condition => fhir.toConditionFromHistory(condition, patientId)),
+      ...(history.surgeries || []).map(surgery => fhir.toProcedureFromSurgery(surgery, patientId)),
+      ...(history.medications || []).map(medication => fhir.toMedicationStatement(medication, patientId)),
+      ...(patient.visits || []).map(visit => fhir.toEncounterFromVisit(visit, patientId)),
+      ...encounters.map(fhir.toEncounter),
+      ...medicalRecords.flatMap(fhir.fromMedicalRecord),
+      ...consents.map(fhir.toConsent),
+      ...complaints.map(fhir.toTaskFromComplaint),
+      ...accessHistory.map(entry => fhir.toAuditEvent(entry, patientId))
+    ];
+
+    return fhir.toBundle(resources, { type: 'collection' });
+  }
+
+  // Patient submits a right-to-erasure request
+  static async requestErasure(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { reason } = req.body;
+
+      const patient = await Patient.findById(patientId);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      const openRequest = await ErasureRequest.findOpenRequest(patientId);
+      if (openRequest) {
+        return res.status(409).json({
+          success: false,
+          message: 'An erasure request is already being processed',
+          code: 'ERASURE_REQUEST_EXISTS',
+          data: {
+            request: openRequest
+          }
+        });
+      }
+
+      const erasureRequest = await ErasureRequest.create({
+        patientId,
+        userId: patient.userId,
+        reason
+      });
+
+      const retention = await GdprController.assessRetention(patient, req.user);
+
+      await GdprController.logErasureEvent(req, {
+        eventType: 'CREATE',
+        patientId,
+        action: 'ERASURE_REQUESTED',
+        description: 'Patient requested erasure of their data',
+        requestId: erasureRequest._id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Erasure request submitted for review',
+        data: {
+          request: erasureRequest,
+          retention
+        }
+      });
+    } catch (error) {
+      console.error('Request erasure error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to submit erasure request',
+        code: 'ERASURE_REQUEST_ERROR'
+      });
+    }
+  }
+
+  // Erasure requests for one patient
+  static async getPatientErasureRequests(req, res) {
+    try {
+      const { patientId } = req.params;
+
+      const requests = await ErasureRequest.find({ patientId })
+        .sort({ requestedAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          requests
+        }
+      });
+    } catch (error) {
+      console.error('Get patient erasure requests error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get erasure requests',
+        code: 'ERASURE_REQUESTS_ERROR'
+      });
+    }
+  }
+
+  // Erasure request queue (administrator)
+  static async getErasureRequests(req, res) {
+    try {
+      const { status, limit = 20, page = 1 } = req.query;
+
+      const query = {};
+      if (status) {
+        query.status = status;
+      }
+
+      const skip = (page - 1) * limit;
+      const [requests, total] = await Promise.all([
+        ErasureRequest.find(query)
+          .sort({ requestedAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('userId', 'email profile.firstName profile.lastName status')
+          .populate('reviewedBy', 'profile.firstName profile.lastName'),
+        ErasureRequest.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get erasure requests error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get erasure requests',
+        code: 'ERASURE_REQUESTS_ERROR'
+      });
+    }
+  }
+
+  // Single erasure request with a live retention assessment (administrator)
+  static async getErasureRequest(req, res) {
+    try {
+      const erasureRequest = await ErasureRequest.findById(req.params.requestId)
+        .populate('userId', 'email profile.firstName profile.lastName status privacy.dataRetentionPeriod')
+        .populate('reviewedBy', 'profile.firstName profile.lastName');
+
+      if (!erasureRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Erasure request not found',
+          code: 'ERASURE_REQUEST_NOT_FOUND'
+        });
+      }
+
+      let retention = erasureRequest.retention;
+      if (['pending', 'failed'].includes(erasureRequest.status)) {
+        const patient = await Patient.findById(erasureRequest.patientId);
+        retention = patient ? await GdprController.assessRetention(patient, erasureRequest.userId) : null;
+      }
+
+      res.json({
+        success: true,
+        data: {
+          request: erasureRequest,
+          retention
+        }
+      });
+    } catch (error) {
+      console.error('Get erasure request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get erasure request',
+        code: 'ERASURE_REQUEST_ERROR'
+      });
+    }
+  }
+
+  // Approve an erasure request and run the anonymization cascade (administrator)
+  static async approveErasureRequest(req, res) {
+    try {
+      const { notes } = req.body;
+
+      const erasureRequest = await ErasureRequest.findById(req.params.requestId);
+      if (!erasureRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Erasure request not found',
+          code: 'ERASURE_REQUEST_NOT_FOUND'
+        });
+      }
+
+      // Failed runs can be retried; the cascade is idempotent
+      if (!['pending', 'failed'].includes(erasureRequest.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Erasure request is already ${erasureRequest.status}`,
+          code: 'INVALID_ERASURE_STATUS'
+        });
+      }
+
+      const [patient, user] = await Promise.all([
+        Patient.findById(erasureRequest.patientId),
+        User.findById(erasureRequest.userId)
+      ]);
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      erasureRequest.status = 'approved';
+      erasureRequest.reviewedBy = req.user._id;
+      erasureRequest.reviewedAt = new Date();
+      erasureRequest.reviewNotes = notes;
+      erasureRequest.failureReason = undefined;
+      await erasureRequest.save();
+
+      try {
+        await GdprController.performErasure(req, erasureRequest, patient, user);
+      } catch (cascadeError) {
+        console.error('Erasure cascade error:', cascadeError);
+        erasureRequest.status = 'failed';
+        erasureRequest.failureReason = cascadeError.message;
+        await erasureRequest.save();
+
+        return res.status(500).json({
+          success: false,
+          message: 'Erasure failed part way through and can be retried',
+          code: 'ERASURE_FAILED'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: erasureRequest.retention.heldMedicalRecords > 0 || erasureRequest.retention.heldVisits > 0
+          ? 'Erasure completed; some records are held under legal retention'
+          : 'Erasure completed',
+        data: {
+          request: erasureRequest
+        }
+      });
+    } catch (error) {
+      console.error('Approve erasure request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to approve erasure request',
+        code: 'ERASURE_APPROVE_ERROR'
+      });
+    }
+  }
+
+  // Reject an erasure request with a reason (administrator)
+  static async rejectErasureRequest(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || String(reason).trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A rejection reason is required',
+          code: 'REJECTION_REASON_REQUIRED'
+        });
+      }
+
+      const erasureRequest = await ErasureRequest.findById(req.params.requestId);
+      if (!erasureRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Erasure request not found',
+          code: 'ERASURE_REQUEST_NOT_FOUND'
+        });
+      }
+
+      if (erasureRequest.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Erasure request is already ${erasureRequest.status}`,
+          code: 'INVALID_ERASURE_STATUS'
+        });
+      }
+
+      erasureRequest.status = 'rejected';
+      erasureRequest.reviewedBy = req.user._id;
+      erasureRequest.reviewedAt = new Date();
+      erasureRequest.reviewNotes = reason;
+      await erasureRequest.save();
+
+      await GdprController.logErasureEvent(req, {
+        eventType: 'UPDATE',
+        patientId: erasureRequest.patientId,
+        action: 'ERASURE_REQUEST_REJECTED',
+        description: `Erasure request rejected: ${reason}`,
+        requestId: erasureRequest._id
+      });
+
+      res.json({
+        success: true,
+        message: 'Erasure request rejected',
+        data: {
+          request: erasureRequest
+        }
+      });
+    } catch (error) {
+      console.error('Reject erasure request error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reject erasure request',
+        code: 'ERASURE_REJECT_ERROR'
+      });
+    }
+  }
+
+  // Erasure helper: which data is still under legal retention
+  static async assessRetention(patient, user) {
+    const periodYears = user?.privacy?.dataRetentionPeriod ?? DEFAULT_RETENTION_YEARS;
+    const cutoffDate = addYears(new Date(), -periodYears);
+
+    const heldFilter = {
+      patientId: patient._id,
+      recordDate: { $gt: cutoffDate },
+      deletedAt: { $exists: false }
+    };
+
+    const [heldMedicalRecords, latestRecord, heldEncounters] = await Promise.all([
+      MedicalRecord.countDocuments(heldFilter),
+      MedicalRecord.findOne(heldFilter).sort({ recordDate: -1 }).select('recordDate').lean(),
+      Encounter.find({ patientId: patient._id, startTime: { $gt: cutoffDate } }).select('startTime').lean()
+    ]);
+
+    const heldVisitDates = [
+      ...(patient.visits || []).map(visit => visit.date),
+      ...heldEncounters.map(encounter => encounter.startTime)
+    ].filter(date => date > cutoffDate);
+
+    const latestHeld = [latestRecord?.recordDate, ...heldVisitDates]
+      .filter(Boolean)
+      .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+    return {
+      periodYears,
+      cutoffDate,
+      heldMedicalRecords,
+      heldVisits: heldVisitDates.length,
+      releaseAfter: latestHeld ? addYears(latestHeld, periodYears) : null
+    };
+  }
+
+  // Erasure helper: flag documents still under retention with a legal hold
+  // that lasts periodYears from their dateField
+  static async placeLegalHold(Model, documents, dateField, periodYears, erasureRequest) {
+    if (documents.length === 0) return;
+
+    await Model.bulkWrite(documents.map(document => ({
+      updateOne: {
+        filter: { _id: document._id },
+        update: {
+          $set: {
+            legalHold: {
+              active: true,
+              reason: 'legal_retention',
+              retainUntil: addYears(document[dateField], periodYears),
+              erasureRequestId: erasureRequest._id
+            }
+          }
+        }
+      }
+    })));
+  }
+
+  // Erasure helper: IDs of the patient's documents that notifications can point at
+  static async patientResourceIds(patient) {
+    const byPatient = { patientId: patient._id };
+    const ids = await Promise.all([
+      MedicalRecord.distinct('_id', byPatient),
+      Consent.distinct('_id', byPatient),
+      ConsentRequest.distinct('_id', byPatient),
+      ConsentRenewalRequest.distinct('_id', byPatient),
+      Appointment.distinct('_id', byPatient),
+      LabOrder.distinct('_id', byPatient),
+      Complaint.distinct('_id', byPatient),
+      EmergencyAccessGrant.distinct('_id', byPatient)
+    ]);
+    return ids.flat();
+  }
+
+  // Erasure helper: anonymize across collections, hold retained records, issue certificate
+  static async performErasure(req, erasureRequest, patient, user) {
+    const now = new Date();
+    const retention = await GdprController.assessRetention(patient, user);
+    const { cutoffDate, periodYears } = retention;
+
+    // Collected first: appointments, lab orders and fills past retention are deleted below
+    const resourceIds = await GdprController.patientResourceIds(patient);
+
+    // Medical records still under retention are kept intact and flagged
+    const heldRecords = await MedicalRecord.find({
+      patientId: patient._id,
+      recordDate: { $gt: cutoffDate },
+      deletedAt: { $exists: false }
+    }).select('recordDate').lean();
+
+    await GdprController.placeLegalHold(MedicalRecord, heldRecords, 'recordDate', periodYears, erasureRequest);
+
+    // Attachment files of records past retention are deleted from storage
+    const recordsWithFiles = await MedicalRecord.find({
+      patientId: patient._id,
+      recordDate: { $lte: cutoffDate },
+      deletedAt: { $exists: false },
+      'attachments.0': { $exists: true }
+    }).select('attachments.filename');
+    for (const record of recordsWithFiles) {
+      for (const attachment of record.attachments) {
+        await attachmentStorage.removeFile(attachment.filename);
+      }
+    }
+
+    // Records past retention lose their clinical content and are soft deleted
+    const erasedRecords = await MedicalRecord.updateMany(
+      {
+        patientId: patient._id,
+        recordDate: { $lte: cutoffDate },
+        deletedAt: { $exists: false }
+      },
+      {
+        $set: {
+          'content.title': 'Erased record',
+          'content.description': REDACTED_TEXT,
+          status: 'archived',
+          lastModifiedBy: req.user._id,
+          deletedAt: now
+        },
+        $unset: {
+          'content.diagnosis': '',
+          'content.prescription': '',
+          'content.labResult': '',
+          'content.vitalSigns': '',
+          'content.procedure': '',
+          attachments: ''
+        }
+      }
+    );
+
+    // HL7 messages carry the patient's PID segment. Messages applied to the
+    // patient or naming their identifiers lose it; queued ones are dismissed.
+    // Runs before anonymize() clears the identifiers.
+    const hl7Filter = {
+      $or: [
+        { 'outcome.patientId': patient._id },
+        ...(patient.identifiers || []).map(({ system, value }) => ({
+          'patientSummary.identifiers': { $elemMatch: { system, value } }
+        }))
+      ]
+    };
+    await Hl7Message.updateMany(
+      { ...hl7Filter, status: 'queued' },
+      {
+        $set: {
+          status: 'dismissed',
+          'reconciliation.dismissedBy': req.user._id,
+          'reconciliation.dismissedAt': now,
+          'reconciliation.reason': 'Right to erasure'
+        }
+      }
+    );
+    const purgedHl7Messages = await Hl7Message.updateMany(
+      { ...hl7Filter, rawPurgedAt: { $exists: false } },
+      Hl7Message.purgeUpdate(now)
+    );
+
+    // Visits and encounters past retention are removed; patient identity is anonymized
+    const visitCount = patient.visits.length;
+    patient.visits = patient.visits.filter(visit => visit.date > cutoffDate);
+    const erasedEncounters = await Encounter.deleteMany({ patientId: patient._id, startTime: { $lte: cutoffDate } });
+    const erasedVisits = visitCount - patient.visits.length + erasedEncounters.deletedCount;
+    const heldEncounters = await Encounter.find({ patientId: patient._id, startTime: { $gt: cutoffDate } })
+      .select('startTime')
+      .lean();
+    await GdprController.placeLegalHold(Encounter, heldEncounters, 'startTime', periodYears, erasureRequest);
+    await patient.anonymize();
+
+    // Consents end and lose device identifiers
+    await Consent.updateMany(
+      { patientId: patient._id, status: 'active' },
+      {
+        $set: {
+          status: 'revoked',
+          revokedBy: req.user._id,
+          revokedAt: now,
+          revocationReason: 'Right to erasure'
+        }
+      }
+    );
+    const redactedConsents = await Consent.updateMany(
+      { patientId: patient._id },
+      { $set: { ipAddress: '0.0.0.0', userAgent: 'erased' } }
+    );
+
+    // Pending consent and renewal requests are turned down; all lose their free text
+    await ConsentRequest.updateMany(
+      { patientId: patient._id, status: 'pending' },
+      { $set: { status: 'denied', respondedAt: now, denialReason: 'Right to erasure' } }
+    );
+    const redactedConsentRequests = await ConsentRequest.updateMany(
+      { patientId: patient._id },
+      { $set: { justification: REDACTED_TEXT } }
+    );
+    await ConsentRenewalRequest.updateMany(
+      { patientId: patient._id, status: 'pending' },
+      { $set: { status: 'declined', respondedAt: now, declineReason: 'Right to erasure' } }
+    );
+    const redactedRenewalRequests = await ConsentRenewalRequest.updateMany(
+      { patientId: patient._id },
+      { $unset: { message: '' } }
+    );
+
+    // Emergency access grants stay for accountability, without the stated
+    // reasons or the names of the patient's contacts
+    const redactedGrants = await EmergencyAccessGrant.updateMany(
+      { patientId: patient._id },
+      {
+        $set: {
+          reason: REDACTED_TEXT,
+          justification: REDACTED_TEXT,
+          'notifications.contacts.$[].name': 'erased'
+        },
+        $unset: { 'notifications.contacts.$[].relationship': '' }
+      }
+    );
+
+    // Complaints are closed and their free text removed
+    await Complaint.updateMany(
+      { patientId: patient._id, status: { $in: ['open', 'in_progress'] } },
+      { $set: { status: 'closed', resolvedAt: now } }
+    );
+    const redactedComplaints = await Complaint.updateMany(
+      { patientId: patient._id },
+      { $set: { description: REDACTED_TEXT, updatedAt: now }, $unset: { resolution: '' } }
+    );
+
+    // Booked appointments are cancelled. Appointments past retention are removed;
+    // the rest keep their details under legal hold.
+    await Appointment.updateMany(
+      { patientId: patient._id, status: 'scheduled' },
+      {
+        $set: {
+          status: 'cancelled',
+          'cancellation.cancelledBy': req.user._id,
+          'cancellation.cancelledAt': now,
+          'cancellation.reason': 'Right to erasure'
+        },
+        $unset: { slotKey: '' }
+      }
+    );
+    const erasedAppointments = await Appointment.deleteMany({ patientId: patient._id, startTime: { $lte: cutoffDate } });
+    const heldAppointments = await Appointment.find({ patientId: patient._id, startTime: { $gt: cutoffDate } })
+      .select('startTime')
+      .lean();
+    await GdprController.placeLegalHold(Appointment, heldAppointments, 'startTime', periodYears, erasureRequest);
+
+    // Open lab orders are cancelled. Orders past retention are removed (their
+    // published results are medical records, handled above); the rest are held.
+    await LabOrder.updateMany(
+      { patientId: patient._id, status: { $in: ['ordered', 'collected', 'in_progress'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          'cancellation.cancelledBy': req.user._id,
+          'cancellation.cancelledAt': now,
+          'cancellation.reason': 'Right to erasure'
+        }
+      }
+    );
+    const erasedLabOrders = await LabOrder.deleteMany({ patientId: patient._id, createdAt: { $lte: cutoffDate } });
+    const heldLabOrders = await LabOrder.find({ patientId: patient._id, createdAt: { $gt: cutoffDate } })
+      .select('createdAt')
+      .lean();
+    await GdprController.placeLegalHold(LabOrder, heldLabOrders, 'createdAt', periodYears, erasureRequest);
+
+    // Dispensing history follows the prescriptions: fills past retention are
+    // removed, the rest are held
+    const erasedPrescriptionFills = await PrescriptionFill.deleteMany({ patientId: patient._id, createdAt: { $lte: cutoffDate } });
+    const heldPrescriptionFills = await PrescriptionFill.find({ patientId: patient._id, createdAt: { $gt: cutoffDate } })
+      .select('createdAt')
+      .lean();
+    await GdprController.placeLegalHold(PrescriptionFill, heldPrescriptionFills, 'createdAt', periodYears, erasureRequest);
+
+    // Assignments reference the patient's user account
+    const endedAssignments = await Assignment.updateMany(
+      { patientId: patient.userId, status: 'active' },
+      { $set: { status: 'ended', endDate: now }, $unset: { reason: '' } }
+    );
+
+    // Bulk import rows keep the legacy file's copy of the patient until their
+    // batch finishes; rows matched to this patient lose it now
+    const importRowMatches = [
+      { 'ids.patientId': patient._id },
+      { 'duplicateOf.patientId': patient._id },
+      ...(user?.email ? [{ email: user.email }] : [])
+    ];
+    const redactedImportRows = await ImportRow.updateMany(
+      { $or: importRowMatches },
+      { $unset: { data: '', email: '', ref: '' } }
+    );
+
+    // The patient's inbox is emptied; other users' notifications about the
+    // patient keep their title and link but lose the message text
+    const erasedNotifications = await Notification.deleteMany({ userId: patient.userId });
+    const redactedNotifications = await Notification.updateMany(
+      { 'resource.id': { $in: resourceIds }, message: { $exists: true } },
+      { $unset: { message: '' } }
+    );
+
+    if (user && user.status !== 'deleted') {
+      await user.anonymize();
+    }
+
+    erasureRequest.retention = retention;
+    erasureRequest.outcome = {
+      medicalRecords: erasedRecords.modifiedCount,
+      visits: erasedVisits,
+      consents: redactedConsents.modifiedCount,
+      complaints: redactedComplaints.modifiedCount,
+      assignments: endedAssignments.modifiedCount,
+      appointments: erasedAppointments.deletedCount,
+      labOrders: erasedLabOrders.deletedCount,
+      importRows: redactedImportRows.modifiedCount,
+      hl7Messages: purgedHl7Messages.modifiedCount,
+      consentRequests: redactedConsentRequests.modifiedCount,
+      consentRenewalRequests: redactedRenewalRequests.modifiedCount,
+      prescriptionFills: erasedPrescriptionFills.deletedCount,
+      emergencyAccessGrants: redactedGrants.modifiedCount,
+      notifications: erasedNotifications.deletedCount + redactedNotifications.modifiedCount
+    };
+    erasureRequest.completedAt = now;
+
+    // The certificate lives in the hash-chained audit log
+    const certificate = await AuditLog.createLog({
+      eventType: 'DELETE',
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: patient._id,
+      targetUserId: patient.userId,
+      resourceType: 'patient',
+      resourceId: patient._id,
+      action: 'ERASURE_CERTIFICATE',
+      description: `Right-to-erasure request ${erasureRequest._id} completed`,
+      dataChanges: {
+        after: {
+          erasureRequestId: erasureRequest._id,
+          requestedAt: erasureRequest.requestedAt,
+          approvedBy: req.user._id,
+          approvedAt: erasureRequest.reviewedAt,
+          completedAt: now,
+          retention,
+          anonymized: erasureRequest.outcome
+        },
+        changes: ['user', 'patient', 'medicalRecords', 'visits', 'consents', 'complaints', 'assignments', 'appointments', 'labOrders', 'importRows', 'hl7Messages', 'consentRequests', 'consentRenewalRequests', 'prescriptionFills', 'emergencyAccessGrants', 'notifications']
+      },
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+
+    if (!certificate) {
+      throw new Error('Erasure certificate could not be written to the audit log');
+    }
+
+    erasureRequest.certificate = {
+      auditLogId: certificate._id,
+      hash: certificate.signature.hash
+    };
+    erasureRequest.status = 'completed';
+    await erasureRequest.save();
+
+    return erasureRequest;
+  }
+
+  // Audit helper for erasure workflow events
+  static async logErasureEvent(req, { eventType, patientId, action, description, requestId }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: patientId,
+      resourceType: 'patient',
+      resourceId: patientId,
+      action,
+      description,
+      dataChanges: {
+        after: { erasureRequestId: requestId }
+      },
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = GdprController;
@@ -0,0 +1,947 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const LabOrder = require('../models/LabOrder');
+const Assignment = require('../models/Assignment');
+const Hl7Message = require('../models/Hl7Message');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const hl7 = require('../utils/hl7');
+const labReference = require('../utils/labReference');
+const { createMllpServer } = require('../utils/mllp');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * HL7 Controller - HL7 v2 ingestion over HTTP and MLLP
+ * ADT^A04 registers or updates a patient (ADT^A08 updates only); ORU^R01 results
+ * become lab_result records for a doctor to sign off, completing the lab order
+ * they answer when ORC-2/OBR-2 carries its ID. Every message gets an ACK:
+ * AA (accepted, possibly queued), AE (data error) or AR (rejected). Messages whose
+ * patient cannot be matched wait in the reconciliation queue.
+ */
+
+const SENDER = {
+  application: process.env.HL7_APPLICATION || 'HIS',
+  facility: process.env.HL7_FACILITY || ''
+};
+
+const MAX_MESSAGE_SIZE = parseInt(process.env.HL7_MAX_MESSAGE_SIZE) || 1024 * 1024;
+
+const textBody = express.text({
+  type: ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'],
+  limit: MAX_MESSAGE_SIZE
+});
+
+// Supported message types and the roles that may send them
+const MESSAGE_TYPES = {
+  'ADT^A04': { roles: ['receptionist', 'lab_technician'], handler: 'processAdt' },
+  'ADT^A08': { roles: ['receptionist', 'lab_technician'], handler: 'processAdt' },
+  'ORU^R01': { roles: ['lab_technician'], handler: 'processOru' }
+};
+
+// Message fields behind User and Patient paths, for ERR locations
+const FIELD_LOCATIONS = {
+  email: 'PID-13',
+  'profile.firstName': 'PID-5.2',
+  'profile.lastName': 'PID-5.1',
+  'profile.dateOfBirth': 'PID-7',
+  'profile.phone': 'PID-13',
+  'demographics.dateOfBirth': 'PID-7',
+  'demographics.gender': 'PID-8',
+  'demographics.emergencyContact.name': 'NK1-2',
+  'demographics.emergencyContact.relationship': 'NK1-3',
+  'demographics.emergencyContact.phone': 'NK1-5'
+};
+
+const sameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return !isNaN(first) && !isNaN(second) && first.toISOString().slice(0, 10) === second.toISOString().slice(0, 10);
+};
+
+const issueOf = (error) => ({
+  location: error.location,
+  hl7Code: error.hl7Code || hl7.ERROR_CODES.internalError,
+  message: error.message
+});
+
+const validationIssues = (error) => Object.values(error.errors).map(err => ({
+  location: FIELD_LOCATIONS[err.path] || err.path,
+  hl7Code: err.kind === 'required' ? hl7.ERROR_CODES.requiredFieldMissing : hl7.ERROR_CODES.dataTypeError,
+  message: err.message
+}));
+
+const queued = (queueReason) => ({
+  status: 'queued',
+  ackCode: 'AA',
+  text: 'Message accepted; the patient is waiting for reconciliation',
+  queueReason
+});
+
+const requestContext = (req) => ({
+  user: req.user,
+  actor: req.user,
+  transport: 'http',
+  requestDetails: {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || 'unknown',
+    endpoint: req.originalUrl,
+    method: req.method,
+    requestId: req.requestId || uuidv4()
+  }
+});
+
+class Hl7Controller {
+  // Read the ER7 message body into req.body as text
+  static receiveBody(req, res, next) {
+    textBody(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+          success: false,
+          message: `HL7 messages can be at most ${MAX_MESSAGE_SIZE} bytes`,
+          code: 'HL7_MESSAGE_TOO_LARGE'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid HL7 message body',
+        code: 'INVALID_HL7_BODY'
+      });
+    });
+  }
+
+  // Receive one HL7 v2 message (body: the ER7 text) and answer with its ACK
+  static async receiveMessage(req, res) {
+    try {
+      const text = typeof req.body === 'string' ? req.body : '';
+      if (!text.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send the HL7 v2 message as the request body with Content-Type application/hl7-v2',
+          code: 'HL7_MESSAGE_REQUIRED'
+        });
+      }
+
+      const ack = await Hl7Controller.processMessage(text, requestContext(req));
+
+      res.type('application/hl7-v2').send(ack);
+    } catch (error) {
+      console.error('Receive HL7 message error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process HL7 message',
+        code: 'HL7_PROCESSING_ERROR'
+      });
+    }
+  }
+
+  // Message log (filters: status, messageType, controlId)
+  static async getMessages(req, res) {
+    try {
+      const { status, messageType, controlId, limit = 50, page = 1 } = req.query;
+
+      const query = {};
+      if (status) query.status = String(status);
+      if (messageType) query.messageType = String(messageType);
+      if (controlId) query.controlId = String(controlId);
+
+      const skip = (page - 1) * limit;
+      const [messages, total] = await Promise.all([
+        Hl7Message.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(Math.min(parseInt(limit), 200)),
+        Hl7Message.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(message => message.toSummary()),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get HL7 messages error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get HL7 messages',
+        code: 'HL7_MESSAGES_ERROR'
+      });
+    }
+  }
+
+  // Messages waiting for a patient match, oldest first (filter: messageType)
+  static async getReconciliationQueue(req, res) {
+    try {
+      const { messageType, limit = 50 } = req.query;
+
+      const query = { status: 'queued' };
+      if (messageType) query.messageType = String(messageType);
+
+      const [messages, total] = await Promise.all([
+        Hl7Message.find(query)
+          .sort({ createdAt: 1 })
+          .limit(Math.min(parseInt(limit), 200)),
+        Hl7Message.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(message => message.toSummary()),
+          total
+        }
+      });
+    } catch (error) {
+      console.error('Get HL7 reconciliation queue error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get reconciliation queue',
+        code: 'HL7_QUEUE_ERROR'
+      });
+    }
+  }
+
+  // One message with the raw text and the ACK sent back
+  static async getMessage(req, res) {
+    try {
+      const message = await Hl7Controller.findMessage(req, res);
+      if (!message) return;
+
+      await message.populate('receivedBy', 'profile.firstName profile.lastName role');
+
+      // The raw message carries patient data
+      await Hl7Controller.logHl7Event(requestContext(req), message, {
+        eventType: 'READ',
+        targetPatientId: message.outcome?.patientId,
+        action: 'VIEW_HL7_MESSAGE',
+        description: `Viewed ${message.messageType || 'unparsed'} message ${message.controlId || message._id}`
+      });
+
+      res.json({
+        success: true,
+        data: {
+          message: {
+            ...message.toSummary(),
+            raw: message.raw,
+            ack: message.ack,
+            receivedBy: message.receivedBy,
+            reconciliation: message.reconciliation
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get HL7 message error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get HL7 message',
+        code: 'HL7_MESSAGE_ERROR'
+      });
+    }
+  }
+
+  // Process a queued message for the chosen patient; the patient learns the message's identifiers
+  static async resolveMessage(req, res) {
+    try {
+      const { patientId } = req.body;
+
+      const message = await Hl7Controller.findMessage(req, res);
+      if (!message) return;
+
+      if (!message.canTransitionTo('resolved')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot resolve a message that is ${message.status}`,
+          code: 'INVALID_HL7_MESSAGE_STATUS'
+        });
+      }
+
+      const patient = mongoose.isValidObjectId(patientId)
+        ? await Patient.findOne({ _id: patientId, deletedAt: { $exists: false } })
+        : null;
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      // Records are authored by the account the message came in under
+      const sender = await User.findById(message.receivedBy);
+      if (!sender) {
+        return res.status(409).json({
+          success: false,
+          message: 'The account that sent this message no longer exists',
+          code: 'HL7_SENDER_NOT_FOUND'
+        });
+      }
+
+      const parsed = hl7.parseMessage(message.raw);
+      const context = { ...requestContext(req), user: sender };
+
+      let result;
+      try {
+        result = await Hl7Controller[MESSAGE_TYPES[message.messageType].handler](parsed, context, message, patient);
+      } catch (error) {
+        if (error.code !== 'INVALID_HL7_MESSAGE' && error.name !== 'ValidationError') throw error;
+        return res.status(422).json({
+          success: false,
+          message: 'The message cannot be applied to this patient',
+          code: 'HL7_MESSAGE_INVALID',
+          data: {
+            issues: error.name === 'ValidationError' ? validationIssues(error) : [issueOf(error)]
+          }
+        });
+      }
+
+      if (result.status !== 'processed') {
+        return res.status(409).json({
+          success: false,
+          message: result.queueReason || result.text,
+          code: 'HL7_MESSAGE_NOT_RESOLVED'
+        });
+      }
+
+      message.status = 'resolved';
+      message.outcome = result.outcome;
+      message.reconciliation = {
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+      await message.save();
+
+      await Hl7Controller.logHl7Event(context, message, {
+        action: 'HL7_MESSAGE_RESOLVED',
+        description: `Resolved ${message.messageType} message ${message.controlId} to patient ${patient._id}`,
+        targetPatientId: patient._id,
+        dataChanges: {
+          before: { status: 'queued' },
+          after: { status: 'resolved', patientId: patient._id },
+          changes: ['status', 'outcome']
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Message processed for the selected patient',
+        data: { message: message.toSummary() }
+      });
+    } catch (error) {
+      console.error('Resolve HL7 message error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to resolve HL7 message',
+        code: 'HL7_RESOLVE_ERROR'
+      });
+    }
+  }
+
+  // Drop a queued message without applying it
+  static async dismissMessage(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || String(reason).trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason (at least 5 characters) is required',
+          code: 'DISMISS_REASON_REQUIRED'
+        });
+      }
+
+      const message = await Hl7Controller.findMessage(req, res);
+      if (!message) return;
+
+      if (!message.canTransitionTo('dismissed')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot dismiss a message that is ${message.status}`,
+          code: 'INVALID_HL7_MESSAGE_STATUS'
+        });
+      }
+
+      message.status = 'dismissed';
+      message.reconciliation = {
+        dismissedBy: req.user._id,
+        dismissedAt: new Date(),
+        reason: String(reason).trim()
+      };
+      await message.save();
+
+      await Hl7Controller.logHl7Event(requestContext(req), message, {
+        action: 'HL7_MESSAGE_DISMISSED',
+        description: `Dismissed ${message.messageType} message ${message.controlId}: ${message.reconciliation.reason}`,
+        dataChanges: {
+          before: { status: 'queued' },
+          after: { status: 'dismissed' },
+          changes: ['status', 'reconciliation']
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Message dismissed',
+        data: { message: message.toSummary() }
+      });
+    } catch (error) {
+      console.error('Dismiss HL7 message error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to dismiss HL7 message',
+        code: 'HL7_DISMISS_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Parse, store and apply one message; resolves to the ACK text.
+   * context: { user, actor, transport, requestDetails }
+   */
+  static async processMessage(text, context) {
+    let parsed;
+    try {
+      parsed = hl7.parseMessage(text);
+    } catch (error) {
+      if (error.code !== 'INVALID_HL7_MESSAGE') throw error;
+
+      const ack = hl7.buildAck(error.header, { code: 'AR', text: error.message, errors: [issueOf(error)] }, SENDER);
+      // Kept for troubleshooting; a control ID seen before is not stored twice
+      await Hl7Message.create({
+        controlId: error.header?.controlId,
+        messageType: error.header?.messageType,
+        sendingApplication: error.header?.sendingApplication,
+        sendingFacility: error.header?.sendingFacility,
+        transport: context.transport,
+        raw: text,
+        status: 'rejected',
+        receivedBy: context.user._id,
+        ack: { code: 'AR', text: error.message, message: ack },
+        issues: [issueOf(error)]
+      }).catch(() => {});
+      return ack;
+    }
+
+    const { header } = parsed;
+    let message;
+    try {
+      message = await Hl7Message.create({
+        controlId: header.controlId,
+        messageType: header.messageType,
+        sendingApplication: header.sendingApplication,
+        sendingFacility: header.sendingFacility,
+        version: header.version,
+        transport: context.transport,
+        raw: text,
+        receivedBy: context.user._id,
+        patientSummary: hl7.patientSummary(parsed)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // A retransmission gets the answer the original got
+      const original = await Hl7Message.findOne({
+        sendingApplication: header.sendingApplication,
+        sendingFacility: header.sendingFacility,
+        controlId: header.controlId
+      });
+      if (original?.ack?.message) return original.ack.message;
+
+      return hl7.buildAck(header, {
+        code: 'AE',
+        text: 'A message with this control ID is still being processed',
+        errors: [{ location: 'MSH-10', hl7Code: hl7.ERROR_CODES.recordLocked, message: 'Retry later' }]
+      }, SENDER);
+    }
+
+    let result;
+    try {
+      result = await Hl7Controller.applyMessage(parsed, context, message);
+    } catch (error) {
+      // Forget the message so the sender's retransmission is processed again
+      console.error('HL7 processing error:', error);
+      await Hl7Message.deleteOne({ _id: message._id }).catch(() => {});
+      return hl7.buildAck(header, {
+        code: 'AE',
+        text: 'Application internal error; retransmit the message',
+        errors: [{ hl7Code: hl7.ERROR_CODES.internalError, message: 'Application internal error' }]
+      }, SENDER);
+    }
+
+    const ack = hl7.buildAck(header, { code: result.ackCode, text: result.text, errors: result.issues }, SENDER);
+
+    message.status = result.status;
+    message.issues = result.issues || [];
+    message.outcome = result.outcome;
+    message.queueReason = result.queueReason;
+    message.ack = { code: result.ackCode, text: result.text, message: ack };
+    await message.save();
+
+    if (result.status === 'queued') {
+      await Hl7Controller.logHl7Event(context, message, {
+        action: 'HL7_MESSAGE_QUEUED',
+        description: `Queued ${message.messageType} message ${message.controlId} for reconciliation: ${result.queueReason}`,
+        dataChanges: {
+          after: { status: 'queued', queueReason: result.queueReason }
+        }
+      });
+    }
+
+    return ack;
+  }
+
+  // Route a stored message to its handler; data errors become AE, unsupported messages AR
+  static async applyMessage(parsed, context, message) {
+    const { header } = parsed;
+    const type = Object.hasOwn(MESSAGE_TYPES, header.messageType) ? MESSAGE_TYPES[header.messageType] : null;
+
+    if (!type) {
+      const knownCode = Object.keys(MESSAGE_TYPES).some(supported => supported.startsWith(`${header.messageCode}^`));
+      const text = `Unsupported message type ${header.messageType}; supported: ${Object.keys(MESSAGE_TYPES).join(', ')}`;
+      return {
+        status: 'rejected',
+        ackCode: 'AR',
+        text,
+        issues: [{
+          location: 'MSH-9',
+          hl7Code: knownCode ? hl7.ERROR_CODES.unsupportedEventCode : hl7.ERROR_CODES.unsupportedMessageType,
+          message: text
+        }]
+      };
+    }
+
+    if (!type.roles.includes(context.user.role)) {
+      const text = `${header.messageType} messages cannot be sent by a ${context.user.role} account`;
+      return {
+        status: 'rejected',
+        ackCode: 'AR',
+        text,
+        issues: [{ location: 'MSH-9', hl7Code: hl7.ERROR_CODES.internalError, message: text }]
+      };
+    }
+
+    try {
+      return await Hl7Controller[type.handler](parsed, context, message);
+    } catch (error) {
+      if (error.code === 'INVALID_HL7_MESSAGE') {
+        return { status: 'rejected', ackCode: 'AE', text: error.message, issues: [issueOf(error)] };
+      }
+      if (error.name === 'ValidationError') {
+        return { status: 'rejected', ackCode: 'AE', text: 'The message failed validation', issues: validationIssues(error) };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ADT^A04 / ADT^A08: match the patient by PID-3 identifiers, then by email and
+   * date of birth; A04 registers an unmatched patient as an inactive account.
+   * patient is set when a queued message is being resolved.
+   */
+  static async processAdt(parsed, context, message, patient = null) {
+    const fields = hl7.toPatientFields(parsed);
+    const isRegistration = parsed.header.triggerEvent === 'A04';
+
+    let match = patient;
+    if (!match) {
+      const { patient: identified, reason } = await Hl7Controller.matchByIdentifiers(fields.identifiers);
+      if (reason) return queued(reason);
+      match = identified;
+    }
+
+    if (!match && fields.user.email) {
+      const user = await User.findOne({ email: fields.user.email }).select('role');
+      if (user) {
+        const existing = user.role === 'patient' ? await Patient.findByUserId(user._id) : null;
+        if (!existing || !sameDay(existing.demographics.dateOfBirth, fields.patient.demographics.dateOfBirth)) {
+          return queued('The email belongs to an account with a different date of birth or role');
+        }
+        match = existing;
+      }
+    }
+
+    if (!match) {
+      if (!isRegistration) return queued('No patient with these identifiers');
+      if (!fields.user.email) return queued('No patient with these identifiers, and no email (PID-13) to register one');
+      return Hl7Controller.registerPatient(fields, context);
+    }
+
+    return Hl7Controller.updatePatient(match, fields, context, parsed.header.messageType);
+  }
+
+  // New patient from ADT^A04: an inactive account with an unusable password, activated by an administrator
+  static async registerPatient(fields, context) {
+    const user = new User({
+      email: fields.user.email,
+      profile: fields.user.profile,
+      password: crypto.randomBytes(32).toString('base64url'),
+      role: 'patient',
+      status: 'inactive'
+    });
+    const patient = new Patient({
+      userId: user._id,
+      demographics: fields.patient.demographics,
+      status: fields.patient.status,
+      identifiers: fields.identifiers
+    });
+
+    const errors = [user.validateSync(), patient.validateSync()].filter(Boolean);
+    if (errors.length > 0) {
+      return {
+        status: 'rejected',
+        ackCode: 'AE',
+        text: 'The patient cannot be registered',
+        issues: errors.flatMap(error => validationIssues(error))
+      };
+    }
+
+    await user.save();
+    try {
+      await patient.save();
+    } catch (error) {
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+
+    await Hl7Controller.logHl7Event(context, null, {
+      eventType: 'CREATE',
+      resourceType: 'patient',
+      resourceId: patient._id,
+      targetUserId: user._id,
+      targetPatientId: patient._id,
+      action: 'HL7_REGISTER_PATIENT',
+      description: `Registered patient from HL7 ADT^A04 (${fields.identifiers.map(id => `${id.system} ${id.value}`).join(', ') || 'no identifiers'})`,
+      dataChanges: {
+        after: { userId: user._id, patientId: patient._id, identifiers: fields.identifiers }
+      }
+    });
+
+    return {
+      status: 'processed',
+      ackCode: 'AA',
+      text: 'Patient registered',
+      outcome: { patientId: patient._id, patientCreated: true }
+    };
+  }
+
+  // Apply the demographics the message carries; fields it leaves empty keep their values
+  static async updatePatient(patient, fields, context, messageType) {
+    const user = await User.findById(patient.userId);
+    const { demographics } = fields.patient;
+
+    if (demographics.dateOfBirth) patient.demographics.dateOfBirth = demographics.dateOfBirth;
+    if (demographics.gender) patient.demographics.gender = demographics.gender;
+    if (demographics.allergies) {
+      const known = new Set(patient.demographics.allergies.map(allergy => allergy.toLowerCase()));
+      patient.demographics.allergies.push(...demographics.allergies.filter(allergy => !known.has(allergy.toLowerCase())));
+    }
+    Object.entries(demographics.emergencyContact || {}).forEach(([key, fieldValue]) => {
+      if (fieldValue) patient.set(`demographics.emergencyContact.${key}`, fieldValue);
+    });
+    if (fields.patient.status) patient.status = fields.patient.status;
+    const addedIdentifiers = patient.addIdentifiers(fields.identifiers);
+
+    // The email stays as is: it is the patient's login
+    Object.entries(fields.user.profile).forEach(([key, fieldValue]) => {
+      if (fieldValue && user) user.set(`profile.${key}`, fieldValue);
+    });
+
+    // Changed fields, without the parent paths Mongoose also reports
+    const changes = [
+      ...patient.modifiedPaths(),
+      ...(user ? user.modifiedPaths() : [])
+    ].filter(path => !['demographics', 'demographics.emergencyContact', 'profile'].includes(path));
+
+    // Only the user fields set here; the password is not loaded
+    const errors = [patient.validateSync(), user?.validateSync(user.modifiedPaths())].filter(Boolean);
+    if (errors.length > 0) {
+      return {
+        status: 'rejected',
+        ackCode: 'AE',
+        text: 'The patient cannot be updated',
+        issues: errors.flatMap(error => validationIssues(error))
+      };
+    }
+
+    await patient.save();
+    if (user) await user.save();
+
+    await Hl7Controller.logHl7Event(context, null, {
+      eventType: 'UPDATE',
+      resourceType: 'patient',
+      resourceId: patient._id,
+      targetUserId: patient.userId,
+      targetPatientId: patient._id,
+      action: 'HL7_UPDATE_PATIENT',
+      description: `Updated patient from HL7 ${messageType}${addedIdentifiers.length > 0 ? `, linked ${addedIdentifiers.map(id => `${id.system} ${id.value}`).join(', ')}` : ''}`,
+      dataChanges: {
+        after: { identifiers: addedIdentifiers },
+        changes
+      }
+    });
+
+    return {
+      status: 'processed',
+      ackCode: 'AA',
+      text: 'Patient updated',
+      outcome: { patientId: patient._id, patientCreated: false }
+    };
+  }
+
+  /**
+   * ORU^R01: one lab_result record per OBR. The patient comes from the lab orders
+   * named in ORC-2/OBR-2, else from the PID-3 identifiers. Records answering an
+   * order go to its ordering doctor; others to the patient's responsible doctor.
+   */
+  static async processOru(parsed, context, message, patient = null) {
+    if (hl7.segmentsNamed(parsed, 'PID').length > 1) {
+      throw hl7.hl7Error('Only one patient per message is supported', hl7.ERROR_CODES.segmentSequence, 'PID');
+    }
+
+    const groups = hl7.toLabResults(parsed);
+    if (groups.length === 0) {
+      throw hl7.hl7Error('ORU^R01 needs at least one OBR segment', hl7.ERROR_CODES.requiredFieldMissing, 'OBR');
+    }
+    const empty = groups.find(group => group.results.length === 0);
+    if (empty) {
+      throw hl7.hl7Error(`${empty.location} has no results`, hl7.ERROR_CODES.requiredFieldMissing, empty.location);
+    }
+
+    const orderIds = groups.map(group => group.placerOrderNumber).filter(id => mongoose.isValidObjectId(id));
+    const orders = new Map((await LabOrder.find({ _id: { $in: orderIds } })).map(order => [String(order._id), order]));
+
+    const closed = [...orders.values()].find(order => ['resulted', 'cancelled'].includes(order.status));
+    if (closed) {
+      throw hl7.hl7Error(`Lab order ${closed._id} is already ${closed.status}`, hl7.ERROR_CODES.recordLocked, 'ORC-2');
+    }
+
+    const orderPatientIds = [...new Set([...orders.values()].map(order => String(order.patientId)))];
+    if (orderPatientIds.length > 1) {
+      throw hl7.hl7Error('The lab orders in the message belong to different patients', hl7.ERROR_CODES.unknownKey, 'ORC-2');
+    }
+
+    const identifiers = hl7.patientIdentifiers(parsed);
+    let resolved = patient;
+    if (resolved && orderPatientIds.length === 1 && orderPatientIds[0] !== String(resolved._id)) {
+      throw hl7.hl7Error('The lab orders in the message belong to another patient', hl7.ERROR_CODES.unknownKey, 'ORC-2');
+    }
+    if (!resolved && orderPatientIds.length === 1) {
+      resolved = await Patient.findOne({ _id: orderPatientIds[0], deletedAt: { $exists: false } });
+    }
+    if (!resolved) {
+      const { patient: identified, reason } = await Hl7Controller.matchByIdentifiers(identifiers);
+      if (!identified) return queued(reason || 'No patient with these identifiers');
+      resolved = identified;
+    }
+
+    // Results outside an order still need a doctor's sign-off before the patient sees them
+    const needsReviewer = groups.some(group => !orders.has(group.placerOrderNumber));
+    const reviewerId = needsReviewer ? await Assignment.getResponsibleDoctorId(resolved.userId) : null;
+    if (needsReviewer && !reviewerId) {
+      return queued('No doctor is assigned to the patient to sign off the results');
+    }
+
+    const records = groups.map((group) => {
+      const order = orders.get(group.placerOrderNumber);
+      const testType = order?.testType || group.testCode || group.testName;
+      const testName = labReference.getTest(testType)?.name || group.testName || testType;
+      const results = group.results.map(result => labReference.applyReference(testType, result));
+      const critical = results.some(result => result.status === 'critical');
+      const abnormalCount = results.filter(result => result.status && result.status !== 'normal').length;
+      const resultDate = group.resultDate || parsed.header.dateTime || new Date();
+
+      const record = new MedicalRecord({
+        patientId: resolved._id,
+        recordType: 'lab_result',
+        providerId: context.user._id,
+        providerRole: 'lab_technician',
+        createdBy: context.user._id,
+        encounterId: order?.encounterId,
+        recordDate: group.collectionDate || resultDate,
+        content: {
+          title: `${testName} results`,
+          description: `${results.length} results, ${abnormalCount} outside the reference range`,
+          labResult: {
+            testType,
+            specimenType: order?.specimenType || group.specimenType,
+            collectionDate: group.collectionDate || order?.collection?.collectedAt,
+            resultDate,
+            results,
+            performedBy: context.user._id
+          }
+        },
+        flags: {
+          critical,
+          followUpRequired: critical
+        }
+      });
+      record.submitForReview(order ? order.orderedBy : reviewerId);
+
+      const error = record.validateSync();
+      if (error) {
+        throw hl7.hl7Error(Object.values(error.errors)[0].message, hl7.ERROR_CODES.dataTypeError, group.location);
+      }
+      return { group, order, record, results, critical, testName, resultDate };
+    });
+
+    for (const { record } of records) {
+      await record.save();
+    }
+
+    for (const { group, order, record, results, critical, testName, resultDate } of records) {
+      if (order) {
+        order.results = results.map(result => ({ ...result, status: result.status || 'pending' }));
+        order.performedBy = context.user._id;
+        order.status = 'resulted';
+        order.resultedAt = resultDate;
+        order.resultRecordId = record._id;
+        if (!order.collection?.collectedAt && group.collectionDate) {
+          order.set('collection.collectedAt', group.collectionDate);
+        }
+        await order.save();
+      }
+
+      await Notification.notify({
+        userId: record.review.reviewerId,
+        type: critical ? 'lab_result_critical' : 'lab_results_available',
+        title: critical ? 'Critical lab result' : 'Lab results available',
+        message: critical
+          ? `${testName} has a critical result. Review it now.`
+          : `${testName} has been resulted and is waiting for your sign-off`,
+        resource: order ? { type: 'lab_order', id: order._id } : { type: 'medical_record', id: record._id }
+      });
+
+      await Hl7Controller.logHl7Event(context, null, {
+        eventType: 'CREATE',
+        resourceType: 'lab_result',
+        resourceId: record._id,
+        targetUserId: resolved.userId,
+        targetPatientId: resolved._id,
+        action: 'HL7_LAB_RESULT',
+        description: `Recorded ${testName} results from HL7 ORU^R01${order ? ` for lab order ${order._id}` : ''}${critical ? ' with a critical value' : ''}`,
+        dataChanges: {
+          after: { recordId: record._id, orderId: order?._id, resultCount: results.length, critical }
+        }
+      });
+    }
+
+    // A person matched the patient by hand, so later results can match on their own
+    if (patient && identifiers.length > 0 && resolved.addIdentifiers(identifiers).length > 0) {
+      await resolved.save();
+    }
+
+    return {
+      status: 'processed',
+      ackCode: 'AA',
+      text: `${records.length} result group${records.length === 1 ? '' : 's'} recorded`,
+      outcome: {
+        patientId: resolved._id,
+        recordIds: records.map(({ record }) => record._id),
+        labOrderIds: records.filter(({ order }) => order).map(({ order }) => order._id)
+      }
+    };
+  }
+
+  // { patient } for a single identifier match, { reason } when the identifiers point at several patients
+  static async matchByIdentifiers(identifiers) {
+    const matches = await Patient.findByIdentifiers(identifiers);
+    if (matches.length > 1) {
+      return { patient: null, reason: `The identifiers match ${matches.length} different patients` };
+    }
+    return { patient: matches[0] || null };
+  }
+
+  /**
+   * Start the MLLP listener when HL7_MLLP_PORT is set. Messages are processed as the
+   * active receptionist or lab technician account in HL7_MLLP_USER_ID.
+   */
+  static startMllpListener() {
+    const port = parseInt(process.env.HL7_MLLP_PORT);
+    if (!port) return null;
+
+    const host = process.env.HL7_MLLP_HOST || '127.0.0.1';
+    const roles = [...new Set(Object.values(MESSAGE_TYPES).flatMap(type => type.roles))];
+
+    const server = createMllpServer(async (text, connection) => {
+      const user = mongoose.isValidObjectId(process.env.HL7_MLLP_USER_ID)
+        ? await User.findOne({ _id: process.env.HL7_MLLP_USER_ID, role: { $in: roles }, status: 'active' })
+        : null;
+
+      if (!user) {
+        console.error('HL7_MLLP_USER_ID must be an active receptionist or lab technician account');
+        return hl7.buildAck(null, {
+          code: 'AR',
+          text: 'The receiving interface is not configured',
+          errors: [{ hl7Code: hl7.ERROR_CODES.internalError, message: 'The receiving interface is not configured' }]
+        }, SENDER);
+      }
+
+      return Hl7Controller.processMessage(text, {
+        user,
+        actor: user,
+        transport: 'mllp',
+        requestDetails: {
+          ipAddress: connection.remoteAddress || 'unknown',
+          userAgent: 'MLLP',
+          endpoint: `mllp://${host}:${port}`,
+          method: 'POST',
+          requestId: uuidv4()
+        }
+      });
+    }, { maxMessageSize: MAX_MESSAGE_SIZE });
+
+    server.on('error', error => console.error('MLLP listener error:', error.message));
+    server.listen(port, host, () => console.log(`📨 HL7 MLLP listener on ${host}:${port}`));
+    return server;
+  }
+
+  // Load :messageId
+  static async findMessage(req, res) {
+    const { messageId } = req.params;
+
+    const message = mongoose.isValidObjectId(messageId) ? await Hl7Message.findById(messageId) : null;
+    if (!message) {
+      res.status(404).json({
+        success: false,
+        message: 'HL7 message not found',
+        code: 'HL7_MESSAGE_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return message;
+  }
+
+  static async logHl7Event(context, message, { eventType = 'UPDATE', resourceType = 'system', resourceId, targetUserId, targetPatientId, action, description, dataChanges }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: context.actor._id,
+      userRole: context.actor.role,
+      targetUserId,
+      targetPatientId,
+      resourceType,
+      resourceId: resourceId || message?._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: context.requestDetails,
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = Hl7Controller;
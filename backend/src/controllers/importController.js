@@ -0,0 +1,599 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const ImportBatch = require('../models/ImportBatch');
+const ImportRow = require('../models/ImportRow');
+const AuditLog = require('../models/AuditLog');
+const { parseCsvImport, parseFhirImport } = require('../utils/importParser');
+const { scheduler } = require('../jobs');
+
+/**
+ * Import Controller - Bulk import of legacy patients and their records (administrator)
+ * Uploading a file validates every row against the User, Patient and MedicalRecord
+ * schemas and de-duplicates against existing patients, without writing any of them:
+ * the result is a dry-run report. Committing hands the valid rows to the
+ * commit-imports job, which imports them in batches and picks up where it left off.
+ */
+
+const MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 20 * 1024 * 1024;
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 10000;
+const REPORT_PREVIEW_ROWS = 100;
+const COMMIT_JOB = 'commit-imports';
+
+// Roles a medical record provider may have
+const PROVIDER_ROLES = MedicalRecord.schema.path('providerRole').enumValues;
+
+// Stands in for the generated password while the user is only being validated
+const PLACEHOLDER_PASSWORD = 'import-placeholder-password';
+
+const PARSERS = {
+  csv: parseCsvImport,
+  fhir: parseFhirImport
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : undefined);
+
+const sameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return !isNaN(first) && !isNaN(second) && first.toISOString().slice(0, 10) === second.toISOString().slice(0, 10);
+};
+
+// Schema validation errors as report issues
+const schemaIssues = (doc, prefix, location) => {
+  const error = doc.validateSync();
+  return error
+    ? Object.values(error.errors).map(err => ({ location, field: `${prefix}.${err.path}`, message: err.message }))
+    : [];
+};
+
+// Audit request details for batch events: the batch ID doubles as the request ID,
+// so every entry of an import (including those the job writes) shares one tag
+const batchRequestDetails = (req, batch) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || 'unknown',
+  endpoint: req.originalUrl,
+  method: req.method,
+  requestId: String(batch._id)
+});
+
+class ImportController {
+  // Parse the multipart body (one file in the "file" field) into req.file
+  static receiveFile(req, res, next) {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `Import files can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`,
+          code: 'FILE_TOO_LARGE'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? error.message : 'Invalid multipart upload',
+        code: 'INVALID_UPLOAD'
+      });
+    });
+  }
+
+  // Upload and validate an import file; nothing is imported until the batch is committed
+  static async createImport(req, res) {
+    try {
+      if (!req.file || req.file.size === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV file or FHIR Bundle is required in the "file" field',
+          code: 'FILE_REQUIRED'
+        });
+      }
+
+      const extension = path.extname(req.file.originalname || '').toLowerCase();
+      const format = req.body.format || (extension === '.csv' ? 'csv' : extension === '.json' ? 'fhir' : null);
+      if (!Object.hasOwn(PARSERS, format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be one of: csv, fhir',
+          code: 'INVALID_IMPORT_FORMAT'
+        });
+      }
+
+      let defaultProvider = null;
+      if (req.body.defaultProviderId) {
+        defaultProvider = mongoose.isValidObjectId(req.body.defaultProviderId)
+          ? await User.findOne({ _id: req.body.defaultProviderId, role: { $in: PROVIDER_ROLES }, status: 'active' }).select('role')
+          : null;
+
+        if (!defaultProvider) {
+          return res.status(400).json({
+            success: false,
+            message: `defaultProviderId must be an active ${PROVIDER_ROLES.join(', ')}`,
+            code: 'INVALID_PROVIDER'
+          });
+        }
+      }
+
+      let parsed;
+      try {
+        parsed = PARSERS[format](req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        if (parseError.code !== 'INVALID_IMPORT_FILE') throw parseError;
+        return res.status(400).json({
+          success: false,
+          message: parseError.message,
+          code: 'INVALID_IMPORT_FILE'
+        });
+      }
+
+      if (parsed.entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The file contains no patients',
+          code: 'INVALID_IMPORT_FILE'
+        });
+      }
+      if (parsed.entries.length > MAX_ROWS) {
+        return res.status(413).json({
+          success: false,
+          message: `Imports can contain at most ${MAX_ROWS} patients; split the file`,
+          code: 'IMPORT_TOO_LARGE'
+        });
+      }
+
+      const batch = new ImportBatch({
+        format,
+        fileName: path.basename(req.file.originalname || '').substring(0, 255) || undefined,
+        defaultProviderId: defaultProvider?._id,
+        warnings: parsed.warnings,
+        createdBy: req.user._id,
+        requestedFrom: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+
+      const rows = await ImportController.validateEntries(parsed.entries, batch, defaultProvider);
+      await ImportRow.insertMany(rows);
+      await batch.refreshCounts();
+      await batch.save();
+
+      await AuditLog.createLog({
+        eventType: 'CREATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'system',
+        resourceId: batch._id,
+        action: 'IMPORT_VALIDATED',
+        description: `Validated ${format} import ${batch.fileName || ''}: ${batch.counts.pending} valid, ${batch.counts.duplicate} duplicates, ${batch.counts.invalid} invalid`,
+        dataChanges: {
+          after: { batchId: batch._id, counts: batch.counts }
+        },
+        requestDetails: batchRequestDetails(req, batch),
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      // dryRun=false commits the valid rows straight away
+      const dryRun = String(req.body.dryRun) !== 'false';
+      const committing = !dryRun && batch.counts.pending > 0 && await ImportController.startCommit(req, batch);
+
+      const problems = await ImportRow.find({ batchId: batch._id, status: { $in: ['invalid', 'duplicate'] } })
+        .sort({ index: 1 })
+        .limit(REPORT_PREVIEW_ROWS);
+
+      res.status(201).json({
+        success: true,
+        message: committing
+          ? 'Import validated; valid rows are being imported'
+          : 'Import validated; nothing has been imported yet',
+        data: {
+          batch: committing ? await ImportBatch.findById(batch._id) : batch,
+          // First problem rows; GET /api/admin/imports/:batchId/rows has the full report
+          problems: problems.map(row => row.toReport())
+        }
+      });
+    } catch (error) {
+      console.error('Create import error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to validate import',
+        code: 'IMPORT_VALIDATION_ERROR'
+      });
+    }
+  }
+
+  // List import batches (filter: status)
+  static async getImports(req, res) {
+    try {
+      const { status, limit = 20, page = 1 } = req.query;
+
+      const query = {};
+      if (status) {
+        query.status = String(status);
+      }
+
+      const skip = (page - 1) * limit;
+      const [batches, total] = await Promise.all([
+        ImportBatch.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('createdBy', 'profile.firstName profile.lastName'),
+        ImportBatch.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          batches,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get imports error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get imports',
+        code: 'IMPORTS_ERROR'
+      });
+    }
+  }
+
+  // Batch status and row counts
+  static async getImport(req, res) {
+    try {
+      const batch = await ImportController.findBatch(req, res);
+      if (!batch) return;
+
+      await batch.populate('createdBy', 'profile.firstName profile.lastName');
+      await batch.populate('defaultProviderId', 'profile.firstName profile.lastName role');
+
+      res.json({
+        success: true,
+        data: { batch }
+      });
+    } catch (error) {
+      console.error('Get import error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get import',
+        code: 'IMPORT_ERROR'
+      });
+    }
+  }
+
+  // Per-row report (filter: status)
+  static async getImportRows(req, res) {
+    try {
+      const batch = await ImportController.findBatch(req, res);
+      if (!batch) return;
+
+      const { status, limit = 100, page = 1 } = req.query;
+
+      const query = { batchId: batch._id };
+      if (status) {
+        query.status = String(status);
+      }
+
+      const skip = (page - 1) * limit;
+      const [rows, total] = await Promise.all([
+        ImportRow.find(query)
+          .sort({ index: 1 })
+          .skip(skip)
+          .limit(Math.min(parseInt(limit), 500)),
+        ImportRow.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          rows: rows.map(row => row.toReport()),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get import rows error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get import rows',
+        code: 'IMPORT_ROWS_ERROR'
+      });
+    }
+  }
+
+  // Import the valid rows of a validated batch, or resume an interrupted commit
+  static async commitImport(req, res) {
+    try {
+      const batch = await ImportController.findBatch(req, res);
+      if (!batch) return;
+
+      if (batch.status === 'validated') {
+        if (batch.counts.pending === 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'The import has no valid rows to commit',
+            code: 'NOTHING_TO_IMPORT'
+          });
+        }
+
+        const started = await ImportController.startCommit(req, batch);
+        if (!started) {
+          return res.status(409).json({
+            success: false,
+            message: 'The import was changed by another request',
+            code: 'IMPORT_CONFLICT'
+          });
+        }
+      } else if (batch.status === 'committing') {
+        // Already queued; nudge the job in case it was interrupted
+        scheduler.runJob(COMMIT_JOB, { trigger: 'manual' }).catch(() => {});
+      } else {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot commit an import that is ${batch.status}`,
+          code: 'INVALID_IMPORT_STATUS'
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Import is being committed; follow progress with GET /api/admin/imports/:batchId',
+        data: { batch: await ImportBatch.findById(batch._id) }
+      });
+    } catch (error) {
+      console.error('Commit import error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to commit import',
+        code: 'IMPORT_COMMIT_ERROR'
+      });
+    }
+  }
+
+  // Stop an import; rows already imported stay
+  static async cancelImport(req, res) {
+    try {
+      const batch = await ImportController.findBatch(req, res);
+      if (!batch) return;
+
+      if (!batch.canTransitionTo('cancelled')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot cancel an import that is ${batch.status}`,
+          code: 'INVALID_IMPORT_STATUS'
+        });
+      }
+
+      const previousStatus = batch.status;
+      batch.status = 'cancelled';
+      batch.cancellation = {
+        cancelledBy: req.user._id,
+        cancelledAt: new Date()
+      };
+      await batch.save();
+
+      // Nothing else will be imported, so drop the parsed patient data
+      await ImportRow.updateMany({ batchId: batch._id }, { $unset: { data: 1 } });
+      await batch.refreshCounts();
+      await batch.save();
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'system',
+        resourceId: batch._id,
+        action: 'IMPORT_CANCELLED',
+        description: `Cancelled ${previousStatus} import with ${batch.counts.imported} rows imported and ${batch.counts.pending} not imported`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status: 'cancelled', counts: batch.counts },
+          changes: ['status']
+        },
+        requestDetails: batchRequestDetails(req, batch)
+      });
+
+      res.json({
+        success: true,
+        message: 'Import cancelled',
+        data: { batch }
+      });
+    } catch (error) {
+      console.error('Cancel import error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to cancel import',
+        code: 'IMPORT_CANCEL_ERROR'
+      });
+    }
+  }
+
+  // Move a validated batch to committing and start the job; false if it was no longer validated
+  static async startCommit(req, batch) {
+    const updated = await ImportBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'validated' },
+      {
+        $set: {
+          status: 'committing',
+          'commit.requestedBy': req.user._id,
+          'commit.requestedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    await AuditLog.createLog({
+      eventType: 'UPDATE',
+      userId: req.user._id,
+      userRole: req.user.role,
+      resourceType: 'system',
+      resourceId: batch._id,
+      action: 'IMPORT_COMMIT_STARTED',
+      description: `Started importing ${updated.counts.pending} patients from ${updated.format} import`,
+      dataChanges: {
+        before: { status: 'validated' },
+        after: { status: 'committing' },
+        changes: ['status']
+      },
+      requestDetails: batchRequestDetails(req, batch)
+    });
+
+    // Runs in the background; the scheduler records the run and its errors
+    scheduler.runJob(COMMIT_JOB, { trigger: 'manual' }).catch(() => {});
+    return true;
+  }
+
+  // Validate parsed entries into ImportRow documents (pending, duplicate or invalid)
+  static async validateEntries(entries, batch, defaultProvider) {
+    const emails = [...new Set(entries.map(entry => normalizeEmail(entry.user.email)).filter(Boolean))];
+    const providerEmails = [...new Set(entries.flatMap(entry => entry.records.map(record => normalizeEmail(record.providerEmail))).filter(Boolean))];
+
+    const [existingUsers, providers] = await Promise.all([
+      User.find({ email: { $in: emails } }).select('email role profile.dateOfBirth').lean(),
+      User.find({ email: { $in: providerEmails }, role: { $in: PROVIDER_ROLES }, status: 'active' }).select('email role').lean()
+    ]);
+    const existingPatients = await Patient.find({ userId: { $in: existingUsers.map(user => user._id) } })
+      .select('userId demographics.dateOfBirth')
+      .lean();
+
+    const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+    const patientsByUser = new Map(existingPatients.map(patient => [patient.userId.toString(), patient]));
+    const providersByEmail = new Map(providers.map(provider => [provider.email, provider]));
+    const seenEmails = new Map();
+
+    return entries.map((entry, index) => {
+      const email = normalizeEmail(entry.user.email);
+      const issues = [...entry.issues];
+      const ids = {
+        userId: new mongoose.Types.ObjectId(),
+        patientId: new mongoose.Types.ObjectId(),
+        recordIds: entry.records.map(() => new mongoose.Types.ObjectId())
+      };
+
+      const user = { email, profile: entry.user.profile };
+      issues.push(...schemaIssues(
+        new User({ _id: ids.userId, ...user, password: PLACEHOLDER_PASSWORD, role: 'patient', status: 'inactive' }),
+        'user',
+        entry.location
+      ));
+      issues.push(...schemaIssues(
+        new Patient({ _id: ids.patientId, userId: ids.userId, ...entry.patient }),
+        'patient',
+        entry.location
+      ));
+
+      const records = entry.records.map((record, recordIndex) => {
+        const { location, providerEmail, ...fields } = record;
+        const provider = providerEmail ? providersByEmail.get(normalizeEmail(providerEmail)) : defaultProvider;
+
+        if (!provider) {
+          issues.push({
+            location,
+            field: 'providerEmail',
+            message: providerEmail
+              ? `No active ${PROVIDER_ROLES.join('/')} with email ${providerEmail}`
+              : 'No provider given and the import has no defaultProviderId'
+          });
+        }
+        if (!fields.recordDate) {
+          issues.push({ location, field: 'recordDate', message: 'recordDate is required for imported records' });
+        }
+
+        const data = { ...fields, providerId: provider?._id, providerRole: provider?.role };
+        issues.push(...schemaIssues(
+          new MedicalRecord({
+            _id: ids.recordIds[recordIndex],
+            ...data,
+            patientId: ids.patientId,
+            createdBy: batch.createdBy,
+            status: 'approved'
+          }),
+          `records[${recordIndex}]`,
+          location
+        ).filter(issue => !issue.field.endsWith('.providerId') && !issue.field.endsWith('.providerRole')));
+
+        return data;
+      });
+
+      let status = issues.length > 0 ? 'invalid' : 'pending';
+      let duplicateOf;
+
+      // Same email twice in one file
+      if (email && seenEmails.has(email)) {
+        status = 'invalid';
+        issues.push({ location: entry.location, field: 'user.email', message: `Email also used by ${seenEmails.get(email)}` });
+      } else if (email) {
+        seenEmails.set(email, entry.location);
+      }
+
+      // An existing patient with the same email and date of birth is the same person
+      const existingUser = email && usersByEmail.get(email);
+      if (existingUser && status !== 'invalid') {
+        const existingPatient = patientsByUser.get(existingUser._id.toString());
+        const existingDob = existingPatient?.demographics?.dateOfBirth || existingUser.profile?.dateOfBirth;
+
+        if (existingUser.role === 'patient' && sameDay(existingDob, entry.patient.demographics?.dateOfBirth)) {
+          status = 'duplicate';
+          duplicateOf = { userId: existingUser._id, patientId: existingPatient?._id };
+        } else {
+          status = 'invalid';
+          issues.push({ location: entry.location, field: 'user.email', message: 'Email belongs to an existing account with a different date of birth or role' });
+        }
+      }
+
+      return {
+        batchId: batch._id,
+        index,
+        ref: entry.ref,
+        location: entry.location,
+        email,
+        status,
+        issues,
+        data: status === 'pending' ? { user, patient: entry.patient, records } : undefined,
+        ids,
+        duplicateOf
+      };
+    });
+  }
+
+  // Load :batchId
+  static async findBatch(req, res) {
+    const { batchId } = req.params;
+
+    const batch = mongoose.isValidObjectId(batchId) ? await ImportBatch.findById(batchId) : null;
+    if (!batch) {
+      res.status(404).json({
+        success: false,
+        message: 'Import not found',
+        code: 'IMPORT_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return batch;
+  }
+}
+
+module.exports = ImportController;
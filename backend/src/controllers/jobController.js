@@ -0,0 +1,160 @@
+const AuditLog = require('../models/AuditLog');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { scheduler } = require('../jobs');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Job Controller - Administrator view of scheduled background jobs
+ * Reports schedule, lock holder and run history, and allows manual runs
+ */
+
+const MAX_HISTORY = 100;
+
+class JobController {
+  // Status of every registered job
+  static async getJobs(req, res) {
+    try {
+      const jobs = scheduler.listJobs();
+      const names = jobs.map(job => job.name);
+
+      const [locks, lastRuns, lastSuccesses] = await Promise.all([
+        JobLock.find({ _id: { $in: names } }).lean(),
+        JobRun.aggregate([
+          { $match: { jobName: { $in: names }, status: { $ne: 'skipped' } } },
+          { $sort: { startedAt: -1 } },
+          { $group: { _id: '$jobName', run: { $first: '$$ROOT' } } }
+        ]),
+        JobRun.aggregate([
+          { $match: { jobName: { $in: names }, status: 'succeeded' } },
+          { $group: { _id: '$jobName', finishedAt: { $max: '$finishedAt' } } }
+        ])
+      ]);
+
+      const lockByJob = new Map(locks.map(lock => [lock._id, lock]));
+      const lastRunByJob = new Map(lastRuns.map(entry => [entry._id, entry.run]));
+      const lastSuccessByJob = new Map(lastSuccesses.map(entry => [entry._id, entry.finishedAt]));
+
+      res.json({
+        success: true,
+        data: {
+          schedulerRunning: scheduler.started,
+          instanceId: scheduler.instanceId,
+          jobs: jobs.map(job => ({
+            ...job,
+            lock: lockByJob.get(job.name) || null,
+            lastRun: lastRunByJob.get(job.name) || null,
+            lastSuccessAt: lastSuccessByJob.get(job.name) || null
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get jobs error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get job status',
+        code: 'JOB_STATUS_ERROR'
+      });
+    }
+  }
+
+  // Run history for one job (filter: status)
+  static async getJobRuns(req, res) {
+    try {
+      const { jobName } = req.params;
+      const { status, limit = 20 } = req.query;
+
+      if (!scheduler.hasJob(jobName)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+          code: 'JOB_NOT_FOUND'
+        });
+      }
+
+      const query = { jobName };
+      if (status) {
+        query.status = status;
+      }
+
+      const runs = await JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .limit(Math.min(parseInt(limit) || 20, MAX_HISTORY))
+        .lean();
+
+      res.json({
+        success: true,
+        data: {
+          jobName,
+          runs
+        }
+      });
+    } catch (error) {
+      console.error('Get job runs error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get job history',
+        code: 'JOB_HISTORY_ERROR'
+      });
+    }
+  }
+
+  // Trigger a job immediately
+  static async runJob(req, res) {
+    try {
+      const { jobName } = req.params;
+
+      if (!scheduler.hasJob(jobName)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+          code: 'JOB_NOT_FOUND'
+        });
+      }
+
+      const run = await scheduler.runJob(jobName, { trigger: 'manual' });
+
+      if (!run) {
+        return res.status(409).json({
+          success: false,
+          message: 'Job is already running',
+          code: 'JOB_ALREADY_RUNNING'
+        });
+      }
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId: req.user._id,
+        userRole: req.user.role,
+        resourceType: 'system',
+        resourceId: null,
+        action: 'RUN_SCHEDULED_JOB',
+        description: `Manually ran job ${jobName} (${run.status})`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: run.status !== 'failed',
+        message: `Job ${run.status}`,
+        data: {
+          run
+        }
+      });
+    } catch (error) {
+      console.error('Run job error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to run job',
+        code: 'JOB_RUN_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = JobController;
@@ -0,0 +1,633 @@
+const mongoose = require('mongoose');
+const LabOrder = require('../models/LabOrder');
+const MedicalRecord = require('../models/MedicalRecord');
+const Patient = require('../models/Patient');
+const Encounter = require('../models/Encounter');
+const Consent = require('../models/Consent');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const labReference = require('../utils/labReference');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Lab Controller - Lab orders, the technician worklist and result publishing
+ * Doctors order tests; technicians record collection, enter results and
+ * publish them as lab_result records, notifying the ordering doctor
+ */
+
+const RESULT_STATUSES = ['normal', 'abnormal', 'critical'];
+
+const MAX_RESULTS = 50;
+
+const populatePatient = {
+  path: 'patientId',
+  select: 'userId demographics.dateOfBirth demographics.gender',
+  populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+};
+
+class LabController {
+  // Test catalog with reference ranges
+  static async getTestCatalog(req, res) {
+    res.json({
+      success: true,
+      data: {
+        tests: labReference.listTests()
+      }
+    });
+  }
+
+  // Place a lab order for a patient (doctor)
+  static async createOrder(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { testType, specimenType, priority = 'routine', clinicalNotes, encounterId } = req.body;
+
+      if (!testType || !String(testType).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Test type is required',
+          code: 'TEST_TYPE_REQUIRED'
+        });
+      }
+
+      const patient = await Patient.findById(patientId);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      if (encounterId && !(await Encounter.findAttachable(encounterId, patientId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Encounter not found for this patient',
+          code: 'INVALID_ENCOUNTER'
+        });
+      }
+
+      // Catalog tests are stored by code and default their specimen type
+      const catalogTest = labReference.getTest(testType);
+
+      const order = new LabOrder({
+        patientId,
+        orderedBy: req.user._id,
+        testType: catalogTest ? String(testType).toUpperCase() : testType,
+        specimenType: specimenType || catalogTest?.specimenType,
+        priority,
+        clinicalNotes,
+        encounterId
+      });
+
+      try {
+        await order.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', '),
+            code: 'INVALID_LAB_ORDER'
+          });
+        }
+        throw error;
+      }
+
+      await LabController.logLabEvent(req, order, {
+        eventType: 'CREATE',
+        action: 'CREATE_LAB_ORDER',
+        description: `Ordered ${order.testType} (${order.priority})`,
+        dataChanges: {
+          after: {
+            testType: order.testType,
+            specimenType: order.specimenType,
+            priority: order.priority
+          }
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Lab order placed',
+        data: {
+          order
+        }
+      });
+    } catch (error) {
+      console.error('Create lab order error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to place lab order',
+        code: 'LAB_ORDER_CREATE_ERROR'
+      });
+    }
+  }
+
+  // Lab orders for one patient (consent checked by the route)
+  static async getPatientOrders(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { status } = req.query;
+
+      const query = { patientId };
+      if (status) {
+        query.status = status;
+      }
+
+      let orders = await LabOrder.find(query)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('orderedBy', 'profile.firstName profile.lastName')
+        .populate('performedBy', 'profile.firstName profile.lastName');
+
+      if (req.user.role === 'patient') {
+        orders = await LabOrder.forPatientView(orders);
+      }
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'lab_result',
+        resourceId: patientId,
+        action: 'VIEW_LAB_ORDERS',
+        description: `Viewed ${orders.length} lab orders`,
+        dataAccessed: {
+          dataType: 'lab_results',
+          recordCount: orders.length
+        },
+        consentVerified: req.consentVerified,
+        consentId: req.consentId,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          orders
+        }
+      });
+    } catch (error) {
+      console.error('Get patient lab orders error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get lab orders',
+        code: 'LAB_ORDERS_ERROR'
+      });
+    }
+  }
+
+  // Worklist for technicians; doctors see the orders they placed
+  static async getOrders(req, res) {
+    try {
+      const { status, priority, limit = 100 } = req.query;
+
+      // Only patients whose lab_results consent covers this user are listed
+      const consentedPatientIds = await Consent.findConsentedPatientIds(req.user._id, 'lab_results', 'diagnosis');
+
+      const filter = { patientId: { $in: consentedPatientIds } };
+      if (req.user.role === 'doctor') {
+        filter.orderedBy = req.user._id;
+      }
+      if (priority) {
+        filter.priority = priority;
+      }
+
+      // Open statuses use worklist order; finished orders are listed newest first
+      const max = Math.min(parseInt(limit) || 100, 200);
+      const sort = ['resulted', 'cancelled'].includes(status)
+        ? { updatedAt: -1 }
+        : { priorityRank: 1, createdAt: 1 };
+      const query = status
+        ? LabOrder.find({ ...filter, status }).sort(sort).limit(max)
+        : LabOrder.findWorklist(filter, max);
+
+      const orders = await query
+        .populate(populatePatient)
+        .populate('orderedBy', 'profile.firstName profile.lastName')
+        .populate('collection.collectedBy', 'profile.firstName profile.lastName');
+
+      res.json({
+        success: true,
+        data: {
+          orders
+        }
+      });
+    } catch (error) {
+      console.error('Get lab worklist error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get lab orders',
+        code: 'LAB_WORKLIST_ERROR'
+      });
+    }
+  }
+
+  // Single order
+  static async getOrder(req, res) {
+    try {
+      const order = await LabController.findOrder(req, res, query => query
+        .populate(populatePatient)
+        .populate('orderedBy', 'profile.firstName profile.lastName')
+        .populate('performedBy', 'profile.firstName profile.lastName')
+        .populate('collection.collectedBy', 'profile.firstName profile.lastName'));
+      if (!order) return;
+
+      res.json({
+        success: true,
+        data: {
+          order,
+          test: labReference.listTests().find(test => test.code === order.testType) || null
+        }
+      });
+    } catch (error) {
+      console.error('Get lab order error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get lab order',
+        code: 'LAB_ORDER_ERROR'
+      });
+    }
+  }
+
+  // Record specimen collection (lab technician)
+  static async collectSpecimen(req, res) {
+    try {
+      const { specimenId, notes, collectedAt } = req.body;
+
+      const order = await LabController.findOrder(req, res);
+      if (!order) return;
+
+      if (!LabController.checkTransition(res, order, 'collected')) return;
+
+      order.status = 'collected';
+      order.collection = {
+        collectedBy: req.user._id,
+        collectedAt: collectedAt ? new Date(collectedAt) : new Date(),
+        specimenId,
+        notes
+      };
+      await order.save();
+
+      await LabController.logLabEvent(req, order, {
+        eventType: 'UPDATE',
+        action: 'COLLECT_LAB_SPECIMEN',
+        description: `Collected ${order.specimenType} specimen for ${order.testType}`,
+        dataChanges: {
+          before: { status: 'ordered' },
+          after: { status: 'collected', specimenId },
+          changes: ['status', 'collection']
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Specimen collection recorded',
+        data: {
+          order
+        }
+      });
+    } catch (error) {
+      console.error('Collect specimen error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record collection',
+        code: 'LAB_COLLECTION_ERROR'
+      });
+    }
+  }
+
+  // Enter or correct results before publishing (lab technician)
+  static async saveResults(req, res) {
+    try {
+      const { results } = req.body;
+
+      if (!Array.isArray(results) || results.length === 0 || results.length > MAX_RESULTS) {
+        return res.status(400).json({
+          success: false,
+          message: `Between 1 and ${MAX_RESULTS} results are required`,
+          code: 'RESULTS_REQUIRED'
+        });
+      }
+
+      const order = await LabController.findOrder(req, res);
+      if (!order) return;
+
+      if (order.status !== 'in_progress' && !LabController.checkTransition(res, order, 'in_progress')) return;
+
+      const entered = [];
+      for (const result of results) {
+        if (!result?.testName || !String(result.testName).trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Each result needs a test name',
+            code: 'INVALID_RESULT'
+          });
+        }
+
+        const classified = labReference.applyReference(order.testType, {
+          testName: String(result.testName).trim(),
+          value: result.value !== undefined && result.value !== null ? String(result.value) : undefined,
+          unit: result.unit,
+          referenceRange: result.referenceRange,
+          status: result.status,
+          notes: result.notes
+        });
+
+        if (classified.status && !RESULT_STATUSES.includes(classified.status) && classified.status !== 'pending') {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid status for ${classified.testName}`,
+            code: 'INVALID_RESULT'
+          });
+        }
+
+        entered.push({ ...classified, status: classified.status || 'pending' });
+      }
+
+      const previousStatus = order.status;
+      order.status = 'in_progress';
+      order.results = entered;
+      order.performedBy = req.user._id;
+      await order.save();
+
+      await LabController.logLabEvent(req, order, {
+        eventType: 'UPDATE',
+        action: 'ENTER_LAB_RESULTS',
+        description: `Entered ${entered.length} results for ${order.testType}`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status: 'in_progress', resultCount: entered.length },
+          changes: ['status', 'results']
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Results saved',
+        data: {
+          order
+        }
+      });
+    } catch (error) {
+      console.error('Save lab results error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save results',
+        code: 'LAB_RESULTS_ERROR'
+      });
+    }
+  }
+
+  // Publish entered results as a lab_result record for the ordering doctor to sign off
+  static async publishResults(req, res) {
+    try {
+      const { summary } = req.body;
+
+      const order = await LabController.findOrder(req, res);
+      if (!order) return;
+
+      if (!LabController.checkTransition(res, order, 'resulted')) return;
+
+      const pending = order.results.filter(result => !RESULT_STATUSES.includes(result.status));
+      if (order.results.length === 0 || pending.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: order.results.length === 0
+            ? 'Enter results before publishing'
+            : `Results still pending: ${pending.map(result => result.testName).join(', ')}`,
+          code: 'RESULTS_INCOMPLETE'
+        });
+      }
+
+      const catalogTest = labReference.getTest(order.testType);
+      const testName = catalogTest?.name || order.testType;
+      const critical = order.hasCriticalResult;
+      const abnormalCount = order.results.filter(result => result.status !== 'normal').length;
+      const resultDate = new Date();
+
+      const record = new MedicalRecord({
+        patientId: order.patientId,
+        recordType: 'lab_result',
+        providerId: req.user._id,
+        providerRole: 'lab_technician',
+        createdBy: req.user._id,
+        encounterId: order.encounterId,
+        content: {
+          title: `${testName} results`,
+          description: summary || `${order.results.length} results, ${abnormalCount} outside the reference range`,
+          labResult: {
+            testType: order.testType,
+            specimenType: order.specimenType,
+            collectionDate: order.collection?.collectedAt,
+            resultDate,
+            results: order.results.map(result => result.toObject()),
+            performedBy: order.performedBy || req.user._id
+          }
+        },
+        flags: {
+          critical,
+          followUpRequired: critical
+        }
+      });
+      // The ordering doctor signs the results off before the patient sees them
+      record.submitForReview(order.orderedBy);
+      await record.save();
+
+      order.status = 'resulted';
+      order.resultedAt = resultDate;
+      order.resultRecordId = record._id;
+      await order.save();
+
+      await Notification.notify({
+        userId: order.orderedBy,
+        type: critical ? 'lab_result_critical' : 'lab_results_available',
+        title: critical ? 'Critical lab result' : 'Lab results available',
+        message: critical
+          ? `${testName} ordered on ${order.createdAt.toDateString()} has a critical result. Review it now.`
+          : `${testName} ordered on ${order.createdAt.toDateString()} has been resulted and is waiting for your sign-off`,
+        resource: { type: 'lab_order', id: order._id }
+      });
+
+      await LabController.logLabEvent(req, order, {
+        eventType: 'CREATE',
+        resourceId: record._id,
+        action: 'PUBLISH_LAB_RESULT',
+        description: `Published ${testName} results${critical ? ' with a critical value' : ''}`,
+        dataChanges: {
+          after: {
+            orderId: order._id,
+            recordId: record._id,
+            resultCount: order.results.length,
+            critical
+          }
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Results published',
+        data: {
+          order,
+          record
+        }
+      });
+    } catch (error) {
+      console.error('Publish lab results error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to publish results',
+        code: 'LAB_PUBLISH_ERROR'
+      });
+    }
+  }
+
+  // Cancel an open order (ordering doctor or lab technician)
+  static async cancelOrder(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || reason.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A cancellation reason (at least 5 characters) is required',
+          code: 'CANCEL_REASON_REQUIRED'
+        });
+      }
+
+      const order = await LabController.findOrder(req, res);
+      if (!order) return;
+
+      if (!LabController.checkTransition(res, order, 'cancelled')) return;
+
+      const previousStatus = order.status;
+      order.status = 'cancelled';
+      order.cancellation = {
+        cancelledBy: req.user._id,
+        cancelledAt: new Date(),
+        reason: reason.trim()
+      };
+      await order.save();
+
+      await LabController.logLabEvent(req, order, {
+        eventType: 'UPDATE',
+        action: 'CANCEL_LAB_ORDER',
+        description: `Cancelled ${order.testType}: ${order.cancellation.reason}`,
+        dataChanges: {
+          before: { status: previousStatus },
+          after: { status: 'cancelled' },
+          changes: ['status', 'cancellation']
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Lab order cancelled',
+        data: {
+          order
+        }
+      });
+    } catch (error) {
+      console.error('Cancel lab order error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to cancel lab order',
+        code: 'LAB_CANCEL_ERROR'
+      });
+    }
+  }
+
+  // Route middleware: take the patient from the order in :orderId so the
+  // lab_results consent check runs against it
+  static async resolveOrderPatient(req, res, next) {
+    try {
+      const { orderId } = req.params;
+      const order = mongoose.isValidObjectId(orderId)
+        ? await LabOrder.findById(orderId).select('patientId').lean()
+        : null;
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab order not found',
+          code: 'LAB_ORDER_NOT_FOUND'
+        });
+      }
+
+      req.params.patientId = order.patientId.toString();
+      req.consentDataType = 'lab_results';
+      req.consentPurpose = 'diagnosis';
+      next();
+    } catch (error) {
+      console.error('Lab order patient resolution error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get lab order',
+        code: 'LAB_ORDER_ERROR'
+      });
+    }
+  }
+
+  // Load the order from :orderId; doctors may only act on their own orders
+  static async findOrder(req, res, decorate = query => query) {
+    const order = await decorate(LabOrder.findById(req.params.orderId));
+
+    const orderedBy = order?.orderedBy?._id || order?.orderedBy;
+    if (!order || (req.user.role === 'doctor' && orderedBy.toString() !== req.user._id.toString())) {
+      res.status(404).json({
+        success: false,
+        message: 'Lab order not found',
+        code: 'LAB_ORDER_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return order;
+  }
+
+  static checkTransition(res, order, status) {
+    if (order.canTransitionTo(status)) {
+      return true;
+    }
+    res.status(409).json({
+      success: false,
+      message: `Cannot move a ${order.status} order to ${status}`,
+      code: 'INVALID_LAB_ORDER_STATUS'
+    });
+    return false;
+  }
+
+  static async logLabEvent(req, order, { eventType, action, description, dataChanges, resourceId }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: order.patientId?._id || order.patientId,
+      resourceType: 'lab_result',
+      resourceId: resourceId || order._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = LabController;
@@ -0,0 +1,109 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Controller - The signed-in user's notification inbox
+ */
+
+class NotificationController {
+  // List own notifications (filter: unread)
+  static async getNotifications(req, res) {
+    try {
+      const { unread, limit = 20, page = 1 } = req.query;
+
+      const query = { userId: req.user._id };
+      if (unread === 'true') {
+        query.readAt = null;
+      }
+
+      const skip = (page - 1) * limit;
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ userId: req.user._id, readAt: null })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          notifications,
+          unreadCount,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get notifications',
+        code: 'NOTIFICATIONS_ERROR'
+      });
+    }
+  }
+
+  // Mark one notification as read
+  static async markAsRead(req, res) {
+    try {
+      const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.notificationId, userId: req.user._id },
+        { $set: { readAt: new Date() } },
+        { new: true }
+      );
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+          code: 'NOTIFICATION_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          notification
+        }
+      });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update notification',
+        code: 'NOTIFICATION_UPDATE_ERROR'
+      });
+    }
+  }
+
+  // Mark all own notifications as read
+  static async markAllAsRead(req, res) {
+    try {
+      const { modifiedCount } = await Notification.updateMany(
+        { userId: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          updated: modifiedCount
+        }
+      });
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update notifications',
+        code: 'NOTIFICATION_UPDATE_ERROR'
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
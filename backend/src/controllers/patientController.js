@@ -1,7 +1,16 @@
+const mongoose = require('mongoose');
 const Patient = require('../models/Patient');
 const MedicalRecord = require('../models/MedicalRecord');
+const Encounter = require('../models/Encounter');
 const Consent = require('../models/Consent');
+const Assignment = require('../models/Assignment');
+const Notification = require('../models/Notification');
 const AuditLog = require('../models/AuditLog');
+const { supportsTransactions } = require('../config/database');
+const { toCsvRow } = require('../utils/csv');
+const { buildMedicationList } = require('../utils/medications');
+const { createTextPdf } = require('../utils/pdf');
+const { flatten, diffVersions } = require('../utils/recordDiff');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -9,6 +18,25 @@ const { v4: uuidv4 } = require('uuid');
  * Implements CRUD operations with consent validation and audit logging
  */
 
+// HIPAA accounting of disclosures covers the six years before the request
+const ACCESS_REPORT_DEFAULT_YEARS = 6;
+const ACCESS_REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const ACCESS_REPORT_CSV_COLUMNS = [
+  ['accessedAt', entry => entry.accessedAt],
+  ['accessedBy', entry => entry.accessedBy],
+  ['role', entry => entry.role],
+  ['action', entry => entry.action],
+  ['dataType', entry => entry.dataType],
+  ['purpose', entry => entry.purpose],
+  ['accessBasis', entry => entry.accessBasis],
+  ['consentId', entry => entry.consentId],
+  ['emergencyReason', entry => entry.emergencyReason]
+];
+
+// Fields an amendment may change; alerts, dispensing and versioning are owned elsewhere
+const AMENDABLE_FIELDS = ['content', 'recordDate', 'department', 'encounterId', 'flags.critical', 'flags.followUpRequired', 'flags.followUpDate'];
+
 class PatientController {
   // Get patient profile (with consent validation)
   static async getPatientProfile(req, res) {
@@ -158,7 +186,7 @@ class PatientController {
   static async getMedicalRecords(req, res) {
     try {
       const { patientId } = req.params;
-      const { recordType, limit = 50, page = 1 } = req.query;
+      const { recordType, status, limit = 50, page = 1 } = req.query;
       const userId = req.user._id;
       const userRole = req.user.role;
 
@@ -173,6 +201,13 @@ class PatientController {
         query.recordType = recordType;
       }
 
+      // Patients only see records a doctor has signed off
+      if (userRole === 'patient') {
+        query.status = { $in: MedicalRecord.RELEASED_STATUSES };
+      } else if (status) {
+        query.status = status;
+      }
+
       // Get medical records with pagination
       const skip = (page - 1) * limit;
       const records = await MedicalRecord.find(query)
@@ -238,6 +273,16 @@ class PatientController {
       const userRole = req.user.role;
       const recordData = req.body;
 
+      const { overrideReason } = recordData;
+
+      // Dispensing state is owned by the pharmacy, alerts by the rules engine
+      // and status by the review workflow
+      delete recordData.dispensing;
+      delete recordData.clinicalAlerts;
+      delete recordData.overrideReason;
+      delete recordData.status;
+      delete recordData.review;
+
       // Validate provider role
       const allowedRoles = ['doctor', 'receptionist', 'lab_technician', 'pharmacist'];
       if (!allowedRoles.includes(userRole)) {
@@ -248,6 +293,14 @@ class PatientController {
         });
       }
 
+      if (recordData.encounterId && !(await Encounter.findAttachable(recordData.encounterId, patientId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Encounter not found for this patient',
+          code: 'INVALID_ENCOUNTER'
+        });
+      }
+
       // Create medical record
       const medicalRecord = new MedicalRecord({
         patientId,
@@ -257,7 +310,20 @@ class PatientController {
         ...recordData
       });
 
+      if (medicalRecord.recordType === 'prescription') {
+        const applied = await PatientController.applyPrescriptionRules(res, medicalRecord, overrideReason, userId);
+        if (!applied) return;
+      }
+
+      if (MedicalRecord.requiresReview(req.user)) {
+        const routed = await PatientController.routeForReview(res, medicalRecord, userId);
+        if (!routed) return;
+      }
+
       await medicalRecord.save();
+      await PatientController.notifyReviewer(medicalRecord);
+
+      const overridden = Boolean(medicalRecord.clinicalAlerts?.overrideReason);
 
       // Log creation
       await AuditLog.createLog({
@@ -268,7 +334,9 @@ class PatientController {
         resourceType: 'medical_record',
         resourceId: medicalRecord._id,
         action: 'CREATE_MEDICAL_RECORD',
-        description: `Created ${recordData.recordType} record for patient`,
+        description: `Created ${recordData.recordType} record for patient` +
+          `${overridden ? ' (severe clinical warning overridden)' : ''}` +
+          `${medicalRecord.status === 'pending_review' ? ' pending doctor review' : ''}`,
         dataChanges: {
           after: medicalRecord
         },
@@ -287,7 +355,9 @@ class PatientController {
 
       res.status(201).json({
         success: true,
-        message: 'Medical record created successfully',
+        message: medicalRecord.status === 'pending_review'
+          ? 'Medical record created and sent for doctor review'
+          : 'Medical record created successfully',
         data: {
           record: medicalRecord
         }
@@ -302,7 +372,352 @@ class PatientController {
     }
   }
 
-  // Get patient visits
+  // Amend a medical record: the amendment becomes the latest version and the
+  // previous version is kept in the record's history
+  static async amendMedicalRecord(req, res) {
+    try {
+      const { patientId, recordId } = req.params;
+      const userId = req.user._id;
+      const userRole = req.user.role;
+      const { reason, overrideReason, ...changes } = req.body;
+
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason for the amendment is required',
+          code: 'AMENDMENT_REASON_REQUIRED'
+        });
+      }
+
+      // Retiring the old version and saving the new one must not be split
+      if (!(await supportsTransactions())) {
+        return res.status(503).json({
+          success: false,
+          message: 'Record amendments need a MongoDB replica set',
+          code: 'TRANSACTIONS_UNAVAILABLE'
+        });
+      }
+
+      const record = mongoose.isValidObjectId(recordId)
+        ? await MedicalRecord.findOne({ _id: recordId, patientId, deletedAt: { $exists: false } })
+        : null;
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found',
+          code: 'RECORD_NOT_FOUND'
+        });
+      }
+
+      if (!record.isLatestVersion) {
+        return res.status(409).json({
+          success: false,
+          message: 'Only the latest version of a record can be amended',
+          code: 'RECORD_SUPERSEDED'
+        });
+      }
+
+      if (record.status === 'archived') {
+        return res.status(409).json({
+          success: false,
+          message: 'Archived records cannot be amended',
+          code: 'RECORD_ARCHIVED'
+        });
+      }
+
+      // Doctors may amend any record; other staff only records they wrote
+      if (userRole !== 'doctor' && record.providerId.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only amend records you created',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      const updates = Object.fromEntries(
+        Object.entries(flatten(changes))
+          .filter(([path]) => AMENDABLE_FIELDS.some(field => path === field || path.startsWith(`${field}.`)))
+      );
+
+      if (updates.encounterId && !(await Encounter.findAttachable(updates.encounterId, patientId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Encounter not found for this patient',
+          code: 'INVALID_ENCOUNTER'
+        });
+      }
+
+      const amended = record.buildNextVersion(updates, userId, String(reason).trim());
+      const changedFields = diffVersions(record, amended, MedicalRecord.VERSION_META_FIELDS);
+      if (changedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The amendment does not change the record',
+          code: 'NO_CHANGES'
+        });
+      }
+
+      // Re-run the rules against the other active medications; an override
+      // given for an unchanged medication still stands
+      if (amended.recordType === 'prescription') {
+        const medicationChanged = changedFields.some(change => change.path === 'content.prescription.medicationName');
+        const override = overrideReason || (!medicationChanged ? record.clinicalAlerts?.overrideReason : undefined);
+        const applied = await PatientController.applyPrescriptionRules(res, amended, override, userId, record._id);
+        if (!applied) return;
+      }
+
+      // Amendments by staff who need sign-off go back for review; a doctor
+      // amending a record under review signs it off in doing so
+      if (MedicalRecord.requiresReview(req.user)) {
+        const routed = await PatientController.routeForReview(res, amended, userId);
+        if (!routed) return;
+      } else if (['pending_review', 'draft'].includes(record.status)) {
+        amended.review = { reviewerId: record.review?.reviewerId };
+        amended.signOff(userId);
+      }
+
+      try {
+        await record.supersedeWith(amended);
+      } catch (saveError) {
+        if (saveError.code === 'VERSION_CONFLICT' || saveError.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'The record was amended by someone else; reload the latest version',
+            code: 'VERSION_CONFLICT'
+          });
+        }
+        throw saveError;
+      }
+      await PatientController.notifyReviewer(amended);
+
+      await AuditLog.createLog({
+        eventType: 'UPDATE',
+        userId,
+        userRole,
+        targetPatientId: patientId,
+        resourceType: 'medical_record',
+        resourceId: amended._id,
+        action: 'AMEND_MEDICAL_RECORD',
+        description: `Amended ${record.recordType} record to version ${amended.version}: ${amended.amendment.reason}`,
+        dataChanges: {
+          before: record,
+          after: amended,
+          changes: changedFields.map(change => change.path)
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Medical record amended successfully',
+        data: {
+          record: amended,
+          changes: changedFields
+        }
+      });
+    } catch (error) {
+      console.error('Amend medical record error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to amend medical record',
+        code: 'MEDICAL_RECORD_AMEND_ERROR'
+      });
+    }
+  }
+
+  // Every version of a record, oldest first, with the fields each version changed
+  static async getRecordHistory(req, res) {
+    try {
+      const { patientId, recordId } = req.params;
+
+      const chain = mongoose.isValidObjectId(recordId) ? await MedicalRecord.getVersionHistory(recordId) : [];
+
+      // Patients only see released versions; diffs run between the versions they can see
+      const versions = chain.length > 0 && chain[0].patientId.toString() === patientId
+        ? chain.filter(version => req.user.role !== 'patient' || MedicalRecord.RELEASED_STATUSES.includes(version.status))
+        : [];
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Medical record not found',
+          code: 'RECORD_NOT_FOUND'
+        });
+      }
+
+      const history = versions.map((version, index) => ({
+        ...version.toJSON(),
+        changes: index === 0 ? [] : diffVersions(versions[index - 1], version, MedicalRecord.VERSION_META_FIELDS)
+      }));
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'medical_record',
+        resourceId: versions[0]._id,
+        action: 'VIEW_RECORD_HISTORY',
+        description: `Viewed ${versions.length} versions of a ${versions[0].recordType} record`,
+        dataAccessed: {
+          recordCount: versions.length,
+          dataType: versions[0].recordType
+        },
+        consentVerified: req.consentVerified || false,
+        consentId: req.consentId,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          versions: history
+        }
+      });
+    } catch (error) {
+      console.error('Get record history error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get record history',
+        code: 'RECORD_HISTORY_ERROR'
+      });
+    }
+  }
+
+  // Run the clinical rules before a prescription is saved
+  static async checkPrescription(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { medicationName, excludeRecordId } = req.body;
+
+      if (!medicationName || !String(medicationName).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Medication name is required',
+          code: 'MEDICATION_REQUIRED'
+        });
+      }
+
+      const check = await MedicalRecord.checkPrescriptionRules(patientId, { medicationName }, excludeRecordId);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'prescription',
+        resourceId: patientId,
+        action: 'CHECK_PRESCRIPTION_RULES',
+        description: `Checked prescription against allergies and active medications (${check.warnings.length} warnings)`,
+        dataAccessed: {
+          fields: ['allergies', 'medications'],
+          dataType: 'prescriptions'
+        },
+        consentVerified: req.consentVerified || false,
+        consentId: req.consentId,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          warnings: check.warnings,
+          requiresOverride: check.requiresOverride
+        }
+      });
+    } catch (error) {
+      console.error('Check prescription error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check prescription',
+        code: 'PRESCRIPTION_CHECK_ERROR'
+      });
+    }
+  }
+
+  // Set clinical alerts and flags on a prescription being created or amended.
+  // Sends 409 and returns false when a severe warning has no override reason.
+  static async applyPrescriptionRules(res, record, overrideReason, userId, excludeRecordId = null) {
+    const check = await MedicalRecord.checkPrescriptionRules(record.patientId, record.content?.prescription, excludeRecordId);
+
+    if (check.requiresOverride && !overrideReason?.trim()) {
+      res.status(409).json({
+        success: false,
+        message: 'Severe clinical warnings require an override reason',
+        code: 'CLINICAL_OVERRIDE_REQUIRED',
+        data: {
+          warnings: check.warnings
+        }
+      });
+      return false;
+    }
+
+    record.clinicalAlerts = {
+      checkedAt: new Date(),
+      warnings: check.warnings,
+      ...(check.requiresOverride && {
+        overrideReason: overrideReason.trim(),
+        overriddenBy: userId
+      })
+    };
+    record.flags.allergyAlert = check.allergyAlert;
+    record.flags.drugInteraction = check.drugInteraction;
+    return true;
+  }
+
+  // Route a record to the patient's responsible doctor for sign-off.
+  // Sends 409 and returns false when no other doctor is assigned to the patient.
+  static async routeForReview(res, record, authorId) {
+    const patient = await Patient.findById(record.patientId).select('userId');
+    const reviewerId = patient && await Assignment.getResponsibleDoctorId(patient.userId, authorId);
+
+    if (!reviewerId) {
+      res.status(409).json({
+        success: false,
+        message: 'This record needs a doctor\'s sign-off; assign a doctor to the patient first',
+        code: 'NO_RESPONSIBLE_DOCTOR'
+      });
+      return false;
+    }
+
+    record.submitForReview(reviewerId);
+    return true;
+  }
+
+  static async notifyReviewer(record) {
+    if (record.status !== 'pending_review') return;
+
+    await Notification.notify({
+      userId: record.review.reviewerId,
+      type: 'record_review_requested',
+      title: 'Record waiting for sign-off',
+      message: `${record.content.title} (${record.recordType.replace('_', ' ')}) needs your review`,
+      resource: { type: 'medical_record', id: record._id }
+    });
+  }
+
+  // Get patient visits: encounters plus any embedded visits not yet migrated
   static async getVisits(req, res) {
     try {
       const { patientId } = req.params;
@@ -311,7 +726,8 @@ class PatientController {
       const userRole = req.user.role;
 
       // Find patient
-      const patient = await Patient.findById(patientId);
+      const patient = await Patient.findById(patientId)
+        .populate('visits.provider', 'profile.firstName profile.lastName role');
       if (!patient) {
         return res.status(404).json({
           success: false,
@@ -322,17 +738,19 @@ class PatientController {
 
       // Get visits with pagination
       const skip = (page - 1) * limit;
-      const visits = patient.visits
-        .sort({ date: -1 })
-        .slice(skip, skip + parseInt(limit));
+      const [encounters, encounterCount] = await Promise.all([
+        Encounter.find({ patientId })
+          .sort({ startTime: -1 })
+          .limit(skip + parseInt(limit))
+          .populate('providerId', 'profile.firstName profile.lastName role'),
+        Encounter.countDocuments({ patientId })
+      ]);
 
-      const total = patient.visits.length;
+      const visits = [...encounters.map(encounter => encounter.toVisit()), ...patient.visits]
+        .sort((a, b) => b.date - a.date)
+        .slice(skip, skip + parseInt(limit));
 
-      // Populate provider information
-      await Patient.populate(patient, {
-        path: 'visits.provider',
-        select: 'profile.firstName profile.lastName role'
-      });
+      const total = encounterCount + patient.visits.length;
 
       // Log access
       await AuditLog.createLog({
@@ -409,14 +827,27 @@ class PatientController {
         });
       }
 
-      // Add visit
-      const visit = {
-        ...visitData,
-        provider: userId
-      };
-
-      patient.visits.push(visit);
-      await patient.save();
+      // Visits are recorded as finished encounters
+      const encounter = new Encounter({
+        patientId,
+        providerId: userId,
+        type: visitData.type,
+        status: 'finished',
+        startTime: visitData.date || new Date(),
+        endTime: new Date(),
+        reason: visitData.chiefComplaint,
+        diagnosis: visitData.diagnosis,
+        treatment: visitData.treatment,
+        notes: visitData.notes,
+        vitals: visitData.vitals,
+        followUpRequired: visitData.followUpRequired,
+        followUpDate: visitData.followUpDate,
+        source: { type: 'walk_in' },
+        createdBy: userId,
+        closedBy: userId
+      });
+      await encounter.save();
+      const visit = encounter.toVisit();
 
       // Log creation
       await AuditLog.createLog({
@@ -424,8 +855,8 @@ class PatientController {
         userId,
         userRole,
         targetPatientId: patientId,
-        resourceType: 'patient',
-        resourceId: patientId,
+        resourceType: 'encounter',
+        resourceId: encounter._id,
         action: 'ADD_PATIENT_VISIT',
         description: `Added ${visitData.type} visit for patient`,
         dataChanges: {
@@ -448,7 +879,7 @@ class PatientController {
         success: true,
         message: 'Visit added successfully',
         data: {
-          visit: patient.visits[patient.visits.length - 1]
+          visit
         }
       });
     } catch (error) {
@@ -465,25 +896,15 @@ class PatientController {
   static async getMedications(req, res) {
     try {
       const { patientId } = req.params;
-      const { activeOnly = true } = req.query;
+      const { activeOnly = 'true' } = req.query;
       const userId = req.user._id;
       const userRole = req.user.role;
 
-      // Get medical records with prescription type
-      const query = {
-        patientId,
-        recordType: 'prescription',
-        isLatestVersion: true,
-        deletedAt: { $exists: false }
-      };
-
-      if (activeOnly === 'true') {
-        query['content.prescription.refills'] = { $gt: 0 };
-      }
-
-      const medications = await MedicalRecord.find(query)
-        .sort({ recordDate: -1 })
-        .populate('providerId', 'profile.firstName profile.lastName role');
+      // Active prescriptions are those the pharmacy has not finished dispensing
+      const [medications, patient] = await Promise.all([
+        MedicalRecord.findPrescriptionsByPatient(patientId, activeOnly !== 'false'),
+        Patient.findById(patientId).select('medicalHistory.medications')
+      ]);
 
       // Log access
       await AuditLog.createLog({
@@ -513,7 +934,11 @@ class PatientController {
       res.json({
         success: true,
         data: {
-          medications
+          medications,
+          medicationList: buildMedicationList(patient, medications.filter(record =>
+            record.status !== 'archived' &&
+            (!record.dispensing?.status || MedicalRecord.ACTIVE_DISPENSING_STATUSES.includes(record.dispensing.status))
+          ))
         }
       });
     } catch (error) {
@@ -601,6 +1026,203 @@ class PatientController {
       });
     }
   }
+
+  // Access report: every access to the patient's record by someone other than the patient
+  static async getAccessReport(req, res) {
+    try {
+      const { patientId } = req.params;
+      const format = String(req.query.format || 'json').toLowerCase();
+
+      if (!ACCESS_REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be one of: json, csv, pdf',
+          code: 'INVALID_FORMAT'
+        });
+      }
+
+      const endDate = req.query.to ? new Date(req.query.to) : new Date();
+      const startDate = req.query.from ? new Date(req.query.from) : new Date(endDate);
+      if (!req.query.from) {
+        startDate.setFullYear(startDate.getFullYear() - ACCESS_REPORT_DEFAULT_YEARS);
+      }
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid report period',
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      const patient = await Patient.findById(patientId)
+        .populate('userId', 'profile.firstName profile.lastName');
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found',
+          code: 'PATIENT_NOT_FOUND'
+        });
+      }
+
+      const logs = await AuditLog.generateAuditReport(patientId, startDate, endDate)
+        .populate('consentId', 'dataType purpose')
+        .lean();
+
+      const patientUserId = patient.userId?._id?.toString();
+      const accesses = logs
+        .filter(log => !log.userId || log.userId._id.toString() !== patientUserId)
+        .map(PatientController.formatAccessEntry);
+
+      const summary = {
+        total: accesses.length,
+        emergencyAccesses: accesses.filter(entry => entry.accessBasis === 'emergency_override').length,
+        deniedAttempts: accesses.filter(entry => entry.accessBasis === 'denied').length,
+        byRole: accesses.reduce((counts, entry) => {
+          counts[entry.role] = (counts[entry.role] || 0) + 1;
+          return counts;
+        }, {})
+      };
+
+      // Log report generation
+      await AuditLog.createLog({
+        eventType: format === 'json' ? 'READ' : 'DATA_EXPORT',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'patient',
+        resourceId: patientId,
+        action: format === 'json' ? 'VIEW_ACCESS_REPORT' : 'EXPORT_ACCESS_REPORT',
+        description: `Generated ${format.toUpperCase()} access report with ${accesses.length} entries`,
+        dataAccessed: {
+          recordCount: accesses.length,
+          dataType: 'access_report'
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      const fileName = `access-report-${patientId}-${endDate.toISOString().slice(0, 10)}`;
+
+      if (format === 'csv') {
+        const csv = [
+          toCsvRow(ACCESS_REPORT_CSV_COLUMNS.map(([name]) => name)),
+          ...accesses.map(entry => toCsvRow(ACCESS_REPORT_CSV_COLUMNS.map(([, value]) => value(entry))))
+        ].join('');
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        return res.send(csv);
+      }
+
+      if (format === 'pdf') {
+        const pdf = createTextPdf(PatientController.buildAccessReportLines(patient, startDate, endDate, accesses, summary));
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+        return res.send(pdf);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          patientId,
+          period: {
+            from: startDate,
+            to: endDate
+          },
+          summary,
+          accesses
+        }
+      });
+    } catch (error) {
+      console.error('Get access report error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate access report',
+        code: 'ACCESS_REPORT_ERROR'
+      });
+    }
+  }
+
+  // Report helper: flatten an audit log entry into an access report row
+  static formatAccessEntry(log) {
+    const isEmergency = log.eventType === 'EMERGENCY_ACCESS' || log.emergencyAccess?.isEmergency === true;
+    const accessor = log.userId?.profile;
+
+    let accessBasis = 'none';
+    if (isEmergency) {
+      accessBasis = 'emergency_override';
+    } else if (log.action === 'CONSENT_VIOLATION') {
+      accessBasis = 'denied';
+    } else if (log.consentVerified) {
+      accessBasis = 'consent';
+    } else if (log.action === 'CONSENT_BYPASS') {
+      accessBasis = 'administrator_override';
+    }
+
+    return {
+      logId: log._id,
+      accessedAt: log.systemDetails?.timestamp,
+      accessedBy: accessor ? `${accessor.firstName} ${accessor.lastName}` : 'System',
+      userId: log.userId?._id || null,
+      role: log.userRole || 'anonymous',
+      eventType: log.eventType,
+      action: log.action,
+      dataType: log.dataAccessed?.dataType || log.consentId?.dataType || log.resourceType,
+      purpose: isEmergency ? 'emergency_care' : (log.consentId?.purpose || null),
+      accessBasis,
+      consentId: log.consentId?._id || null,
+      emergencyReason: isEmergency ? (log.emergencyAccess?.emergencyReason || null) : null
+    };
+  }
+
+  // Report helper: printable lines for the PDF version
+  static buildAccessReportLines(patient, startDate, endDate, accesses, summary) {
+    const name = patient.userId?.profile
+      ? `${patient.userId.profile.firstName} ${patient.userId.profile.lastName}`
+      : 'Patient';
+    const formatDate = date => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-');
+
+    const lines = [
+      'ACCOUNTING OF DISCLOSURES - RECORD ACCESS REPORT',
+      '',
+      `Patient:    ${name} (${patient._id})`,
+      `Period:     ${formatDate(startDate)} to ${formatDate(endDate)}`,
+      `Generated:  ${formatDate(new Date())}`,
+      `Accesses:   ${summary.total} (emergency overrides: ${summary.emergencyAccesses}, denied attempts: ${summary.deniedAttempts})`,
+      '',
+      '-'.repeat(100)
+    ];
+
+    if (accesses.length === 0) {
+      lines.push('', 'No one other than you accessed your record during this period.');
+    }
+
+    accesses.forEach(entry => {
+      lines.push(
+        '',
+        `${formatDate(entry.accessedAt)}  ${entry.accessedBy} (${entry.role})`,
+        `    Action: ${entry.action}   Data: ${entry.dataType || '-'}   Purpose: ${entry.purpose || '-'}`,
+        `    Basis: ${entry.accessBasis}   Consent ID: ${entry.consentId || '-'}`
+      );
+      if (entry.emergencyReason) {
+        lines.push(`    Emergency reason: ${entry.emergencyReason}`);
+      }
+    });
+
+    return lines;
+  }
 }
 
 module.exports = PatientController;
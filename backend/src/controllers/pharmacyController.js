@@ -0,0 +1,501 @@
+const mongoose = require('mongoose');
+const MedicalRecord = require('../models/MedicalRecord');
+const PrescriptionFill = require('../models/PrescriptionFill');
+const Patient = require('../models/Patient');
+const Consent = require('../models/Consent');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { buildMedicationList } = require('../utils/medications');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Pharmacy Controller - Dispense queue and fill tracking for prescriptions
+ * Pharmacists review clinical warnings, dispense (fully or partially) and reject;
+ * each event is stored as a PrescriptionFill and the prescriber is notified
+ */
+
+const DISPENSING_STATUSES = ['queued', 'partially_filled', 'refill_available', 'completed', 'rejected'];
+
+const populatePatient = {
+  path: 'patientId',
+  select: 'userId demographics.dateOfBirth demographics.gender demographics.allergies',
+  populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+};
+
+class PharmacyController {
+  // Prescriptions waiting to be dispensed, oldest first
+  static async getQueue(req, res) {
+    try {
+      const { status, limit = 100 } = req.query;
+
+      const statuses = status
+        ? String(status).split(',').filter(value => DISPENSING_STATUSES.includes(value))
+        : ['queued', 'partially_filled'];
+
+      // Only patients whose prescriptions consent covers this pharmacist are listed
+      const consentedPatientIds = await Consent.findConsentedPatientIds(req.user._id, 'prescriptions', 'treatment');
+
+      const prescriptions = await MedicalRecord.findDispenseQueue(
+        statuses,
+        Math.min(parseInt(limit) || 100, 200),
+        { patientId: { $in: consentedPatientIds } }
+      )
+        .select('patientId providerId recordDate content.title content.prescription dispensing flags')
+        .populate(populatePatient)
+        .populate('providerId', 'profile.firstName profile.lastName');
+
+      res.json({
+        success: true,
+        data: {
+          prescriptions
+        }
+      });
+    } catch (error) {
+      console.error('Get dispense queue error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get dispense queue',
+        code: 'DISPENSE_QUEUE_ERROR'
+      });
+    }
+  }
+
+  // Prescription with fill history, clinical warnings and the patient's active medications
+  static async getPrescription(req, res) {
+    try {
+      const record = await PharmacyController.findPrescription(req, res);
+      if (!record) return;
+      await record.populate('providerId', 'profile.firstName profile.lastName');
+
+      const patientId = record.patientId._id;
+      const [fills, activePrescriptions, patient, check] = await Promise.all([
+        PrescriptionFill.find({ prescriptionId: record._id })
+          .sort({ createdAt: 1 })
+          .populate('pharmacistId', 'profile.firstName profile.lastName'),
+        MedicalRecord.findPrescriptionsByPatient(patientId, true),
+        Patient.findById(patientId).select('medicalHistory.medications'),
+        MedicalRecord.checkPrescriptionRules(patientId, record.content.prescription, record._id)
+      ]);
+
+      await AuditLog.createLog({
+        eventType: 'READ',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetPatientId: patientId,
+        resourceType: 'prescription',
+        resourceId: record._id,
+        action: 'VIEW_PRESCRIPTION',
+        description: 'Viewed prescription for dispensing',
+        dataAccessed: {
+          fields: ['prescription', 'allergies', 'medications'],
+          recordCount: activePrescriptions.length + 1,
+          dataType: 'medications'
+        },
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          prescription: record,
+          fills,
+          clinicalCheck: {
+            allergies: record.patientId.demographics?.allergies || [],
+            warnings: check.warnings,
+            requiresOverride: check.requiresOverride
+          },
+          medications: buildMedicationList(patient, activePrescriptions)
+        }
+      });
+    } catch (error) {
+      console.error('Get prescription error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get prescription',
+        code: 'PRESCRIPTION_ERROR'
+      });
+    }
+  }
+
+  // Dispense a quantity against the current fill, starting a refill when one is due
+  static async dispense(req, res) {
+    try {
+      const { quantity, reason, overrideReason, notes } = req.body;
+
+      const dispensed = parseInt(quantity);
+      if (!Number.isInteger(dispensed) || dispensed < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be a positive whole number',
+          code: 'INVALID_QUANTITY'
+        });
+      }
+
+      const record = await PharmacyController.findPrescription(req, res);
+      if (!record) return;
+
+      // Prescriptions from before the dispense queue have never been filled
+      const previous = {
+        status: record.dispensing?.status || 'queued',
+        fillNumber: record.dispensing?.fillNumber || 0,
+        quantityOutstanding: record.dispensing?.quantityOutstanding || 0
+      };
+
+      if (!['queued', 'partially_filled', 'refill_available'].includes(previous.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot dispense a ${previous.status.replace('_', ' ')} prescription`,
+          code: 'PRESCRIPTION_NOT_DISPENSABLE'
+        });
+      }
+
+      const prescription = record.content.prescription || {};
+      const check = await MedicalRecord.checkPrescriptionRules(record.patientId._id, prescription, record._id);
+
+      if (check.requiresOverride && !overrideReason?.trim()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Severe clinical warnings require an override reason to dispense',
+          code: 'CLINICAL_OVERRIDE_REQUIRED',
+          data: {
+            warnings: check.warnings
+          }
+        });
+      }
+
+      // A partially filled prescription continues the same fill; otherwise a new fill starts
+      const continuing = previous.status === 'partially_filled';
+      const startingRefill = previous.status === 'refill_available';
+      const fillNumber = continuing ? previous.fillNumber : previous.fillNumber + 1;
+      const refillsRemaining = Math.max((prescription.refills || 0) - (startingRefill ? 1 : 0), 0);
+      const owed = continuing ? previous.quantityOutstanding : (prescription.quantity || 0);
+
+      if (owed > 0 && dispensed > owed) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${owed} remaining on this fill`,
+          code: 'QUANTITY_EXCEEDS_PRESCRIBED'
+        });
+      }
+
+      const quantityOutstanding = owed > 0 ? owed - dispensed : 0;
+      const partial = quantityOutstanding > 0;
+
+      if (partial && !reason?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required for a partial fill',
+          code: 'REASON_REQUIRED'
+        });
+      }
+
+      let status = 'completed';
+      if (partial) {
+        status = 'partially_filled';
+      } else if (refillsRemaining > 0) {
+        status = 'refill_available';
+      }
+
+      const fill = new PrescriptionFill({
+        prescriptionId: record._id,
+        patientId: record.patientId._id,
+        pharmacistId: req.user._id,
+        prescriberId: record.providerId,
+        type: partial ? 'partial_fill' : 'fill',
+        fillNumber,
+        quantityDispensed: dispensed,
+        quantityOutstanding,
+        refillsRemaining,
+        reason,
+        clinicalCheck: {
+          checkedAt: new Date(),
+          allergies: record.patientId.demographics?.allergies || [],
+          warnings: check.warnings,
+          overrideReason: check.requiresOverride ? overrideReason.trim() : undefined
+        },
+        notes
+      });
+      await fill.validate();
+
+      const updated = await PharmacyController.updateDispensing(record, previous, {
+        'dispensing.status': status,
+        'dispensing.fillNumber': fillNumber,
+        'dispensing.quantityOutstanding': quantityOutstanding,
+        'dispensing.lastFilledAt': new Date(),
+        ...(startingRefill && { 'content.prescription.refills': refillsRemaining })
+      });
+      if (!updated) {
+        return PharmacyController.sendConflict(res);
+      }
+
+      await fill.save();
+
+      await Notification.notify({
+        userId: record.providerId,
+        type: partial ? 'prescription_partially_filled' : 'prescription_dispensed',
+        title: partial ? 'Prescription partially filled' : 'Prescription dispensed',
+        message: partial
+          ? `A prescription you wrote on ${record.recordDate.toDateString()} was partially filled. Open it to see the reason.`
+          : `A prescription you wrote on ${record.recordDate.toDateString()} was dispensed`,
+        resource: { type: 'prescription', id: record._id }
+      });
+
+      await PharmacyController.logPharmacyEvent(req, record, {
+        action: partial ? 'PARTIAL_FILL_PRESCRIPTION' : 'DISPENSE_PRESCRIPTION',
+        description: `Dispensed ${dispensed} on fill ${fillNumber}${partial ? `, ${quantityOutstanding} outstanding` : ''}` +
+          `${check.requiresOverride ? ' (severe clinical warning overridden)' : ''}`,
+        dataChanges: {
+          before: previous,
+          after: {
+            status,
+            fillNumber,
+            quantityOutstanding,
+            refillsRemaining,
+            fillId: fill._id
+          }
+        },
+        threatLevel: check.requiresOverride ? 'medium' : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: partial ? 'Prescription partially filled' : 'Prescription dispensed',
+        data: {
+          prescription: updated,
+          fill
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', '),
+          code: 'INVALID_FILL'
+        });
+      }
+      console.error('Dispense prescription error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to dispense prescription',
+        code: 'DISPENSE_ERROR'
+      });
+    }
+  }
+
+  // Refuse to dispense (e.g. unsafe dose, allergy, invalid prescription)
+  static async reject(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || reason.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A rejection reason of at least 5 characters is required',
+          code: 'REASON_REQUIRED'
+        });
+      }
+
+      const record = await PharmacyController.findPrescription(req, res);
+      if (!record) return;
+
+      const previous = {
+        status: record.dispensing?.status || 'queued',
+        fillNumber: record.dispensing?.fillNumber || 0,
+        quantityOutstanding: record.dispensing?.quantityOutstanding || 0
+      };
+
+      if (!['queued', 'partially_filled', 'refill_available'].includes(previous.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot reject a ${previous.status.replace('_', ' ')} prescription`,
+          code: 'PRESCRIPTION_NOT_DISPENSABLE'
+        });
+      }
+
+      const fill = new PrescriptionFill({
+        prescriptionId: record._id,
+        patientId: record.patientId._id,
+        pharmacistId: req.user._id,
+        prescriberId: record.providerId,
+        type: 'rejection',
+        refillsRemaining: record.content.prescription?.refills || 0,
+        reason: reason.trim()
+      });
+      await fill.validate();
+
+      const updated = await PharmacyController.updateDispensing(record, previous, {
+        'dispensing.status': 'rejected',
+        'dispensing.rejectedReason': fill.reason
+      });
+      if (!updated) {
+        return PharmacyController.sendConflict(res);
+      }
+
+      await fill.save();
+
+      await Notification.notify({
+        userId: record.providerId,
+        type: 'prescription_rejected',
+        title: 'Prescription rejected by pharmacy',
+        message: `A prescription you wrote on ${record.recordDate.toDateString()} was not dispensed. Open it to see the reason.`,
+        resource: { type: 'prescription', id: record._id }
+      });
+
+      await PharmacyController.logPharmacyEvent(req, record, {
+        action: 'REJECT_PRESCRIPTION',
+        description: 'Rejected prescription at the pharmacy',
+        dataChanges: {
+          before: previous,
+          after: {
+            status: 'rejected',
+            reason: fill.reason,
+            fillId: fill._id
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Prescription rejected',
+        data: {
+          prescription: updated,
+          fill
+        }
+      });
+    } catch (error) {
+      console.error('Reject prescription error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reject prescription',
+        code: 'PRESCRIPTION_REJECT_ERROR'
+      });
+    }
+  }
+
+  // Route middleware: take the patient from the prescription in :recordId so
+  // the prescriptions consent check runs against it
+  static async resolvePrescriptionPatient(req, res, next) {
+    try {
+      const { recordId } = req.params;
+      const record = mongoose.isValidObjectId(recordId)
+        ? await MedicalRecord.findOne({
+          _id: recordId,
+          recordType: 'prescription',
+          deletedAt: { $exists: false }
+        })
+          .select('patientId')
+          .lean()
+        : null;
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prescription not found',
+          code: 'PRESCRIPTION_NOT_FOUND'
+        });
+      }
+
+      req.params.patientId = record.patientId.toString();
+      req.consentDataType = 'prescriptions';
+      req.consentPurpose = 'treatment';
+      next();
+    } catch (error) {
+      console.error('Prescription patient resolution error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get prescription',
+        code: 'PRESCRIPTION_ERROR'
+      });
+    }
+  }
+
+  // Load the current version of the prescription in :recordId
+  static async findPrescription(req, res) {
+    const record = await MedicalRecord.findOne({
+      _id: req.params.recordId,
+      recordType: 'prescription',
+      isLatestVersion: true,
+      status: { $in: MedicalRecord.RELEASED_STATUSES },
+      deletedAt: { $exists: false }
+    })
+      .populate(populatePatient);
+
+    if (!record || !record.patientId) {
+      res.status(404).json({
+        success: false,
+        message: 'Prescription not found',
+        code: 'PRESCRIPTION_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return record;
+  }
+
+  // Apply the update only if nobody else dispensed since the record was read
+  static async updateDispensing(record, previous, changes) {
+    return MedicalRecord.findOneAndUpdate(
+      {
+        _id: record._id,
+        isLatestVersion: true,
+        'dispensing.status': record.dispensing?.status ?? null,
+        'dispensing.fillNumber': record.dispensing?.fillNumber ?? null,
+        'dispensing.quantityOutstanding': record.dispensing?.quantityOutstanding ?? null
+      },
+      { $set: changes },
+      { new: true }
+    );
+  }
+
+  static sendConflict(res) {
+    return res.status(409).json({
+      success: false,
+      message: 'Prescription was updated by someone else. Reload and try again.',
+      code: 'PRESCRIPTION_CONFLICT'
+    });
+  }
+
+  static async logPharmacyEvent(req, record, { action, description, dataChanges, threatLevel }) {
+    await AuditLog.createLog({
+      eventType: 'UPDATE',
+      userId: req.user._id,
+      userRole: req.user.role,
+      targetPatientId: record.patientId._id,
+      targetUserId: record.providerId,
+      resourceType: 'prescription',
+      resourceId: record._id,
+      action,
+      description,
+      dataChanges,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      ...(threatLevel && {
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel
+        }
+      }),
+      compliance: {
+        gdprRelevant: true,
+        hipaaRelevant: true
+      }
+    });
+  }
+}
+
+module.exports = PharmacyController;
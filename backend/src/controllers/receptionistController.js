@@ -1,4 +1,5 @@
 const Complaint = require('../models/Complaint');
+const Encounter = require('../models/Encounter');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
@@ -58,6 +59,7 @@ class ReceptionistController {
       });
 
       await complaint.save();
+      await Encounter.syncWithComplaint(complaint, req.user._id);
 
       // Populate references
       await complaint.populate('patientId', 'userId');
@@ -266,15 +268,32 @@ class ReceptionistController {
         });
       }
 
+      // Doctors may only update complaints assigned to them
+      if (userRole === 'doctor' && complaint.assignedDoctorId.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Complaint is assigned to another doctor',
+          code: 'COMPLAINT_ACCESS_DENIED'
+        });
+      }
+
+      // Enforce open -> in_progress -> resolved -> closed
+      if (!complaint.canTransitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move a ${complaint.status} complaint to ${status}`,
+          code: 'INVALID_COMPLAINT_STATUS'
+        });
+      }
+
+      const previousStatus = complaint.status;
+
       // Update complaint
-      complaint.status = status;
+      complaint.transitionTo(status, userId);
       if (resolution) complaint.resolution = resolution;
-      if (status === 'resolved' || status === 'closed') {
-        complaint.resolvedAt = new Date();
-        complaint.resolvedBy = userId;
-      }
 
       await complaint.save();
+      await Encounter.syncWithComplaint(complaint, userId);
 
       // Log update
       try {
@@ -286,7 +305,11 @@ class ReceptionistController {
           resourceType: 'complaint',
           resourceId: complaint._id,
           action: 'UPDATE_COMPLAINT_STATUS',
-          description: `Complaint status updated to: ${status}`,
+          description: `Complaint status updated from ${previousStatus} to: ${status}`,
+          dataChanges: {
+            before: { status: previousStatus },
+            after: { status }
+          },
           requestDetails: {
             ipAddress: req.ip,
             userAgent: req.get('User-Agent'),
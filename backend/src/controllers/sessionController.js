@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Session Controller - Active sessions per device
+ * Users list and sign out their own sessions; administrators can list a
+ * user's sessions and sign the user out everywhere. A revoked session's access
+ * token stops working at once and its refresh token can no longer be used.
+ */
+
+class SessionController {
+  // Active sessions of the signed-in user, most recently used first
+  static async getMySessions(req, res) {
+    try {
+      const sessions = await Session.findActiveForUser(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => session.toSummary(req.authSession._id))
+        }
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get sessions',
+        code: 'SESSIONS_FETCH_ERROR'
+      });
+    }
+  }
+
+  // Sign out one of the signed-in user's sessions (another device, or this one)
+  static async revokeMySession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const user = req.user;
+
+      const session = mongoose.isValidObjectId(sessionId)
+        ? await Session.findOne({ _id: sessionId, userId: user._id })
+        : null;
+      if (!session || !session.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      await session.revoke('user_revoked', user._id);
+
+      await AuditLog.createLog({
+        eventType: 'LOGOUT',
+        userId: user._id,
+        userRole: user.role,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'SESSION_REVOKED',
+        description: `${user.email} signed out session ${session._id} (${session.userAgent || 'unknown device'})`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        }
+      });
+
+      res.json({
+        success: true,
+        message: session._id.equals(req.authSession._id) ? 'Signed out of this device' : 'Session signed out'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sign out session',
+        code: 'SESSION_REVOKE_ERROR'
+      });
+    }
+  }
+
+  // Active sessions of any user (administrator)
+  static async getUserSessions(req, res) {
+    try {
+      const user = await SessionController.findUser(req, res);
+      if (!user) return;
+
+      const sessions = await Session.findActiveForUser(user._id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => session.toSummary())
+        }
+      });
+    } catch (error) {
+      console.error('Admin get user sessions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get user sessions',
+        code: 'SESSIONS_FETCH_ERROR'
+      });
+    }
+  }
+
+  // Force logout: revoke every session of a user (administrator)
+  static async revokeUserSessions(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || reason.trim().length < 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason of at least 5 characters is required',
+          code: 'REASON_REQUIRED'
+        });
+      }
+
+      const user = await SessionController.findUser(req, res);
+      if (!user) return;
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Administrators cannot force their own logout; sign out sessions from your account instead',
+          code: 'SELF_MODIFICATION_NOT_ALLOWED'
+        });
+      }
+
+      const revoked = await Session.revokeAllForUser(user._id, 'admin_revoked', req.user._id);
+
+      await AuditLog.createLog({
+        eventType: 'LOGOUT',
+        userId: req.user._id,
+        userRole: req.user.role,
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ADMIN_FORCE_LOGOUT',
+        description: `Administrator signed ${user.email} out of ${revoked} session(s). Reason: ${reason.trim()}`,
+        requestDetails: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          endpoint: req.originalUrl,
+          method: req.method,
+          requestId: req.requestId || uuidv4()
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'medium'
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `User signed out of ${revoked} session(s)`,
+        data: {
+          revoked
+        }
+      });
+    } catch (error) {
+      console.error('Admin force logout error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sign out user',
+        code: 'ADMIN_FORCE_LOGOUT_ERROR'
+      });
+    }
+  }
+
+  // Target user of the admin routes; sends 404 and resolves null when missing
+  static async findUser(req, res) {
+    const { userId } = req.params;
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+
+    if (!user || user.status === 'deleted') {
+      res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+      return null;
+    }
+
+    return user;
+  }
+}
+
+module.exports = SessionController;
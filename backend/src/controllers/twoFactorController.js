@@ -0,0 +1,448 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AuthController = require('./authController');
+const totp = require('../utils/totp');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Two-Factor Controller - TOTP enrollment and the second login step
+ * Enrollment stores a pending secret until a code from it is verified, then
+ * hands out single-use recovery codes once. Login with a password yields a
+ * short-lived mfa token; the code (or a recovery code) exchanged for it
+ * completes the login. Failed codes count towards the account lockout.
+ */
+
+const TWO_FACTOR_FIELDS = '+security.twoFactorSecret +security.twoFactorPendingSecret +security.twoFactorLastStep +security.twoFactorRecoveryCodes';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'Secure Healthcare';
+
+class TwoFactorController {
+  // Two-factor status of the signed-in account
+  static async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      res.json({
+        success: true,
+        data: TwoFactorController.statusOf(user)
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get two-factor status',
+        code: 'MFA_STATUS_ERROR'
+      });
+    }
+  }
+
+  // Start enrollment for the signed-in account: new secret and otpauth URI
+  static async setup(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.security.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'MFA_ALREADY_ENABLED'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Enter a code from your authenticator app to finish enrollment',
+        data: await TwoFactorController.startEnrollment(user)
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor enrollment',
+        code: 'MFA_SETUP_ERROR'
+      });
+    }
+  }
+
+  // Finish enrollment for the signed-in account with a code from the pending secret
+  static async enable(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.security.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'MFA_ALREADY_ENABLED'
+        });
+      }
+
+      if (!user.security.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor enrollment first',
+          code: 'MFA_SETUP_REQUIRED'
+        });
+      }
+
+      const step = totp.verifyCode(totp.decryptSecret(user.security.twoFactorPendingSecret), req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          code: 'INVALID_MFA_CODE'
+        });
+      }
+
+      const recoveryCodes = await TwoFactorController.activate(req, user, step);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+        data: {
+          ...TwoFactorController.statusOf(user),
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to enable two-factor authentication',
+        code: 'MFA_ENABLE_ERROR'
+      });
+    }
+  }
+
+  // Turn two-factor off (password and a current code; not allowed where the role requires it)
+  static async disable(req, res) {
+    try {
+      const { password, code } = req.body;
+
+      if (totp.isTwoFactorRequired(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Two-factor authentication is required for the ${req.user.role} role`,
+          code: 'MFA_REQUIRED_BY_POLICY'
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+      if (!user.security.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled',
+          code: 'MFA_NOT_ENABLED'
+        });
+      }
+
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect',
+          code: 'INVALID_CURRENT_PASSWORD'
+        });
+      }
+
+      if (await TwoFactorController.useCode(user, code) === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          code: 'INVALID_MFA_CODE'
+        });
+      }
+
+      user.clearTwoFactor();
+      await user.save();
+
+      await TwoFactorController.logTwoFactorEvent(req, user, {
+        action: 'TWO_FACTOR_DISABLED',
+        description: `Two-factor authentication disabled by ${user.email}`
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+        data: TwoFactorController.statusOf(user)
+      });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to disable two-factor authentication',
+        code: 'MFA_DISABLE_ERROR'
+      });
+    }
+  }
+
+  // Replace the recovery codes (requires a current code); the old ones stop working
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.security.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled',
+          code: 'MFA_NOT_ENABLED'
+        });
+      }
+
+      if (await TwoFactorController.useCode(user, req.body.code) === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code',
+          code: 'INVALID_MFA_CODE'
+        });
+      }
+
+      const recoveryCodes = TwoFactorController.issueRecoveryCodes(user);
+      await user.save();
+
+      await TwoFactorController.logTwoFactorEvent(req, user, {
+        action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+        description: `Recovery codes regenerated by ${user.email}`
+      });
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. They are shown only once.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to regenerate recovery codes',
+        code: 'MFA_RECOVERY_CODES_ERROR'
+      });
+    }
+  }
+
+  // Enrollment during login for roles that require two-factor (mfa token in the body)
+  static async setupLogin(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.security.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'MFA_ALREADY_ENABLED'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Enter a code from your authenticator app to finish signing in',
+        data: await TwoFactorController.startEnrollment(user)
+      });
+    } catch (error) {
+      console.error('Two-factor login setup error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor enrollment',
+        code: 'MFA_SETUP_ERROR'
+      });
+    }
+  }
+
+  // Second login step: a TOTP code or a recovery code for the mfa token
+  static async verifyLogin(req, res) {
+    try {
+      const user = req.user;
+      const { code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor code or recovery code required',
+          code: 'MFA_CODE_REQUIRED'
+        });
+      }
+
+      // Enrollment during login: the first code from the pending secret enables two-factor
+      if (!user.security.twoFactorEnabled) {
+        if (!user.security.twoFactorPendingSecret) {
+          return res.status(400).json({
+            success: false,
+            message: 'Start two-factor enrollment first',
+            code: 'MFA_SETUP_REQUIRED'
+          });
+        }
+
+        const step = totp.verifyCode(totp.decryptSecret(user.security.twoFactorPendingSecret), code);
+        if (step === null) {
+          return TwoFactorController.rejectLoginCode(req, res, user, 'Invalid enrollment code');
+        }
+
+        const recoveryCodes = await TwoFactorController.activate(req, user, step);
+        return AuthController.completeLogin(req, res, user, { method: 'totp', data: { recoveryCodes } });
+      }
+
+      if (recoveryCode) {
+        // One conditional update, so two logins racing with the same code cannot both use it
+        const hash = totp.hashRecoveryCode(recoveryCode);
+        const { modifiedCount } = await User.updateOne(
+          { _id: user._id, 'security.twoFactorRecoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+          { $set: { 'security.twoFactorRecoveryCodes.$.usedAt': new Date() } }
+        );
+        if (modifiedCount === 0) {
+          return TwoFactorController.rejectLoginCode(req, res, user, 'Invalid recovery code');
+        }
+
+        const remaining = (user.security.twoFactorRecoveryCodes || []).filter(item => !item.usedAt && item.hash !== hash).length;
+
+        await TwoFactorController.logTwoFactorEvent(req, user, {
+          eventType: 'LOGIN',
+          action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+          description: `Recovery code used to sign in as ${user.email}; ${remaining} remaining`,
+          threatLevel: 'medium'
+        });
+
+        return AuthController.completeLogin(req, res, user, {
+          method: 'recovery_code',
+          data: { recoveryCodesRemaining: remaining }
+        });
+      }
+
+      if (await TwoFactorController.useCode(user, code) === null) {
+        return TwoFactorController.rejectLoginCode(req, res, user, 'Invalid two-factor code');
+      }
+
+      return AuthController.completeLogin(req, res, user, { method: 'totp' });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Login failed',
+        code: 'LOGIN_ERROR'
+      });
+    }
+  }
+
+  // Count a failed second step towards the lockout and log it
+  static async rejectLoginCode(req, res, user, reason) {
+    await user.incLoginAttempts();
+
+    try {
+      await TwoFactorController.logTwoFactorEvent(req, user, {
+        eventType: 'LOGIN',
+        action: 'LOGIN_2FA_FAILED',
+        description: `Failed two-factor login for ${user.email}: ${reason}`,
+        threatLevel: 'medium',
+        anomalyDetails: reason
+      });
+    } catch (logError) {
+      console.warn('Audit log failed during failed two-factor login:', logError.message);
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: reason,
+      code: 'INVALID_MFA_CODE'
+    });
+  }
+
+  // New pending secret for the user; replaces any enrollment that was not finished
+  static async startEnrollment(user) {
+    const secret = totp.generateSecret();
+
+    user.security.twoFactorPendingSecret = totp.encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri(secret, user.email, issuer()),
+      digits: totp.DIGITS,
+      period: totp.STEP_SECONDS
+    };
+  }
+
+  // Promote the pending secret, issue recovery codes and log the enrollment
+  static async activate(req, user, step) {
+    user.security.twoFactorSecret = user.security.twoFactorPendingSecret;
+    user.security.twoFactorPendingSecret = undefined;
+    user.security.twoFactorEnabled = true;
+    user.security.twoFactorEnabledAt = new Date();
+    user.security.twoFactorLastStep = step;
+    const recoveryCodes = TwoFactorController.issueRecoveryCodes(user);
+    await user.save();
+
+    await TwoFactorController.logTwoFactorEvent(req, user, {
+      action: 'TWO_FACTOR_ENABLED',
+      description: `Two-factor authentication enabled for ${user.email}`
+    });
+
+    return recoveryCodes;
+  }
+
+  // Replace the stored recovery code hashes; returns the plain codes to show once
+  static issueRecoveryCodes(user) {
+    const codes = totp.generateRecoveryCodes();
+    user.security.twoFactorRecoveryCodes = codes.map(code => ({ hash: totp.hashRecoveryCode(code) }));
+    return codes;
+  }
+
+  // Time step of a valid, unused code from the enabled secret, otherwise null.
+  // The step is claimed with one conditional update, so two requests racing with
+  // the same code cannot both use it.
+  static async useCode(user, code) {
+    if (!user.security.twoFactorSecret) return null;
+
+    const step = totp.verifyCode(totp.decryptSecret(user.security.twoFactorSecret), code, {
+      afterStep: user.security.twoFactorLastStep ?? -1
+    });
+    if (step === null) return null;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'security.twoFactorLastStep': { $lt: step } },
+          { 'security.twoFactorLastStep': null }
+        ]
+      },
+      { $set: { 'security.twoFactorLastStep': step } }
+    );
+    return modifiedCount === 0 ? null : step;
+  }
+
+  static statusOf(user) {
+    return {
+      enabled: user.security.twoFactorEnabled,
+      enabledAt: user.security.twoFactorEnabledAt,
+      required: totp.isTwoFactorRequired(user.role),
+      enrollmentPending: !user.security.twoFactorEnabled && !!user.security.twoFactorPendingSecret,
+      recoveryCodesRemaining: (user.security.twoFactorRecoveryCodes || []).filter(item => !item.usedAt).length
+    };
+  }
+
+  static async logTwoFactorEvent(req, user, { eventType = 'UPDATE', action, description, threatLevel = 'low', anomalyDetails }) {
+    await AuditLog.createLog({
+      eventType,
+      userId: user._id,
+      userRole: user.role,
+      resourceType: 'user',
+      resourceId: user._id,
+      action,
+      description,
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      securityEvent: {
+        isSecurityEvent: true,
+        threatLevel,
+        anomalyDetected: !!anomalyDetails,
+        anomalyDetails
+      }
+    });
+  }
+}
+
+module.exports = TwoFactorController;
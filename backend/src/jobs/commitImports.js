@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const ImportBatch = require('../models/ImportBatch');
+const ImportRow = require('../models/ImportRow');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Commit Imports Job - Imports the validated rows of committing import batches
+ * Rows are committed in chunks, oldest batch first, until the time budget runs
+ * out; the next run carries on. Each row creates the user, patient and records
+ * under the IDs fixed at validation, skipping any that already exist, so a row
+ * interrupted halfway is finished rather than duplicated.
+ */
+
+const CHUNK_SIZE = 50;
+const TIME_BUDGET_MS = 4 * 60 * 1000;
+
+// Imported accounts get an unusable random password and stay inactive until an
+// administrator activates them
+const createImportedUser = (row) => new User({
+  _id: row.ids.userId,
+  ...row.data.user,
+  password: crypto.randomBytes(32).toString('base64url'),
+  role: 'patient',
+  status: 'inactive'
+}).save();
+
+// Audit entries carry the batch ID as request ID, like the batch's own entries
+const batchRequestDetails = (batch) => ({
+  ipAddress: batch.requestedFrom?.ipAddress || '127.0.0.1',
+  userAgent: batch.requestedFrom?.userAgent || 'unknown',
+  endpoint: 'job:commit-imports',
+  method: 'POST',
+  requestId: String(batch._id)
+});
+
+const commitRow = async (row, batch) => {
+  const { ids, data } = row;
+
+  // The email may have been registered since the file was validated
+  const owner = await User.findOne({ email: row.email }).select('_id');
+  if (owner && !owner._id.equals(ids.userId)) {
+    throw new Error('Email was registered by another account after validation');
+  }
+
+  const created = { user: !owner, patient: false, records: [] };
+
+  try {
+    if (created.user) {
+      await createImportedUser(row);
+    }
+
+    if (!(await Patient.exists({ _id: ids.patientId }))) {
+      await new Patient({ _id: ids.patientId, userId: ids.userId, ...data.patient }).save();
+      created.patient = true;
+    }
+
+    const existingRecords = new Set((await MedicalRecord.find({ _id: { $in: ids.recordIds } }).distinct('_id')).map(String));
+    for (const [index, record] of data.records.entries()) {
+      const recordId = ids.recordIds[index];
+      if (existingRecords.has(String(recordId))) continue;
+
+      await new MedicalRecord({
+        _id: recordId,
+        ...record,
+        patientId: ids.patientId,
+        createdBy: batch.createdBy,
+        // Legacy records were signed off in the old system, and their
+        // prescriptions must not reach the dispense queue
+        status: 'approved',
+        ...(record.recordType === 'prescription' && { dispensing: { status: 'completed', fillNumber: 0 } })
+      }).save();
+      created.records.push(recordId);
+    }
+  } catch (error) {
+    // Undo this attempt so a corrected file can import the patient later
+    await MedicalRecord.deleteMany({ _id: { $in: created.records } });
+    if (created.patient) await Patient.deleteOne({ _id: ids.patientId });
+    if (created.user) await User.deleteOne({ _id: ids.userId });
+    throw error;
+  }
+
+  row.status = 'imported';
+  row.importedAt = new Date();
+  row.data = undefined;
+  await row.save();
+
+  await AuditLog.createLog({
+    eventType: 'CREATE',
+    userId: batch.commit.requestedBy,
+    userRole: 'administrator',
+    targetUserId: ids.userId,
+    targetPatientId: ids.patientId,
+    resourceType: 'patient',
+    resourceId: ids.patientId,
+    action: 'IMPORT_PATIENT',
+    description: `Imported patient with ${data.records.length} medical records from ${batch.format} import batch ${batch._id} (${row.location})`,
+    dataChanges: {
+      after: { batchId: batch._id, userId: ids.userId, patientId: ids.patientId, recordIds: ids.recordIds }
+    },
+    requestDetails: batchRequestDetails(batch),
+    compliance: {
+      gdprRelevant: true,
+      hipaaRelevant: true
+    }
+  });
+};
+
+const completeBatch = async (batch) => {
+  await batch.refreshCounts();
+
+  // Conditional so a cancel that came in meanwhile is not overwritten
+  const completed = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'committing' },
+    { $set: { status: 'completed', 'commit.completedAt': new Date(), counts: batch.counts } },
+    { new: true }
+  );
+  if (!completed) return;
+
+  await ImportRow.updateMany({ batchId: batch._id }, { $unset: { data: 1 } });
+
+  await AuditLog.createLog({
+    eventType: 'UPDATE',
+    userId: batch.commit.requestedBy,
+    userRole: 'administrator',
+    resourceType: 'system',
+    resourceId: batch._id,
+    action: 'IMPORT_COMPLETED',
+    description: `Import finished: ${batch.counts.imported} imported, ${batch.counts.failed} failed, ${batch.counts.duplicate} duplicates skipped, ${batch.counts.invalid} invalid`,
+    dataChanges: {
+      before: { status: 'committing' },
+      after: { status: 'completed', counts: batch.counts },
+      changes: ['status']
+    },
+    requestDetails: batchRequestDetails(batch)
+  });
+};
+
+module.exports = {
+  name: 'commit-imports',
+  description: 'Import validated rows of committed patient import batches',
+  intervalMs: 60 * 1000,
+  lockTtlMs: TIME_BUDGET_MS + 5 * 60 * 1000,
+  initialDelayMs: 15 * 1000,
+
+  async run() {
+    const deadline = Date.now() + TIME_BUDGET_MS;
+    const result = { imported: 0, failed: 0, completedBatches: 0 };
+
+    while (Date.now() < deadline) {
+      const batch = await ImportBatch.findNextToCommit();
+      if (!batch) break;
+
+      const rows = await ImportRow.find({ batchId: batch._id, status: 'pending' })
+        .sort({ index: 1 })
+        .limit(CHUNK_SIZE);
+
+      if (rows.length === 0) {
+        await completeBatch(batch);
+        result.completedBatches++;
+        continue;
+      }
+
+      for (const row of rows) {
+        if (Date.now() >= deadline) break;
+
+        try {
+          await commitRow(row, batch);
+          result.imported++;
+        } catch (error) {
+          row.status = 'failed';
+          row.issues.push({ location: row.location, field: 'commit', message: error.message });
+          await row.save();
+          result.failed++;
+        }
+      }
+
+      // Progress for GET /api/admin/imports/:batchId; a cancel in the meantime stands
+      await batch.refreshCounts();
+      await ImportBatch.updateOne({ _id: batch._id }, { $set: { counts: batch.counts } });
+    }
+
+    return {
+      ...result,
+      moreRemaining: Boolean(await ImportBatch.exists({ status: 'committing' }))
+    };
+  }
+};
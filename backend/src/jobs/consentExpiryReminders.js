@@ -0,0 +1,77 @@
+const Consent = require('../models/Consent');
+const Notification = require('../models/Notification');
+
+/**
+ * Consent Expiry Reminders Job - Notifies the patient and the recipient
+ * CONSENT_REMINDER_DAYS (default 14) days before a consent's validUntil,
+ * so the recipient can request a renewal before access lapses
+ */
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'consent-expiry-reminders',
+  description: 'Notify patients and recipients of consents expiring soon',
+  intervalMs: 60 * 60 * 1000,
+
+  async run() {
+    const reminderDays = parseInt(process.env.CONSENT_REMINDER_DAYS) || 14;
+    const now = new Date();
+
+    const consents = await Consent.find({
+      status: 'active',
+      validUntil: { $gt: now, $lte: new Date(now.getTime() + reminderDays * DAY_MS) },
+      expiryReminderSentAt: null
+    })
+      .select('patientId recipientId dataType purpose validUntil')
+      .populate('patientId', 'userId')
+      .populate('recipientId', 'profile.firstName profile.lastName role')
+      .limit(BATCH_SIZE);
+
+    let reminded = 0;
+    let alreadyRenewed = 0;
+
+    for (const consent of consents) {
+      // No reminder once the patient has approved the next version
+      const renewed = await Consent.exists({ previousVersionId: consent._id, status: 'active' });
+
+      if (renewed) {
+        alreadyRenewed++;
+      } else {
+        const dataType = consent.dataType.replace('_', ' ');
+        const expires = consent.validUntil.toDateString();
+        const recipient = consent.recipientId;
+
+        if (consent.patientId?.userId) {
+          await Notification.notify({
+            userId: consent.patientId.userId,
+            type: 'consent_expiring',
+            title: 'Consent expiring soon',
+            message: `Your ${dataType} consent for ${recipient?.profile?.firstName} ${recipient?.profile?.lastName} (${recipient?.role}) expires on ${expires}`,
+            resource: { type: 'consent', id: consent._id }
+          });
+        }
+
+        if (recipient) {
+          await Notification.notify({
+            userId: recipient._id,
+            type: 'consent_expiring',
+            title: 'Patient consent expiring soon',
+            message: `A patient's ${dataType} consent for ${consent.purpose.replace('_', ' ')} expires on ${expires}. Request a renewal to keep access.`,
+            resource: { type: 'consent', id: consent._id }
+          });
+        }
+        reminded++;
+      }
+
+      await Consent.updateOne({ _id: consent._id }, { $set: { expiryReminderSentAt: now } });
+    }
+
+    return {
+      reminded,
+      alreadyRenewed,
+      moreRemaining: consents.length === BATCH_SIZE
+    };
+  }
+};
@@ -0,0 +1,50 @@
+const Assignment = require('../models/Assignment');
+
+/**
+ * End Assignments Job - Ends active doctor assignments whose endDate has passed
+ * Ended assignments no longer grant the doctor access to the patient
+ */
+
+module.exports = {
+  name: 'end-assignments',
+  description: 'End active doctor-patient assignments past their endDate',
+  intervalMs: 60 * 60 * 1000,
+
+  async run({ audit }) {
+    const assignments = await Assignment.find({
+      status: 'active',
+      endDate: { $lt: new Date() },
+      deletedAt: null
+    })
+      .select('doctorId patientId endDate')
+      .lean();
+
+    if (assignments.length === 0) {
+      return { ended: 0 };
+    }
+
+    const { modifiedCount } = await Assignment.updateMany(
+      { _id: { $in: assignments.map(assignment => assignment._id) }, status: 'active' },
+      { $set: { status: 'ended' } }
+    );
+
+    await audit({
+      eventType: 'UPDATE',
+      resourceType: 'system',
+      action: 'ASSIGNMENTS_ENDED',
+      description: `Ended ${modifiedCount} doctor assignments past their end date`,
+      dataChanges: {
+        before: { status: 'active' },
+        after: { status: 'ended' },
+        changes: assignments.map(assignment =>
+          `assignment ${assignment._id}: doctor ${assignment.doctorId}, patient user ${assignment.patientId}`
+        )
+      },
+      compliance: {
+        hipaaRelevant: true
+      }
+    });
+
+    return { ended: modifiedCount };
+  }
+};
@@ -0,0 +1,77 @@
+const EmergencyAccessGrant = require('../models/EmergencyAccessGrant');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * Escalate Emergency Reviews Job - Alerts every active administrator when a
+ * break-glass review passes its deadline without an outcome. Each grant is
+ * escalated once; it stays overdue in the review queue until reviewed.
+ */
+
+const BATCH_SIZE = 100;
+
+module.exports = {
+  name: 'escalate-emergency-reviews',
+  description: 'Escalate overdue emergency access reviews to administrators',
+  intervalMs: 15 * 60 * 1000,
+
+  async run({ audit }) {
+    const grants = await EmergencyAccessGrant.findOverdueReviews(BATCH_SIZE)
+      .populate('requestedBy', 'profile.firstName profile.lastName role');
+
+    if (grants.length === 0) {
+      return { escalated: 0 };
+    }
+
+    const administrators = await User.find({ role: 'administrator', status: 'active' })
+      .select('_id')
+      .lean();
+
+    for (const grant of grants) {
+      const requester = grant.requestedBy;
+      const requesterId = requester?._id || grant.requestedBy;
+
+      // The requester cannot review their own access, so they are not alerted
+      const recipients = administrators.filter(admin => admin._id.toString() !== requesterId.toString());
+
+      for (const admin of recipients) {
+        await Notification.notify({
+          userId: admin._id,
+          type: 'emergency_review_overdue',
+          title: 'Emergency access review overdue',
+          message: `Emergency access by ${requester?.profile?.firstName} ${requester?.profile?.lastName} (${grant.requesterRole}) on ${grant.grantedAt.toDateString()} was due for review on ${grant.review.dueAt.toDateString()}`,
+          resource: { type: 'emergency_access', id: grant._id }
+        });
+      }
+
+      await EmergencyAccessGrant.updateOne(
+        { _id: grant._id },
+        { $set: { 'review.escalatedAt': new Date() } }
+      );
+
+      await audit({
+        eventType: 'EMERGENCY_ACCESS',
+        targetPatientId: grant.patientId,
+        targetUserId: requesterId,
+        resourceType: 'consent',
+        resourceId: grant.consentId,
+        action: 'EMERGENCY_REVIEW_ESCALATED',
+        description: `Emergency access review overdue since ${grant.review.dueAt.toISOString()}, escalated to ${recipients.length} administrators`,
+        consentId: grant.consentId,
+        dataChanges: {
+          after: { grantId: grant._id, notified: recipients.length },
+          changes: ['review.escalatedAt']
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'medium'
+        }
+      });
+    }
+
+    return {
+      escalated: grants.length,
+      moreRemaining: grants.length === BATCH_SIZE
+    };
+  }
+};
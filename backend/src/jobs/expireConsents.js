@@ -0,0 +1,57 @@
+const Consent = require('../models/Consent');
+
+/**
+ * Expire Consents Job - Moves active consents past validUntil to "expired"
+ * The model only expires a consent when it happens to be saved; this keeps
+ * status-based queries such as findPatientConsents accurate.
+ */
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  name: 'expire-consents',
+  description: 'Mark active consents past their validUntil date as expired',
+  intervalMs: 15 * 60 * 1000,
+
+  async run({ audit }) {
+    const consents = await Consent.findExpiredConsents()
+      .select('patientId recipientId dataType validUntil')
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (consents.length === 0) {
+      return { expired: 0 };
+    }
+
+    const { modifiedCount } = await Consent.updateMany(
+      { _id: { $in: consents.map(consent => consent._id) }, status: 'active' },
+      { $set: { status: 'expired' } }
+    );
+
+    for (const consent of consents) {
+      await audit({
+        eventType: 'UPDATE',
+        targetPatientId: consent.patientId,
+        targetUserId: consent.recipientId,
+        resourceType: 'consent',
+        resourceId: consent._id,
+        action: 'CONSENT_EXPIRED',
+        description: `Consent for ${consent.dataType} expired on ${consent.validUntil.toISOString()}`,
+        dataChanges: {
+          before: { status: 'active' },
+          after: { status: 'expired' },
+          changes: ['status']
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+    }
+
+    return {
+      expired: modifiedCount,
+      moreRemaining: consents.length === BATCH_SIZE
+    };
+  }
+};
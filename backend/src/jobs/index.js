@@ -0,0 +1,21 @@
+const JobScheduler = require('./scheduler');
+const expireConsents = require('./expireConsents');
+const consentExpiryReminders = require('./consentExpiryReminders');
+const endAssignments = require('./endAssignments');
+const escalateEmergencyReviews = require('./escalateEmergencyReviews');
+const purgeAuditLogs = require('./purgeAuditLogs');
+const unlockAccounts = require('./unlockAccounts');
+const commitImports = require('./commitImports');
+const purgeHl7Messages = require('./purgeHl7Messages');
+
+/**
+ * Background Jobs - Shared scheduler instance with the built-in housekeeping jobs
+ * Additional jobs can be added with scheduler.register(definition)
+ */
+
+const scheduler = new JobScheduler();
+
+[expireConsents, consentExpiryReminders, endAssignments, escalateEmergencyReviews, purgeAuditLogs, unlockAccounts, commitImports, purgeHl7Messages]
+  .forEach(job => scheduler.register(job));
+
+module.exports = { scheduler };
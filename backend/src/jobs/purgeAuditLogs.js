@@ -0,0 +1,83 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Purge Audit Logs Job - Deletes audit entries older than their compliance.retentionPeriod
+ * Only a contiguous prefix of the hash chain is removed, so the remaining
+ * entries still verify from the oldest survivor (see AuditLog.verifyChain).
+ */
+
+const DEFAULT_RETENTION_YEARS = 7;
+
+const yearsAgo = (years, from) => {
+  const date = new Date(from);
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+};
+
+module.exports = {
+  name: 'purge-audit-logs',
+  description: 'Delete audit log entries past their compliance retention period',
+  intervalMs: 24 * 60 * 60 * 1000,
+  lockTtlMs: 2 * 60 * 60 * 1000,
+
+  async run({ audit }) {
+    const now = new Date();
+    const periods = (await AuditLog.distinct('compliance.retentionPeriod'))
+      .filter(period => typeof period === 'number' && period > 0);
+
+    // One condition per distinct retention period; entries without one use the HIPAA default
+    const expired = periods.map(period => ({
+      'compliance.retentionPeriod': period,
+      'systemDetails.timestamp': { $lt: yearsAgo(period, now) }
+    }));
+    expired.push({
+      'compliance.retentionPeriod': { $exists: false },
+      'systemDetails.timestamp': { $lt: yearsAgo(DEFAULT_RETENTION_YEARS, now) }
+    });
+
+    // The oldest chained entry still under retention bounds the purge. The chain
+    // head is always kept so new entries have a predecessor to link to.
+    const [oldestRetained, head] = await Promise.all([
+      AuditLog.findOne({ 'signature.sequence': { $exists: true }, $nor: expired })
+        .sort({ 'signature.sequence': 1 })
+        .select('signature.sequence')
+        .lean(),
+      AuditLog.findOne({ 'signature.sequence': { $exists: true } })
+        .sort({ 'signature.sequence': -1 })
+        .select('signature.sequence')
+        .lean()
+    ]);
+
+    const boundary = oldestRetained?.signature.sequence ?? head?.signature.sequence ?? 0;
+
+    const { deletedCount } = await AuditLog.deleteMany({
+      $and: [
+        { $or: expired },
+        {
+          $or: [
+            { 'signature.sequence': { $lt: boundary } },
+            { 'signature.sequence': { $exists: false } }
+          ]
+        }
+      ]
+    });
+
+    if (deletedCount > 0) {
+      await audit({
+        eventType: 'DELETE',
+        resourceType: 'system',
+        action: 'AUDIT_LOG_PURGE',
+        description: `Purged ${deletedCount} audit log entries past their retention period; chain now starts at sequence ${boundary}`,
+        dataChanges: {
+          after: { deletedCount, chainStartSequence: boundary }
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+    }
+
+    return { deleted: deletedCount, chainStartSequence: boundary };
+  }
+};
@@ -0,0 +1,50 @@
+const Hl7Message = require('../models/Hl7Message');
+
+/**
+ * Purge HL7 Messages Job - Removes the raw text and patient summary of
+ * finished HL7 messages after HL7_MESSAGE_RETENTION_DAYS (default 90)
+ * The message log keeps the control ID, type, status, ACK and outcome.
+ * Queued messages keep their data until they are resolved or dismissed.
+ */
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'purge-hl7-messages',
+  description: 'Remove patient data from finished HL7 messages past their retention period',
+  intervalMs: 24 * 60 * 60 * 1000,
+
+  async run({ audit }) {
+    const retentionDays = Number(process.env.HL7_MESSAGE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+
+    const { modifiedCount } = await Hl7Message.updateMany(
+      {
+        status: { $in: Hl7Message.FINAL_STATUSES },
+        createdAt: { $lt: cutoff },
+        rawPurgedAt: { $exists: false }
+      },
+      Hl7Message.purgeUpdate()
+    );
+
+    if (modifiedCount > 0) {
+      await audit({
+        eventType: 'DELETE',
+        resourceType: 'system',
+        action: 'HL7_MESSAGE_PURGE',
+        description: `Removed raw text and patient data from ${modifiedCount} HL7 messages older than ${retentionDays} days`,
+        dataChanges: {
+          after: { purged: modifiedCount, cutoff }
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+    }
+
+    return { purged: modifiedCount };
+  }
+};
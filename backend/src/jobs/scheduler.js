@@ -0,0 +1,184 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const AuditLog = require('../models/AuditLog');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+/**
+ * Job Scheduler - In-process runner for recurring background jobs
+ * Jobs are registered with a name, interval and run(context) handler.
+ * A lease in JobLock keeps concurrent instances from running the same job,
+ * and every attempt is recorded in JobRun.
+ */
+
+const DEFAULT_INITIAL_DELAY_MS = 30 * 1000;
+
+class JobScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Add a job definition: { name, description, intervalMs, lockTtlMs?, initialDelayMs?, enabled?, run }
+  register(definition) {
+    const { name, intervalMs, run } = definition;
+
+    if (!name || typeof run !== 'function' || !(intervalMs > 0)) {
+      throw new Error('Job definition requires a name, a positive intervalMs and a run function');
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      definition: {
+        enabled: true,
+        lockTtlMs: intervalMs,
+        initialDelayMs: DEFAULT_INITIAL_DELAY_MS,
+        ...definition
+      },
+      running: false,
+      timer: null,
+      nextRunAt: null
+    });
+
+    if (this.started) {
+      this.schedule(name);
+    }
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const name of this.jobs.keys()) {
+      this.schedule(name);
+    }
+    console.log(`⏱️  Job scheduler started with ${this.jobs.size} jobs (${this.instanceId})`);
+  }
+
+  stop() {
+    this.started = false;
+
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  // Queue the next run of a job; timers are unref'd so they never hold the process open
+  schedule(name, delayMs) {
+    const job = this.jobs.get(name);
+    if (!job || !job.definition.enabled || !this.started) return;
+
+    const delay = delayMs ?? job.definition.initialDelayMs;
+    job.nextRunAt = new Date(Date.now() + delay);
+    job.timer = setTimeout(async () => {
+      await this.runJob(name);
+      this.schedule(name, job.definition.intervalMs);
+    }, delay);
+    job.timer.unref();
+  }
+
+  // Run a job once if this instance can take its lock. Resolves to the JobRun document.
+  async runJob(name, { trigger = 'schedule' } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+    if (job.running) {
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = new Date();
+    let run;
+
+    try {
+      const acquired = await JobLock.acquire(name, this.instanceId, job.definition.lockTtlMs);
+      if (!acquired) {
+        return await JobRun.create({
+          jobName: name,
+          status: 'skipped',
+          trigger,
+          instanceId: this.instanceId,
+          startedAt,
+          finishedAt: new Date(),
+          durationMs: 0,
+          result: { reason: 'Lock held by another instance' }
+        });
+      }
+
+      run = await JobRun.create({
+        jobName: name,
+        trigger,
+        instanceId: this.instanceId,
+        startedAt
+      });
+
+      try {
+        const result = await job.definition.run(this.createContext(name, run));
+        run.status = 'succeeded';
+        run.result = result;
+      } catch (error) {
+        console.error(`Job "${name}" failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+      } finally {
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - startedAt;
+        await run.save();
+        await JobLock.release(name, this.instanceId);
+      }
+
+      return run;
+    } catch (error) {
+      // Lock or history storage unavailable (e.g. database down)
+      console.error(`Job "${name}" could not run:`, error.message);
+      return run || null;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // Context passed to job handlers
+  createContext(name, run) {
+    return {
+      jobName: name,
+      runId: run._id,
+      startedAt: run.startedAt,
+      // Audit entries written by jobs are attributed to the scheduler
+      audit: (logData) => AuditLog.createLog({
+        userRole: 'anonymous',
+        ...logData,
+        requestDetails: {
+          ipAddress: '127.0.0.1',
+          userAgent: `job-scheduler/${this.instanceId}`,
+          endpoint: `job:${name}`,
+          method: 'POST',
+          requestId: String(run._id)
+        }
+      })
+    };
+  }
+
+  // In-memory view of registered jobs for this instance
+  listJobs() {
+    return [...this.jobs.values()].map(({ definition, running, nextRunAt }) => ({
+      name: definition.name,
+      description: definition.description,
+      enabled: definition.enabled,
+      intervalMs: definition.intervalMs,
+      running,
+      nextRunAt
+    }));
+  }
+
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+}
+
+module.exports = JobScheduler;
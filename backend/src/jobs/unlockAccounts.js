@@ -0,0 +1,47 @@
+const User = require('../models/User');
+
+/**
+ * Unlock Accounts Job - Clears account lockouts whose lockUntil has passed
+ * Login already ignores an expired lock; this resets the stored state so
+ * lockout counts and admin views reflect reality.
+ */
+
+module.exports = {
+  name: 'unlock-accounts',
+  description: 'Clear expired account lockouts and reset failed login counters',
+  intervalMs: 10 * 60 * 1000,
+
+  async run({ audit }) {
+    const users = await User.find({ 'security.lockUntil': { $lte: new Date() } })
+      .select('_id role')
+      .lean();
+
+    if (users.length === 0) {
+      return { unlocked: 0 };
+    }
+
+    const { modifiedCount } = await User.updateMany(
+      { _id: { $in: users.map(user => user._id) }, 'security.lockUntil': { $lte: new Date() } },
+      {
+        $unset: { 'security.lockUntil': 1 },
+        $set: { 'security.loginAttempts': 0 }
+      }
+    );
+
+    for (const user of users) {
+      await audit({
+        eventType: 'UPDATE',
+        targetUserId: user._id,
+        resourceType: 'user',
+        resourceId: user._id,
+        action: 'ACCOUNT_UNLOCKED',
+        description: 'Account lockout expired and was cleared',
+        dataChanges: {
+          changes: ['security.lockUntil', 'security.loginAttempts']
+        }
+      });
+    }
+
+    return { unlocked: modifiedCount };
+  }
+};
@@ -1,11 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
 const { v4: uuidv4 } = require('uuid');
 
 /**
  * Authentication Middleware - JWT-based authentication
- * Implements secure token validation and user session management
+ * Implements secure token validation and user session management. Access tokens
+ * name their session and stop working when it is revoked or the password changes.
  */
 
 // Extract JWT token from request
@@ -28,8 +30,9 @@ const extractToken = (req) => {
 
 // Verify JWT token
 const verifyToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token expired');
@@ -39,6 +42,23 @@ const verifyToken = (token) => {
       throw new Error('Token verification failed');
     }
   }
+
+  // Access tokens carry no type; pending two-factor tokens share the secret but grant nothing
+  if (decoded.type) {
+    throw new Error('Invalid token');
+  }
+
+  return decoded;
+};
+
+// Active session of the user named by an access token, otherwise null
+const findActiveSession = async (decoded, user) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || !session.userId.equals(user._id)) return null;
+
+  return session;
 };
 
 // Main authentication middleware
@@ -85,9 +105,27 @@ const authenticate = async (req, res, next) => {
         lockUntil: user.security.lockUntil
       });
     }
+
+    if (user.tokenIssuedBeforePasswordChange(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please sign in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    const session = await findActiveSession(decoded, user);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please sign in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Attach user to request object
     req.user = user;
+    req.authSession = session;
     req.token = token;
     req.requestId = req.headers['x-request-id'] || uuidv4();
     
@@ -181,6 +219,7 @@ const hasPermission = (permission) => {
           'view_own_records',
           'manage_own_consent',
           'view_own_appointments',
+          'manage_own_appointments',
           'update_own_profile'
         ],
         doctor: [
@@ -194,7 +233,8 @@ const hasPermission = (permission) => {
           'view_patient_records',
           'update_vitals',
           'manage_medications',
-          'view_appointments'
+          'view_appointments',
+          'manage_appointments'
         ],
         lab_technician: [
           'view_patient_demographics',
@@ -247,8 +287,11 @@ const optionalAuth = async (req, res, next) => {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.id);
       
-      if (user && user.status === 'active' && !user.isLocked) {
+      const session = user && await findActiveSession(decoded, user);
+
+      if (session && user.status === 'active' && !user.isLocked && !user.tokenIssuedBeforePasswordChange(decoded.iat)) {
         req.user = user;
+        req.authSession = session;
         req.token = token;
         req.requestId = req.headers['x-request-id'] || uuidv4();
       }
@@ -276,7 +319,8 @@ const validateRefreshToken = async (req, res, next) => {
     
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     
-    if (decoded.type !== 'refresh') {
+    // Refresh tokens from before sessions existed carry no session or token id
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token',
@@ -292,8 +336,17 @@ const validateRefreshToken = async (req, res, next) => {
         code: 'USER_INACTIVE'
       });
     }
+
+    if (user.tokenIssuedBeforePasswordChange(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please sign in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
     
     req.user = user;
+    req.refreshClaims = { sessionId: decoded.sid, tokenId: decoded.jti };
     next();
   } catch (error) {
     return res.status(401).json({
@@ -304,6 +357,68 @@ const validateRefreshToken = async (req, res, next) => {
   }
 };
 
+// Pending two-factor login token (second login step and enrollment during login)
+const validateMfaToken = async (req, res, next) => {
+  try {
+    const { mfaToken } = req.body;
+
+    if (!mfaToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor login token required',
+        code: 'MFA_TOKEN_REQUIRED'
+      });
+    }
+
+    const decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'mfa_pending') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor login token',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      '+security.twoFactorSecret +security.twoFactorPendingSecret +security.twoFactorLastStep +security.twoFactorRecoveryCodes'
+    );
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive',
+        code: 'USER_INACTIVE'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked',
+        code: 'ACCOUNT_LOCKED',
+        lockUntil: user.security.lockUntil
+      });
+    }
+
+    if (user.tokenIssuedBeforePasswordChange(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please sign in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor login token is invalid or expired. Please sign in again.',
+      code: 'MFA_TOKEN_INVALID'
+    });
+  }
+};
+
 // Rate limiting for authentication endpoints
 const authRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
   const attempts = new Map();
@@ -381,6 +496,7 @@ module.exports = {
   hasPermission,
   optionalAuth,
   validateRefreshToken,
+  validateMfaToken,
   authRateLimit,
   canAccessPatient,
   extractToken,
@@ -1,7 +1,12 @@
 const Consent = require('../models/Consent');
 const AuditLog = require('../models/AuditLog');
+const EmergencyAccessGrant = require('../models/EmergencyAccessGrant');
+const Notification = require('../models/Notification');
+const { notifyContact } = require('../utils/contactNotifier');
 const { v4: uuidv4 } = require('uuid');
 
+const HOUR_MS = 60 * 60 * 1000;
+
 /**
  * Consent Middleware - Patient-driven consent management
  * Enforces consent validation before data access
@@ -44,15 +49,15 @@ const checkConsent = async (req, res, next) => {
     // Determine purpose based on endpoint
     const purpose = determinePurpose(req);
     
-    // Check for valid consent
-    const hasValidConsent = await Consent.checkConsent(
+    // Find the consent that authorizes this access
+    const consent = await Consent.findConsentForAccess(
       patientId,
       userId,
       dataType,
       purpose
     );
     
-    if (!hasValidConsent) {
+    if (!consent) {
       // Log consent violation
       await AuditLog.createLog({
         eventType: 'READ',
@@ -92,41 +97,52 @@ const checkConsent = async (req, res, next) => {
       });
     }
     
-    // Get the consent record for logging
-    const consent = await Consent.findValidConsent(
-      patientId,
-      userId,
-      dataType
-    );
+    // Increment access count
+    await consent.incrementAccess();
     
-    if (consent) {
-      // Increment access count
-      await consent.incrementAccess();
-      
-      // Log successful consent-verified access
-      await AuditLog.createLog({
-        eventType: 'READ',
-        userId,
-        userRole,
-        targetPatientId: patientId,
-        resourceType: 'patient',
-        resourceId: patientId,
-        action: 'CONSENT_VERIFIED_ACCESS',
-        description: `User accessed ${dataType} with valid consent`,
-        consentVerified: true,
-        consentId: consent._id,
-        requestDetails: {
-          ipAddress: req.ip,
-          userAgent: req.get('User-Agent'),
-          endpoint: req.originalUrl,
-          method: req.method,
-          requestId: req.requestId || uuidv4()
+    const isEmergency = !!consent.emergencyAccess?.isEmergency;
+    
+    // Log successful consent-verified access; break-glass reads are logged
+    // as emergency access so they show up in the post-hoc review
+    await AuditLog.createLog({
+      eventType: isEmergency ? 'EMERGENCY_ACCESS' : 'READ',
+      userId,
+      userRole,
+      targetPatientId: patientId,
+      resourceType: 'patient',
+      resourceId: patientId,
+      action: isEmergency ? 'EMERGENCY_RECORD_ACCESS' : 'CONSENT_VERIFIED_ACCESS',
+      description: isEmergency
+        ? `User accessed ${dataType} under emergency access`
+        : `User accessed ${dataType} with valid consent`,
+      consentVerified: true,
+      consentId: consent._id,
+      dataAccessed: {
+        dataType,
+        purpose
+      },
+      requestDetails: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl,
+        method: req.method,
+        requestId: req.requestId || uuidv4()
+      },
+      ...(isEmergency && {
+        emergencyAccess: {
+          isEmergency: true,
+          emergencyReason: consent.emergencyAccess.emergencyReason
+        },
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'high'
         }
-      });
-    }
+      })
+    });
     
+    req.emergencyAccess = isEmergency;
     req.consentVerified = true;
-    req.consentId = consent?._id;
+    req.consentId = consent._id;
     
     next();
   } catch (error) {
@@ -139,14 +155,23 @@ const checkConsent = async (req, res, next) => {
   }
 };
 
-// Emergency access override with justification
+// Break-glass settings: grant length (default/max hours) and review deadline
+const getEmergencyAccessConfig = () => ({
+  defaultHours: Number(process.env.EMERGENCY_ACCESS_DEFAULT_HOURS) || 4,
+  maxHours: Number(process.env.EMERGENCY_ACCESS_MAX_HOURS) || 24,
+  reviewDueHours: Number(process.env.EMERGENCY_REVIEW_DUE_HOURS) || 72
+});
+
+// Emergency access override with justification. Creates a time-limited
+// break-glass consent, notifies the patient and their emergency contacts,
+// and queues a post-hoc review.
 const emergencyAccess = async (req, res, next) => {
   try {
     const { patientId } = req.params;
     const userId = req.user._id;
     const userRole = req.user.role;
     
-    const { emergencyReason, emergencyJustification } = req.body;
+    const { emergencyReason, emergencyJustification, durationHours } = req.body;
     
     if (!emergencyReason || !emergencyJustification) {
       return res.status(400).json({
@@ -166,41 +191,146 @@ const emergencyAccess = async (req, res, next) => {
       });
     }
     
-    // Create or update consent with emergency access
-    const consent = await Consent.findOne({
+    const config = getEmergencyAccessConfig();
+    const hours = durationHours ? Number(durationHours) : config.defaultHours;
+    if (!(hours > 0 && hours <= config.maxHours)) {
+      return res.status(400).json({
+        success: false,
+        message: `Emergency access duration must be between 0 and ${config.maxHours} hours`,
+        code: 'INVALID_EMERGENCY_DURATION'
+      });
+    }
+    
+    const Patient = require('../models/Patient');
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+        code: 'PATIENT_NOT_FOUND'
+      });
+    }
+    
+    const requestDetails = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      endpoint: req.originalUrl,
+      method: req.method,
+      requestId: req.requestId || uuidv4()
+    };
+    
+    // The patient can opt out of break-glass access
+    if (patient.privacy?.emergencyAccess?.enabled === false) {
+      await AuditLog.createLog({
+        eventType: 'EMERGENCY_ACCESS',
+        userId,
+        userRole,
+        targetPatientId: patientId,
+        resourceType: 'patient',
+        resourceId: patientId,
+        action: 'EMERGENCY_ACCESS_DENIED',
+        description: `Emergency access refused, patient has disabled emergency access: ${emergencyReason}`,
+        requestDetails,
+        securityEvent: {
+          isSecurityEvent: true,
+          threatLevel: 'high'
+        },
+        compliance: {
+          gdprRelevant: true,
+          hipaaRelevant: true
+        }
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: 'The patient has disabled emergency access to their record',
+        code: 'EMERGENCY_ACCESS_DISABLED'
+      });
+    }
+    
+    const activeGrant = await EmergencyAccessGrant.findActiveGrant(patientId, userId);
+    if (activeGrant) {
+      return res.status(409).json({
+        success: false,
+        message: 'Emergency access is already active for this patient',
+        code: 'EMERGENCY_ACCESS_ACTIVE',
+        data: {
+          grantId: activeGrant._id,
+          expiresAt: activeGrant.expiresAt
+        }
+      });
+    }
+    
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + hours * HOUR_MS);
+    
+    // Break-glass consent: no patient grantor, approval comes from the review
+    const consent = new Consent({
       patientId,
       recipientId: userId,
+      recipientRole: userRole,
       dataType: 'all_records',
-      status: 'active'
+      purpose: 'emergency_care',
+      validFrom: now,
+      validUntil: expiresAt,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      emergencyAccess: {
+        isEmergency: true,
+        emergencyReason,
+        emergencyJustification
+      }
     });
+    await consent.save();
     
-    if (consent) {
-      await consent.enableEmergencyAccess(
-        emergencyReason,
-        emergencyJustification,
-        userId
-      );
-    } else {
-      // Create emergency consent
-      const newConsent = new Consent({
+    // The consent is live once saved, so it is revoked again if the grant that
+    // tracks its expiry and review cannot be recorded
+    let grant;
+    let patientNotification;
+    try {
+      grant = new EmergencyAccessGrant({
         patientId,
-        recipientId: userId,
-        recipientRole: userRole,
-        dataType: 'all_records',
-        purpose: 'emergency_care',
-        validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        grantedBy: userId, // In emergency, provider grants access
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        emergencyAccess: {
-          isEmergency: true,
-          emergencyReason,
-          emergencyJustification,
-          approvedBy: userId
+        requestedBy: userId,
+        requesterRole: userRole,
+        consentId: consent._id,
+        reason: emergencyReason,
+        justification: emergencyJustification,
+        grantedAt: now,
+        expiresAt,
+        review: {
+          dueAt: new Date(now.getTime() + config.reviewDueHours * HOUR_MS)
         }
       });
       
-      await newConsent.save();
+      // Catch an invalid grant before anyone is notified about it
+      await grant.validate();
+      
+      const requesterName = `${req.user.profile.firstName} ${req.user.profile.lastName}`;
+      patientNotification = await Notification.notify({
+        userId: patient.userId,
+        type: 'emergency_access',
+        title: 'Emergency access to your record',
+        message: `${requesterName} (${userRole}) used emergency access to your record: ${emergencyReason}. Access ends ${expiresAt.toUTCString()} and will be reviewed.`,
+        resource: { type: 'emergency_access', id: grant._id }
+      });
+      if (patientNotification) {
+        grant.notifications.patientNotifiedAt = new Date();
+      }
+      
+      // Contacts only learn that emergency access happened, not why
+      for (const contact of patient.privacy?.emergencyAccess?.contacts || []) {
+        grant.notifications.contacts.push(await notifyContact(
+          contact,
+          `Emergency access was used on the health record of a patient who lists you as an emergency contact (${now.toUTCString()}). Contact the care team for details.`
+        ));
+      }
+      
+      await grant.save();
+    } catch (error) {
+      await consent.revokeAccess('Emergency access grant could not be recorded', userId).catch(revokeError => {
+        console.error('Failed to revoke orphaned emergency consent:', revokeError);
+      });
+      throw error;
     }
     
     // Log emergency access
@@ -212,20 +342,23 @@ const emergencyAccess = async (req, res, next) => {
       resourceType: 'patient',
       resourceId: patientId,
       action: 'EMERGENCY_ACCESS_GRANTED',
-      description: `Emergency access granted: ${emergencyReason}`,
+      description: `Emergency access granted for ${hours} hours: ${emergencyReason}`,
+      consentId: consent._id,
       emergencyAccess: {
         isEmergency: true,
         emergencyReason,
-        emergencyJustification,
-        approvedBy: userId
+        emergencyJustification
       },
-      requestDetails: {
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        endpoint: req.originalUrl,
-        method: req.method,
-        requestId: req.requestId || uuidv4()
+      dataChanges: {
+        after: {
+          grantId: grant._id,
+          expiresAt,
+          reviewDueAt: grant.review.dueAt,
+          patientNotified: !!patientNotification,
+          contactsNotified: grant.notifications.contacts.filter(contact => contact.status === 'sent').length
+        }
       },
+      requestDetails,
       securityEvent: {
         isSecurityEvent: true,
         threatLevel: 'high'
@@ -236,7 +369,7 @@ const emergencyAccess = async (req, res, next) => {
       }
     });
     
-    req.emergencyAccess = true;
+    req.emergencyAccess = grant;
     next();
   } catch (error) {
     console.error('Emergency access error:', error);
@@ -250,6 +383,11 @@ const emergencyAccess = async (req, res, next) => {
 
 // Helper function to determine data type from request
 const determineDataType = (req) => {
+  // Routes that are not shaped like patient paths (the FHIR API) set the scope themselves
+  if (req.consentDataType) {
+    return req.consentDataType;
+  }
+
   const path = req.path.toLowerCase();
   const method = req.method.toUpperCase();
   
@@ -260,6 +398,7 @@ const determineDataType = (req) => {
     '/visits': 'visits',
     '/medications': 'medications',
     '/lab-results': 'lab_results',
+    '/lab-orders': 'lab_results',
     '/prescriptions': 'prescriptions',
     '/vitals': 'vital_signs'
   };
@@ -276,6 +415,10 @@ const determineDataType = (req) => {
 
 // Helper function to determine purpose from request
 const determinePurpose = (req) => {
+  if (req.consentPurpose) {
+    return req.consentPurpose;
+  }
+
   const path = req.path.toLowerCase();
   const method = req.method.toUpperCase();
   
@@ -290,7 +433,7 @@ const determinePurpose = (req) => {
   }
   
   // Diagnosis-related endpoints
-  if (path.includes('/diagnosis') || path.includes('/lab-result')) {
+  if (path.includes('/diagnosis') || path.includes('/lab-result') || path.includes('/lab-order')) {
     return 'diagnosis';
   }
   
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appointment Model - A booked slot with a doctor
+ * Flow: scheduled -> checked_in (opens an encounter), or
+ * scheduled -> cancelled / no_show
+ */
+
+// Statuses that keep the slot taken
+const ACTIVE_STATUSES = ['scheduled', 'checked_in'];
+
+const appointmentSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  startTime: {
+    type: Date,
+    required: true
+  },
+
+  endTime: {
+    type: Date,
+    required: true
+  },
+
+  location: {
+    type: String,
+    trim: true
+  },
+
+  // Matches the encounter types opened on check-in
+  type: {
+    type: String,
+    enum: ['consultation', 'follow_up', 'emergency', 'routine_checkup'],
+    default: 'consultation'
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  status: {
+    type: String,
+    enum: [...ACTIVE_STATUSES, 'cancelled', 'no_show'],
+    default: 'scheduled'
+  },
+
+  // doctorId + startTime while the appointment holds its slot; the unique
+  // index rejects a second booking of the same slot. Overlapping slots with
+  // other start times are kept apart by the booking leases in the controller.
+  slotKey: {
+    type: String
+  },
+
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Record or encounter that flagged the follow-up this appointment is for
+  followUpOf: {
+    type: {
+      type: String,
+      enum: ['medical_record', 'encounter']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+
+  rescheduleHistory: [{
+    _id: false,
+    from: Date,
+    to: Date,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: Date,
+    reason: String
+  }],
+
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  noShow: {
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    markedAt: Date
+  },
+
+  checkIn: {
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedInAt: Date,
+    encounterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Encounter'
+    }
+  },
+
+  // Set by a right-to-erasure request while the appointment is under retention
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    retainUntil: Date,
+    erasureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErasureRequest'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSchema.index({ slotKey: 1 }, { unique: true, sparse: true });
+appointmentSchema.index({ doctorId: 1, startTime: 1 });
+appointmentSchema.index({ patientId: 1, startTime: -1 });
+appointmentSchema.index({ status: 1, startTime: 1 });
+appointmentSchema.index({ 'followUpOf.id': 1 });
+
+appointmentSchema.pre('validate', function(next) {
+  this.slotKey = ACTIVE_STATUSES.includes(this.status)
+    ? `${this.doctorId}:${this.startTime?.toISOString()}`
+    : undefined;
+  next();
+});
+
+// Active appointments overlapping [startTime, endTime) for a doctor or patient
+appointmentSchema.statics.findOverlapping = function(filter, startTime, endTime, excludeId = null) {
+  return this.findOne({
+    ...filter,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+};
+
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
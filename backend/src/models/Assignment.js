@@ -141,4 +141,18 @@ assignmentSchema.statics.getDoctorPatients = function(doctorId) {
   }).populate('patientId');
 };
 
+// Doctor responsible for a patient: the most recent active assignment,
+// skipping excludeDoctorId (e.g. a junior doctor reviewing their own record)
+assignmentSchema.statics.getResponsibleDoctorId = async function(patientUserId, excludeDoctorId = null) {
+  const assignment = await this.findOne({
+    patientId: patientUserId,
+    status: 'active',
+    deletedAt: { $exists: false },
+    ...(excludeDoctorId && { doctorId: { $ne: excludeDoctorId } })
+  })
+    .sort({ createdAt: -1 })
+    .select('doctorId');
+  return assignment?.doctorId || null;
+};
+
 module.exports = mongoose.model('Assignment', assignmentSchema);
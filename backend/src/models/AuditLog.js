@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { canonicalize } = require('../utils/canonicalJson');
 
 /**
  * AuditLog Model - Immutable audit logging system
@@ -7,6 +8,12 @@ const crypto = require('crypto');
  * Critical for HIPAA accountability and GDPR compliance
  */
 
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Attempts to claim the next chain position before giving up
+const CHAIN_APPEND_RETRIES = 10;
+
 const auditLogSchema = new mongoose.Schema({
   // Event information
   eventType: {
@@ -64,6 +71,9 @@ const auditLogSchema = new mongoose.Schema({
       'prescription',
       'lab_result',
       'visit',
+      'encounter',
+      'complaint',
+      'appointment',
       'system'
     ],
     required: true
@@ -223,7 +233,8 @@ const auditLogSchema = new mongoose.Schema({
       type: String,
       default: 'SHA256'
     },
-    previousHash: String // For blockchain-like integrity
+    sequence: Number, // Position in the hash chain
+    previousHash: String // Hash of the entry at sequence - 1
   },
 
   // Deletion flag (for GDPR right to erasure)
@@ -254,6 +265,9 @@ auditLogSchema.index({ 'securityEvent.isSecurityEvent': 1 });
 auditLogSchema.index({ 'compliance.dataBreach': 1 });
 auditLogSchema.index({ 'systemDetails.timestamp': -1 });
 
+// Unique chain position; concurrent writers racing for the same slot retry
+auditLogSchema.index({ 'signature.sequence': 1 }, { unique: true, sparse: true });
+
 // Compound index for common queries
 auditLogSchema.index({
   userId: 1,
@@ -268,11 +282,9 @@ auditLogSchema.virtual('age').get(function () {
 
 // Instance methods
 auditLogSchema.methods.verifyIntegrity = function () {
-  const dataToHash = this.toString();
-  const computedHash = crypto
-    .createHash('SHA256')
-    .update(dataToHash)
-    .digest('hex');
+  const computedHash = this.constructor.computeHash(
+    this.toObject({ depopulate: true, virtuals: false, transform: false })
+  );
 
   return computedHash === this.signature.hash;
 };
@@ -366,27 +378,139 @@ auditLogSchema.statics.detectAnomalies = function (userId, hours = 24) {
   ]);
 };
 
-// Middleware for integrity verification
-auditLogSchema.pre('save', function (next) {
-  // Generate hash for integrity
-  const dataToHash = JSON.stringify({
-    eventType: this.eventType,
-    userId: this.userId,
-    action: this.action,
-    timestamp: this.systemDetails.timestamp,
-    requestId: this.requestDetails.requestId
-  });
-
-  this.signature.hash = crypto
+// Hash over the canonical form of an entry, excluding the hash itself and
+// fields maintained by Mongoose. Accepts hydrated or lean documents.
+auditLogSchema.statics.computeHash = function (entry) {
+  const {
+    __v,
+    createdAt,
+    updatedAt,
+    deletedAt,
+    signature = {},
+    ...content
+  } = entry;
+  const { hash, ...chainFields } = signature;
+
+  return crypto
     .createHash('SHA256')
-    .update(dataToHash)
+    .update(canonicalize({ ...content, signature: chainFields }))
     .digest('hex');
+};
+
+// Walk the hash chain for entries written between from and to and report
+// the first broken link. Entries written before chaining are counted only.
+auditLogSchema.statics.verifyChain = async function ({ from, to } = {}) {
+  const timeRange = {};
+  if (from) timeRange.$gte = from;
+  if (to) timeRange.$lte = to;
+
+  const rangeFilter = Object.keys(timeRange).length > 0
+    ? { 'systemDetails.timestamp': timeRange }
+    : {};
+  const chainedFilter = { ...rangeFilter, 'signature.sequence': { $exists: true } };
+
+  const [first, last, unchainedEntries] = await Promise.all([
+    this.findOne(chainedFilter).sort({ 'signature.sequence': 1 }).select('signature').lean(),
+    this.findOne(chainedFilter).sort({ 'signature.sequence': -1 }).select('signature').lean(),
+    this.countDocuments({ ...rangeFilter, 'signature.sequence': { $exists: false } })
+  ]);
 
-  // Set previous hash for chain integrity
+  const report = {
+    valid: true,
+    from: from || null,
+    to: to || null,
+    checkedEntries: 0,
+    unchainedEntries,
+    firstSequence: first ? first.signature.sequence : null,
+    lastSequence: last ? last.signature.sequence : null,
+    anchoredAtGenesis: false,
+    firstBrokenLink: null
+  };
+
+  if (!first) return report;
+
+  // Anchor the walk on the entry just before the range. Timestamps are taken
+  // before a chain slot is claimed, so walk by sequence rather than by time.
+  let expectedSequence = first.signature.sequence;
+  let expectedPreviousHash = null;
+
+  if (expectedSequence === 1) {
+    expectedPreviousHash = GENESIS_HASH;
+    report.anchoredAtGenesis = true;
+  } else {
+    const predecessor = await this.findOne({ 'signature.sequence': expectedSequence - 1 })
+      .select('signature')
+      .lean();
+    // Without a predecessor (purged by retention) the first entry is trusted as the anchor
+    expectedPreviousHash = predecessor ? predecessor.signature.hash : null;
+  }
+
+  const breakAt = (entry, reason, expected, actual) => {
+    report.valid = false;
+    report.firstBrokenLink = {
+      logId: entry ? entry._id : null,
+      sequence: entry ? entry.signature.sequence : expectedSequence,
+      timestamp: entry ? entry.systemDetails?.timestamp : null,
+      reason,
+      expected,
+      actual
+    };
+    return report;
+  };
+
+  const cursor = this.find({
+    'signature.sequence': {
+      $gte: first.signature.sequence,
+      $lte: last.signature.sequence
+    }
+  })
+    .sort({ 'signature.sequence': 1 })
+    .lean()
+    .cursor();
+
+  try {
+    for await (const entry of cursor) {
+      const { sequence, previousHash, hash } = entry.signature;
+
+      if (sequence !== expectedSequence) {
+        return breakAt(null, 'SEQUENCE_GAP', expectedSequence, sequence);
+      }
+
+      if (expectedPreviousHash !== null && previousHash !== expectedPreviousHash) {
+        return breakAt(entry, 'PREVIOUS_HASH_MISMATCH', expectedPreviousHash, previousHash);
+      }
+
+      const computedHash = this.computeHash(entry);
+      if (computedHash !== hash) {
+        return breakAt(entry, 'HASH_MISMATCH', computedHash, hash);
+      }
+
+      report.checkedEntries += 1;
+      expectedSequence = sequence + 1;
+      expectedPreviousHash = hash;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (expectedSequence <= last.signature.sequence) {
+    return breakAt(null, 'SEQUENCE_GAP', expectedSequence, null);
+  }
+
+  return report;
+};
+
+// Middleware for integrity verification
+auditLogSchema.pre('save', function (next) {
+  // Entries are append-only; the chain cannot survive in-place edits
   if (!this.isNew) {
-    this.signature.previousHash = this.signature.hash;
+    return next(new Error('Audit log entries are immutable'));
   }
 
+  this.signature.hash = this.constructor.computeHash(
+    this.toObject({ depopulate: true, virtuals: false, transform: false })
+  );
+
   next();
 });
 
@@ -402,22 +526,35 @@ auditLogSchema.statics.createLog = async function (logData) {
       systemDetails: {
         ...logData.systemDetails,
         timestamp: new Date()
-      },
-      signature: {
-        hash: crypto.createHash('SHA256')
-          .update(JSON.stringify({
-            eventType: logData.eventType,
-            userId: logData.userId,
-            action: logData.action,
-            timestamp: new Date().toISOString()
-          }))
-          .digest('hex'),
-        algorithm: 'SHA256'
       }
     };
 
-    const auditLog = new this(auditLogData);
-    return await auditLog.save();
+    // Claim the next chain position. The unique index on signature.sequence
+    // rejects a writer that lost the race, which then re-reads the head.
+    for (let attempt = 1; attempt <= CHAIN_APPEND_RETRIES; attempt++) {
+      const head = await this.findOne({ 'signature.sequence': { $exists: true } })
+        .sort({ 'signature.sequence': -1 })
+        .select('signature')
+        .lean();
+
+      const auditLog = new this({
+        ...auditLogData,
+        signature: {
+          algorithm: 'SHA256',
+          sequence: head ? head.signature.sequence + 1 : 1,
+          previousHash: head ? head.signature.hash : GENESIS_HASH
+        }
+      });
+
+      try {
+        return await auditLog.save();
+      } catch (error) {
+        const lostRace = error.code === 11000 && error.keyPattern?.['signature.sequence'];
+        if (!lostRace || attempt === CHAIN_APPEND_RETRIES) {
+          throw error;
+        }
+      }
+    }
   } catch (error) {
     console.error('Failed to create audit log:', error);
     // Don't throw error to avoid breaking main application flow
@@ -3,8 +3,20 @@ const mongoose = require('mongoose');
 /**
  * Complaint Model - Patient complaint management
  * Tracks complaints registered by receptionists for patients
+ * Flow: open -> in_progress -> resolved -> closed
  */
 
+// Statuses a complaint may move to from each status
+const TRANSITIONS = {
+  open: ['in_progress'],
+  in_progress: ['resolved'],
+  resolved: ['closed'],
+  closed: []
+};
+
+// Inbox sort order, most urgent first
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
 const complaintSchema = new mongoose.Schema({
   // Patient reference
   patientId: {
@@ -38,16 +50,44 @@ const complaintSchema = new mongoose.Schema({
 
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: PRIORITIES,
     default: 'medium'
   },
 
   status: {
     type: String,
-    enum: ['open', 'in_progress', 'resolved', 'closed'],
+    enum: Object.keys(TRANSITIONS),
     default: 'open'
   },
 
+  // Set when the assigned doctor accepts the complaint; cleared on reassignment
+  acceptedAt: {
+    type: Date
+  },
+
+  // Progress notes and reassignment reasons
+  notes: [{
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['progress', 'reassign'],
+      required: true
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Resolution details
   resolution: {
     type: String,
@@ -59,6 +99,12 @@ const complaintSchema = new mongoose.Schema({
     ref: 'User'
   },
 
+  // Encounter the complaint opened; follows the complaint's status
+  encounterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Encounter'
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -73,6 +119,10 @@ const complaintSchema = new mongoose.Schema({
 
   resolvedAt: {
     type: Date
+  },
+
+  closedAt: {
+    type: Date
   }
 });
 
@@ -87,4 +137,22 @@ complaintSchema.index({ patientId: 1, createdAt: -1 });
 complaintSchema.index({ assignedDoctorId: 1, status: 1 });
 complaintSchema.index({ status: 1, priority: 1 });
 
+complaintSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Move to the next status, stamping who and when
+complaintSchema.methods.transitionTo = function(status, userId) {
+  this.status = status;
+  if (status === 'resolved') {
+    this.resolvedAt = new Date();
+    this.resolvedBy = userId;
+  } else if (status === 'closed') {
+    this.closedAt = new Date();
+  }
+};
+
+complaintSchema.statics.TRANSITIONS = TRANSITIONS;
+complaintSchema.statics.PRIORITIES = PRIORITIES;
+
 module.exports = mongoose.model('Complaint', complaintSchema);
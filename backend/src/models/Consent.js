@@ -102,7 +102,10 @@ const consentSchema = new mongoose.Schema({
   grantedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true // Patient user ID
+    // Patient user ID; break-glass consents have no grantor until reviewed
+    required: function() {
+      return !this.emergencyAccess?.isEmergency;
+    }
   },
   
   grantedAt: {
@@ -154,6 +157,17 @@ const consentSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+
+  // Consent this one renews (version is the previous version + 1)
+  previousVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consent'
+  },
+
+  // When the patient and recipient were reminded of the upcoming expiry
+  expiryReminderSentAt: {
+    type: Date
+  },
   
   // Digital signature verification
   signature: {
@@ -194,6 +208,7 @@ consentSchema.index({ recipientId: 1, status: 1 });
 consentSchema.index({ validUntil: 1 });
 consentSchema.index({ status: 1, validUntil: 1 });
 consentSchema.index({ grantedAt: -1 });
+consentSchema.index({ previousVersionId: 1 });
 
 // Virtual for checking if consent is currently valid
 consentSchema.virtual('isValid').get(function() {
@@ -248,22 +263,15 @@ consentSchema.methods.incrementAccess = function() {
   return this.save();
 };
 
-consentSchema.methods.enableEmergencyAccess = function(reason, justification, approvedBy) {
-  this.emergencyAccess = {
-    isEmergency: true,
-    emergencyReason: reason,
-    emergencyJustification: justification,
-    approvedBy: approvedBy
-  };
-  return this.save();
-};
-
 // Static methods
 consentSchema.statics.findValidConsent = function(patientId, recipientId, dataType) {
   return this.findOne({
     patientId,
     recipientId,
-    dataType,
+    $or: [
+      { dataType },
+      { dataType: 'all_records' }
+    ],
     status: 'active',
     validFrom: { $lte: new Date() },
     validUntil: { $gte: new Date() }
@@ -283,7 +291,11 @@ consentSchema.statics.findRecipientConsents = function(recipientId, status = 'ac
     recipientId, 
     status,
     validUntil: { $gte: new Date() }
-  }).populate('patientId', 'demographics');
+  }).populate({
+    path: 'patientId',
+    select: 'demographics userId',
+    populate: { path: 'userId', select: 'profile.firstName profile.lastName' }
+  });
 };
 
 consentSchema.statics.findExpiredConsents = function() {
@@ -293,33 +305,61 @@ consentSchema.statics.findExpiredConsents = function() {
   });
 };
 
-consentSchema.statics.checkConsent = async function(patientId, recipientId, dataType, purpose) {
-  const consent = await this.findOne({
-    patientId,
+// Whether an active, in-date consent covers access for this purpose.
+// Break-glass consents cover every data type and purpose until they expire.
+const authorizesPurpose = (consent, purpose) => {
+  // Check access limitations
+  if (consent.limitations.maxAccessCount &&
+      consent.limitations.accessCount >= consent.limitations.maxAccessCount) {
+    return false;
+  }
+
+  if (consent.emergencyAccess?.isEmergency) {
+    return true;
+  }
+
+  // Check purpose limitation
+  return consent.purpose === purpose || consent.purpose === 'treatment';
+};
+
+// Active, in-date consents of a recipient covering a data type
+const activeConsentFilter = (recipientId, dataType) => {
+  const now = new Date();
+  return {
     recipientId,
     $or: [
       { dataType },
       { dataType: 'all_records' }
     ],
     status: 'active',
-    validFrom: { $lte: new Date() },
-    validUntil: { $gte: new Date() }
-  });
-  
-  if (!consent) return false;
-  
-  // Check purpose limitation
-  if (consent.purpose !== purpose && consent.purpose !== 'treatment') {
-    return false;
-  }
-  
-  // Check access limitations
-  if (consent.limitations.maxAccessCount && 
-      consent.limitations.accessCount >= consent.limitations.maxAccessCount) {
-    return false;
-  }
-  
-  return true;
+    validFrom: { $lte: now },
+    validUntil: { $gte: now }
+  };
+};
+
+// Consent that authorizes this access, or null
+consentSchema.statics.findConsentForAccess = async function(patientId, recipientId, dataType, purpose) {
+  const consents = await this.find({
+    ...activeConsentFilter(recipientId, dataType),
+    patientId
+  }).sort({ 'emergencyAccess.isEmergency': -1, validUntil: -1 });
+
+  return consents.find(consent => authorizesPurpose(consent, purpose)) || null;
+};
+
+// Patients whose consent currently lets the recipient access a data type,
+// for filtering worklists that span patients
+consentSchema.statics.findConsentedPatientIds = async function(recipientId, dataType, purpose) {
+  const consents = await this.find(activeConsentFilter(recipientId, dataType))
+    .select('patientId purpose limitations emergencyAccess');
+
+  return [...new Set(consents
+    .filter(consent => authorizesPurpose(consent, purpose))
+    .map(consent => consent.patientId.toString()))];
+};
+
+consentSchema.statics.checkConsent = async function(patientId, recipientId, dataType, purpose) {
+  return !!(await this.findConsentForAccess(patientId, recipientId, dataType, purpose));
 };
 
 // Middleware for automatic expiration
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * ConsentRenewalRequest Model - A recipient's request to extend an expiring consent
+ * The patient approves (creating the next consent version) or declines
+ */
+
+const consentRenewalRequestSchema = new mongoose.Schema({
+  // Consent to be renewed
+  consentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consent',
+    required: true
+  },
+
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  // Consent recipient asking for the renewal
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Length of the renewed consent
+  durationDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 730
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+
+  respondedAt: {
+    type: Date
+  },
+
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Consent version created on approval
+  renewedConsentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consent'
+  }
+}, {
+  timestamps: true
+});
+
+consentRenewalRequestSchema.index({ patientId: 1, status: 1 });
+consentRenewalRequestSchema.index({ requestedBy: 1, status: 1 });
+consentRenewalRequestSchema.index({ consentId: 1, status: 1 });
+
+module.exports = mongoose.model('ConsentRenewalRequest', consentRenewalRequestSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Consent = require('./Consent');
+
+/**
+ * ConsentRequest Model - Clinician-initiated request for access to patient data
+ * The patient approves (optionally narrowing the scope), which creates a Consent, or denies
+ */
+
+const DATA_TYPES = Consent.schema.path('dataType').enumValues;
+const PURPOSES = Consent.schema.path('purpose').enumValues;
+
+// Scope used when a receptionist requests consent while assigning a doctor
+const DEFAULT_TREATMENT_REQUEST = {
+  dataType: 'all_records',
+  purpose: 'treatment',
+  durationDays: 90
+};
+
+const scopeFields = {
+  dataType: {
+    type: String,
+    enum: DATA_TYPES
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES
+  },
+  durationDays: {
+    type: Number,
+    min: 1,
+    max: 730
+  }
+};
+
+const consentRequestSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  // Clinician who would receive access
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  recipientRole: {
+    type: String,
+    enum: ['doctor', 'lab_technician', 'pharmacist'],
+    required: true
+  },
+
+  // User who filed the request (a receptionist for assignment-triggered requests)
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+
+  // Proposed scope
+  dataType: {
+    ...scopeFields.dataType,
+    required: true
+  },
+
+  purpose: {
+    ...scopeFields.purpose,
+    required: true
+  },
+
+  durationDays: {
+    ...scopeFields.durationDays,
+    required: true
+  },
+
+  justification: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+
+  respondedAt: {
+    type: Date
+  },
+
+  // Scope the patient actually granted, when it differs from the proposal
+  grantedScope: scopeFields,
+
+  denialReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Consent created on approval
+  consentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consent'
+  }
+}, {
+  timestamps: true
+});
+
+consentRequestSchema.index({ patientId: 1, status: 1, createdAt: -1 });
+consentRequestSchema.index({ requestedBy: 1, status: 1, createdAt: -1 });
+
+consentRequestSchema.statics.DATA_TYPES = DATA_TYPES;
+consentRequestSchema.statics.PURPOSES = PURPOSES;
+consentRequestSchema.statics.DEFAULT_TREATMENT_REQUEST = DEFAULT_TREATMENT_REQUEST;
+
+// Pending request for the same recipient and scope, used to avoid duplicates
+consentRequestSchema.statics.findPendingDuplicate = function({ patientId, requestedBy, dataType, purpose }) {
+  return this.findOne({
+    patientId,
+    requestedBy,
+    dataType,
+    purpose,
+    status: 'pending'
+  });
+};
+
+module.exports = mongoose.model('ConsentRequest', consentRequestSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * DoctorAvailability Model - Weekly availability template for a doctor
+ * Each entry is one working window on a weekday, split into bookable slots.
+ * Times are "HH:MM" in the server's local time zone.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const doctorAvailabilitySchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true
+  },
+
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'startTime must be HH:MM']
+  },
+
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'endTime must be HH:MM'],
+    validate: {
+      validator: function(value) {
+        return !TIME_PATTERN.test(this.startTime || '') || toMinutes(value) > toMinutes(this.startTime);
+      },
+      message: 'endTime must be after startTime'
+    }
+  },
+
+  slotMinutes: {
+    type: Number,
+    min: 5,
+    max: 240,
+    default: 30
+  },
+
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+doctorAvailabilitySchema.index({ doctorId: 1, dayOfWeek: 1 });
+
+// Slots this window offers on the given calendar day
+doctorAvailabilitySchema.methods.slotsOn = function(day) {
+  if (day.getDay() !== this.dayOfWeek) {
+    return [];
+  }
+
+  const slots = [];
+  const end = toMinutes(this.endTime);
+  for (let minute = toMinutes(this.startTime); minute + this.slotMinutes <= end; minute += this.slotMinutes) {
+    const startTime = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute);
+    slots.push({
+      startTime,
+      endTime: new Date(startTime.getTime() + this.slotMinutes * 60 * 1000),
+      location: this.location
+    });
+  }
+  return slots;
+};
+
+// The template slot starting exactly at startTime, if the doctor offers one
+doctorAvailabilitySchema.statics.findSlot = async function(doctorId, startTime) {
+  const windows = await this.find({ doctorId, dayOfWeek: startTime.getDay() });
+  for (const window of windows) {
+    const slot = window.slotsOn(startTime).find(candidate => candidate.startTime.getTime() === startTime.getTime());
+    if (slot) {
+      return slot;
+    }
+  }
+  return null;
+};
+
+module.exports = mongoose.model('DoctorAvailability', doctorAvailabilitySchema);
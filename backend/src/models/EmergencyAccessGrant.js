@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+/**
+ * EmergencyAccessGrant Model - Break-glass access to a patient record
+ * Tracks the time-limited grant, who was notified, and the mandatory
+ * post-hoc review, which must be done by someone other than the requester
+ */
+
+const emergencyAccessGrantSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  requesterRole: {
+    type: String,
+    required: true
+  },
+
+  // Emergency consent backing the grant
+  consentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consent',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  justification: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Who was told about the access
+  notifications: {
+    patientNotifiedAt: Date,
+    contacts: [{
+      name: String,
+      relationship: String,
+      status: {
+        type: String,
+        enum: ['sent', 'failed', 'not_configured']
+      },
+      channel: String,
+      sentAt: Date,
+      error: String
+    }]
+  },
+
+  // Mandatory post-hoc review
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'justified', 'unjustified'],
+      default: 'pending'
+    },
+    dueAt: {
+      type: Date,
+      required: true
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Set when the review passed dueAt and administrators were alerted
+    escalatedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+emergencyAccessGrantSchema.index({ patientId: 1, grantedAt: -1 });
+emergencyAccessGrantSchema.index({ requestedBy: 1, grantedAt: -1 });
+emergencyAccessGrantSchema.index({ 'review.status': 1, 'review.dueAt': 1 });
+
+emergencyAccessGrantSchema.virtual('isActive').get(function() {
+  return this.expiresAt > new Date();
+});
+
+emergencyAccessGrantSchema.virtual('isOverdue').get(function() {
+  return this.review?.status === 'pending' && this.review.dueAt <= new Date();
+});
+
+// Unexpired grant held by a user for a patient
+emergencyAccessGrantSchema.statics.findActiveGrant = function(patientId, requestedBy) {
+  return this.findOne({
+    patientId,
+    requestedBy,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Pending reviews past their deadline that have not been escalated yet
+emergencyAccessGrantSchema.statics.findOverdueReviews = function(limit = 100) {
+  return this.find({
+    'review.status': 'pending',
+    'review.dueAt': { $lte: new Date() },
+    'review.escalatedAt': null
+  })
+    .sort({ 'review.dueAt': 1 })
+    .limit(limit);
+};
+
+// Record the review outcome; the requester may not review their own access
+emergencyAccessGrantSchema.methods.completeReview = function(reviewerId, outcome, notes) {
+  if (reviewerId.toString() === this.requestedBy.toString()) {
+    const error = new Error('Emergency access must be reviewed by someone other than the requester');
+    error.code = 'SELF_REVIEW_NOT_ALLOWED';
+    throw error;
+  }
+  if (this.review.status !== 'pending') {
+    const error = new Error(`Emergency access was already reviewed as ${this.review.status}`);
+    error.code = 'REVIEW_ALREADY_COMPLETED';
+    throw error;
+  }
+
+  this.review.status = outcome;
+  this.review.reviewedBy = reviewerId;
+  this.review.reviewedAt = new Date();
+  this.review.notes = notes;
+  return this.save();
+};
+
+module.exports = mongoose.model('EmergencyAccessGrant', emergencyAccessGrantSchema);
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+
+/**
+ * Encounter Model - One clinical contact between a patient and a provider
+ * Opened by a complaint, an appointment check-in or a walk-in visit.
+ * Medical records and lab orders from the contact point back via encounterId.
+ * Flow: planned -> in_progress -> finished, or cancelled before finishing
+ */
+
+// Statuses an encounter may move to from each status
+const TRANSITIONS = {
+  planned: ['in_progress', 'cancelled'],
+  in_progress: ['finished', 'cancelled'],
+  finished: [],
+  cancelled: []
+};
+
+const TYPES = ['consultation', 'follow_up', 'emergency', 'routine_checkup'];
+
+const encounterSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'consultation'
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'in_progress'
+  },
+
+  startTime: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  endTime: Date,
+
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Chief complaint
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  diagnosis: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  treatment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  vitals: {
+    bloodPressure: {
+      systolic: Number,
+      diastolic: Number
+    },
+    heartRate: Number,
+    temperature: Number,
+    weight: Number,
+    height: Number
+  },
+
+  followUpRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  followUpDate: Date,
+
+  // What opened the encounter
+  source: {
+    type: {
+      type: String,
+      enum: ['complaint', 'appointment', 'walk_in', 'migration'],
+      default: 'walk_in'
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+
+  // Patient.visits entry this encounter was migrated from
+  legacyVisitId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Set by a right-to-erasure request while the encounter is under retention
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    retainUntil: Date,
+    erasureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErasureRequest'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+encounterSchema.index({ patientId: 1, startTime: -1 });
+encounterSchema.index({ providerId: 1, startTime: -1 });
+encounterSchema.index({ 'source.type': 1, 'source.id': 1 });
+encounterSchema.index({ legacyVisitId: 1 }, { unique: true, sparse: true });
+encounterSchema.index({ followUpRequired: 1, startTime: -1 });
+
+encounterSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Apply a status change and its timestamps; callers check canTransitionTo first
+encounterSchema.methods.transitionTo = function(status, userId) {
+  if (status === 'in_progress' && this.status === 'planned') {
+    this.startTime = new Date();
+  }
+  if (status === 'finished' || status === 'cancelled') {
+    this.endTime = new Date();
+    this.closedBy = userId;
+  }
+  this.status = status;
+};
+
+// Encounter of this patient that records may still be attached to
+encounterSchema.statics.findAttachable = function(encounterId, patientId) {
+  if (!mongoose.isValidObjectId(encounterId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: encounterId, patientId, status: { $ne: 'cancelled' } });
+};
+
+// Keep the encounter a complaint opened in step with the complaint:
+// open -> planned, in_progress -> in_progress, resolved/closed -> finished
+encounterSchema.statics.syncWithComplaint = async function(complaint, userId) {
+  let encounter = complaint.encounterId ? await this.findById(complaint.encounterId) : null;
+
+  if (!encounter) {
+    encounter = await this.create({
+      patientId: complaint.patientId,
+      providerId: complaint.assignedDoctorId,
+      status: 'planned',
+      reason: complaint.description.substring(0, 200),
+      source: { type: 'complaint', id: complaint._id },
+      createdBy: userId
+    });
+    complaint.encounterId = encounter._id;
+    await complaint.save();
+  }
+
+  encounter.providerId = complaint.assignedDoctorId;
+  const target = {
+    open: 'planned',
+    in_progress: 'in_progress',
+    resolved: 'finished',
+    closed: 'finished'
+  }[complaint.status];
+
+  if (target === 'planned' && encounter.status === 'in_progress') {
+    // Reassignment hands the encounter back to the new doctor's queue
+    encounter.status = 'planned';
+  } else if (target === 'finished' && encounter.status === 'planned') {
+    encounter.transitionTo('in_progress', userId);
+    encounter.transitionTo('finished', userId);
+  } else if (encounter.canTransitionTo(target)) {
+    encounter.transitionTo(target, userId);
+  }
+  if (complaint.resolution && !encounter.notes) {
+    encounter.notes = complaint.resolution.substring(0, 1000);
+  }
+
+  await encounter.save();
+  return encounter;
+};
+
+// Legacy Patient.visits shape, served by the /visits endpoints
+encounterSchema.methods.toVisit = function() {
+  return {
+    _id: this._id,
+    encounterId: this._id,
+    date: this.startTime,
+    type: this.type,
+    status: this.status,
+    provider: this.providerId,
+    chiefComplaint: this.reason,
+    diagnosis: this.diagnosis,
+    treatment: this.treatment,
+    notes: this.notes,
+    vitals: this.vitals,
+    followUpRequired: this.followUpRequired,
+    followUpDate: this.followUpDate
+  };
+};
+
+encounterSchema.statics.TRANSITIONS = TRANSITIONS;
+encounterSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Encounter', encounterSchema);
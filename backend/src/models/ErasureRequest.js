@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * ErasureRequest Model - GDPR Article 17 right-to-erasure workflow
+ * Patients request deletion, administrators review against retention rules,
+ * and the outcome is summarized in an erasure certificate
+ */
+
+const erasureRequestSchema = new mongoose.Schema({
+  // Patient whose data is to be erased
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    index: true
+  },
+
+  // User account linked to the patient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Administrator review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: {
+    type: Date
+  },
+
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Retention assessment at review time
+  retention: {
+    periodYears: Number,
+    cutoffDate: Date, // Data dated after this is under legal retention
+    heldMedicalRecords: Number,
+    heldVisits: Number,
+    releaseAfter: Date // When the last held item leaves retention
+  },
+
+  // Counts of anonymized items per collection
+  outcome: {
+    medicalRecords: Number,
+    visits: Number,
+    consents: Number,
+    complaints: Number,
+    assignments: Number,
+    appointments: Number,
+    labOrders: Number,
+    importRows: Number,
+    hl7Messages: Number,
+    consentRequests: Number,
+    consentRenewalRequests: Number,
+    prescriptionFills: Number,
+    emergencyAccessGrants: Number,
+    notifications: Number
+  },
+
+  completedAt: {
+    type: Date
+  },
+
+  failureReason: {
+    type: String,
+    trim: true
+  },
+
+  // Erasure certificate stored in the audit log
+  certificate: {
+    auditLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuditLog'
+    },
+    hash: String
+  }
+}, {
+  timestamps: true
+});
+
+erasureRequestSchema.index({ status: 1, requestedAt: 1 });
+
+// Only one open request per patient at a time
+erasureRequestSchema.statics.findOpenRequest = function(patientId) {
+  return this.findOne({
+    patientId,
+    status: { $in: ['pending', 'approved', 'failed'] }
+  });
+};
+
+module.exports = mongoose.model('ErasureRequest', erasureRequestSchema);
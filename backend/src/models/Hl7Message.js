@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+/**
+ * Hl7Message Model - Inbound HL7 v2 messages and the reconciliation queue
+ * Flow: received -> processed or rejected, or queued when the patient could
+ * not be matched; queued messages are resolved against a patient or dismissed.
+ * The ACK sent back is kept so a retransmitted message gets the same answer.
+ */
+
+// Statuses a message may move to from each status
+const TRANSITIONS = {
+  received: ['processed', 'rejected', 'queued'],
+  queued: ['resolved', 'dismissed'],
+  processed: [],
+  rejected: [],
+  resolved: [],
+  dismissed: []
+};
+
+const hl7MessageSchema = new mongoose.Schema({
+  // MSH-10; unique per sender
+  controlId: {
+    type: String,
+    trim: true
+  },
+
+  // e.g. "ADT^A04", "ORU^R01"
+  messageType: {
+    type: String,
+    trim: true
+  },
+
+  sendingApplication: String,
+  sendingFacility: String,
+  version: String,
+
+  transport: {
+    type: String,
+    enum: ['http', 'mllp'],
+    required: true
+  },
+
+  // Removed with patientSummary once the message is past retention or its
+  // patient is erased
+  raw: {
+    type: String,
+    required: function() {
+      return !this.rawPurgedAt;
+    }
+  },
+
+  rawPurgedAt: Date,
+
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'received'
+  },
+
+  // Account the message was received under (the HTTP caller or the MLLP service account)
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  ack: {
+    code: {
+      type: String,
+      enum: ['AA', 'AE', 'AR']
+    },
+    text: String,
+    message: String
+  },
+
+  issues: [{
+    _id: false,
+    location: String,
+    hl7Code: String,
+    message: String
+  }],
+
+  // Who the message is about, from PID (for the reconciliation queue)
+  patientSummary: {
+    name: String,
+    dateOfBirth: String,
+    gender: String,
+    identifiers: [{
+      _id: false,
+      system: String,
+      value: String,
+      type: { type: String }
+    }]
+  },
+
+  // Why the message is waiting for reconciliation
+  queueReason: String,
+
+  // What processing created or changed
+  outcome: {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient'
+    },
+    patientCreated: Boolean,
+    recordIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicalRecord'
+    }],
+    labOrderIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LabOrder'
+    }]
+  },
+
+  reconciliation: {
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    dismissedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    dismissedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }
+}, {
+  timestamps: true
+});
+
+hl7MessageSchema.index(
+  { sendingApplication: 1, sendingFacility: 1, controlId: 1 },
+  { unique: true, partialFilterExpression: { controlId: { $type: 'string' } } }
+);
+hl7MessageSchema.index({ status: 1, createdAt: 1 });
+hl7MessageSchema.index({ messageType: 1, createdAt: -1 });
+hl7MessageSchema.index({ 'outcome.patientId': 1 });
+
+hl7MessageSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Message as listed in the log and the queue, without the raw message
+hl7MessageSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    controlId: this.controlId,
+    messageType: this.messageType,
+    sendingApplication: this.sendingApplication,
+    sendingFacility: this.sendingFacility,
+    transport: this.transport,
+    status: this.status,
+    ackCode: this.ack?.code,
+    issues: this.issues,
+    patientSummary: this.patientSummary,
+    queueReason: this.queueReason,
+    outcome: this.outcome,
+    rawPurgedAt: this.rawPurgedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Statuses no further processing needs the raw message for
+hl7MessageSchema.statics.FINAL_STATUSES = Object.keys(TRANSITIONS).filter(status => TRANSITIONS[status].length === 0);
+
+// Update that removes the patient data a message carries
+hl7MessageSchema.statics.purgeUpdate = (now = new Date()) => ({
+  $set: { rawPurgedAt: now },
+  $unset: { raw: '', patientSummary: '' }
+});
+
+hl7MessageSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Hl7Message', hl7MessageSchema);
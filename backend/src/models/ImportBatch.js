@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * ImportBatch Model - One bulk patient import file
+ * Flow: validated (dry run report ready) -> committing -> completed, or cancelled.
+ * Rows live in ImportRow; the commit-imports job works through pending rows.
+ */
+
+// Statuses a batch may move to from each status
+const TRANSITIONS = {
+  validated: ['committing', 'cancelled'],
+  committing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const ROW_STATUSES = ['pending', 'duplicate', 'invalid', 'imported', 'failed'];
+
+const importBatchSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'fhir'],
+    required: true
+  },
+
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'validated'
+  },
+
+  // Staff member recorded as provider on records that do not name one
+  defaultProviderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Row counts by ImportRow status
+  counts: {
+    total: { type: Number, default: 0 },
+    ...Object.fromEntries(ROW_STATUSES.map(status => [status, { type: Number, default: 0 }]))
+  },
+
+  // File-level notes, e.g. resource types that were skipped
+  warnings: [String],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Where the upload came from, repeated on the audit entries the commit writes
+  requestedFrom: {
+    ipAddress: String,
+    userAgent: String
+  },
+
+  commit: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    completedAt: Date
+  },
+
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ status: 1, 'commit.requestedAt': 1 });
+importBatchSchema.index({ createdAt: -1 });
+
+importBatchSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Recount rows by status
+importBatchSchema.methods.refreshCounts = async function() {
+  const ImportRow = mongoose.model('ImportRow');
+  const groups = await ImportRow.aggregate([
+    { $match: { batchId: this._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+  groups.forEach(group => { counts[group._id] = group.count; });
+  this.counts = { total: groups.reduce((sum, group) => sum + group.count, 0), ...counts };
+  return this;
+};
+
+// Oldest batch with rows still to commit
+importBatchSchema.statics.findNextToCommit = function() {
+  return this.findOne({ status: 'committing' }).sort({ 'commit.requestedAt': 1 });
+};
+
+importBatchSchema.statics.TRANSITIONS = TRANSITIONS;
+importBatchSchema.statics.ROW_STATUSES = ROW_STATUSES;
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
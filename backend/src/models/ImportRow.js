@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * ImportRow Model - One patient (with its records) from a bulk import file
+ * IDs for the user, patient and records are assigned when the row is validated,
+ * so committing a row again after an interruption never creates duplicates.
+ * The parsed data is cleared once the row is imported or the batch is cancelled.
+ */
+
+const importRowSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    required: true
+  },
+
+  // Position in the file; rows are committed in this order
+  index: {
+    type: Number,
+    required: true
+  },
+
+  // Patient ref from the file and where the row starts (e.g. "line 4", "entry 0")
+  ref: String,
+  location: String,
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // pending: valid, waiting to be committed
+  status: {
+    type: String,
+    enum: ['pending', 'duplicate', 'invalid', 'imported', 'failed'],
+    required: true
+  },
+
+  // Validation and commit problems ("errors" is reserved by Mongoose)
+  issues: [{
+    _id: false,
+    location: String,
+    field: String,
+    message: String
+  }],
+
+  // Parsed user, patient and record fields
+  data: mongoose.Schema.Types.Mixed,
+
+  ids: {
+    userId: mongoose.Schema.Types.ObjectId,
+    patientId: mongoose.Schema.Types.ObjectId,
+    recordIds: [mongoose.Schema.Types.ObjectId]
+  },
+
+  // Existing patient this row duplicates
+  duplicateOf: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient'
+    }
+  },
+
+  importedAt: Date
+}, {
+  timestamps: true
+});
+
+importRowSchema.index({ batchId: 1, index: 1 }, { unique: true });
+importRowSchema.index({ batchId: 1, status: 1, index: 1 });
+
+// Per-row report entry, without the parsed data
+importRowSchema.methods.toReport = function() {
+  return {
+    index: this.index,
+    ref: this.ref,
+    location: this.location,
+    email: this.email,
+    status: this.status,
+    issues: this.issues,
+    recordCount: this.ids?.recordIds?.length || 0,
+    patientId: this.status === 'imported' ? this.ids.patientId : undefined,
+    duplicateOf: this.status === 'duplicate' ? this.duplicateOf : undefined,
+    importedAt: this.importedAt
+  };
+};
+
+module.exports = mongoose.model('ImportRow', importRowSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobLock Model - Lease-based lock so each job runs on one instance at a time
+ * The document _id is the job name; a lease past expiresAt can be taken over.
+ * Appointment booking uses short leases named appointment-booking:<doctor|patient>:<id>.
+ */
+
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+
+  lockedBy: {
+    type: String,
+    required: true
+  },
+
+  lockedAt: {
+    type: Date,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Try to take the lease for a job. Resolves true when this instance holds it.
+jobLockSchema.statics.acquire = async function(jobName, instanceId, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      {
+        _id: jobName,
+        $or: [
+          { expiresAt: { $lte: now } },
+          { lockedBy: instanceId }
+        ]
+      },
+      {
+        lockedBy: instanceId,
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs)
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing lock document while another instance holds it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function(jobName, instanceId) {
+  return this.deleteOne({ _id: jobName, lockedBy: instanceId });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobRun Model - Execution history for scheduled background jobs
+ * One document per attempt, including runs skipped because another instance held the lock
+ */
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'skipped'],
+    default: 'running'
+  },
+
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+
+  // Scheduler instance that executed the run
+  instanceId: {
+    type: String,
+    required: true
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date
+  },
+
+  durationMs: {
+    type: Number
+  },
+
+  // Job-specific summary, e.g. { expired: 3 }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+// Keep run history for 90 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
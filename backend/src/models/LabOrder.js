@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+/**
+ * LabOrder Model - Doctor-placed lab order worked through the lab worklist
+ * Flow: ordered -> collected -> in_progress -> resulted (or cancelled);
+ * publishing the results creates a lab_result MedicalRecord
+ */
+
+const PRIORITY_RANK = { stat: 0, urgent: 1, routine: 2 };
+
+// Statuses an order may move to from each status
+const TRANSITIONS = {
+  ordered: ['collected', 'cancelled'],
+  collected: ['in_progress', 'cancelled'],
+  in_progress: ['resulted', 'cancelled'],
+  resulted: [],
+  cancelled: []
+};
+
+const labOrderSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  orderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Catalog code (e.g. CBC) or a free-text test name
+  testType: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  specimenType: {
+    type: String,
+    enum: ['blood', 'urine', 'stool', 'swab', 'sputum', 'csf', 'tissue', 'other'],
+    required: true
+  },
+
+  priority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANK),
+    default: 'routine'
+  },
+
+  // Sort key for the worklist (stat first)
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANK.routine
+  },
+
+  clinicalNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'ordered'
+  },
+
+  collection: {
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: Date,
+    specimenId: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  // Results entered by the technician, copied to the record on publish
+  results: [{
+    testName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    value: String,
+    unit: String,
+    referenceRange: String,
+    status: {
+      type: String,
+      enum: ['normal', 'abnormal', 'critical', 'pending']
+    },
+    notes: String
+  }],
+
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resultedAt: Date,
+
+  // Encounter the test was ordered in; the published result joins it
+  encounterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Encounter'
+  },
+
+  // Published lab_result record
+  resultRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  // Set by a right-to-erasure request while the order is under retention
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    retainUntil: Date,
+    erasureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErasureRequest'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+labOrderSchema.index({ status: 1, priorityRank: 1, createdAt: 1 });
+labOrderSchema.index({ patientId: 1, createdAt: -1 });
+labOrderSchema.index({ encounterId: 1 });
+labOrderSchema.index({ orderedBy: 1, createdAt: -1 });
+
+labOrderSchema.virtual('hasCriticalResult').get(function() {
+  return (this.results || []).some(result => result.status === 'critical');
+});
+
+labOrderSchema.pre('save', function(next) {
+  if (this.isModified('priority')) {
+    this.priorityRank = PRIORITY_RANK[this.priority];
+  }
+  next();
+});
+
+labOrderSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Open orders for the worklist, stat first, then oldest first
+labOrderSchema.statics.findWorklist = function(filter = {}, limit = 100) {
+  return this.find({ status: { $in: ['ordered', 'collected', 'in_progress'] }, ...filter })
+    .sort({ priorityRank: 1, createdAt: 1 })
+    .limit(limit);
+};
+
+// Orders as the patient sees them: results stay hidden until the
+// ordering doctor has signed off the published result record
+labOrderSchema.statics.forPatientView = async function(orders) {
+  const MedicalRecord = mongoose.model('MedicalRecord');
+  const releasedIds = await MedicalRecord.find({
+    _id: { $in: orders.map(order => order.resultRecordId).filter(Boolean) },
+    status: { $in: MedicalRecord.RELEASED_STATUSES }
+  }).distinct('_id');
+  const released = new Set(releasedIds.map(String));
+
+  return orders.map(order => (
+    released.has(String(order.resultRecordId))
+      ? order
+      : { ...order.toJSON(), results: [], hasCriticalResult: false }
+  ));
+};
+
+labOrderSchema.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('LabOrder', labOrderSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const clinicalRules = require('../utils/clinicalRules');
+const { buildMedicationList } = require('../utils/medications');
 
 /**
  * MedicalRecord Model - Clinical data management
@@ -6,6 +8,27 @@ const mongoose = require('mongoose');
  * Separates different types of medical records for better organization
  */
 
+// Type-specific required fields only apply to records of that type
+const isRecordType = (recordType) => function() {
+  return this.recordType === recordType;
+};
+
+// Prescriptions with dispensing still to do
+const ACTIVE_DISPENSING_STATUSES = ['queued', 'partially_filled', 'refill_available'];
+
+// Authors whose records wait for a doctor's sign-off; doctors flagged with
+// professionalInfo.requiresSignOff (junior staff) are routed the same way
+const REVIEW_REQUIRED_ROLES = ['receptionist', 'lab_technician'];
+
+// Statuses a patient can see
+const RELEASED_STATUSES = ['approved', 'amended'];
+
+// Bookkeeping that changes on every version and is left out of version diffs
+const VERSION_META_FIELDS = [
+  '_id', 'id', '__v', 'version', 'previousVersion', 'rootRecordId', 'isLatestVersion',
+  'status', 'amendment', 'lastModifiedBy', 'createdAt', 'updatedAt', 'clinicalAlerts.checkedAt'
+];
+
 const medicalRecordSchema = new mongoose.Schema({
   // Patient reference
   patientId: {
@@ -76,15 +99,15 @@ const medicalRecordSchema = new mongoose.Schema({
     prescription: {
       medicationName: {
         type: String,
-        required: true
+        required: isRecordType('prescription')
       },
       dosage: {
         type: String,
-        required: true
+        required: isRecordType('prescription')
       },
       frequency: {
         type: String,
-        required: true
+        required: isRecordType('prescription')
       },
       route: {
         type: String,
@@ -100,7 +123,7 @@ const medicalRecordSchema = new mongoose.Schema({
     labResult: {
       testType: {
         type: String,
-        required: true
+        required: isRecordType('lab_result')
       },
       specimenType: String,
       collectionDate: Date,
@@ -170,6 +193,26 @@ const medicalRecordSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+
+  // First version of the record, shared by every version in the chain
+  rootRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+
+  // Why this version was created (amended versions only)
+  amendment: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amendedAt: Date
+  },
   
   // Status and workflow
   status: {
@@ -178,13 +221,47 @@ const medicalRecordSchema = new mongoose.Schema({
     default: 'approved'
   },
   
-  // Attachments and documents
+  // Doctor sign-off for records that need review
+  review: {
+    // Responsible doctor the record is routed to
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    signedOffBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    signedOffAt: Date,
+    returnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    returnedAt: Date,
+    // Reviewer's comments when returning the record to its author
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  },
+
+  // Attachments and documents; filename is the storage key of the encrypted file
   attachments: [{
     filename: String,
     originalName: String,
     mimeType: String,
     size: Number,
     path: String,
+    // Backend the file was written to (local, s3)
+    storage: String,
+    // SHA-256 of the unencrypted file
+    sha256: String,
+    encryption: {
+      iv: String,
+      authTag: String
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -223,6 +300,63 @@ const medicalRecordSchema = new mongoose.Schema({
       default: false
     }
   },
+
+  // Clinical rules check run when the prescription was written or amended
+  clinicalAlerts: {
+    checkedAt: Date,
+    warnings: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['drug_allergy', 'drug_interaction']
+      },
+      severity: {
+        type: String,
+        enum: clinicalRules.SEVERITIES
+      },
+      message: String,
+      allergen: String,
+      interactingDrug: String
+    }],
+    // Required to save with a severe warning
+    overrideReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Pharmacy dispensing state (prescription records only)
+  dispensing: {
+    status: {
+      type: String,
+      enum: ['queued', 'partially_filled', 'refill_available', 'completed', 'rejected']
+    },
+    // Fills started so far: 1 is the original fill, each refill adds one
+    fillNumber: Number,
+    // Still owed to the patient on the current fill after a partial fill
+    quantityOutstanding: Number,
+    lastFilledAt: Date,
+    rejectedReason: String
+  },
+
+  // Legal retention hold (set when an erasure request cannot remove the record yet)
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    retainUntil: Date,
+    erasureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErasureRequest'
+    }
+  },
   
   // Privacy and access control
   accessLevel: {
@@ -270,6 +404,13 @@ medicalRecordSchema.index({ status: 1 });
 medicalRecordSchema.index({ 'flags.critical': 1 });
 medicalRecordSchema.index({ version: 1, previousVersion: 1 });
 medicalRecordSchema.index({ isLatestVersion: 1 });
+medicalRecordSchema.index({ previousVersion: 1 });
+medicalRecordSchema.index({ 'review.reviewerId': 1, status: 1 });
+// At most one latest version per record chain
+medicalRecordSchema.index(
+  { rootRecordId: 1 },
+  { unique: true, partialFilterExpression: { isLatestVersion: true, rootRecordId: { $exists: true } } }
+);
 
 // Virtual for record age
 medicalRecordSchema.virtual('age').get(function() {
@@ -282,24 +423,90 @@ medicalRecordSchema.virtual('formattedRecordDate').get(function() {
 });
 
 // Instance methods
-medicalRecordSchema.methods.createNewVersion = function(updates, modifiedBy) {
-  // Create new version with updates
-  const newRecord = new this.constructor({
-    ...this.toObject(),
-    ...updates,
-    _id: undefined,
+// Unsaved next version of this record; updates are dotted paths, so
+// unchanged fields of nested objects carry over
+medicalRecordSchema.methods.buildNextVersion = function(updates, modifiedBy, reason) {
+  const { _id, __v, createdAt, updatedAt, ...current } = this.toObject({ depopulate: true, virtuals: false, transform: false });
+
+  const nextVersion = new this.constructor({
+    ...current,
     version: this.version + 1,
     previousVersion: this._id,
+    rootRecordId: this.rootRecordId || this._id,
     isLatestVersion: true,
     lastModifiedBy: modifiedBy,
-    status: 'amended'
+    status: 'amended',
+    review: undefined,
+    amendment: {
+      reason,
+      amendedBy: modifiedBy,
+      amendedAt: new Date()
+    }
   });
-  
-  // Mark current version as not latest
+  Object.entries(updates).forEach(([path, value]) => nextVersion.set(path, value));
+
+  return nextVersion;
+};
+
+// Save nextVersion and retire this version in one transaction, so the server
+// must be a replica set. Throws VERSION_CONFLICT if this version stopped being
+// the latest in the meantime.
+medicalRecordSchema.methods.supersedeWith = async function(nextVersion) {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await this.retire(nextVersion, { session });
+      await nextVersion.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
   this.isLatestVersion = false;
-  this.save();
-  
-  return newRecord.save();
+  return nextVersion;
+};
+
+// Mark this version as no longer the latest, if it still is
+medicalRecordSchema.methods.retire = async function(nextVersion, options = {}) {
+  const retired = await this.constructor.updateOne(
+    { _id: this._id, isLatestVersion: true },
+    { $set: { isLatestVersion: false, rootRecordId: nextVersion.rootRecordId } },
+    options
+  );
+  if (retired.modifiedCount === 0) {
+    const error = new Error('The record was amended by someone else; reload the latest version');
+    error.code = 'VERSION_CONFLICT';
+    throw error;
+  }
+};
+
+medicalRecordSchema.methods.createNewVersion = function(updates, modifiedBy, reason) {
+  return this.supersedeWith(this.buildNextVersion(updates, modifiedBy, reason));
+};
+
+// Route the record to reviewerId and hide it from the patient until signed off
+medicalRecordSchema.methods.submitForReview = function(reviewerId) {
+  this.status = 'pending_review';
+  this.review = {
+    reviewerId,
+    submittedAt: new Date()
+  };
+};
+
+// Release the record; amended versions keep the amended status
+medicalRecordSchema.methods.signOff = function(doctorId) {
+  this.status = this.version > 1 ? 'amended' : 'approved';
+  this.review.signedOffBy = doctorId;
+  this.review.signedOffAt = new Date();
+};
+
+// Send the record back to its author as a draft with the reviewer's comments
+medicalRecordSchema.methods.returnToAuthor = function(doctorId, comments) {
+  this.status = 'draft';
+  this.review.returnedBy = doctorId;
+  this.review.returnedAt = new Date();
+  this.review.comments = comments;
 };
 
 medicalRecordSchema.methods.addAttachment = function(attachmentData) {
@@ -319,6 +526,10 @@ medicalRecordSchema.methods.archive = function() {
 };
 
 // Static methods
+medicalRecordSchema.statics.requiresReview = function(user) {
+  return REVIEW_REQUIRED_ROLES.includes(user.role) || Boolean(user.profile?.professionalInfo?.requiresSignOff);
+};
+
 medicalRecordSchema.statics.findByPatient = function(patientId, options = {}) {
   const query = { 
     patientId,
@@ -380,8 +591,14 @@ medicalRecordSchema.statics.findPrescriptionsByPatient = function(patientId, act
     deletedAt: { $exists: false }
   };
   
+  // Active until the original fill and every refill are dispensed; records
+  // from before the dispense queue have never been filled through it
   if (activeOnly) {
-    query['content.prescription.refills'] = { $gt: 0 };
+    query.status = { $ne: 'archived' };
+    query.$or = [
+      { 'dispensing.status': { $in: ACTIVE_DISPENSING_STATUSES } },
+      { 'dispensing.status': { $exists: false } }
+    ];
   }
   
   return this.find(query)
@@ -389,6 +606,43 @@ medicalRecordSchema.statics.findPrescriptionsByPatient = function(patientId, act
     .populate('providerId', 'profile.firstName profile.lastName');
 };
 
+// Prescriptions waiting at the pharmacy, oldest first
+medicalRecordSchema.statics.findDispenseQueue = function(statuses = ['queued', 'partially_filled'], limit = 100, filter = {}) {
+  return this.find({
+    ...filter,
+    recordType: 'prescription',
+    isLatestVersion: true,
+    status: { $in: RELEASED_STATUSES },
+    deletedAt: { $exists: false },
+    'dispensing.status': { $in: statuses }
+  })
+    .sort({ recordDate: 1 })
+    .limit(limit);
+};
+
+// Run the clinical rules for a prescription against the patient's allergies
+// and active medications (excluding the record being amended)
+medicalRecordSchema.statics.checkPrescriptionRules = async function(patientId, prescription, excludeRecordId = null) {
+  const [patient, prescriptions] = await Promise.all([
+    mongoose.model('Patient').findById(patientId).select('demographics.allergies medicalHistory.medications'),
+    this.findPrescriptionsByPatient(patientId, true)
+  ]);
+
+  const others = prescriptions.filter(record => !excludeRecordId || record._id.toString() !== excludeRecordId.toString());
+  const warnings = clinicalRules.evaluate({
+    medicationName: prescription?.medicationName,
+    allergies: patient?.demographics?.allergies || [],
+    medications: buildMedicationList(patient, others)
+  });
+
+  return {
+    warnings,
+    requiresOverride: clinicalRules.requiresOverride(warnings),
+    allergyAlert: warnings.some(warning => warning.type === 'drug_allergy'),
+    drugInteraction: warnings.some(warning => warning.type === 'drug_interaction')
+  };
+};
+
 medicalRecordSchema.statics.findLabResultsByPatient = function(patientId, testType = null) {
   const query = {
     patientId,
@@ -406,18 +660,41 @@ medicalRecordSchema.statics.findLabResultsByPatient = function(patientId, testTy
     .populate('providerId', 'profile.firstName profile.lastName');
 };
 
-medicalRecordSchema.statics.getVersionHistory = function(recordId) {
-  return this.find({
-    $or: [
-      { _id: recordId },
-      { previousVersion: recordId }
-    ]
-  })
-  .sort({ version: 1 })
-  .populate('providerId', 'profile.firstName profile.lastName')
-  .populate('lastModifiedBy', 'profile.firstName profile.lastName');
+// Every version of the record in recordId's chain, oldest first. Walks
+// previousVersion links so chains from before rootRecordId are found too.
+medicalRecordSchema.statics.getVersionHistory = async function(recordId) {
+  let root = await this.findById(recordId).select('previousVersion');
+  while (root?.previousVersion) {
+    const previous = await this.findById(root.previousVersion).select('previousVersion');
+    if (!previous) break;
+    root = previous;
+  }
+  if (!root) return [];
+
+  const versions = [];
+  let current = root._id;
+  while (current) {
+    const version = await this.findById(current)
+      .populate('providerId', 'profile.firstName profile.lastName')
+      .populate('lastModifiedBy', 'profile.firstName profile.lastName')
+      .populate('amendment.amendedBy', 'profile.firstName profile.lastName');
+    versions.push(version);
+
+    const next = await this.findOne({ previousVersion: current }).select('_id');
+    current = next?._id;
+  }
+
+  return versions;
 };
 
+// New records start their own version chain
+medicalRecordSchema.pre('validate', function(next) {
+  if (this.isNew && !this.rootRecordId) {
+    this.rootRecordId = this._id;
+  }
+  next();
+});
+
 // Middleware for audit logging
 medicalRecordSchema.pre('save', function(next) {
   if (this.isNew) {
@@ -433,6 +710,14 @@ medicalRecordSchema.pre(['remove', 'deleteOne'], function(next) {
   next();
 });
 
+// New prescriptions enter the pharmacy dispense queue
+medicalRecordSchema.pre('save', function(next) {
+  if (this.isNew && this.recordType === 'prescription' && !this.dispensing?.status) {
+    this.dispensing = { status: 'queued', fillNumber: 0 };
+  }
+  next();
+});
+
 // Middleware for automatic BMI calculation
 medicalRecordSchema.pre('save', function(next) {
   if (this.recordType === 'vital_signs' && 
@@ -447,4 +732,8 @@ medicalRecordSchema.pre('save', function(next) {
   next();
 });
 
+medicalRecordSchema.statics.ACTIVE_DISPENSING_STATUSES = ACTIVE_DISPENSING_STATUSES;
+medicalRecordSchema.statics.VERSION_META_FIELDS = VERSION_META_FIELDS;
+medicalRecordSchema.statics.RELEASED_STATUSES = RELEASED_STATUSES;
+
 module.exports = mongoose.model('MedicalRecord', medicalRecordSchema);
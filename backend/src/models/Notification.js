@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model - In-app notifications delivered to a user's inbox
+ * Messages carry a pointer to the related resource instead of clinical data
+ */
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'consent_expiring',
+      'consent_renewal_requested',
+      'consent_renewal_approved',
+      'consent_renewal_declined',
+      'consent_requested',
+      'consent_request_approved',
+      'consent_request_denied',
+      'emergency_access',
+      'emergency_review_overdue',
+      'emergency_review_completed',
+      'lab_results_available',
+      'lab_result_critical',
+      'prescription_dispensed',
+      'prescription_partially_filled',
+      'prescription_rejected',
+      'complaint_assigned',
+      'appointment_booked',
+      'appointment_rescheduled',
+      'appointment_cancelled',
+      'record_review_requested',
+      'record_returned'
+    ],
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Related resource, e.g. { type: 'consent', id }
+  resource: {
+    type: {
+      type: String,
+      trim: true
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+// Drop notifications after a year
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Create a notification without failing the calling operation
+notificationSchema.statics.notify = async function(data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    console.error('Notification creation failed:', error);
+  }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
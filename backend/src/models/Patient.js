@@ -142,7 +142,8 @@ const patientSchema = new mongoose.Schema({
     }]
   },
   
-  // Visit records (separate collection for better organization)
+  // Legacy embedded visits; new visits are Encounter documents.
+  // scripts/migrateVisitsToEncounters.js moves existing entries over.
   visits: [{
     date: {
       type: Date,
@@ -225,6 +226,26 @@ const patientSchema = new mongoose.Schema({
     }
   },
   
+  // Identifiers other systems know the patient by (e.g. MRNs from HL7 feeds);
+  // system is the assigning authority
+  identifiers: [{
+    _id: false,
+    system: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      trim: true
+    }
+  }],
+
   // Metadata
   status: {
     type: String,
@@ -256,6 +277,7 @@ const patientSchema = new mongoose.Schema({
 patientSchema.index({ userId: 1 }, { unique: true });
 patientSchema.index({ 'demographics.dateOfBirth': 1 });
 patientSchema.index({ status: 1 });
+patientSchema.index({ 'identifiers.system': 1, 'identifiers.value': 1 });
 patientSchema.index({ 'visits.date': -1 });
 patientSchema.index({ 'medicalHistory.conditions.diagnosedBy': 1 });
 
@@ -279,11 +301,6 @@ patientSchema.virtual('activeMedications').get(function() {
 });
 
 // Instance methods
-patientSchema.methods.addVisit = function(visitData) {
-  this.visits.push(visitData);
-  return this.save();
-};
-
 patientSchema.methods.addMedicalCondition = function(conditionData) {
   this.medicalHistory.conditions.push(conditionData);
   return this.save();
@@ -304,6 +321,15 @@ patientSchema.methods.getActiveConditions = function() {
   return this.medicalHistory.conditions.filter(condition => condition.status === 'active');
 };
 
+// Add identifiers the patient does not have yet; returns the ones added
+patientSchema.methods.addIdentifiers = function(identifiers) {
+  const added = identifiers.filter(identifier => !this.identifiers.some(existing => (
+    existing.system === identifier.system && existing.value === identifier.value
+  )));
+  this.identifiers.push(...added);
+  return added;
+};
+
 // GDPR compliance methods
 patientSchema.methods.anonymize = function() {
   // Anonymize sensitive data while preserving medical history for research
@@ -313,6 +339,7 @@ patientSchema.methods.anonymize = function() {
     phone: '000-000-0000'
   };
   this.privacy.emergencyAccess.contacts = [];
+  this.identifiers = [];
   this.deletedAt = new Date();
   return this.save();
 };
@@ -322,6 +349,16 @@ patientSchema.statics.findByUserId = function(userId) {
   return this.findOne({ userId, deletedAt: { $exists: false } });
 };
 
+// Patients holding any of the given { system, value } identifiers
+patientSchema.statics.findByIdentifiers = function(identifiers) {
+  if (identifiers.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    deletedAt: { $exists: false },
+    $or: identifiers.map(({ system, value }) => ({ identifiers: { $elemMatch: { system, value } } }))
+  });
+};
+
 patientSchema.statics.findActivePatients = function() {
   return this.find({ status: 'active', deletedAt: { $exists: false } });
 };
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * PrescriptionFill Model - One pharmacy event against a prescription record
+ * Every fill, partial fill and rejection is kept as its own entry
+ */
+
+const prescriptionFillSchema = new mongoose.Schema({
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+
+  pharmacistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  prescriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  type: {
+    type: String,
+    enum: ['fill', 'partial_fill', 'rejection'],
+    required: true
+  },
+
+  // 1 for the original fill, 2 for the first refill, and so on
+  fillNumber: {
+    type: Number,
+    min: 1
+  },
+
+  quantityDispensed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Still owed on this fill after a partial fill
+  quantityOutstanding: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  refillsRemaining: {
+    type: Number,
+    min: 0
+  },
+
+  // Required for partial fills and rejections
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    required: function() {
+      return this.type !== 'fill';
+    }
+  },
+
+  // Clinical rules check (allergies, interactions) done before dispensing
+  clinicalCheck: {
+    checkedAt: Date,
+    allergies: [String],
+    warnings: [{
+      _id: false,
+      type: {
+        type: String
+      },
+      severity: String,
+      message: String
+    }],
+    overrideReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Set by a right-to-erasure request while the fill is under retention
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    retainUntil: Date,
+    erasureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErasureRequest'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+prescriptionFillSchema.index({ prescriptionId: 1, createdAt: 1 });
+prescriptionFillSchema.index({ patientId: 1, createdAt: -1 });
+prescriptionFillSchema.index({ pharmacistId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PrescriptionFill', prescriptionFillSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model - Server-side sessions behind the refresh tokens
+ * Each login starts a session; the session _id is the refresh token family ID.
+ * Only the latest refresh token (tokenId) of a family can be used, and using it
+ * rotates it. Presenting an older token of the family means it was copied, so
+ * the whole family is revoked. Documents are removed once their last refresh
+ * token has expired.
+ */
+
+const REVOKE_REASONS = ['logout', 'user_revoked', 'admin_revoked', 'password_changed', 'token_reuse', 'account_suspended', 'account_deleted'];
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // jti of the only refresh token of this family that is still valid
+  tokenId: {
+    type: String,
+    required: true
+  },
+
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Device that signed in, and where the session was last refreshed from
+  userAgent: String,
+  ipAddress: String,
+  lastIpAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Expiry of the current refresh token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.methods.revoke = function(reason, revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+// Session as shown in the "active sessions" lists
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastIpAddress: this.lastIpAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.equals(currentSessionId)
+  };
+};
+
+// Swap the current refresh token for a new one. Resolves null unless tokenId is
+// the current token of an active session of the user.
+sessionSchema.statics.rotate = function(sessionId, userId, tokenId, newTokenId, ipAddress) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      userId,
+      tokenId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { tokenId: newTokenId, lastUsedAt: new Date(), lastIpAddress: ipAddress },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of the user; resolves the number revoked
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, revokedBy) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
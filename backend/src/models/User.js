@@ -78,6 +78,11 @@ const userSchema = new mongoose.Schema({
       receptionistId: {
         type: String,
         required: function() { return this.role === 'receptionist'; }
+      },
+      // Junior staff whose medical records need a doctor's sign-off
+      requiresSignOff: {
+        type: Boolean,
+        default: false
       }
     }
   },
@@ -106,6 +111,28 @@ const userSchema = new mongoose.Schema({
     twoFactorSecret: {
       type: String,
       select: false
+    },
+    // Secret generated at enrollment, moved to twoFactorSecret once a code from it is verified
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    twoFactorEnabledAt: {
+      type: Date
+    },
+    // Last TOTP time step accepted, so a code cannot be used twice
+    twoFactorLastStep: {
+      type: Number,
+      select: false
+    },
+    // SHA-256 hashes of single-use recovery codes
+    twoFactorRecoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
     }
   },
   
@@ -149,6 +176,12 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.__v;
+      if (ret.security) {
+        delete ret.security.twoFactorSecret;
+        delete ret.security.twoFactorPendingSecret;
+        delete ret.security.twoFactorLastStep;
+        delete ret.security.twoFactorRecoveryCodes;
+      }
       return ret;
     }
   },
@@ -192,11 +225,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function() {
+// Access token for a session (see Session model); rejected once the session is revoked
+userSchema.methods.generateAuthToken = function(session) {
   const payload = {
     id: this._id,
     email: this.email,
     role: this.role,
+    sid: session._id,
     iat: Math.floor(Date.now() / 1000)
   };
   
@@ -205,10 +240,13 @@ userSchema.methods.generateAuthToken = function() {
   });
 };
 
-userSchema.methods.generateRefreshToken = function() {
+// Refresh token for the session's current token id; each use rotates it
+userSchema.methods.generateRefreshToken = function(session) {
   const payload = {
     id: this._id,
-    type: 'refresh'
+    type: 'refresh',
+    sid: session._id,
+    jti: session.tokenId
   };
   
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
@@ -216,6 +254,34 @@ userSchema.methods.generateRefreshToken = function() {
   });
 };
 
+// Short-lived token for the second login step; not accepted as an access token
+userSchema.methods.generateMfaToken = function() {
+  const payload = {
+    id: this._id,
+    type: 'mfa_pending'
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m'
+  });
+};
+
+// Clear two-factor enrollment (admin reset, account erasure)
+userSchema.methods.clearTwoFactor = function() {
+  this.security.twoFactorEnabled = false;
+  this.security.twoFactorSecret = undefined;
+  this.security.twoFactorPendingSecret = undefined;
+  this.security.twoFactorEnabledAt = undefined;
+  this.security.twoFactorLastStep = undefined;
+  this.security.twoFactorRecoveryCodes = undefined;
+};
+
+// Tokens issued before the last password change are no longer accepted
+userSchema.methods.tokenIssuedBeforePasswordChange = function(issuedAt) {
+  const changedAt = this.security.passwordChangedAt;
+  return !!changedAt && issuedAt < Math.floor(changedAt.getTime() / 1000);
+};
+
 // Account lockout mechanism
 userSchema.virtual('isLocked').get(function() {
   return !!(this.security.lockUntil && this.security.lockUntil > Date.now());
@@ -248,9 +314,11 @@ userSchema.methods.anonymize = function() {
   this.profile.lastName = 'User';
   this.profile.dateOfBirth = undefined;
   this.profile.phone = undefined;
+  this.clearTwoFactor();
   this.status = 'deleted';
   this.deletedAt = new Date();
-  return this.save();
+  // Required personal fields (e.g. a patient's date of birth) are cleared on purpose
+  return this.save({ validateBeforeSave: false });
 };
 
 userSchema.methods.hasConsent = function(consentType) {
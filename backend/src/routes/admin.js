@@ -0,0 +1,233 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const AuditLogController = require('../controllers/auditLogController');
+const GdprController = require('../controllers/gdprController');
+const EmergencyAccessController = require('../controllers/emergencyAccessController');
+const JobController = require('../controllers/jobController');
+const ImportController = require('../controllers/importController');
+const SessionController = require('../controllers/sessionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { rateLimits, sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Admin Routes - Administrator-only management endpoints
+ * Implements user lifecycle management with full audit logging
+ */
+
+// All admin routes require an authenticated administrator
+router.use(authenticate);
+router.use(authorize('administrator'));
+
+// List users (filters: role, status, search, lastLoginFrom, lastLoginTo)
+router.get('/users',
+  sanitizeInput,
+  AdminController.getUsers
+);
+
+// Create staff account
+router.post('/users',
+  sanitizeInput,
+  validateJSON,
+  AdminController.createUser
+);
+
+// Get a single user
+router.get('/users/:userId',
+  sanitizeInput,
+  AdminController.getUserById
+);
+
+// Update user profile details
+router.put('/users/:userId',
+  sanitizeInput,
+  validateJSON,
+  AdminController.updateUser
+);
+
+// Suspend or reactivate user
+router.put('/users/:userId/status',
+  sanitizeInput,
+  validateJSON,
+  AdminController.updateUserStatus
+);
+
+// Change user role
+router.put('/users/:userId/role',
+  sanitizeInput,
+  validateJSON,
+  AdminController.changeUserRole
+);
+
+// Reset two-factor authentication (body: reason)
+router.put('/users/:userId/two-factor/reset',
+  sanitizeInput,
+  validateJSON,
+  AdminController.resetTwoFactor
+);
+
+// Active sessions of a user
+router.get('/users/:userId/sessions',
+  sanitizeInput,
+  SessionController.getUserSessions
+);
+
+// Force logout: revoke all sessions of a user (body: reason)
+router.put('/users/:userId/sessions/revoke',
+  sanitizeInput,
+  validateJSON,
+  SessionController.revokeUserSessions
+);
+
+// Soft delete (anonymize) user
+router.delete('/users/:userId',
+  sanitizeInput,
+  AdminController.deleteUser
+);
+
+// Search audit logs (filters: eventType, userId, targetPatientId, resourceType,
+// threatLevel, requestId, securityOnly, from, to; cursor pagination)
+router.get('/audit-logs',
+  sanitizeInput,
+  AuditLogController.getAuditLogs
+);
+
+// Stream audit logs as CSV or NDJSON
+router.get('/audit-logs/export',
+  rateLimits.dataExport,
+  sanitizeInput,
+  AuditLogController.exportAuditLogs
+);
+
+// Recent security events
+router.get('/audit-logs/security-events',
+  sanitizeInput,
+  AuditLogController.getSecurityEvents
+);
+
+// Recent emergency access events
+router.get('/audit-logs/emergency-access',
+  sanitizeInput,
+  AuditLogController.getEmergencyAccessEvents
+);
+
+// Verify the audit log hash chain (from, to)
+router.get('/audit-logs/verify',
+  sanitizeInput,
+  AuditLogController.verifyAuditChain
+);
+
+// Get a single audit log entry
+router.get('/audit-logs/:logId',
+  sanitizeInput,
+  AuditLogController.getAuditLogById
+);
+
+// Right-to-erasure review queue (filter: status)
+router.get('/erasure-requests',
+  sanitizeInput,
+  GdprController.getErasureRequests
+);
+
+// Erasure request with retention assessment
+router.get('/erasure-requests/:requestId',
+  sanitizeInput,
+  GdprController.getErasureRequest
+);
+
+// Approve and run anonymization
+router.put('/erasure-requests/:requestId/approve',
+  sanitizeInput,
+  validateJSON,
+  GdprController.approveErasureRequest
+);
+
+// Reject with reason
+router.put('/erasure-requests/:requestId/reject',
+  sanitizeInput,
+  validateJSON,
+  GdprController.rejectErasureRequest
+);
+
+// Emergency access review queue (filters: status, overdue)
+router.get('/emergency-access-reviews',
+  sanitizeInput,
+  EmergencyAccessController.getReviews
+);
+
+// Review queue health and outcomes (days)
+router.get('/emergency-access-reviews/metrics',
+  sanitizeInput,
+  EmergencyAccessController.getReviewMetrics
+);
+
+// Review item with the records accessed during the grant
+router.get('/emergency-access-reviews/:grantId',
+  sanitizeInput,
+  EmergencyAccessController.getReview
+);
+
+// Mark justified or unjustified with notes
+router.put('/emergency-access-reviews/:grantId',
+  sanitizeInput,
+  validateJSON,
+  EmergencyAccessController.completeReview
+);
+
+// Scheduled job status, lock holders and last runs
+router.get('/jobs',
+  sanitizeInput,
+  JobController.getJobs
+);
+
+// Run history for a job (filter: status)
+router.get('/jobs/:jobName/runs',
+  sanitizeInput,
+  JobController.getJobRuns
+);
+
+// Run a job now
+router.post('/jobs/:jobName/run',
+  sanitizeInput,
+  JobController.runJob
+);
+
+// Upload a CSV file or FHIR Bundle (multipart, field "file") for a dry-run import
+router.post('/imports',
+  ImportController.receiveFile,
+  sanitizeInput,
+  ImportController.createImport
+);
+
+// Import batches (filter: status)
+router.get('/imports',
+  sanitizeInput,
+  ImportController.getImports
+);
+
+// Import batch status and counts
+router.get('/imports/:batchId',
+  sanitizeInput,
+  ImportController.getImport
+);
+
+// Per-row import report (filter: status)
+router.get('/imports/:batchId/rows',
+  sanitizeInput,
+  ImportController.getImportRows
+);
+
+// Import the valid rows of a batch
+router.post('/imports/:batchId/commit',
+  sanitizeInput,
+  ImportController.commitImport
+);
+
+// Cancel an import
+router.put('/imports/:batchId/cancel',
+  sanitizeInput,
+  ImportController.cancelImport
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const AppointmentController = require('../controllers/appointmentController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Appointment Routes - Doctor availability, booking, check-in and follow-ups
+ * Patients only see and change their own appointments, doctors their own schedule
+ */
+
+router.use(authenticate);
+
+// Weekly availability template for a doctor
+router.get('/availability/:doctorId',
+  sanitizeInput,
+  AppointmentController.getAvailability
+);
+
+// Replace a doctor's availability template (doctors edit their own)
+router.put('/availability/:doctorId',
+  authorize('doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.setAvailability
+);
+
+// Free slots for a doctor (query: doctorId, from, days)
+router.get('/slots',
+  sanitizeInput,
+  AppointmentController.getSlots
+);
+
+// Follow-ups flagged on records or encounters with nothing booked since
+router.get('/follow-ups',
+  authorize('doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  AppointmentController.getFollowUpSuggestions
+);
+
+// Appointments visible to the caller (filters: date, from, to, status, doctorId, patientId)
+router.get('/',
+  authorize('patient', 'doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  AppointmentController.getAppointments
+);
+
+// Book an appointment
+router.post('/',
+  authorize('patient', 'receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.createAppointment
+);
+
+// Single appointment
+router.get('/:appointmentId',
+  authorize('patient', 'doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  AppointmentController.getAppointment
+);
+
+// Move to another slot
+router.put('/:appointmentId/reschedule',
+  authorize('patient', 'receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.rescheduleAppointment
+);
+
+// Cancel
+router.put('/:appointmentId/cancel',
+  authorize('patient', 'doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.cancelAppointment
+);
+
+// Mark as no-show once the start time has passed
+router.put('/:appointmentId/no-show',
+  authorize('doctor', 'receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.markNoShow
+);
+
+// Check in on the day; opens an encounter
+router.post('/:appointmentId/check-in',
+  authorize('receptionist', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  AppointmentController.checkIn
+);
+
+module.exports = router;
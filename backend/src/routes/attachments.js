@@ -0,0 +1,17 @@
+const express = require('express');
+const AttachmentController = require('../controllers/attachmentController');
+
+const router = express.Router();
+
+/**
+ * Attachment Routes - Signed URL downloads
+ * No access token: the URL's signature authorizes the download. URLs are
+ * issued by GET /api/patients/:patientId/medical-records/:recordId/attachments/:attachmentId/url
+ */
+
+// Download an attachment through a signed URL
+router.get('/download',
+  AttachmentController.downloadAttachment
+);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authenticate, validateRefreshToken, authRateLimit } = require('../middleware/auth');
+const TwoFactorController = require('../controllers/twoFactorController');
+const SessionController = require('../controllers/sessionController');
+const { authenticate, validateRefreshToken, validateMfaToken, authRateLimit } = require('../middleware/auth');
 const { rateLimits, sanitizeInput, validateJSON } = require('../middleware/security');
 
 const router = express.Router();
@@ -25,6 +27,24 @@ router.post('/login',
   AuthController.login
 );
 
+// Second login step: TOTP or recovery code for the mfa token issued by /login
+router.post('/login/2fa',
+  rateLimits.auth,
+  sanitizeInput,
+  validateJSON,
+  validateMfaToken,
+  TwoFactorController.verifyLogin
+);
+
+// Enrollment during login for roles that require two-factor authentication
+router.post('/login/2fa/setup',
+  rateLimits.auth,
+  sanitizeInput,
+  validateJSON,
+  validateMfaToken,
+  TwoFactorController.setupLogin
+);
+
 router.post('/refresh-token',
   rateLimits.auth,
   sanitizeInput,
@@ -51,4 +71,48 @@ router.get('/profile',
   AuthController.getProfile
 );
 
+// Active sessions of the signed-in user, and per-device sign out
+router.get('/sessions',
+  authenticate,
+  SessionController.getMySessions
+);
+
+router.delete('/sessions/:sessionId',
+  authenticate,
+  sanitizeInput,
+  SessionController.revokeMySession
+);
+
+// Two-factor authentication for the signed-in account
+router.get('/2fa',
+  authenticate,
+  TwoFactorController.getStatus
+);
+
+router.post('/2fa/setup',
+  authenticate,
+  TwoFactorController.setup
+);
+
+router.post('/2fa/enable',
+  authenticate,
+  sanitizeInput,
+  validateJSON,
+  TwoFactorController.enable
+);
+
+router.post('/2fa/disable',
+  authenticate,
+  sanitizeInput,
+  validateJSON,
+  TwoFactorController.disable
+);
+
+router.post('/2fa/recovery-codes',
+  authenticate,
+  sanitizeInput,
+  validateJSON,
+  TwoFactorController.regenerateRecoveryCodes
+);
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const ConsentController = require('../controllers/consentController');
+const ConsentRequestController = require('../controllers/consentRequestController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { patientConsentCheck, validateConsentData } = require('../middleware/consent');
 const { sanitizeInput, validateJSON } = require('../middleware/security');
@@ -35,6 +36,64 @@ router.get('/my-consents',
   ConsentController.getRecipientConsents
 );
 
+// Propose a consent to a patient (clinicians)
+router.post('/requests',
+  authorize('doctor', 'lab_technician', 'pharmacist'),
+  sanitizeInput,
+  validateJSON,
+  ConsentRequestController.createRequest
+);
+
+// Consent requests for the current user (patient: addressed to them; clinician: filed for them)
+router.get('/requests',
+  sanitizeInput,
+  ConsentRequestController.getRequests
+);
+
+// Approve, optionally narrowing the scope (patient)
+router.put('/requests/:requestId/approve',
+  authorize('patient'),
+  sanitizeInput,
+  validateJSON,
+  ConsentRequestController.approveRequest
+);
+
+// Deny (patient)
+router.put('/requests/:requestId/deny',
+  authorize('patient'),
+  sanitizeInput,
+  validateJSON,
+  ConsentRequestController.denyRequest
+);
+
+// Renewal requests for the current user (patient: addressed to them; recipient: filed by them)
+router.get('/renewal-requests',
+  sanitizeInput,
+  ConsentController.getRenewalRequests
+);
+
+// Approve renewal, creating the next consent version (patient)
+router.put('/renewal-requests/:requestId/approve',
+  authorize('patient'),
+  sanitizeInput,
+  ConsentController.approveRenewal
+);
+
+// Decline renewal (patient)
+router.put('/renewal-requests/:requestId/decline',
+  authorize('patient'),
+  sanitizeInput,
+  validateJSON,
+  ConsentController.declineRenewal
+);
+
+// Request renewal of an expiring consent (consent recipient)
+router.post('/:consentId/renewal-requests',
+  sanitizeInput,
+  validateJSON,
+  ConsentController.requestRenewal
+);
+
 // Revoke consent
 router.put('/:consentId/revoke',
   sanitizeInput,
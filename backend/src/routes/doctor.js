@@ -0,0 +1,81 @@
+const express = require('express');
+const DoctorController = require('../controllers/doctorController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Doctor Routes - Complaint inbox and record review queue for the assigned doctor
+ * Only complaints and records routed to the caller are visible
+ */
+
+router.use(authenticate);
+router.use(authorize('doctor'));
+
+// Assigned complaints, most urgent then oldest first (filters: status, priority)
+router.get('/complaints',
+  sanitizeInput,
+  DoctorController.getComplaints
+);
+
+// Single assigned complaint
+router.get('/complaints/:complaintId',
+  sanitizeInput,
+  DoctorController.getComplaint
+);
+
+// Accept an open complaint
+router.put('/complaints/:complaintId/accept',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.acceptComplaint
+);
+
+// Start work (open -> in_progress)
+router.put('/complaints/:complaintId/progress',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.progressComplaint
+);
+
+// Resolve (in_progress -> resolved)
+router.put('/complaints/:complaintId/resolve',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.resolveComplaint
+);
+
+// Reassign to another doctor
+router.put('/complaints/:complaintId/reassign',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.reassignComplaint
+);
+
+// Records routed to the caller for sign-off (status: pending_review, draft)
+router.get('/reviews',
+  sanitizeInput,
+  DoctorController.getReviews
+);
+
+// Sign off a record so the patient can see it
+router.put('/reviews/:recordId/approve',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.approveRecord
+);
+
+// Return a record to its author with comments
+router.put('/reviews/:recordId/return',
+  sanitizeInput,
+  validateJSON,
+  DoctorController.returnRecord
+);
+
+// Other active doctors (reassignment targets)
+router.get('/doctors',
+  DoctorController.getDoctors
+);
+
+module.exports = router;
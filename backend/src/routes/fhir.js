@@ -0,0 +1,38 @@
+const express = require('express');
+const FhirController = require('../controllers/fhirController');
+const { authenticate, canAccessPatient } = require('../middleware/auth');
+const { checkConsent } = require('../middleware/consent');
+
+const router = express.Router();
+
+/**
+ * FHIR Routes - Read-only HL7 FHIR R4 API (mounted at /fhir/R4)
+ * Searches take the patient from the "patient" parameter and reads from the
+ * resource itself; both then go through the same access and consent checks
+ * as the /api/patients routes
+ */
+
+// CapabilityStatement (no access token, as FHIR clients expect)
+router.get('/metadata',
+  FhirController.getCapabilityStatement
+);
+
+router.use(authenticate);
+
+// Search a resource type (Observation, MedicationRequest, Condition, Consent)
+router.get('/:resourceType',
+  FhirController.resolveSearch,
+  canAccessPatient,
+  checkConsent,
+  FhirController.search
+);
+
+// Read a resource (Patient, Observation, MedicationRequest, Condition, Consent)
+router.get('/:resourceType/:id',
+  FhirController.resolveRead,
+  canAccessPatient,
+  checkConsent,
+  FhirController.read
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const Hl7Controller = require('../controllers/hl7Controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * HL7 Routes - HL7 v2 message ingestion and the patient reconciliation queue
+ * Interfaces post messages under a receptionist or lab technician account;
+ * MLLP senders use the listener started with HL7_MLLP_PORT instead
+ */
+
+router.use(authenticate);
+
+// Receive an ADT^A04, ADT^A08 or ORU^R01 message (body: ER7 text); answers with an ACK
+router.post('/messages',
+  authorize('receptionist', 'lab_technician'),
+  Hl7Controller.receiveBody,
+  Hl7Controller.receiveMessage
+);
+
+// Message log (filters: status, messageType, controlId)
+router.get('/messages',
+  authorize('receptionist', 'lab_technician', 'administrator'),
+  sanitizeInput,
+  Hl7Controller.getMessages
+);
+
+// Single message with its raw text and ACK
+router.get('/messages/:messageId',
+  authorize('receptionist', 'lab_technician', 'administrator'),
+  sanitizeInput,
+  Hl7Controller.getMessage
+);
+
+// Messages waiting for a patient match, oldest first
+router.get('/reconciliation',
+  authorize('receptionist', 'lab_technician', 'administrator'),
+  sanitizeInput,
+  Hl7Controller.getReconciliationQueue
+);
+
+// Apply a queued message to the chosen patient
+router.put('/reconciliation/:messageId/resolve',
+  authorize('receptionist', 'lab_technician', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  Hl7Controller.resolveMessage
+);
+
+// Dismiss a queued message
+router.put('/reconciliation/:messageId/dismiss',
+  authorize('receptionist', 'lab_technician', 'administrator'),
+  sanitizeInput,
+  validateJSON,
+  Hl7Controller.dismissMessage
+);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const LabController = require('../controllers/labController');
+const { authenticate, authorize, canAccessPatient } = require('../middleware/auth');
+const { checkConsent } = require('../middleware/consent');
+const { sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Lab Routes - Lab worklist and result entry
+ * Orders are placed per patient under /api/patients/:patientId/lab-orders.
+ * Order routes take the patient from the order and require the same
+ * lab_results consent as the patient routes.
+ */
+
+const orderConsent = [LabController.resolveOrderPatient, canAccessPatient, checkConsent];
+
+router.use(authenticate);
+
+// Test catalog with reference ranges
+router.get('/tests',
+  authorize('doctor', 'lab_technician'),
+  LabController.getTestCatalog
+);
+
+// Open worklist, stat first (filters: status, priority); doctors see their own orders
+router.get('/orders',
+  authorize('doctor', 'lab_technician'),
+  sanitizeInput,
+  LabController.getOrders
+);
+
+// Single order
+router.get('/orders/:orderId',
+  authorize('doctor', 'lab_technician'),
+  sanitizeInput,
+  orderConsent,
+  LabController.getOrder
+);
+
+// Record specimen collection
+router.put('/orders/:orderId/collect',
+  authorize('lab_technician'),
+  sanitizeInput,
+  validateJSON,
+  orderConsent,
+  LabController.collectSpecimen
+);
+
+// Enter or correct results
+router.put('/orders/:orderId/results',
+  authorize('lab_technician'),
+  sanitizeInput,
+  validateJSON,
+  orderConsent,
+  LabController.saveResults
+);
+
+// Publish results as a lab_result record
+router.post('/orders/:orderId/publish',
+  authorize('lab_technician'),
+  sanitizeInput,
+  validateJSON,
+  orderConsent,
+  LabController.publishResults
+);
+
+// Cancel an open order
+router.put('/orders/:orderId/cancel',
+  authorize('doctor', 'lab_technician'),
+  sanitizeInput,
+  validateJSON,
+  orderConsent,
+  LabController.cancelOrder
+);
+
+module.exports = router;
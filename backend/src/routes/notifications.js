@@ -0,0 +1,32 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { sanitizeInput } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Notification Routes - Per-user in-app notification inbox
+ */
+
+router.use(authenticate);
+
+// List own notifications (filter: unread)
+router.get('/',
+  sanitizeInput,
+  NotificationController.getNotifications
+);
+
+// Mark all as read
+router.put('/read-all',
+  sanitizeInput,
+  NotificationController.markAllAsRead
+);
+
+// Mark one as read
+router.put('/:notificationId/read',
+  sanitizeInput,
+  NotificationController.markAsRead
+);
+
+module.exports = router;
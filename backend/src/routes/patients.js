@@ -1,5 +1,9 @@
 const express = require('express');
 const PatientController = require('../controllers/patientController');
+const GdprController = require('../controllers/gdprController');
+const LabController = require('../controllers/labController');
+const EncounterController = require('../controllers/encounterController');
+const AttachmentController = require('../controllers/attachmentController');
 const { authenticate, authorize, canAccessPatient } = require('../middleware/auth');
 const { checkConsent, emergencyAccess } = require('../middleware/consent');
 const { rateLimits, sanitizeInput, validateJSON } = require('../middleware/security');
@@ -54,6 +58,46 @@ router.post('/:patientId/medical-records',
   PatientController.createMedicalRecord
 );
 
+// Amend a medical record as a new version (medical staff only)
+router.put('/:patientId/medical-records/:recordId',
+  authorize('doctor', 'receptionist', 'lab_technician', 'pharmacist'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  PatientController.amendMedicalRecord
+);
+
+// Upload an attachment (multipart, field "file") to a medical record (medical staff only)
+router.post('/:patientId/medical-records/:recordId/attachments',
+  authorize('doctor', 'receptionist', 'lab_technician', 'pharmacist'),
+  AttachmentController.receiveFile,
+  sanitizeInput,
+  checkConsent,
+  AttachmentController.uploadAttachment
+);
+
+// Short-lived signed download URL for an attachment
+router.get('/:patientId/medical-records/:recordId/attachments/:attachmentId/url',
+  sanitizeInput,
+  checkConsent,
+  AttachmentController.getDownloadUrl
+);
+
+// Every version of a medical record with field-level changes
+router.get('/:patientId/medical-records/:recordId/history',
+  checkConsent,
+  PatientController.getRecordHistory
+);
+
+// Check a prescription against allergies and active medications before saving
+router.post('/:patientId/prescriptions/check',
+  authorize('doctor'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  PatientController.checkPrescription
+);
+
 // Get patient visits (with consent validation)
 router.get('/:patientId/visits',
   checkConsent,
@@ -69,12 +113,99 @@ router.post('/:patientId/visits',
   PatientController.addVisit
 );
 
+// Encounters, newest first (consent covers all record types an encounter gathers)
+router.get('/:patientId/encounters',
+  sanitizeInput,
+  checkConsent,
+  EncounterController.getEncounters
+);
+
+// Open a walk-in encounter
+router.post('/:patientId/encounters',
+  authorize('doctor', 'receptionist'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  EncounterController.createEncounter
+);
+
+// Everything from one encounter: vitals, diagnoses, prescriptions, lab orders and results
+router.get('/:patientId/encounters/:encounterId',
+  sanitizeInput,
+  checkConsent,
+  EncounterController.getEncounter
+);
+
+// Update encounter details
+router.put('/:patientId/encounters/:encounterId',
+  authorize('doctor', 'receptionist'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  EncounterController.updateEncounter
+);
+
+// Start, finish or cancel an encounter
+router.put('/:patientId/encounters/:encounterId/status',
+  authorize('doctor', 'receptionist'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  EncounterController.updateStatus
+);
+
 // Get patient medications (with consent validation)
 router.get('/:patientId/medications',
   checkConsent,
   PatientController.getMedications
 );
 
+// Get patient lab orders (with consent validation)
+router.get('/:patientId/lab-orders',
+  sanitizeInput,
+  checkConsent,
+  LabController.getPatientOrders
+);
+
+// Place a lab order (doctor)
+router.post('/:patientId/lab-orders',
+  authorize('doctor'),
+  sanitizeInput,
+  validateJSON,
+  checkConsent,
+  LabController.createOrder
+);
+
+// Access report: who accessed the patient's record (json, csv or pdf)
+router.get('/:patientId/access-report',
+  authorize('patient', 'administrator'),
+  sanitizeInput,
+  PatientController.getAccessReport
+);
+
+// GDPR data export (json or FHIR R4 Bundle)
+router.get('/:patientId/export',
+  authorize('patient', 'administrator'),
+  rateLimits.dataExport,
+  sanitizeInput,
+  GdprController.exportPatientData
+);
+
+// Right-to-erasure request (patient)
+router.post('/:patientId/erasure-requests',
+  authorize('patient'),
+  sanitizeInput,
+  validateJSON,
+  GdprController.requestErasure
+);
+
+// Erasure request history
+router.get('/:patientId/erasure-requests',
+  authorize('patient', 'administrator'),
+  sanitizeInput,
+  GdprController.getPatientErasureRequests
+);
+
 // Emergency access override
 router.post('/:patientId/emergency-access',
   authorize('doctor', 'receptionist', 'administrator'),
@@ -83,12 +214,18 @@ router.post('/:patientId/emergency-access',
   validateJSON,
   emergencyAccess,
   (req, res) => {
-    res.json({
+    const grant = req.emergencyAccess;
+    res.status(201).json({
       success: true,
       message: 'Emergency access granted',
       data: {
         emergencyAccess: true,
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        grantId: grant._id,
+        consentId: grant.consentId,
+        expiresAt: grant.expiresAt,
+        reviewDueAt: grant.review.dueAt,
+        patientNotified: !!grant.notifications.patientNotifiedAt,
+        contactsNotified: grant.notifications.contacts.filter(contact => contact.status === 'sent').length
       }
     });
   }
@@ -0,0 +1,50 @@
+const express = require('express');
+const PharmacyController = require('../controllers/pharmacyController');
+const { authenticate, authorize, canAccessPatient } = require('../middleware/auth');
+const { checkConsent } = require('../middleware/consent');
+const { sanitizeInput, validateJSON } = require('../middleware/security');
+
+const router = express.Router();
+
+/**
+ * Pharmacy Routes - Dispense queue for prescription records
+ * Prescriptions enter the queue when a doctor creates them. Prescription
+ * routes take the patient from the record and require the same
+ * prescriptions consent as the patient routes.
+ */
+
+const prescriptionConsent = [PharmacyController.resolvePrescriptionPatient, canAccessPatient, checkConsent];
+
+router.use(authenticate);
+router.use(authorize('pharmacist'));
+
+// Dispense queue, oldest first (filter: status, comma-separated)
+router.get('/queue',
+  sanitizeInput,
+  PharmacyController.getQueue
+);
+
+// Prescription with fills, clinical warnings and active medications
+router.get('/prescriptions/:recordId',
+  sanitizeInput,
+  prescriptionConsent,
+  PharmacyController.getPrescription
+);
+
+// Dispense a full or partial quantity
+router.post('/prescriptions/:recordId/dispense',
+  sanitizeInput,
+  validateJSON,
+  prescriptionConsent,
+  PharmacyController.dispense
+);
+
+// Reject a prescription with a reason
+router.put('/prescriptions/:recordId/reject',
+  sanitizeInput,
+  validateJSON,
+  prescriptionConsent,
+  PharmacyController.reject
+);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Attachment Storage - Encrypted file storage for medical record attachments
+ * Files are encrypted with AES-256-GCM before they reach the backend.
+ * The local filesystem is the default backend; ATTACHMENT_STORAGE=s3 uses S3
+ * or an S3-compatible stand-in (e.g. MinIO via S3_ENDPOINT). Install any other
+ * backend with setBackend.
+ */
+
+// Backend interface: { name, put(key, buffer), get(key) -> Buffer, remove(key) }
+const createLocalBackend = (root = process.env.UPLOAD_PATH || './uploads') => {
+  const base = path.resolve(root);
+
+  // Keys never resolve outside the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(`${base}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+      await fs.writeFile(filePath, body, { mode: 0o600 });
+    },
+    get: (key) => fs.readFile(resolveKey(key)),
+    remove: (key) => fs.rm(resolveKey(key), { force: true })
+  };
+};
+
+const createS3Backend = ({
+  bucket = process.env.S3_BUCKET,
+  endpoint = process.env.S3_ENDPOINT,
+  region = process.env.S3_REGION || 'us-east-1'
+} = {}) => {
+  // Loaded on demand; credentials come from the standard AWS environment variables
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for S3 attachment storage');
+  }
+
+  // Path-style addressing is what local stand-ins expect
+  const client = new S3Client({ region, ...(endpoint && { endpoint, forcePathStyle: true }) });
+
+  return {
+    name: 's3',
+    put: (key, body) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: 'application/octet-stream'
+    })),
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+  };
+};
+
+let backend = null;
+
+const getBackend = () => {
+  if (!backend) {
+    backend = process.env.ATTACHMENT_STORAGE === 's3' ? createS3Backend() : createLocalBackend();
+  }
+  return backend;
+};
+
+// Replace the storage backend (see the interface above)
+const setBackend = (customBackend) => {
+  backend = customBackend;
+};
+
+const getKey = () => {
+  if (!process.env.ENCRYPTION_KEY) {
+    const error = new Error('ENCRYPTION_KEY is not configured');
+    error.code = 'STORAGE_NOT_CONFIGURED';
+    throw error;
+  }
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+};
+
+// Encrypt and store a file. The storage key is authenticated with the
+// ciphertext, so a file copied to another key fails to decrypt.
+const saveFile = async (key, buffer) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  cipher.setAAD(Buffer.from(key, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  await getBackend().put(key, encrypted);
+
+  return {
+    storage: getBackend().name,
+    encryption: {
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex')
+    }
+  };
+};
+
+// Read and decrypt a stored file
+const readFile = async (key, encryption) => {
+  const encrypted = await getBackend().get(key);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(encryption.iv, 'hex'));
+  decipher.setAAD(Buffer.from(key, 'utf8'));
+  decipher.setAuthTag(Buffer.from(encryption.authTag, 'hex'));
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+const removeFile = (key) => getBackend().remove(key);
+
+module.exports = { saveFile, readFile, removeFile, setBackend, createLocalBackend, createS3Backend };
@@ -0,0 +1,58 @@
+/**
+ * Canonical JSON - Deterministic serialization for hashing and signatures
+ * Produces the same string for a document before and after a MongoDB round trip
+ */
+
+const isObjectId = (value) => value && (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID');
+
+// Normalize a value into plain JSON types with a stable shape
+const normalize = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (isObjectId(value)) return value.toHexString();
+  if (value._bsontype === 'Decimal128') return value.toString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (typeof value.toObject === 'function' && !Array.isArray(value)) {
+    return normalize(value.toObject({ depopulate: true, virtuals: false, transform: false }));
+  }
+
+  if (Array.isArray(value)) {
+    // Array positions are significant, so missing values become null
+    return value.map(item => {
+      const normalized = normalize(item);
+      return normalized === undefined ? null : normalized;
+    });
+  }
+
+  if (typeof value === 'object') {
+    // Keys are sorted; null and empty objects are dropped because
+    // MongoDB stores undefined as null and Mongoose minimizes empty objects
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const normalized = normalize(value[key]);
+      if (normalized === undefined) return;
+      if (
+        typeof normalized === 'object' &&
+        !Array.isArray(normalized) &&
+        Object.keys(normalized).length === 0
+      ) {
+        return;
+      }
+      result[key] = normalized;
+    });
+    return result;
+  }
+
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+
+  return value;
+};
+
+// Serialize a value to its canonical JSON string
+const canonicalize = (value) => {
+  const normalized = normalize(value);
+  return JSON.stringify(normalized === undefined ? null : normalized);
+};
+
+module.exports = { canonicalize, normalize };
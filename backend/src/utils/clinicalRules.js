@@ -0,0 +1,120 @@
+const dataset = require('../config/clinicalRules.json');
+
+/**
+ * Clinical Rules Engine - Prescription safety checks against a local dataset
+ * Each rule returns warnings ({ type, severity, message, ... }) for a
+ * prescribing context; add rules with registerRule. Severe warnings need
+ * an override reason before the prescription can go ahead.
+ */
+
+const SEVERITY_RANK = { mild: 1, moderate: 2, severe: 3 };
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// A dataset term is a drug name or "class:<name>" for every drug in the class
+const matchesTerm = (drugName, term) => {
+  if (term.startsWith('class:')) {
+    const members = dataset.drugClasses[term.slice(6)] || [];
+    return members.some(member => drugName.includes(member));
+  }
+  return drugName.includes(term);
+};
+
+const matchesAny = (drugName, terms) => terms.some(term => matchesTerm(drugName, term));
+
+// Keep the most severe warning per key
+const keepMostSevere = (warnings, keyOf) => {
+  const byKey = new Map();
+  warnings.forEach(warning => {
+    const existing = byKey.get(keyOf(warning));
+    if (!existing || SEVERITY_RANK[warning.severity] > SEVERITY_RANK[existing.severity]) {
+      byKey.set(keyOf(warning), warning);
+    }
+  });
+  return [...byKey.values()];
+};
+
+// Medication named in a recorded allergy, or covered by an allergy class rule
+const drugAllergyRule = {
+  name: 'drug_allergy',
+  evaluate: ({ medicationName, allergies = [] }) => {
+    const drugName = normalize(medicationName);
+    if (!drugName) {
+      return [];
+    }
+
+    const warnings = allergies.flatMap(allergy => {
+      const allergen = normalize(allergy);
+      if (!allergen) {
+        return [];
+      }
+
+      const hits = [];
+      if (drugName.includes(allergen) || allergen.includes(drugName)) {
+        hits.push({ severity: 'severe', message: `Recorded allergy to ${allergy}` });
+      }
+      dataset.allergyRules
+        .filter(rule => allergen.includes(rule.allergen) && matchesAny(drugName, rule.drugs))
+        .forEach(rule => hits.push({ severity: rule.severity, message: rule.message }));
+
+      return hits.map(hit => ({ type: 'drug_allergy', allergen: allergy, ...hit }));
+    });
+
+    return keepMostSevere(warnings, warning => normalize(warning.allergen));
+  }
+};
+
+// Known interactions between the new medication and the patient's active ones
+const drugInteractionRule = {
+  name: 'drug_interaction',
+  evaluate: ({ medicationName, medications = [] }) => {
+    const drugName = normalize(medicationName);
+    if (!drugName) {
+      return [];
+    }
+
+    const warnings = medications.flatMap(medication => {
+      const otherName = normalize(medication.name);
+      if (!otherName || otherName === drugName) {
+        return [];
+      }
+
+      return dataset.interactions
+        .filter(({ drugs: [first, second] }) =>
+          (matchesTerm(drugName, first) && matchesTerm(otherName, second)) ||
+          (matchesTerm(drugName, second) && matchesTerm(otherName, first))
+        )
+        .map(interaction => ({
+          type: 'drug_interaction',
+          severity: interaction.severity,
+          message: `${interaction.message} with ${medication.name}`,
+          interactingDrug: medication.name,
+          ...(medication.recordId && { interactingRecordId: medication.recordId })
+        }));
+    });
+
+    return keepMostSevere(warnings, warning => normalize(warning.interactingDrug));
+  }
+};
+
+const rules = [drugAllergyRule, drugInteractionRule];
+
+// Add a rule: { name, evaluate(context) => warnings[] }
+const registerRule = (rule) => {
+  rules.push(rule);
+};
+
+// Warnings for prescribing medicationName, most severe first.
+// context: { medicationName, allergies: [String], medications: [{ name, recordId }] }
+const evaluate = (context) => rules
+  .flatMap(rule => rule.evaluate(context) || [])
+  .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+const requiresOverride = (warnings) => warnings.some(warning => warning.severity === 'severe');
+
+module.exports = {
+  SEVERITIES: Object.keys(SEVERITY_RANK),
+  registerRule,
+  evaluate,
+  requiresOverride
+};
@@ -0,0 +1,36 @@
+/**
+ * Contact Notifier - Outbound messages to people without accounts,
+ * such as a patient's emergency contacts
+ * Nothing is delivered until a gateway (e.g. SMS) is installed with setTransport;
+ * until then contacts are recorded as not_configured, never as sent
+ */
+
+let transport = null;
+
+// Replace the delivery transport: async ({ name, phone, message }) => ({ channel })
+const setTransport = (fn) => {
+  transport = fn;
+};
+
+// Deliver a message to one contact. Never throws; the outcome is returned for record keeping.
+const notifyContact = async (contact, message) => {
+  const outcome = {
+    name: contact.name,
+    relationship: contact.relationship
+  };
+
+  try {
+    if (!transport) {
+      return { ...outcome, status: 'not_configured', error: 'No contact notification gateway is configured' };
+    }
+    if (!contact.phone) {
+      throw new Error('No phone number on file');
+    }
+    const result = await transport({ name: contact.name, phone: contact.phone, message });
+    return { ...outcome, status: 'sent', channel: result?.channel, sentAt: new Date() };
+  } catch (error) {
+    return { ...outcome, status: 'failed', error: error.message };
+  }
+};
+
+module.exports = { notifyContact, setTransport };
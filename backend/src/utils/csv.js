@@ -0,0 +1,83 @@
+/**
+ * CSV Utilities - Minimal RFC 4180 serialization for compliance exports, and
+ * parsing for the bulk patient import
+ * Values containing separators, quotes or newlines are quoted and escaped
+ */
+
+// Escape a single value for CSV output
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralize spreadsheet formula injection
+  if (/^[=+\-@]/.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+};
+
+// Build a single CSV line from an array of values
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into rows of values. Each row carries the line it starts on.
+// Throws on an unterminated quoted value.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      value = '';
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted value starting on line ${rowLine}`);
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Skip blank lines
+  return rows.filter(({ values }) => values.some(item => item.trim() !== ''));
+};
+
+module.exports = { escapeCsvValue, toCsvRow, parseCsv };
@@ -0,0 +1,738 @@
+/**
+ * FHIR Utilities - Mapping of internal models to HL7 FHIR R4 resources, and back
+ * Shared by the GDPR data export, the FHIR API and the bulk patient import
+ */
+
+const FHIR_BASE_URL = process.env.FHIR_BASE_URL || 'http://localhost:5000/fhir/R4';
+const SYSTEM_BASE = process.env.FHIR_SYSTEM_BASE || 'urn:healthcare-system';
+
+const CODE_SYSTEMS = {
+  loinc: 'http://loinc.org',
+  icd10: 'http://hl7.org/fhir/sid/icd-10',
+  ucum: 'http://unitsofmeasure.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  consentScope: 'http://terminology.hl7.org/CodeSystem/consentscope',
+  actReason: 'http://terminology.hl7.org/CodeSystem/v3-ActReason',
+  participationType: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  auditEventType: 'http://terminology.hl7.org/CodeSystem/audit-event-type',
+  allergyClinical: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical'
+};
+
+// Vital sign components: internal path, LOINC code, display, UCUM unit
+const VITAL_SIGN_COMPONENTS = [
+  ['bloodPressure.systolic', '8480-6', 'Systolic blood pressure', 'mm[Hg]'],
+  ['bloodPressure.diastolic', '8462-4', 'Diastolic blood pressure', 'mm[Hg]'],
+  ['heartRate', '8867-4', 'Heart rate', '/min'],
+  ['respiratoryRate', '9279-1', 'Respiratory rate', '/min'],
+  ['temperature', '8310-5', 'Body temperature', 'Cel'],
+  ['oxygenSaturation', '59408-5', 'Oxygen saturation by pulse oximetry', '%'],
+  ['height', '8302-2', 'Body height', 'cm'],
+  ['weight', '29463-7', 'Body weight', 'kg'],
+  ['bmi', '39156-5', 'Body mass index', 'kg/m2']
+];
+
+const VITAL_SIGNS_PANEL_CODE = '85353-1';
+
+const CONSENT_PURPOSES = {
+  treatment: 'TREAT',
+  diagnosis: 'TREAT',
+  follow_up: 'TREAT',
+  emergency_care: 'ETREAT',
+  research: 'HRESCH',
+  quality_assurance: 'HOPERAT',
+  billing: 'HPAYMT',
+  legal_compliance: 'HLEGAL'
+};
+
+const LAB_INTERPRETATIONS = {
+  normal: ['N', 'Normal'],
+  abnormal: ['A', 'Abnormal'],
+  critical: ['AA', 'Critical abnormal']
+};
+
+const AUDIT_ACTIONS = {
+  CREATE: 'C',
+  READ: 'R',
+  UPDATE: 'U',
+  DELETE: 'D',
+  DATA_EXPORT: 'R',
+  EMERGENCY_ACCESS: 'E'
+};
+
+// Drop undefined, null, empty arrays and empty objects so resources stay minimal
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const compacted = compact(item);
+      if (compacted !== undefined) result[key] = compacted;
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+
+  return value === null || value === '' ? undefined : value;
+};
+
+const readPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+const reference = (type, value, display) => {
+  const id = toId(value);
+  return id ? { reference: `${type}/${id}`, display } : undefined;
+};
+
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+const toDateTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const displayName = (user) => (user && user.profile ? `${user.profile.firstName} ${user.profile.lastName}` : undefined);
+
+const coding = (system, code, display) => ({ coding: [{ system, code, display }] });
+
+// Metadata shared by versioned medical record resources
+const recordMeta = (record) => ({
+  versionId: String(record.version || 1),
+  lastUpdated: toDateTime(record.updatedAt || record.recordDate),
+  tag: record.isLatestVersion === false
+    ? [{ system: `${SYSTEM_BASE}/record-version`, code: 'superseded' }]
+    : undefined
+});
+
+const toPatient = (patient, user) => compact({
+  resourceType: 'Patient',
+  id: toId(patient),
+  meta: { lastUpdated: toDateTime(patient.updatedAt) },
+  identifier: [{ system: `${SYSTEM_BASE}/patient-id`, value: toId(patient) }],
+  active: patient.status === 'active' && !patient.deletedAt,
+  name: user && user.profile ? [{
+    use: 'official',
+    family: user.profile.lastName,
+    given: [user.profile.firstName]
+  }] : undefined,
+  telecom: user ? [
+    user.email ? { system: 'email', value: user.email } : undefined,
+    user.profile?.phone ? { system: 'phone', value: user.profile.phone } : undefined
+  ] : undefined,
+  gender: { male: 'male', female: 'female', other: 'other' }[patient.demographics?.gender] || 'unknown',
+  birthDate: toDate(patient.demographics?.dateOfBirth),
+  deceasedBoolean: patient.status === 'deceased' ? true : undefined,
+  contact: patient.demographics?.emergencyContact ? [{
+    relationship: [{ text: patient.demographics.emergencyContact.relationship }],
+    name: { text: patient.demographics.emergencyContact.name },
+    telecom: typeof patient.demographics.emergencyContact.phone === 'string'
+      ? [{ system: 'phone', value: patient.demographics.emergencyContact.phone }]
+      : undefined
+  }] : undefined
+});
+
+// Condition from Patient.medicalHistory.conditions
+const toConditionFromHistory = (condition, patientId) => compact({
+  resourceType: 'Condition',
+  id: toId(condition),
+  clinicalStatus: coding(
+    CODE_SYSTEMS.conditionClinical,
+    condition.status === 'resolved' ? 'resolved' : 'active'
+  ),
+  category: [coding(CODE_SYSTEMS.conditionCategory, 'problem-list-item', 'Problem List Item')],
+  code: { text: condition.name },
+  subject: reference('Patient', patientId),
+  onsetDateTime: toDateTime(condition.diagnosedDate),
+  asserter: reference('Practitioner', condition.diagnosedBy),
+  note: condition.notes ? [{ text: condition.notes }] : undefined
+});
+
+// Condition from a diagnosis medical record
+const toConditionFromRecord = (record) => {
+  const diagnosis = record.content?.diagnosis || {};
+
+  return compact({
+    resourceType: 'Condition',
+    id: toId(record),
+    meta: recordMeta(record),
+    clinicalStatus: coding(CODE_SYSTEMS.conditionClinical, 'active'),
+    verificationStatus: coding(
+      CODE_SYSTEMS.conditionVerification,
+      record.status === 'approved' || record.status === 'amended' ? 'confirmed' : 'provisional'
+    ),
+    category: [coding(CODE_SYSTEMS.conditionCategory, 'encounter-diagnosis', 'Encounter Diagnosis')],
+    severity: diagnosis.severity ? { text: diagnosis.severity } : undefined,
+    code: {
+      coding: diagnosis.icd10Code
+        ? [{ system: CODE_SYSTEMS.icd10, code: diagnosis.icd10Code, display: diagnosis.diagnosisName }]
+        : undefined,
+      text: diagnosis.diagnosisName || record.content?.title
+    },
+    subject: reference('Patient', record.patientId),
+    encounter: reference('Encounter', record.encounterId),
+    recordedDate: toDateTime(record.recordDate),
+    recorder: reference('Practitioner', record.providerId, displayName(record.providerId)),
+    note: record.content?.description ? [{ text: record.content.description }] : undefined
+  });
+};
+
+// Vital signs panel Observation
+const toVitalSignsObservation = (record) => {
+  const vitals = record.content?.vitalSigns || {};
+
+  return compact({
+    resourceType: 'Observation',
+    id: toId(record),
+    meta: recordMeta(record),
+    status: record.status === 'amended' ? 'amended' : 'final',
+    category: [coding(CODE_SYSTEMS.observationCategory, 'vital-signs', 'Vital Signs')],
+    code: coding(CODE_SYSTEMS.loinc, VITAL_SIGNS_PANEL_CODE, 'Vital signs panel'),
+    subject: reference('Patient', record.patientId),
+    encounter: reference('Encounter', record.encounterId),
+    effectiveDateTime: toDateTime(record.recordDate),
+    performer: [reference('Practitioner', record.providerId, displayName(record.providerId))],
+    note: record.content?.description ? [{ text: record.content.description }] : undefined,
+    component: VITAL_SIGN_COMPONENTS
+      .filter(([path]) => typeof readPath(vitals, path) === 'number')
+      .map(([path, code, display, unit]) => ({
+        code: coding(CODE_SYSTEMS.loinc, code, display),
+        valueQuantity: { value: readPath(vitals, path), unit, system: CODE_SYSTEMS.ucum, code: unit }
+      }))
+  });
+};
+
+// One Observation per lab result line; ids are "<recordId>-<index>"
+const toLabObservations = (record) => {
+  const lab = record.content?.labResult || {};
+
+  return (lab.results || []).map((result, index) => {
+    const numeric = result.value !== undefined && result.value !== '' && !isNaN(Number(result.value));
+    const interpretation = LAB_INTERPRETATIONS[result.status];
+
+    let status = record.status === 'amended' ? 'amended' : 'final';
+    if (result.status === 'pending') status = 'registered';
+
+    return compact({
+      resourceType: 'Observation',
+      id: `${toId(record)}-${index}`,
+      meta: recordMeta(record),
+      status,
+      category: [coding(CODE_SYSTEMS.observationCategory, 'laboratory', 'Laboratory')],
+      code: { text: result.testName || lab.testType },
+      subject: reference('Patient', record.patientId),
+      encounter: reference('Encounter', record.encounterId),
+      effectiveDateTime: toDateTime(lab.collectionDate || record.recordDate),
+      issued: toDateTime(lab.resultDate),
+      performer: [reference('Practitioner', lab.performedBy || record.providerId)],
+      valueQuantity: numeric
+        ? { value: Number(result.value), unit: result.unit, system: result.unit ? CODE_SYSTEMS.ucum : undefined, code: result.unit }
+        : undefined,
+      valueString: numeric ? undefined : result.value,
+      interpretation: interpretation ? [coding(CODE_SYSTEMS.interpretation, interpretation[0], interpretation[1])] : undefined,
+      referenceRange: result.referenceRange ? [{ text: result.referenceRange }] : undefined,
+      specimen: lab.specimenType ? { display: lab.specimenType } : undefined,
+      note: typeof result.notes === 'string' ? [{ text: result.notes }] : undefined
+    });
+  });
+};
+
+const toMedicationRequest = (record) => {
+  const prescription = record.content?.prescription || {};
+
+  return compact({
+    resourceType: 'MedicationRequest',
+    id: toId(record),
+    meta: recordMeta(record),
+    status: record.status === 'archived' ? 'stopped' : 'active',
+    intent: 'order',
+    medicationCodeableConcept: { text: prescription.medicationName },
+    subject: reference('Patient', record.patientId),
+    encounter: reference('Encounter', record.encounterId),
+    authoredOn: toDateTime(record.recordDate),
+    requester: reference('Practitioner', record.providerId, displayName(record.providerId)),
+    dosageInstruction: [{
+      text: [prescription.dosage, prescription.frequency, prescription.duration].filter(Boolean).join(', '),
+      route: prescription.route ? { text: prescription.route } : undefined,
+      patientInstruction: typeof prescription.instructions === 'string' ? prescription.instructions : undefined
+    }],
+    dispenseRequest: {
+      quantity: typeof prescription.quantity === 'number' ? { value: prescription.quantity } : undefined,
+      numberOfRepeatsAllowed: prescription.refills
+    },
+    note: prescription.pharmacy ? [{ text: `Pharmacy: ${prescription.pharmacy}` }] : undefined
+  });
+};
+
+// MedicationStatement from Patient.medicalHistory.medications
+const toMedicationStatement = (medication, patientId) => compact({
+  resourceType: 'MedicationStatement',
+  id: toId(medication),
+  status: medication.active ? 'active' : 'completed',
+  medicationCodeableConcept: { text: medication.name },
+  subject: reference('Patient', patientId),
+  effectivePeriod: {
+    start: toDateTime(medication.startDate),
+    end: toDateTime(medication.endDate)
+  },
+  informationSource: reference('Practitioner', medication.prescribedBy),
+  dosage: [{ text: `${medication.dosage}, ${medication.frequency}` }]
+});
+
+const toProcedureFromRecord = (record) => {
+  const procedure = record.content?.procedure || {};
+
+  return compact({
+    resourceType: 'Procedure',
+    id: toId(record),
+    meta: recordMeta(record),
+    status: 'completed',
+    code: { text: procedure.procedureName || record.content?.title },
+    subject: reference('Patient', record.patientId),
+    encounter: reference('Encounter', record.encounterId),
+    performedPeriod: {
+      start: toDateTime(procedure.startDate || record.recordDate),
+      end: toDateTime(procedure.endDate)
+    },
+    performer: [{ actor: reference('Practitioner', record.providerId) }],
+    location: procedure.location ? { display: procedure.location } : undefined,
+    outcome: procedure.outcome ? { text: procedure.outcome } : undefined,
+    complication: procedure.complications ? [{ text: procedure.complications }] : undefined,
+    note: record.content?.description ? [{ text: record.content.description }] : undefined
+  });
+};
+
+// Procedure from Patient.medicalHistory.surgeries
+const toProcedureFromSurgery = (surgery, patientId) => compact({
+  resourceType: 'Procedure',
+  id: toId(surgery),
+  status: 'completed',
+  code: { text: surgery.name },
+  subject: reference('Patient', patientId),
+  performedDateTime: toDateTime(surgery.date),
+  performer: [{ actor: reference('Practitioner', surgery.surgeon) }],
+  location: surgery.hospital ? { display: surgery.hospital } : undefined,
+  note: surgery.notes ? [{ text: surgery.notes }] : undefined
+});
+
+const toAllergyIntolerance = ({ id, text, patientId, recordedDate, recorder, meta }) => compact({
+  resourceType: 'AllergyIntolerance',
+  id,
+  meta,
+  clinicalStatus: coding(CODE_SYSTEMS.allergyClinical, 'active'),
+  code: { text },
+  patient: reference('Patient', patientId),
+  recordedDate: toDateTime(recordedDate),
+  recorder: reference('Practitioner', recorder)
+});
+
+const toImmunization = (record) => compact({
+  resourceType: 'Immunization',
+  id: toId(record),
+  meta: recordMeta(record),
+  status: 'completed',
+  vaccineCode: { text: record.content?.title },
+  patient: reference('Patient', record.patientId),
+  encounter: reference('Encounter', record.encounterId),
+  occurrenceDateTime: toDateTime(record.recordDate),
+  performer: [{ actor: reference('Practitioner', record.providerId) }],
+  note: record.content?.description ? [{ text: record.content.description }] : undefined
+});
+
+// Free-text records (clinical notes, imaging) as documents
+const toDocumentReference = (record) => compact({
+  resourceType: 'DocumentReference',
+  id: toId(record),
+  meta: recordMeta(record),
+  status: record.isLatestVersion === false ? 'superseded' : 'current',
+  type: { text: record.recordType },
+  subject: reference('Patient', record.patientId),
+  date: toDateTime(record.recordDate),
+  author: [reference('Practitioner', record.providerId)],
+  description: record.content?.title,
+  content: [
+    {
+      attachment: {
+        contentType: 'text/plain',
+        data: Buffer.from(record.content?.description || '', 'utf8').toString('base64'),
+        title: record.content?.title
+      }
+    },
+    ...(record.attachments || []).map(attachment => ({
+      attachment: {
+        contentType: attachment.mimeType,
+        title: attachment.originalName,
+        size: attachment.size,
+        creation: toDateTime(attachment.uploadedAt)
+      }
+    }))
+  ],
+  context: record.encounterId ? { encounter: [reference('Encounter', record.encounterId)] } : undefined
+});
+
+// Map any medical record to one or more FHIR resources by record type
+const fromMedicalRecord = (record) => {
+  switch (record.recordType) {
+    case 'diagnosis':
+      return [toConditionFromRecord(record)];
+    case 'vital_signs':
+      return [toVitalSignsObservation(record)];
+    case 'lab_result':
+      return toLabObservations(record);
+    case 'prescription':
+      return [toMedicationRequest(record)];
+    case 'procedure':
+      return [toProcedureFromRecord(record)];
+    case 'immunization':
+      return [toImmunization(record)];
+    case 'allergy':
+      return [toAllergyIntolerance({
+        id: toId(record),
+        meta: recordMeta(record),
+        text: record.content?.title,
+        patientId: record.patientId,
+        recordedDate: record.recordDate,
+        recorder: record.providerId
+      })];
+    default:
+      return [toDocumentReference(record)];
+  }
+};
+
+// Encounter from an embedded Patient.visits entry
+const toEncounterFromVisit = (visit, patientId) => compact({
+  resourceType: 'Encounter',
+  id: toId(visit),
+  status: 'finished',
+  class: visit.type === 'emergency'
+    ? { system: CODE_SYSTEMS.actCode, code: 'EMER', display: 'emergency' }
+    : { system: CODE_SYSTEMS.actCode, code: 'AMB', display: 'ambulatory' },
+  type: [{ text: visit.type }],
+  subject: reference('Patient', patientId),
+  participant: [{ individual: reference('Practitioner', visit.provider) }],
+  period: { start: toDateTime(visit.date) },
+  reasonCode: [{ text: visit.chiefComplaint }],
+  diagnosis: visit.diagnosis ? [{ condition: { display: visit.diagnosis } }] : undefined
+});
+
+// Encounter from an Encounter document
+const toEncounter = (encounter) => compact({
+  resourceType: 'Encounter',
+  id: toId(encounter),
+  meta: { lastUpdated: toDateTime(encounter.updatedAt) },
+  status: {
+    planned: 'planned',
+    in_progress: 'in-progress',
+    finished: 'finished',
+    cancelled: 'cancelled'
+  }[encounter.status],
+  class: encounter.type === 'emergency'
+    ? { system: CODE_SYSTEMS.actCode, code: 'EMER', display: 'emergency' }
+    : { system: CODE_SYSTEMS.actCode, code: 'AMB', display: 'ambulatory' },
+  type: [{ text: encounter.type }],
+  subject: reference('Patient', encounter.patientId),
+  participant: [{ individual: reference('Practitioner', encounter.providerId, displayName(encounter.providerId)) }],
+  period: { start: toDateTime(encounter.startTime), end: toDateTime(encounter.endTime) },
+  reasonCode: encounter.reason ? [{ text: encounter.reason }] : undefined,
+  diagnosis: encounter.diagnosis ? [{ condition: { display: encounter.diagnosis } }] : undefined,
+  location: encounter.location ? [{ location: { display: encounter.location } }] : undefined
+});
+
+const toConsent = (consent) => compact({
+  resourceType: 'Consent',
+  id: toId(consent),
+  meta: { versionId: String(consent.version || 1), lastUpdated: toDateTime(consent.updatedAt) },
+  status: consent.status === 'active' ? 'active' : 'inactive',
+  scope: coding(CODE_SYSTEMS.consentScope, 'patient-privacy', 'Privacy Consent'),
+  category: [coding(CODE_SYSTEMS.loinc, '59284-0', 'Patient Consent')],
+  patient: reference('Patient', consent.patientId),
+  dateTime: toDateTime(consent.grantedAt),
+  performer: [reference('Patient', consent.patientId)],
+  provision: {
+    type: 'permit',
+    period: {
+      start: toDateTime(consent.validFrom),
+      end: toDateTime(consent.revokedAt || consent.validUntil)
+    },
+    actor: [{
+      role: coding(CODE_SYSTEMS.participationType, 'IRCP', 'information recipient'),
+      reference: reference('Practitioner', consent.recipientId, displayName(consent.recipientId))
+    }],
+    purpose: [{
+      system: CODE_SYSTEMS.actReason,
+      code: CONSENT_PURPOSES[consent.purpose],
+      display: consent.purpose
+    }],
+    class: [{ system: `${SYSTEM_BASE}/consent-data-type`, code: consent.dataType }]
+  }
+});
+
+// Complaints are tracked as Tasks owned by the assigned doctor
+const toTaskFromComplaint = (complaint) => compact({
+  resourceType: 'Task',
+  id: toId(complaint),
+  status: {
+    open: 'requested',
+    in_progress: 'in-progress',
+    resolved: 'completed',
+    closed: 'completed'
+  }[complaint.status] || 'requested',
+  intent: 'order',
+  priority: { high: 'urgent', critical: 'stat' }[complaint.priority] || 'routine',
+  description: complaint.description,
+  for: reference('Patient', complaint.patientId),
+  authoredOn: toDateTime(complaint.createdAt),
+  lastModified: toDateTime(complaint.updatedAt),
+  requester: reference('Practitioner', complaint.receptionistId),
+  owner: reference('Practitioner', complaint.assignedDoctorId),
+  note: complaint.resolution ? [{ text: complaint.resolution, time: toDateTime(complaint.resolvedAt) }] : undefined
+});
+
+// AuditEvent from an access report entry (see PatientController.formatAccessEntry)
+const toAuditEvent = (entry, patientId) => compact({
+  resourceType: 'AuditEvent',
+  id: toId(entry.logId),
+  type: { system: CODE_SYSTEMS.auditEventType, code: 'rest', display: 'RESTful Operation' },
+  subtype: [{ system: `${SYSTEM_BASE}/audit-action`, code: entry.action }],
+  action: AUDIT_ACTIONS[entry.eventType] || 'E',
+  recorded: toDateTime(entry.accessedAt),
+  outcome: entry.accessBasis === 'denied' ? '4' : '0',
+  purposeOfEvent: entry.purpose ? [{ text: entry.purpose }] : undefined,
+  agent: [{
+    who: entry.userId ? reference('Practitioner', entry.userId, entry.accessedBy) : { display: entry.accessedBy },
+    role: [{ text: entry.role }],
+    requestor: true,
+    policy: entry.consentId ? [`Consent/${entry.consentId}`] : undefined
+  }],
+  source: { observer: { display: 'Secure Healthcare Information System' } },
+  entity: [{ what: reference('Patient', patientId), description: entry.dataType }]
+});
+
+// Wrap resources in a Bundle with absolute fullUrls
+const toBundle = (resources, { type = 'collection', total, link } = {}) => compact({
+  resourceType: 'Bundle',
+  type,
+  timestamp: new Date().toISOString(),
+  total,
+  link,
+  entry: resources.map(resource => ({
+    fullUrl: `${FHIR_BASE_URL}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: type === 'searchset' ? { mode: 'match' } : undefined
+  }))
+});
+
+// Error body for the FHIR API; code is an issue-type (e.g. invalid, not-found)
+const toOperationOutcome = (code, diagnostics, severity = 'error') => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }]
+});
+
+// Inbound mapping (bulk import): FHIR resources to internal model fields.
+// Values are passed through as given; the importer validates them against the schemas.
+
+const GENDERS_FROM_FHIR = { male: 'male', female: 'female', other: 'other', unknown: 'prefer_not_to_say' };
+
+const LAB_STATUSES_FROM_FHIR = { N: 'normal', A: 'abnormal', H: 'abnormal', L: 'abnormal', AA: 'critical', HH: 'critical', LL: 'critical' };
+
+const codesOf = (concept) => (concept?.coding || []).map(item => item.code);
+
+const conceptText = (concept) => concept?.text || concept?.coding?.find(item => item.display)?.display;
+
+const humanName = (name) => name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ') || undefined;
+
+const telecomValue = (telecom, system) => (telecom || []).find(item => item.system === system)?.value;
+
+const quantityText = (quantity) => (quantity ? [quantity.value, quantity.unit].filter(item => item !== undefined).join(' ') : undefined);
+
+// Patient resource to the User profile and Patient fields it carries
+const parsePatientResource = (resource) => {
+  const names = resource.name || [];
+  const name = names.find(item => item.use === 'official') || names[0] || {};
+  const contact = (resource.contact || [])[0];
+  const phone = telecomValue(resource.telecom, 'phone');
+
+  let status = 'active';
+  if (resource.deceasedBoolean || resource.deceasedDateTime) status = 'deceased';
+  else if (resource.active === false) status = 'inactive';
+
+  return {
+    user: {
+      email: telecomValue(resource.telecom, 'email'),
+      profile: {
+        firstName: name.given?.[0],
+        lastName: name.family,
+        dateOfBirth: resource.birthDate,
+        phone
+      }
+    },
+    patient: {
+      demographics: {
+        dateOfBirth: resource.birthDate,
+        gender: GENDERS_FROM_FHIR[resource.gender] || resource.gender,
+        emergencyContact: contact ? {
+          name: humanName(contact.name),
+          relationship: conceptText(contact.relationship?.[0]),
+          phone: telecomValue(contact.telecom, 'phone')
+        } : undefined
+      },
+      status
+    }
+  };
+};
+
+const parseVitalSigns = (resource) => {
+  const vitalSigns = {};
+  const observations = resource.component?.length ? resource.component : [resource];
+
+  observations.forEach(observation => {
+    const component = VITAL_SIGN_COMPONENTS.find(([, code]) => codesOf(observation.code).includes(code));
+    if (component && observation.valueQuantity?.value !== undefined) {
+      const path = component[0].split('.');
+      const parent = path.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), vitalSigns);
+      parent[path[path.length - 1]] = observation.valueQuantity.value;
+    }
+  });
+
+  return {
+    recordType: 'vital_signs',
+    recordDate: resource.effectiveDateTime,
+    content: {
+      title: 'Vital signs',
+      description: resource.note?.[0]?.text,
+      vitalSigns
+    }
+  };
+};
+
+const parseLabObservation = (resource) => {
+  const testName = conceptText(resource.code);
+  const interpretation = codesOf(resource.interpretation?.[0])[0];
+
+  return {
+    recordType: 'lab_result',
+    recordDate: resource.effectiveDateTime || resource.issued,
+    content: {
+      title: testName,
+      description: resource.note?.[0]?.text,
+      labResult: {
+        testType: testName,
+        specimenType: resource.specimen?.display,
+        collectionDate: resource.effectiveDateTime,
+        resultDate: resource.issued,
+        results: [{
+          testName,
+          value: resource.valueQuantity ? String(resource.valueQuantity.value) : resource.valueString,
+          unit: resource.valueQuantity?.unit,
+          referenceRange: resource.referenceRange?.[0]?.text,
+          status: LAB_STATUSES_FROM_FHIR[interpretation] || (resource.status === 'registered' ? 'pending' : undefined)
+        }]
+      }
+    }
+  };
+};
+
+const parseCondition = (resource) => {
+  const icd10 = (resource.code?.coding || []).find(item => item.system === CODE_SYSTEMS.icd10);
+  const diagnosisName = conceptText(resource.code);
+
+  return {
+    recordType: 'diagnosis',
+    recordDate: resource.recordedDate || resource.onsetDateTime,
+    content: {
+      title: diagnosisName,
+      description: resource.note?.[0]?.text,
+      diagnosis: {
+        icd10Code: icd10?.code,
+        diagnosisName,
+        severity: conceptText(resource.severity)?.toLowerCase()
+      }
+    }
+  };
+};
+
+const parseMedicationRequest = (resource) => {
+  const medicationName = conceptText(resource.medicationCodeableConcept);
+  const dosage = resource.dosageInstruction?.[0] || {};
+  const repeat = dosage.timing?.repeat;
+
+  // Structured dose and timing when present, otherwise the "dose, frequency, duration" text this API exports
+  const [doseText, frequencyText, durationText] = (dosage.text || '').split(',').map(part => part.trim());
+
+  return {
+    recordType: 'prescription',
+    recordDate: resource.authoredOn,
+    content: {
+      title: medicationName,
+      description: dosage.text,
+      prescription: {
+        medicationName,
+        dosage: quantityText(dosage.doseAndRate?.[0]?.doseQuantity) || doseText || undefined,
+        frequency: conceptText(dosage.timing?.code) ||
+          (repeat?.frequency ? `${repeat.frequency} per ${repeat.period || 1} ${repeat.periodUnit || 'd'}` : frequencyText) ||
+          undefined,
+        duration: durationText || undefined,
+        route: conceptText(dosage.route)?.toLowerCase(),
+        instructions: dosage.patientInstruction,
+        quantity: resource.dispenseRequest?.quantity?.value,
+        refills: resource.dispenseRequest?.numberOfRepeatsAllowed
+      }
+    }
+  };
+};
+
+// Clinical resource to medical record fields, or null for unsupported types.
+// providerReference points at the practitioner, for the importer to resolve.
+const parseClinicalResource = (resource) => {
+  let record = null;
+
+  if (resource.resourceType === 'Observation') {
+    const categories = (resource.category || []).flatMap(codesOf);
+    const vitalCodes = [VITAL_SIGNS_PANEL_CODE, ...VITAL_SIGN_COMPONENTS.map(([, code]) => code)];
+    const isVitalSigns = categories.includes('vital-signs') ||
+      (!categories.includes('laboratory') && codesOf(resource.code).some(code => vitalCodes.includes(code)));
+
+    record = isVitalSigns ? parseVitalSigns(resource) : parseLabObservation(resource);
+  } else if (resource.resourceType === 'Condition') {
+    record = parseCondition(resource);
+  } else if (resource.resourceType === 'MedicationRequest') {
+    record = parseMedicationRequest(resource);
+  }
+
+  if (!record) return null;
+
+  const provider = resource.recorder || resource.requester || resource.asserter ||
+    resource.performer?.[0]?.actor || resource.performer?.[0];
+
+  return {
+    ...record,
+    subjectReference: (resource.subject || resource.patient)?.reference,
+    providerReference: provider?.reference
+  };
+};
+
+module.exports = {
+  FHIR_BASE_URL,
+  toPatient,
+  toConditionFromHistory,
+  toConditionFromRecord,
+  toVitalSignsObservation,
+  toLabObservations,
+  toMedicationRequest,
+  toMedicationStatement,
+  toProcedureFromSurgery,
+  toAllergyIntolerance,
+  toEncounterFromVisit,
+  toEncounter,
+  toConsent,
+  toTaskFromComplaint,
+  toAuditEvent,
+  fromMedicalRecord,
+  toBundle,
+  toOperationOutcome,
+  parsePatientResource,
+  parseClinicalResource
+};
@@ -0,0 +1,481 @@
+/**
+ * HL7 v2 - Parser, ACK builder and mappers for pipe-delimited (ER7) messages
+ * Parsing and mapping need no database, so fixture messages can be checked
+ * offline (see scripts/parseHl7.js). Field numbers follow the standard: MSH-9
+ * is message type, PID-3 patient identifiers, OBX-5 the observation value.
+ */
+
+const DEFAULT_ENCODING = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+};
+
+// HL7 table 0357 error codes used in ERR segments
+const ERROR_CODES = {
+  segmentSequence: '100',
+  requiredFieldMissing: '101',
+  dataTypeError: '102',
+  unsupportedMessageType: '200',
+  unsupportedEventCode: '201',
+  unknownKey: '204',
+  duplicateKey: '205',
+  recordLocked: '206',
+  internalError: '207'
+};
+
+const ERROR_TEXT = {
+  100: 'Segment sequence error',
+  101: 'Required field missing',
+  102: 'Data type error',
+  200: 'Unsupported message type',
+  201: 'Unsupported event code',
+  204: 'Unknown key identifier',
+  205: 'Duplicate key identifier',
+  206: 'Application record locked',
+  207: 'Application internal error'
+};
+
+// PID-8 administrative sex
+const GENDERS = {
+  M: 'male',
+  F: 'female',
+  O: 'other',
+  A: 'other',
+  U: 'prefer_not_to_say',
+  N: 'prefer_not_to_say'
+};
+
+// OBX-8 abnormal flags; anything else leaves the status to the reference ranges
+const RESULT_FLAGS = {
+  N: 'normal',
+  L: 'abnormal',
+  H: 'abnormal',
+  A: 'abnormal',
+  '<': 'abnormal',
+  '>': 'abnormal',
+  LL: 'critical',
+  HH: 'critical',
+  AA: 'critical'
+};
+
+// OBX-11 statuses of results that were withdrawn
+const DELETED_RESULT_STATUSES = ['D', 'W'];
+
+const SPECIMEN_TYPES = ['blood', 'urine', 'stool', 'swab', 'sputum', 'csf', 'tissue', 'other'];
+
+const hl7Error = (message, code, location) => Object.assign(new Error(message), {
+  code: 'INVALID_HL7_MESSAGE',
+  hl7Code: code,
+  location
+});
+
+const decode = (text, encoding) => {
+  if (!text.includes(encoding.escape)) return text;
+
+  const escape = encoding.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`${escape}([^${escape}]*)${escape}`, 'g'), (match, sequence) => {
+    switch (sequence) {
+      case 'F': return encoding.field;
+      case 'S': return encoding.component;
+      case 'R': return encoding.repetition;
+      case 'T': return encoding.subcomponent;
+      case 'E': return encoding.escape;
+      case '.br': return '\n';
+      default:
+        // \Xhh...\ carries raw bytes; other sequences (highlighting, character sets) are dropped
+        return /^X([0-9A-Fa-f]{2})+$/.test(sequence)
+          ? Buffer.from(sequence.slice(1), 'hex').toString('latin1')
+          : '';
+    }
+  });
+};
+
+const encode = (text, encoding = DEFAULT_ENCODING) => String(text ?? '')
+  .split(encoding.escape).join(`${encoding.escape}E${encoding.escape}`)
+  .split(encoding.field).join(`${encoding.escape}F${encoding.escape}`)
+  .split(encoding.component).join(`${encoding.escape}S${encoding.escape}`)
+  .split(encoding.repetition).join(`${encoding.escape}R${encoding.escape}`)
+  .split(encoding.subcomponent).join(`${encoding.escape}T${encoding.escape}`)
+  .replace(/[\r\n]+/g, ' ');
+
+// Field value as repetitions of components of subcomponents
+const splitField = (raw, encoding) => raw.split(encoding.repetition).map(repetition => (
+  repetition.split(encoding.component).map(component => (
+    component.split(encoding.subcomponent).map(subcomponent => decode(subcomponent, encoding))
+  ))
+));
+
+const parseSegment = (line, encoding, isHeader) => {
+  const parts = line.split(encoding.field);
+  // MSH-1 is the field separator itself and MSH-2 the encoding characters
+  const raw = isHeader ? [parts[0], encoding.field, ...parts.slice(1)] : parts;
+
+  return {
+    name: parts[0],
+    fields: raw.map((field, index) => (isHeader && index <= 2 ? [[[field]]] : splitField(field, encoding)))
+  };
+};
+
+// Decoded value of SEG-field.component.subcomponent in the given repetition, or undefined when empty
+const value = (segment, field, component = 1, subcomponent = 1, repetition = 0) => {
+  const result = segment?.fields[field]?.[repetition]?.[component - 1]?.[subcomponent - 1];
+  return result === undefined || result === '' ? undefined : result;
+};
+
+// Number of repetitions of a field (0 when empty)
+const repetitions = (segment, field) => (segment?.fields[field] || [])
+  .filter(repetition => repetition.some(component => component.some(part => part !== ''))).length;
+
+// YYYY[MM[DD[HHMM[SS[.S]]]]][+/-ZZZZ]; without an offset the time is taken as server-local
+const parseTimestamp = (text) => {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(text || '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', offset] = match;
+  const parts = [year, month, day, hour, minute, second].map(Number);
+  if (parts[1] < 1 || parts[1] > 12 || parts[2] < 1 || parts[2] > 31 || parts[3] > 23 || parts[4] > 59 || parts[5] > 59) {
+    return null;
+  }
+
+  if (offset) {
+    const sign = offset[0] === '-' ? -1 : 1;
+    const offsetMinutes = sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3)));
+    return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]) - offsetMinutes * 60 * 1000);
+  }
+  return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+};
+
+// Calendar date (e.g. date of birth) as YYYY-MM-DD; anything else is passed on for
+// schema validation to reject
+const parseDate = (text) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(text || '');
+  if (!match) return text || undefined;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const formatTimestamp = (date = new Date()) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * Parse an ER7 message. Segments may be separated by CR, LF or CRLF.
+ * Throws (code INVALID_HL7_MESSAGE) when there is no usable MSH segment.
+ */
+const parseMessage = (text) => {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (lines.length === 0 || !lines[0].startsWith('MSH') || lines[0].length < 8) {
+    throw hl7Error('The message must start with an MSH segment', ERROR_CODES.segmentSequence, 'MSH');
+  }
+
+  const fieldSeparator = lines[0][3];
+  const encodingCharacters = lines[0].slice(4).split(fieldSeparator)[0];
+  const encoding = {
+    field: fieldSeparator,
+    component: encodingCharacters[0] || DEFAULT_ENCODING.component,
+    repetition: encodingCharacters[1] || DEFAULT_ENCODING.repetition,
+    escape: encodingCharacters[2] || DEFAULT_ENCODING.escape,
+    subcomponent: encodingCharacters[3] || DEFAULT_ENCODING.subcomponent
+  };
+
+  const segments = lines.map((line, index) => {
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(line.slice(0, 3)) || (line.length > 3 && line[3] !== fieldSeparator)) {
+      throw hl7Error(`Line ${index + 1} is not a segment`, ERROR_CODES.segmentSequence, `line ${index + 1}`);
+    }
+    return parseSegment(line, encoding, index === 0);
+  });
+
+  const msh = segments[0];
+  const messageCode = value(msh, 9, 1);
+  const triggerEvent = value(msh, 9, 2);
+  const header = {
+    sendingApplication: value(msh, 3),
+    sendingFacility: value(msh, 4),
+    receivingApplication: value(msh, 5),
+    receivingFacility: value(msh, 6),
+    dateTime: parseTimestamp(value(msh, 7)),
+    messageCode,
+    triggerEvent,
+    messageType: triggerEvent ? `${messageCode}^${triggerEvent}` : messageCode,
+    controlId: value(msh, 10),
+    processingId: value(msh, 11),
+    version: value(msh, 12)
+  };
+
+  // The header goes with the error so the rejection can still be acknowledged
+  if (!messageCode) {
+    throw Object.assign(hl7Error('MSH-9 message type is required', ERROR_CODES.requiredFieldMissing, 'MSH-9'), { header });
+  }
+  if (!header.controlId) {
+    throw Object.assign(hl7Error('MSH-10 message control ID is required', ERROR_CODES.requiredFieldMissing, 'MSH-10'), { header });
+  }
+
+  return { encoding, segments, header };
+};
+
+const segmentsNamed = (message, name) => message.segments.filter(segment => segment.name === name);
+
+/**
+ * ACK for a parsed message (or the header fields that could be read).
+ * code: AA accepted, AE application error, AR rejected.
+ * errors: [{ location, hl7Code, message }] become ERR segments.
+ */
+const buildAck = (header, { code, text, errors = [] }, sender = {}) => {
+  const source = header || {};
+  const encoding = DEFAULT_ENCODING;
+  const field = (item) => encode(item, encoding);
+
+  const msh = [
+    'MSH',
+    `${encoding.component}${encoding.repetition}${encoding.escape}${encoding.subcomponent}`,
+    field(sender.application || 'HIS'),
+    field(sender.facility || ''),
+    field(source.sendingApplication || ''),
+    field(source.sendingFacility || ''),
+    formatTimestamp(),
+    '',
+    `ACK${source.triggerEvent ? `^${field(source.triggerEvent)}` : ''}^ACK`,
+    field(`ACK${Date.now()}${Math.floor(Math.random() * 1000)}`.slice(0, 20)),
+    field(source.processingId || 'P'),
+    field(source.version || '2.5.1')
+  ].join(encoding.field);
+
+  const msa = ['MSA', code, field(source.controlId || ''), field(text || '')].join(encoding.field);
+
+  const err = errors.map(error => [
+    'ERR',
+    '',
+    field(error.location || ''),
+    `${error.hl7Code || ERROR_CODES.internalError}^${field(ERROR_TEXT[error.hl7Code] || ERROR_TEXT[ERROR_CODES.internalError])}^HL70357`,
+    code === 'AA' ? 'W' : 'E',
+    '', '', '',
+    field(error.message || '')
+  ].join(encoding.field));
+
+  return [msh, msa, ...err].join('\r');
+};
+
+// XTN: telephone number (components 1, or 6-7) or email (component 4)
+const phoneOf = (segment, field) => {
+  for (let repetition = 0; repetition < repetitions(segment, field); repetition++) {
+    const useCode = value(segment, field, 2, 1, repetition);
+    if (useCode === 'NET' || value(segment, field, 3, 1, repetition) === 'Internet') continue;
+
+    const areaLocal = [value(segment, field, 6, 1, repetition), value(segment, field, 7, 1, repetition)].filter(Boolean).join('');
+    const number = value(segment, field, 1, 1, repetition) || areaLocal || value(segment, field, 12, 1, repetition);
+    if (number) return number;
+  }
+  return undefined;
+};
+
+const emailOf = (segment, field) => {
+  for (let repetition = 0; repetition < repetitions(segment, field); repetition++) {
+    const email = value(segment, field, 4, 1, repetition);
+    if (email) return email.trim().toLowerCase();
+  }
+  return undefined;
+};
+
+// CE/CWE: text, falling back to the code
+const conceptText = (segment, field, repetition = 0) => (
+  value(segment, field, 2, 1, repetition) || value(segment, field, 1, 1, repetition)
+);
+
+/**
+ * PID-3 identifiers. The assigning authority (CX-4) names the identifier's system,
+ * falling back to the sending facility or application of the message.
+ */
+const patientIdentifiers = (message) => {
+  const pid = segmentsNamed(message, 'PID')[0];
+  const fallbackSystem = message.header.sendingFacility || message.header.sendingApplication;
+  const identifiers = [];
+
+  for (let repetition = 0; repetition < repetitions(pid, 3); repetition++) {
+    const id = value(pid, 3, 1, 1, repetition);
+    const system = value(pid, 3, 4, 1, repetition) || value(pid, 3, 4, 2, repetition) || fallbackSystem;
+    if (id && system) {
+      identifiers.push({ system, value: id, type: value(pid, 3, 5, 1, repetition) });
+    }
+  }
+
+  return identifiers;
+};
+
+/**
+ * PID, NK1 and AL1 as User and Patient fields, in the shape the models use.
+ * Fields the message leaves empty are undefined so updates keep existing values.
+ */
+const toPatientFields = (message) => {
+  const pids = segmentsNamed(message, 'PID');
+  if (pids.length === 0) {
+    throw hl7Error('A PID segment is required', ERROR_CODES.segmentSequence, 'PID');
+  }
+  if (pids.length > 1) {
+    throw hl7Error('Only one patient per message is supported', ERROR_CODES.segmentSequence, 'PID');
+  }
+
+  const pid = pids[0];
+  const nk1 = segmentsNamed(message, 'NK1')[0];
+  const allergies = segmentsNamed(message, 'AL1').map(al1 => conceptText(al1, 3)).filter(Boolean);
+  const sex = value(pid, 8);
+
+  return {
+    identifiers: patientIdentifiers(message),
+    user: {
+      email: emailOf(pid, 13),
+      profile: {
+        firstName: value(pid, 5, 2),
+        lastName: value(pid, 5, 1),
+        dateOfBirth: parseDate(value(pid, 7)),
+        phone: phoneOf(pid, 13)
+      }
+    },
+    patient: {
+      demographics: {
+        dateOfBirth: parseDate(value(pid, 7)),
+        gender: sex ? GENDERS[sex.toUpperCase()] || sex : undefined,
+        allergies: allergies.length > 0 ? allergies : undefined,
+        emergencyContact: nk1 ? {
+          name: [value(nk1, 2, 2), value(nk1, 2, 1)].filter(Boolean).join(' ') || undefined,
+          relationship: conceptText(nk1, 3)?.toLowerCase(),
+          phone: phoneOf(nk1, 5) || phoneOf(nk1, 6)
+        } : undefined
+      },
+      status: value(pid, 30) === 'Y' ? 'deceased' : undefined
+    }
+  };
+};
+
+// Who the message is about, for reconciliation lists
+const patientSummary = (message) => {
+  const pid = segmentsNamed(message, 'PID')[0];
+  if (!pid) return undefined;
+
+  return {
+    name: [value(pid, 5, 2), value(pid, 5, 1)].filter(Boolean).join(' ') || undefined,
+    dateOfBirth: parseDate(value(pid, 7)),
+    gender: value(pid, 8),
+    identifiers: patientIdentifiers(message)
+  };
+};
+
+// OBX-5 as text; structured numerics (SN) and coded values are flattened
+const observationValue = (obx) => {
+  const valueType = value(obx, 2);
+  const count = repetitions(obx, 5);
+  if (count === 0) return undefined;
+
+  const values = [];
+  for (let repetition = 0; repetition < count; repetition++) {
+    if (valueType === 'SN') {
+      values.push([1, 2, 3, 4].map(component => value(obx, 5, component, 1, repetition) || '').join('').trim());
+    } else if (['CE', 'CWE', 'CNE'].includes(valueType)) {
+      values.push(conceptText(obx, 5, repetition));
+    } else {
+      values.push(value(obx, 5, 1, 1, repetition));
+    }
+  }
+  return values.filter(Boolean).join(', ') || undefined;
+};
+
+const resultStatus = (obx) => {
+  const statuses = [];
+  for (let repetition = 0; repetition < repetitions(obx, 8); repetition++) {
+    const flag = value(obx, 8, 1, 1, repetition);
+    if (flag && RESULT_FLAGS[flag.toUpperCase()]) statuses.push(RESULT_FLAGS[flag.toUpperCase()]);
+  }
+  return ['critical', 'abnormal', 'normal'].find(status => statuses.includes(status));
+};
+
+const specimenTypeOf = (obr, spm) => {
+  const text = (conceptText(spm, 4) || value(obr, 15, 1, 2) || value(obr, 15, 1) || '').toLowerCase();
+  if (!text) return undefined;
+  if (['bld', 'ser', 'plas', 'serum', 'plasma', 'whole blood'].some(code => text.includes(code))) return 'blood';
+  if (text.startsWith('ur')) return 'urine';
+  return SPECIMEN_TYPES.find(type => text.includes(type)) || 'other';
+};
+
+/**
+ * ORU observation groups: one per OBR with the OBX (and NTE) segments after it.
+ * placerOrderNumber (ORC-2 or OBR-2) is the lab order ID when the order came from this system.
+ */
+const toLabResults = (message) => {
+  const groups = [];
+  let orc = null;
+  let group = null;
+  let lastResult = null;
+
+  message.segments.forEach((segment, index) => {
+    if (segment.name === 'ORC') {
+      orc = segment;
+    } else if (segment.name === 'OBR') {
+      group = {
+        location: `OBR ${groups.length + 1}`,
+        placerOrderNumber: value(orc, 2) || value(segment, 2),
+        fillerOrderNumber: value(orc, 3) || value(segment, 3),
+        testCode: value(segment, 4, 1),
+        testName: conceptText(segment, 4),
+        specimenType: specimenTypeOf(segment, null),
+        collectionDate: parseTimestamp(value(segment, 7)),
+        resultDate: parseTimestamp(value(segment, 22)),
+        results: []
+      };
+      groups.push(group);
+      lastResult = null;
+    } else if (segment.name === 'SPM' && group) {
+      group.specimenType = specimenTypeOf(null, segment) || group.specimenType;
+      group.collectionDate = group.collectionDate || parseTimestamp(value(segment, 17));
+    } else if (segment.name === 'OBX') {
+      if (!group) {
+        throw hl7Error('OBX segment before any OBR segment', ERROR_CODES.segmentSequence, `OBX at segment ${index + 1}`);
+      }
+      lastResult = null;
+      if (DELETED_RESULT_STATUSES.includes(value(segment, 11))) return;
+
+      const testName = conceptText(segment, 3);
+      if (!testName) {
+        throw hl7Error('OBX-3 observation identifier is required', ERROR_CODES.requiredFieldMissing, `OBX-3 in ${group.location}`);
+      }
+
+      lastResult = {
+        testName,
+        value: observationValue(segment),
+        unit: value(segment, 6, 1) || value(segment, 6, 2),
+        referenceRange: value(segment, 7),
+        status: resultStatus(segment),
+        notes: value(segment, 11) === 'X' ? 'Result could not be obtained' : undefined
+      };
+      group.results.push(lastResult);
+      group.resultDate = group.resultDate || parseTimestamp(value(segment, 14));
+    } else if (segment.name === 'NTE' && lastResult) {
+      const comment = [];
+      for (let repetition = 0; repetition < repetitions(segment, 3); repetition++) {
+        comment.push(value(segment, 3, 1, 1, repetition));
+      }
+      lastResult.notes = [lastResult.notes, ...comment].filter(Boolean).join(' ');
+    }
+  });
+
+  return groups;
+};
+
+module.exports = {
+  ERROR_CODES,
+  hl7Error,
+  parseMessage,
+  segmentsNamed,
+  value,
+  repetitions,
+  parseTimestamp,
+  buildAck,
+  encode,
+  patientIdentifiers,
+  patientSummary,
+  toPatientFields,
+  toLabResults
+};
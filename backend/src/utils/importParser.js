@@ -0,0 +1,277 @@
+const { parseCsv } = require('./csv');
+const fhir = require('./fhir');
+
+/**
+ * Import Parser - Reads bulk patient import files into patient entries
+ * An entry is one patient with its medical records:
+ * { ref, location, user, patient, records: [{ location, providerEmail, ...record }], issues }
+ * Values are not checked against the schemas here; the import controller does that.
+ */
+
+const PATIENT_COLUMNS = [
+  'email', 'firstName', 'lastName', 'dateOfBirth', 'gender', 'phone', 'bloodType', 'allergies',
+  'emergencyContactName', 'emergencyContactRelationship', 'emergencyContactPhone', 'status'
+];
+
+const RECORD_COLUMNS = [
+  'recordType', 'recordDate', 'title', 'description', 'providerEmail',
+  'icd10Code', 'diagnosisName', 'severity',
+  'medicationName', 'dosage', 'frequency', 'route', 'duration',
+  'testType', 'testName', 'value', 'unit', 'referenceRange', 'resultStatus',
+  'systolic', 'diastolic', 'heartRate', 'respiratoryRate', 'temperature', 'oxygenSaturation', 'height', 'weight'
+];
+
+const CSV_COLUMNS = ['type', 'ref', ...PATIENT_COLUMNS, ...RECORD_COLUMNS];
+
+// Numbers stay strings when they do not parse, so schema validation reports them
+const toNumber = (value) => (value === undefined || isNaN(Number(value)) ? value : Number(value));
+
+// Type-specific record content from a CSV record row
+const CSV_RECORD_CONTENT = {
+  diagnosis: row => ({
+    diagnosis: { icd10Code: row.icd10Code, diagnosisName: row.diagnosisName, severity: row.severity }
+  }),
+  prescription: row => ({
+    prescription: {
+      medicationName: row.medicationName,
+      dosage: row.dosage,
+      frequency: row.frequency,
+      route: row.route,
+      duration: row.duration
+    }
+  }),
+  lab_result: row => ({
+    labResult: {
+      testType: row.testType || row.testName,
+      results: row.testName ? [{
+        testName: row.testName,
+        value: row.value,
+        unit: row.unit,
+        referenceRange: row.referenceRange,
+        status: row.resultStatus
+      }] : []
+    }
+  }),
+  vital_signs: row => ({
+    vitalSigns: {
+      bloodPressure: row.systolic || row.diastolic
+        ? { systolic: toNumber(row.systolic), diastolic: toNumber(row.diastolic) }
+        : undefined,
+      heartRate: toNumber(row.heartRate),
+      respiratoryRate: toNumber(row.respiratoryRate),
+      temperature: toNumber(row.temperature),
+      oxygenSaturation: toNumber(row.oxygenSaturation),
+      height: toNumber(row.height),
+      weight: toNumber(row.weight)
+    }
+  })
+};
+
+const invalidFile = (message) => Object.assign(new Error(message), { code: 'INVALID_IMPORT_FILE' });
+
+// Legacy systems often have no separate title or description; fall back to what the record names
+const withDefaults = (record) => {
+  const content = record.content || {};
+  const title = content.title ||
+    content.diagnosis?.diagnosisName ||
+    content.prescription?.medicationName ||
+    content.labResult?.testType ||
+    (record.recordType === 'vital_signs' ? 'Vital signs' : undefined);
+
+  return {
+    ...record,
+    content: { ...content, title, description: content.description || title }
+  };
+};
+
+const createEntry = (ref, location) => ({
+  ref,
+  location,
+  user: {},
+  patient: {},
+  records: [],
+  issues: []
+});
+
+// CSV layout: one "patient" row per patient and any number of "record" rows
+// pointing at it through the shared ref column (see docs/API.md)
+const parseCsvImport = (text) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw invalidFile(error.message);
+  }
+
+  if (rows.length < 2) {
+    throw invalidFile('The CSV file needs a header row and at least one data row');
+  }
+
+  const [header, ...dataRows] = rows;
+  const columns = header.values.map(column => column.trim());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw invalidFile(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+  if (!columns.includes('type') || !columns.includes('ref')) {
+    throw invalidFile('The CSV header must include the type and ref columns');
+  }
+
+  const entries = [];
+  const byRef = new Map();
+  const orphans = [];
+
+  for (const { line, values } of dataRows) {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = values[index]?.trim();
+      if (value) row[column] = value;
+    });
+    const location = `line ${line}`;
+
+    if (row.type === 'patient') {
+      if (row.ref && byRef.has(row.ref)) {
+        const entry = createEntry(row.ref, location);
+        entry.issues.push({ location, field: 'ref', message: `Duplicate ref "${row.ref}" (first used on ${byRef.get(row.ref).location})` });
+        entries.push(entry);
+        continue;
+      }
+
+      const entry = createEntry(row.ref, location);
+      entry.user = {
+        email: row.email,
+        profile: {
+          firstName: row.firstName,
+          lastName: row.lastName,
+          dateOfBirth: row.dateOfBirth,
+          phone: row.phone
+        }
+      };
+      entry.patient = {
+        demographics: {
+          dateOfBirth: row.dateOfBirth,
+          gender: row.gender,
+          bloodType: row.bloodType,
+          allergies: row.allergies ? row.allergies.split(';').map(item => item.trim()).filter(Boolean) : [],
+          emergencyContact: row.emergencyContactName || row.emergencyContactRelationship || row.emergencyContactPhone
+            ? { name: row.emergencyContactName, relationship: row.emergencyContactRelationship, phone: row.emergencyContactPhone }
+            : undefined
+        },
+        status: row.status
+      };
+      if (!row.ref) {
+        entry.issues.push({ location, field: 'ref', message: 'ref is required' });
+      } else {
+        byRef.set(row.ref, entry);
+      }
+      entries.push(entry);
+    } else if (row.type === 'record') {
+      const buildContent = Object.hasOwn(CSV_RECORD_CONTENT, row.recordType) ? CSV_RECORD_CONTENT[row.recordType] : null;
+      const record = withDefaults({
+        location,
+        providerEmail: row.providerEmail,
+        recordType: row.recordType,
+        recordDate: row.recordDate,
+        content: {
+          title: row.title,
+          description: row.description,
+          ...(buildContent ? buildContent(row) : {})
+        }
+      });
+      orphans.push({ ref: row.ref, record });
+    } else {
+      const entry = createEntry(row.ref, location);
+      entry.issues.push({ location, field: 'type', message: 'type must be "patient" or "record"' });
+      entries.push(entry);
+    }
+  }
+
+  // Attach record rows to their patients; rows may come in any order
+  for (const { ref, record } of orphans) {
+    const entry = byRef.get(ref);
+    if (entry) {
+      entry.records.push(record);
+    } else {
+      const orphan = createEntry(ref, record.location);
+      orphan.issues.push({ location: record.location, field: 'ref', message: `No patient row with ref "${ref || ''}"` });
+      entries.push(orphan);
+    }
+  }
+
+  return { entries, warnings: [] };
+};
+
+// FHIR Bundle: Patient resources plus Observation, Condition and MedicationRequest
+// resources referencing them; Practitioner telecom emails identify record providers
+const parseFhirImport = (text) => {
+  let bundle;
+  try {
+    bundle = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw invalidFile(`The FHIR Bundle is not valid JSON: ${error.message}`);
+  }
+
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw invalidFile('Expected a FHIR Bundle with an entry array');
+  }
+
+  const entries = [];
+  const byReference = new Map();
+  const practitionerEmails = new Map();
+  const skipped = {};
+
+  const referencesOf = (item) => [item.fullUrl, item.resource.id && `${item.resource.resourceType}/${item.resource.id}`].filter(Boolean);
+
+  bundle.entry.forEach((item, index) => {
+    const resource = item?.resource;
+    if (!resource) return;
+
+    if (resource.resourceType === 'Patient') {
+      const entry = { ...createEntry(resource.id || item.fullUrl, `entry ${index}`), ...fhir.parsePatientResource(resource) };
+      entries.push(entry);
+      referencesOf(item).forEach(reference => byReference.set(reference, entry));
+    } else if (resource.resourceType === 'Practitioner') {
+      const email = (resource.telecom || []).find(telecom => telecom.system === 'email')?.value;
+      if (email) referencesOf(item).forEach(reference => practitionerEmails.set(reference, email));
+    }
+  });
+
+  bundle.entry.forEach((item, index) => {
+    const resource = item?.resource;
+    if (!resource || ['Patient', 'Practitioner'].includes(resource.resourceType)) return;
+
+    const parsed = fhir.parseClinicalResource(resource);
+    if (!parsed) {
+      skipped[resource.resourceType] = (skipped[resource.resourceType] || 0) + 1;
+      return;
+    }
+
+    const location = `entry ${index}`;
+    const { subjectReference, providerReference, ...record } = parsed;
+    const entry = byReference.get(subjectReference);
+
+    if (!entry) {
+      const orphan = createEntry(subjectReference, location);
+      orphan.issues.push({ location, field: 'subject', message: `Subject "${subjectReference || ''}" is not a Patient in this Bundle` });
+      entries.push(orphan);
+      return;
+    }
+
+    entry.records.push(withDefaults({
+      ...record,
+      location,
+      providerEmail: practitionerEmails.get(providerReference)
+    }));
+  });
+
+  const warnings = Object.entries(skipped)
+    .map(([resourceType, count]) => `Skipped ${count} ${resourceType} resource${count === 1 ? '' : 's'}: not imported`);
+
+  return { entries, warnings };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsvImport,
+  parseFhirImport
+};
@@ -0,0 +1,75 @@
+const catalog = require('../config/labTests.json');
+
+/**
+ * Lab Reference Ranges - Test catalog lookups and result classification
+ * Numeric results for catalog components are classified against the
+ * reference range (normal/abnormal) and the critical limits (critical)
+ */
+
+const listTests = () => Object.entries(catalog).map(([code, test]) => ({
+  code,
+  ...test,
+  components: test.components.map(component => ({
+    ...component,
+    referenceRange: formatRange(component)
+  }))
+}));
+
+const getTest = (code) => catalog[String(code || '').toUpperCase()] || null;
+
+const findComponent = (testType, testName) => {
+  const test = getTest(testType);
+  if (!test || !testName) {
+    return null;
+  }
+  const name = testName.trim().toLowerCase();
+  return test.components.find(component => component.testName.toLowerCase() === name) || null;
+};
+
+// Human-readable range, e.g. "3.5-5.1 mmol/L"
+const formatRange = (component) => {
+  if (component.referenceRange) {
+    return component.referenceRange;
+  }
+  return `${component.low}-${component.high}${component.unit ? ` ${component.unit}` : ''}`;
+};
+
+// Status implied by a numeric value, or null when it cannot be derived
+const classifyValue = (component, value) => {
+  const number = parseFloat(value);
+  if (!component || component.low === undefined || Number.isNaN(number)) {
+    return null;
+  }
+
+  if ((component.criticalLow !== undefined && number < component.criticalLow) ||
+      (component.criticalHigh !== undefined && number > component.criticalHigh)) {
+    return 'critical';
+  }
+  if (number < component.low || number > component.high) {
+    return 'abnormal';
+  }
+  return 'normal';
+};
+
+// Fill unit, reference range and status from the catalog where the technician left them out.
+// A value past a critical limit is always reported as critical.
+const applyReference = (testType, result) => {
+  const component = findComponent(testType, result.testName);
+  const derived = classifyValue(component, result.value);
+
+  return {
+    ...result,
+    unit: result.unit || component?.unit || undefined,
+    referenceRange: result.referenceRange || (component ? formatRange(component) : undefined),
+    status: derived === 'critical' ? 'critical' : (result.status || derived || undefined)
+  };
+};
+
+module.exports = {
+  listTests,
+  getTest,
+  findComponent,
+  formatRange,
+  classifyValue,
+  applyReference
+};
@@ -0,0 +1,46 @@
+/**
+ * Medication Helpers - A patient's active medication list
+ * Combines medications recorded on the patient's history with prescriptions
+ * that still have dispensing to do
+ */
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// One list entry per medication, tagged with where it came from
+const buildMedicationList = (patient, prescriptions = []) => {
+  const fromHistory = (patient?.medicalHistory?.medications || [])
+    .filter(medication => medication.active)
+    .map(medication => ({
+      source: 'medical_history',
+      name: medication.name,
+      dosage: medication.dosage,
+      frequency: medication.frequency,
+      startDate: medication.startDate,
+      endDate: medication.endDate,
+      prescribedBy: medication.prescribedBy
+    }));
+
+  const fromPrescriptions = prescriptions.map(record => ({
+    source: 'prescription',
+    recordId: record._id,
+    name: record.content?.prescription?.medicationName,
+    dosage: record.content?.prescription?.dosage,
+    frequency: record.content?.prescription?.frequency,
+    startDate: record.recordDate,
+    prescribedBy: record.providerId,
+    refills: record.content?.prescription?.refills,
+    dispensingStatus: record.dispensing?.status
+  }));
+
+  // A history entry for a drug that also has an open prescription is the same medication
+  const prescribed = new Set(fromPrescriptions.map(medication => normalize(medication.name)));
+
+  return [
+    ...fromPrescriptions,
+    ...fromHistory.filter(medication => !prescribed.has(normalize(medication.name)))
+  ];
+};
+
+module.exports = {
+  buildMedicationList
+};
@@ -0,0 +1,91 @@
+const net = require('net');
+
+/**
+ * MLLP - Minimal Lower Layer Protocol listener for HL7 v2 over TCP
+ * Each message is framed as <VT> message <FS><CR>. Messages on a connection are
+ * handled one at a time and answered in order with the ACK the handler returns.
+ * MLLP has no authentication; bind the listener to a local or private address.
+ */
+
+const START_BLOCK = 0x0b;
+const END_BLOCK = 0x1c;
+const CARRIAGE_RETURN = 0x0d;
+
+const DEFAULT_MAX_MESSAGE_SIZE = 1024 * 1024;
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const frame = (text) => Buffer.concat([
+  Buffer.from([START_BLOCK]),
+  Buffer.from(text, 'utf8'),
+  Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+]);
+
+// Complete messages in the buffer and the bytes left over
+const extractMessages = (buffer) => {
+  const messages = [];
+  let rest = buffer;
+
+  for (;;) {
+    const start = rest.indexOf(START_BLOCK);
+    if (start === -1) return { messages, rest: Buffer.alloc(0) };
+
+    const end = rest.indexOf(END_BLOCK, start + 1);
+    if (end === -1 || end + 1 >= rest.length) return { messages, rest: rest.subarray(start) };
+
+    messages.push(rest.subarray(start + 1, end).toString('utf8'));
+    // The trailing CR is required by the standard but tolerated when missing
+    rest = rest.subarray(rest[end + 1] === CARRIAGE_RETURN ? end + 2 : end + 1);
+  }
+};
+
+/**
+ * handleMessage(text, connection) resolves to the ACK text to send back;
+ * connection is { remoteAddress, localAddress, localPort }.
+ */
+const createMllpServer = (handleMessage, options = {}) => {
+  const maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+  const idleTimeoutMs = options.idleTimeoutMs || DEFAULT_IDLE_TIMEOUT_MS;
+
+  return net.createServer((socket) => {
+    const connection = {
+      remoteAddress: socket.remoteAddress,
+      localAddress: socket.localAddress,
+      localPort: socket.localPort
+    };
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    socket.setTimeout(idleTimeoutMs, () => socket.end());
+    socket.on('error', error => console.warn('MLLP connection error:', error.message));
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length > maxMessageSize + 3) {
+        console.warn(`MLLP message from ${connection.remoteAddress} exceeds ${maxMessageSize} bytes; closing connection`);
+        socket.destroy();
+        return;
+      }
+
+      const { messages, rest } = extractMessages(buffer);
+      buffer = rest;
+
+      messages.forEach((message) => {
+        queue = queue.then(async () => {
+          if (socket.destroyed) return;
+          const ack = await handleMessage(message, connection);
+          if (ack && !socket.destroyed) socket.write(frame(ack));
+        }).catch((error) => {
+          // Without an ACK the sender retransmits, so drop the connection instead of guessing
+          console.error('MLLP message handling error:', error);
+          socket.destroy();
+        });
+      });
+    });
+  });
+};
+
+module.exports = {
+  frame,
+  extractMessages,
+  createMllpServer
+};
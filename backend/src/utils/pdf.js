@@ -0,0 +1,95 @@
+/**
+ * PDF Utilities - Minimal text-only PDF 1.4 writer for downloadable reports
+ * Renders monospaced lines onto US Letter pages without external dependencies
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const MAX_LINE_LENGTH = 110; // Courier 8pt fits ~112 characters in the text width
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Escape a string for a PDF literal; non-Latin-1 characters are replaced
+const escapePdfText = (text) => String(text)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Hard-wrap long lines so nothing runs off the page
+const wrapLine = (line) => {
+  const chunks = [];
+  let remaining = String(line);
+
+  while (remaining.length > MAX_LINE_LENGTH) {
+    chunks.push(remaining.slice(0, MAX_LINE_LENGTH));
+    remaining = `  ${remaining.slice(MAX_LINE_LENGTH)}`;
+  }
+  chunks.push(remaining);
+
+  return chunks;
+};
+
+// Build a PDF document from an array of text lines
+const createTextPdf = (lines) => {
+  const wrapped = lines.flatMap(wrapLine);
+  const pages = [];
+  for (let i = 0; i < wrapped.length; i += LINES_PER_PAGE) {
+    pages.push(wrapped.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // Object numbers: 1 catalog, 2 page tree, 3 font, then a page and content stream per page
+  const objects = [];
+  const pageObjectIds = pages.map((_, index) => 4 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageObjectIds[index];
+    const contentId = pageId + 1;
+
+    const text = pageLines.map(line => `(${escapePdfText(line)}) Tj T*`).join('\n');
+    const footer = `(${escapePdfText(`Page ${index + 1} of ${pages.length}`)}) Tj`;
+    const stream = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      text,
+      'ET',
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${PAGE_WIDTH - MARGIN - 70} ${MARGIN / 2} Td`,
+      footer,
+      'ET'
+    ].join('\n');
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contentId} 0 R >>`;
+    objects[contentId] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Serialize with a cross-reference table of byte offsets
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body, 'latin1');
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+module.exports = { createTextPdf };
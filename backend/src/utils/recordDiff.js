@@ -0,0 +1,32 @@
+/**
+ * Record Diff - Field-level changes between two versions of a document
+ * Values are compared by dotted leaf path after canonical normalization;
+ * an array counts as a single field
+ */
+
+const { normalize } = require('./canonicalJson');
+
+// Dotted path -> value for every leaf of a plain object
+const flatten = (value, prefix = '', result = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+// One { path, before, after } per changed field, skipping ignored paths and everything under them
+const diffVersions = (before, after, ignore = []) => {
+  const previous = flatten(normalize(before) || {});
+  const next = flatten(normalize(after) || {});
+  const isIgnored = (path) => ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(path => !isIgnored(path))
+    .filter(path => JSON.stringify(previous[path]) !== JSON.stringify(next[path]))
+    .sort()
+    .map(path => ({ path, before: previous[path], after: next[path] }));
+};
+
+module.exports = { flatten, diffVersions };
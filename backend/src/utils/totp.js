@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP - Time-based one-time passwords (RFC 6238) for two-factor login
+ * Codes are 6 digits from HMAC-SHA1 over 30-second steps, the defaults every
+ * authenticator app supports. Secrets are stored encrypted with ENCRYPTION_KEY
+ * and recovery codes only as SHA-256 hashes.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+// Steps either side of the current one that are still accepted (clock drift)
+const DEFAULT_WINDOW = 1;
+
+const DEFAULT_REQUIRED_ROLES = 'administrator,doctor';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for a step
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * The step the code matches, or null. Steps at or before afterStep are refused
+ * so a code that was already used cannot be replayed within its window.
+ */
+const verifyCode = (secret, code, { afterStep = -1, window = DEFAULT_WINDOW, time } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (step > afterStep) {
+      const expected = Buffer.from(generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+        return step;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Provisioning URI for authenticator apps (shown as a QR code or entered by hand)
+const otpauthUri = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+const getKey = () => {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+};
+
+// Secret as stored on the user: iv:authTag:ciphertext (hex, AES-256-GCM)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, authTag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Single-use codes shown once, e.g. "3f9a1-c07d2"
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Roles that must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES, comma separated)
+const requiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES ?? DEFAULT_REQUIRED_ROLES)
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (role) => requiredRoles().includes(role);
+
+module.exports = {
+  DIGITS,
+  STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  requiredRoles,
+  isTwoFactorRequired
+};
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const Appointment = require('../../src/models/Appointment');
+const DoctorAvailability = require('../../src/models/DoctorAvailability');
+const Patient = require('../../src/models/Patient');
+const User = require('../../src/models/User');
+const JobLock = require('../../src/models/JobLock');
+const Notification = require('../../src/models/Notification');
+const AuditLog = require('../../src/models/AuditLog');
+const AppointmentController = require('../../src/controllers/appointmentController');
+
+/**
+ * Appointment booking - slot checks, the unique slot key and booking leases
+ * Runs against in-memory stand-ins for the appointment and lock collections;
+ * each write yields first, so concurrent requests interleave as they would
+ * against a real server
+ */
+
+const yieldToOthers = () => new Promise(resolve => setImmediate(resolve));
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let appointments;
+let locks;
+
+// Appointment.findOverlapping: filter on doctor or patient, status, time range and excluded ID
+const overlaps = (doc, filter) => (
+  (!filter.doctorId || doc.doctorId.equals(filter.doctorId)) &&
+  (!filter.patientId || doc.patientId.equals(filter.patientId)) &&
+  filter.status.$in.includes(doc.status) &&
+  doc.startTime < filter.startTime.$lt &&
+  doc.endTime > filter.endTime.$gt &&
+  (!filter._id || !doc._id.equals(filter._id.$ne))
+);
+
+const useAppointmentStore = () => {
+  appointments = new Map();
+
+  jest.spyOn(Appointment, 'findOne').mockImplementation(async (filter) => (
+    [...appointments.values()].find(doc => overlaps(doc, filter)) || null
+  ));
+
+  const write = async (doc) => {
+    await yieldToOthers();
+    const taken = [...appointments.values()].some(other => (
+      doc.slotKey && other.slotKey === doc.slotKey && !other._id.equals(doc._id)
+    ));
+    if (taken) throw duplicateKeyError();
+    appointments.set(String(doc._id), doc);
+  };
+
+  jest.spyOn(Appointment.collection, 'insertOne').mockImplementation(async (doc) => {
+    await write({ ...doc });
+    return { acknowledged: true, insertedId: doc._id };
+  });
+
+  jest.spyOn(Appointment.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    const current = appointments.get(String(filter._id));
+    const next = { ...current, ...update.$set };
+    Object.keys(update.$unset || {}).forEach(path => delete next[path]);
+    await write(next);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+
+  jest.spyOn(Appointment.prototype, 'populate').mockImplementation(async function() {
+    return this;
+  });
+};
+
+// JobLock.acquire upserts; a held lease makes the upsert collide on _id
+const useLockStore = () => {
+  locks = new Map();
+
+  jest.spyOn(JobLock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await yieldToOthers();
+    const current = locks.get(filter._id);
+    if (current && current.expiresAt > new Date() && current.lockedBy !== update.lockedBy) {
+      throw duplicateKeyError();
+    }
+    locks.set(filter._id, { ...update });
+    return current || null;
+  });
+
+  jest.spyOn(JobLock, 'deleteOne').mockImplementation(async ({ _id, lockedBy }) => {
+    if (locks.get(_id)?.lockedBy === lockedBy) locks.delete(_id);
+    return { deletedCount: 1 };
+  });
+};
+
+// A weekday a week from now; the doctor's template has two overlapping windows
+// on it, as after a change from 30-minute slots on the hour to slots at :15
+const day = new Date();
+day.setDate(day.getDate() + 7);
+const at = (hours, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+
+const doctor = { _id: new mongoose.Types.ObjectId(), role: 'doctor', status: 'active' };
+const otherDoctor = { _id: new mongoose.Types.ObjectId(), role: 'doctor', status: 'active' };
+const receptionist = { _id: new mongoose.Types.ObjectId(), role: 'receptionist' };
+
+const buildPatient = () => ({ _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() });
+
+const windowsOf = (doctorId) => [
+  new DoctorAvailability({ doctorId, dayOfWeek: day.getDay(), startTime: '09:00', endTime: '12:00', slotMinutes: 30 }),
+  new DoctorAvailability({ doctorId, dayOfWeek: day.getDay(), startTime: '09:15', endTime: '12:00', slotMinutes: 30 })
+];
+
+const mockResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const request = (body, params = {}) => ({
+  body,
+  params,
+  user: receptionist,
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  originalUrl: '/api/appointments',
+  method: 'POST'
+});
+
+const book = async (patient, startTime, doctorId = doctor._id) => {
+  const res = mockResponse();
+  await AppointmentController.createAppointment(
+    request({ patientId: String(patient._id), doctorId: String(doctorId), startTime: startTime.toISOString() }),
+    res
+  );
+  return res;
+};
+
+const reschedule = async (appointmentId, startTime) => {
+  const res = mockResponse();
+  await AppointmentController.rescheduleAppointment(
+    request({ startTime: startTime.toISOString() }, { appointmentId: String(appointmentId) }),
+    res
+  );
+  return res;
+};
+
+const statusOf = (res) => res.statusCode || 200;
+
+let patients;
+
+beforeEach(() => {
+  useAppointmentStore();
+  useLockStore();
+
+  patients = [buildPatient(), buildPatient()];
+  jest.spyOn(Patient, 'findOne').mockImplementation(async ({ $or }) => (
+    patients.find(patient => patient._id.equals($or[0]._id)) || null
+  ));
+  jest.spyOn(Patient, 'findById').mockImplementation(async (id) => patients.find(patient => patient._id.equals(id)));
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => [doctor, otherDoctor].find(user => user._id.equals(id)));
+  jest.spyOn(DoctorAvailability, 'find').mockImplementation(async ({ doctorId }) => windowsOf(doctorId));
+  jest.spyOn(Appointment, 'findById').mockImplementation(async (id) => {
+    const doc = appointments.get(String(id));
+    return doc ? Appointment.hydrate({ ...doc }) : null;
+  });
+  jest.spyOn(Notification, 'notify').mockResolvedValue({});
+  jest.spyOn(AuditLog, 'createLog').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createAppointment', () => {
+  test('books a free template slot', async () => {
+    const res = await book(patients[0], at(9, 0));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.appointment.endTime).toEqual(at(9, 30));
+    expect([...appointments.values()]).toHaveLength(1);
+    expect(locks.size).toBe(0);
+  });
+
+  test('refuses a time the template does not offer', async () => {
+    const res = await book(patients[0], at(9, 5));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('SLOT_UNAVAILABLE');
+  });
+
+  test('refuses a slot overlapping one already booked', async () => {
+    await book(patients[0], at(9, 0));
+
+    const res = await book(patients[1], at(9, 15));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('SLOT_TAKEN');
+  });
+
+  test('refuses a patient who is booked with another doctor at that time', async () => {
+    await book(patients[0], at(9, 0));
+
+    const res = await book(patients[0], at(9, 15), otherDoctor._id);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('PATIENT_DOUBLE_BOOKED');
+  });
+
+  test('falls back to the unique slot key when the overlap check misses a booking', async () => {
+    await book(patients[0], at(9, 0));
+    Appointment.findOne.mockResolvedValue(null);
+
+    const res = await book(patients[1], at(9, 0));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('SLOT_TAKEN');
+    expect(locks.size).toBe(0);
+  });
+
+  test('lets only one of two concurrent bookings of overlapping slots through', async () => {
+    const results = await Promise.all([
+      book(patients[0], at(9, 0)),
+      book(patients[1], at(9, 15))
+    ]);
+
+    expect(results.map(statusOf).sort()).toEqual([201, 409]);
+    expect(results.find(res => res.statusCode === 409).body.code).toBe('SLOT_TAKEN');
+    expect([...appointments.values()]).toHaveLength(1);
+  });
+
+  test('lets only one of two concurrent bookings of a patient with different doctors through', async () => {
+    const results = await Promise.all([
+      book(patients[0], at(9, 0)),
+      book(patients[0], at(9, 15), otherDoctor._id)
+    ]);
+
+    expect(results.map(statusOf).sort()).toEqual([201, 409]);
+    expect(results.find(res => res.statusCode === 409).body.code).toBe('PATIENT_DOUBLE_BOOKED');
+  });
+
+  test('waits for a booking in progress', async () => {
+    locks.set(`appointment-booking:doctor:${doctor._id}`, { lockedBy: 'other-request', expiresAt: new Date(Date.now() + 10000) });
+    setTimeout(() => locks.delete(`appointment-booking:doctor:${doctor._id}`), 120);
+
+    const res = await book(patients[0], at(9, 0));
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  test('gives up on a booking that holds the doctor too long', async () => {
+    locks.set(`appointment-booking:doctor:${doctor._id}`, { lockedBy: 'other-request', expiresAt: new Date(Date.now() + 10000) });
+
+    const res = await book(patients[0], at(9, 0));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('BOOKING_IN_PROGRESS');
+    expect(appointments.size).toBe(0);
+    expect(locks.get(`appointment-booking:doctor:${doctor._id}`).lockedBy).toBe('other-request');
+    expect(locks.has(`appointment-booking:patient:${patients[0]._id}`)).toBe(false);
+  });
+});
+
+describe('rescheduleAppointment', () => {
+  test('moves the appointment to a free slot', async () => {
+    const booked = await book(patients[0], at(9, 0));
+
+    const res = await reschedule(booked.body.data.appointment._id, at(10, 0));
+
+    expect(statusOf(res)).toBe(200);
+    expect(appointments.get(String(booked.body.data.appointment._id)).startTime).toEqual(at(10, 0));
+  });
+
+  test('does not collide with its own slot', async () => {
+    const booked = await book(patients[0], at(9, 0));
+
+    const res = await reschedule(booked.body.data.appointment._id, at(9, 15));
+
+    expect(statusOf(res)).toBe(200);
+  });
+
+  test('cannot race a booking into an overlapping slot', async () => {
+    const booked = await book(patients[0], at(9, 0));
+
+    const results = await Promise.all([
+      reschedule(booked.body.data.appointment._id, at(10, 15)),
+      book(patients[1], at(10, 0))
+    ]);
+
+    const refused = results.filter(res => statusOf(res) === 409);
+    expect(refused).toHaveLength(1);
+    expect(refused[0].body.code).toBe('SLOT_TAKEN');
+    expect([...appointments.values()].filter(doc => doc.startTime >= at(10, 0))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,232 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const AuditLog = require('../../src/models/AuditLog');
+const { authenticate, validateRefreshToken, validateMfaToken } = require('../../src/middleware/auth');
+
+/**
+ * Authentication middleware - token types, sessions and the password-change cut-off
+ * Users and sessions are unsaved documents served by stubbed findById calls
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-long-enough';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-that-is-long-enough';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Resolves like a Mongoose query, whatever is selected
+const found = (doc) => ({
+  select() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(doc).then(resolve, reject);
+  }
+});
+
+const buildUser = (security = {}) => new User({
+  email: 'jane.doe@example.com',
+  password: 'SecurePass123!',
+  role: 'doctor',
+  status: 'active',
+  profile: { firstName: 'Jane', lastName: 'Doe' },
+  security: { passwordChangedAt: new Date(Date.now() - 60 * 60 * 1000), ...security }
+});
+
+const mockResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Runs a middleware; resolves the response, with `passed` set when next() was called
+const run = async (middleware, req) => {
+  const res = mockResponse();
+  res.passed = false;
+  await middleware(req, res, () => {
+    res.passed = true;
+  });
+  return res;
+};
+
+const activeSession = (user) => Session.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId: user._id,
+  tokenId: 'token-1',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authenticate', () => {
+  const bearer = (token) => ({
+    headers: { authorization: `Bearer ${token}` },
+    method: 'GET',
+    originalUrl: '/api/patients',
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'createLog').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('accepts an access token of an active session', async () => {
+    const user = buildUser();
+    const session = activeSession(user);
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+    const req = bearer(user.generateAuthToken(session));
+    const res = await run(authenticate, req);
+
+    expect(res.passed).toBe(true);
+    expect(req.user).toBe(user);
+    expect(req.authSession).toBe(session);
+  });
+
+  test('rejects an access token issued before the password was changed', async () => {
+    const user = buildUser({ passwordChangedAt: new Date() });
+    const session = activeSession(user);
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+    const token = jwt.sign({ id: user._id, sid: session._id, iat: now() - 60 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+    const res = await run(authenticate, bearer(token));
+
+    expect(res.passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('rejects an access token of a revoked session', async () => {
+    const user = buildUser();
+    const session = activeSession(user);
+    session.revokedAt = new Date();
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+    const res = await run(authenticate, bearer(user.generateAuthToken(session)));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('rejects a pending two-factor token', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const res = await run(authenticate, bearer(user.generateMfaToken()));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+});
+
+describe('validateRefreshToken', () => {
+  test('passes the session and token id on', async () => {
+    const user = buildUser();
+    const session = activeSession(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const req = { body: { refreshToken: user.generateRefreshToken(session) } };
+    const res = await run(validateRefreshToken, req);
+
+    expect(res.passed).toBe(true);
+    expect(req.refreshClaims).toEqual({ sessionId: String(session._id), tokenId: 'token-1' });
+  });
+
+  test('rejects a refresh token issued before the password was changed', async () => {
+    const user = buildUser({ passwordChangedAt: new Date() });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const refreshToken = jwt.sign(
+      { id: user._id, type: 'refresh', sid: new mongoose.Types.ObjectId(), jti: 'token-1', iat: now() - 60 },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: '7d' }
+    );
+    const res = await run(validateRefreshToken, { body: { refreshToken } });
+
+    expect(res.passed).toBe(false);
+    expect(res.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('rejects an access token', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const res = await run(validateRefreshToken, { body: { refreshToken: user.generateAuthToken(activeSession(user)) } });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+});
+
+describe('validateMfaToken', () => {
+  const mfaRequest = (payload, options = { expiresIn: '5m' }) => ({
+    body: { mfaToken: jwt.sign({ type: 'mfa_pending', ...payload }, process.env.JWT_SECRET, options) }
+  });
+
+  test('accepts a pending two-factor token', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const req = { body: { mfaToken: user.generateMfaToken() } };
+    const res = await run(validateMfaToken, req);
+
+    expect(res.passed).toBe(true);
+    expect(req.user).toBe(user);
+  });
+
+  test('rejects an access token', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const accessToken = user.generateAuthToken({ _id: new mongoose.Types.ObjectId() });
+    const res = await run(validateMfaToken, { body: { mfaToken: accessToken } });
+
+    expect(res.passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('INVALID_MFA_TOKEN');
+  });
+
+  test('rejects a token issued before the password was changed', async () => {
+    const user = buildUser({ passwordChangedAt: new Date() });
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const res = await run(validateMfaToken, mfaRequest({ id: user._id, iat: now() - 60 }));
+
+    expect(res.passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('rejects an expired token', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const res = await run(validateMfaToken, mfaRequest({ id: user._id, iat: now() - 600 }, { expiresIn: 300 }));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('MFA_TOKEN_INVALID');
+  });
+
+  test('rejects a locked account', async () => {
+    const user = buildUser({ lockUntil: new Date(Date.now() + 60 * 1000) });
+    jest.spyOn(User, 'findById').mockReturnValue(found(user));
+
+    const res = await run(validateMfaToken, mfaRequest({ id: user._id }));
+
+    expect(res.statusCode).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+  });
+});
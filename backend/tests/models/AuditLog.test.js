@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../src/models/AuditLog');
+
+/**
+ * AuditLog hash chain - append, tamper detection and sequence races
+ * Runs against an in-memory stand-in for the audit collection
+ */
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Supports the filter operators used by createLog and verifyChain
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = getPath(doc, path);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$exists': return (value !== undefined) === operand;
+        case '$gte': return value >= operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return value === condition;
+});
+
+class FakeQuery {
+  constructor(docs, single) {
+    this.docs = docs;
+    this.single = single;
+  }
+
+  sort(spec) {
+    const [[path, direction]] = Object.entries(spec);
+    this.docs = [...this.docs].sort((a, b) => (getPath(a, path) - getPath(b, path)) * direction);
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  cursor() {
+    const { docs } = this;
+    return {
+      async* [Symbol.asyncIterator]() {
+        yield* docs;
+      },
+      close: async () => {}
+    };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve(this.single ? this.docs[0] || null : this.docs).then(resolve, reject);
+  }
+}
+
+const duplicateSequenceError = () => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { 'signature.sequence': 1 }
+});
+
+const logData = (n) => ({
+  eventType: 'READ',
+  userId: new mongoose.Types.ObjectId(),
+  userRole: 'doctor',
+  targetPatientId: new mongoose.Types.ObjectId(),
+  resourceType: 'patient',
+  resourceId: new mongoose.Types.ObjectId(),
+  action: 'VIEW_PATIENT',
+  description: `Viewed patient record ${n}`,
+  requestDetails: {
+    ipAddress: '127.0.0.1',
+    userAgent: 'jest',
+    endpoint: '/api/patients',
+    method: 'GET',
+    requestId: `request-${n}`
+  }
+});
+
+describe('AuditLog hash chain', () => {
+  let store;
+  let insertOne;
+
+  const appendLogs = async (count) => {
+    for (let n = 1; n <= count; n++) {
+      await AuditLog.createLog(logData(n));
+    }
+  };
+
+  const entryAt = (sequence) => store.find(entry => entry.signature.sequence === sequence);
+
+  beforeEach(() => {
+    store = [];
+
+    jest.spyOn(AuditLog, 'findOne').mockImplementation(filter => (
+      new FakeQuery(store.filter(entry => matches(entry, filter)), true)
+    ));
+    jest.spyOn(AuditLog, 'find').mockImplementation(filter => (
+      new FakeQuery(store.filter(entry => matches(entry, filter)), false)
+    ));
+    jest.spyOn(AuditLog, 'countDocuments').mockImplementation(async filter => (
+      store.filter(entry => matches(entry, filter)).length
+    ));
+    insertOne = jest.spyOn(AuditLog.collection, 'insertOne').mockImplementation(async (doc) => {
+      if (store.some(entry => entry.signature.sequence === doc.signature.sequence)) {
+        throw duplicateSequenceError();
+      }
+      store.push(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeHash', () => {
+    it('gives the same hash for a hydrated entry and its stored form', async () => {
+      const log = await AuditLog.createLog(logData(1));
+
+      expect(AuditLog.computeHash(store[0])).toBe(log.signature.hash);
+      expect(log.verifyIntegrity()).toBe(true);
+    });
+
+    it('ignores the hash itself and fields maintained by Mongoose', async () => {
+      await AuditLog.createLog(logData(1));
+      const stored = store[0];
+
+      expect(AuditLog.computeHash({
+        ...stored,
+        __v: 7,
+        createdAt: new Date(0),
+        updatedAt: new Date(0),
+        signature: { ...stored.signature, hash: 'ignored' }
+      })).toBe(stored.signature.hash);
+    });
+
+    it('changes when the content or the chain position changes', async () => {
+      await AuditLog.createLog(logData(1));
+      const stored = store[0];
+
+      expect(AuditLog.computeHash({ ...stored, description: 'Edited' })).not.toBe(stored.signature.hash);
+      expect(AuditLog.computeHash({
+        ...stored,
+        signature: { ...stored.signature, previousHash: 'f'.repeat(64) }
+      })).not.toBe(stored.signature.hash);
+    });
+  });
+
+  describe('createLog', () => {
+    it('anchors the first entry at the genesis hash', async () => {
+      const log = await AuditLog.createLog(logData(1));
+
+      expect(log.signature.sequence).toBe(1);
+      expect(log.signature.previousHash).toBe('0'.repeat(64));
+    });
+
+    it('links every entry to the hash of the one before it', async () => {
+      await appendLogs(4);
+
+      expect(store.map(entry => entry.signature.sequence)).toEqual([1, 2, 3, 4]);
+      for (let sequence = 2; sequence <= 4; sequence++) {
+        expect(entryAt(sequence).signature.previousHash).toBe(entryAt(sequence - 1).signature.hash);
+      }
+    });
+
+    it('refuses to save changes to an existing entry', async () => {
+      const log = await AuditLog.createLog(logData(1));
+      log.description = 'Edited';
+
+      await expect(log.save()).rejects.toThrow('Audit log entries are immutable');
+    });
+
+    it('gives concurrent writers distinct, correctly linked positions', async () => {
+      await Promise.all([1, 2, 3, 4, 5].map(n => AuditLog.createLog(logData(n))));
+
+      expect(store.map(entry => entry.signature.sequence).sort()).toEqual([1, 2, 3, 4, 5]);
+      expect(insertOne.mock.calls.length).toBeGreaterThan(5);
+
+      const report = await AuditLog.verifyChain();
+      expect(report.valid).toBe(true);
+      expect(report.checkedEntries).toBe(5);
+    });
+
+    it('gives up after repeated sequence collisions without throwing', async () => {
+      insertOne.mockRejectedValue(duplicateSequenceError());
+
+      await expect(AuditLog.createLog(logData(1))).resolves.toBeUndefined();
+      expect(insertOne).toHaveBeenCalledTimes(10);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('does not retry errors other than a sequence collision', async () => {
+      insertOne.mockRejectedValue(new Error('connection reset'));
+
+      await expect(AuditLog.createLog(logData(1))).resolves.toBeUndefined();
+      expect(insertOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('reports an empty log as valid', async () => {
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(true);
+      expect(report.checkedEntries).toBe(0);
+      expect(report.firstSequence).toBeNull();
+    });
+
+    it('verifies an untouched chain from genesis', async () => {
+      await appendLogs(5);
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(true);
+      expect(report.anchoredAtGenesis).toBe(true);
+      expect(report.checkedEntries).toBe(5);
+      expect(report.firstSequence).toBe(1);
+      expect(report.lastSequence).toBe(5);
+      expect(report.firstBrokenLink).toBeNull();
+    });
+
+    it('counts entries written before chaining without verifying them', async () => {
+      await appendLogs(2);
+      store.push({ ...logData(0), signature: {}, systemDetails: { timestamp: new Date() } });
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(true);
+      expect(report.unchainedEntries).toBe(1);
+      expect(report.checkedEntries).toBe(2);
+    });
+
+    it('detects an edited entry', async () => {
+      await appendLogs(5);
+      entryAt(3).description = 'Viewed nothing';
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(false);
+      expect(report.checkedEntries).toBe(2);
+      expect(report.firstBrokenLink).toMatchObject({
+        logId: entryAt(3)._id,
+        sequence: 3,
+        reason: 'HASH_MISMATCH',
+        actual: entryAt(3).signature.hash
+      });
+    });
+
+    it('detects an edited entry whose hash was recomputed', async () => {
+      await appendLogs(5);
+      const edited = entryAt(3);
+      edited.description = 'Viewed nothing';
+      edited.signature.hash = AuditLog.computeHash(edited);
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(false);
+      expect(report.firstBrokenLink).toMatchObject({
+        sequence: 4,
+        reason: 'PREVIOUS_HASH_MISMATCH',
+        expected: edited.signature.hash
+      });
+    });
+
+    it('detects a deleted entry in the middle of the chain', async () => {
+      await appendLogs(5);
+      store = store.filter(entry => entry.signature.sequence !== 3);
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(false);
+      expect(report.checkedEntries).toBe(2);
+      expect(report.firstBrokenLink).toMatchObject({
+        logId: null,
+        sequence: 3,
+        reason: 'SEQUENCE_GAP',
+        expected: 3,
+        actual: 4
+      });
+    });
+
+    it('trusts the oldest remaining entry once a prefix was purged', async () => {
+      await appendLogs(5);
+      store = store.filter(entry => entry.signature.sequence > 2);
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(true);
+      expect(report.anchoredAtGenesis).toBe(false);
+      expect(report.firstSequence).toBe(3);
+      expect(report.checkedEntries).toBe(3);
+    });
+
+    it('still detects tampering after a prefix was purged', async () => {
+      await appendLogs(5);
+      store = store.filter(entry => entry.signature.sequence > 2);
+      entryAt(4).userRole = 'administrator';
+
+      const report = await AuditLog.verifyChain();
+
+      expect(report.valid).toBe(false);
+      expect(report.firstBrokenLink).toMatchObject({ sequence: 4, reason: 'HASH_MISMATCH' });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const AuthController = require('../../src/controllers/authController');
+
+/**
+ * Session - refresh token rotation and revocation of a reused token's family
+ * Runs against an in-memory stand-in for the sessions collection
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-long-enough';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-that-is-long-enough';
+
+const HOUR = 60 * 60 * 1000;
+
+// Supports the filter operators used by rotate and revokeAllForUser
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = doc[path];
+  if (condition && typeof condition === 'object' && '$gt' in condition) {
+    return value > condition.$gt;
+  }
+  if (condition === null) {
+    return value == null;
+  }
+  return String(value) === String(condition);
+});
+
+const applyUpdate = (doc, { $set = {}, $inc = {} }) => {
+  Object.assign(doc, $set);
+  Object.entries($inc).forEach(([path, amount]) => {
+    doc[path] = (doc[path] || 0) + amount;
+  });
+};
+
+let store;
+
+const useStore = () => {
+  store = new Map();
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = [...store.values()].find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return Session.hydrate({ ...doc });
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => {
+    const doc = store.get(String(id));
+    return doc ? Session.hydrate({ ...doc }) : null;
+  });
+
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+    const docs = [...store.values()].filter(doc => matches(doc, filter));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { modifiedCount: docs.length };
+  });
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    store.set(String(this._id), this.toObject());
+    return this;
+  });
+};
+
+const buildUser = () => new User({
+  email: 'jane.doe@example.com',
+  password: 'SecurePass123!',
+  role: 'doctor',
+  status: 'active',
+  profile: { firstName: 'Jane', lastName: 'Doe' }
+});
+
+const createSession = async (user, overrides = {}) => {
+  const session = new Session({
+    userId: user._id,
+    tokenId: 'token-1',
+    expiresAt: new Date(Date.now() + HOUR),
+    ...overrides
+  });
+  await session.save();
+  return session;
+};
+
+const mockResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// POST /auth/refresh-token after validateRefreshToken accepted the token
+const refresh = async (user, session, tokenId) => {
+  const res = mockResponse();
+  await AuthController.refreshToken({
+    user,
+    refreshClaims: { sessionId: session._id, tokenId },
+    ip: '127.0.0.1',
+    get: () => 'jest',
+    originalUrl: '/api/auth/refresh-token',
+    method: 'POST'
+  }, res);
+  return res;
+};
+
+const storedSession = (session) => store.get(String(session._id));
+
+beforeEach(() => {
+  useStore();
+  jest.spyOn(AuditLog, 'createLog').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotate', () => {
+  test('swaps the current token for a new one', async () => {
+    const user = buildUser();
+    const session = await createSession(user);
+
+    const rotated = await Session.rotate(session._id, user._id, 'token-1', 'token-2', '10.0.0.2');
+
+    expect(rotated.tokenId).toBe('token-2');
+    expect(rotated.rotationCount).toBe(1);
+    expect(rotated.lastIpAddress).toBe('10.0.0.2');
+  });
+
+  test('refuses a token that is no longer current', async () => {
+    const user = buildUser();
+    const session = await createSession(user);
+    await Session.rotate(session._id, user._id, 'token-1', 'token-2');
+
+    expect(await Session.rotate(session._id, user._id, 'token-1', 'token-3')).toBeNull();
+    expect(storedSession(session).tokenId).toBe('token-2');
+  });
+
+  test('refuses revoked and expired sessions, and other users', async () => {
+    const user = buildUser();
+    const revoked = await createSession(user, { revokedAt: new Date(), revokedReason: 'logout' });
+    const expired = await createSession(user, { expiresAt: new Date(Date.now() - 1000) });
+    const active = await createSession(user);
+
+    expect(await Session.rotate(revoked._id, user._id, 'token-1', 'token-2')).toBeNull();
+    expect(await Session.rotate(expired._id, user._id, 'token-1', 'token-2')).toBeNull();
+    expect(await Session.rotate(active._id, new mongoose.Types.ObjectId(), 'token-1', 'token-2')).toBeNull();
+  });
+});
+
+describe('refresh token rotation', () => {
+  test('issues a new token pair bound to the rotated token', async () => {
+    const user = buildUser();
+    const session = await createSession(user);
+
+    const res = await refresh(user, session, 'token-1');
+
+    expect(res.statusCode).toBeUndefined();
+    expect(res.body.success).toBe(true);
+
+    const { accessToken, refreshToken } = res.body.data.tokens;
+    const refreshClaims = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    const accessClaims = jwt.verify(accessToken, process.env.JWT_SECRET);
+
+    expect(refreshClaims.jti).toBe(storedSession(session).tokenId);
+    expect(refreshClaims.jti).not.toBe('token-1');
+    expect(refreshClaims.sid).toBe(String(session._id));
+    expect(accessClaims.sid).toBe(String(session._id));
+    expect(storedSession(session).expiresAt.getTime()).toBe(refreshClaims.exp * 1000);
+  });
+
+  test('revokes the whole family when a rotated token is used again', async () => {
+    const user = buildUser();
+    const session = await createSession(user);
+
+    const first = await refresh(user, session, 'token-1');
+    const currentTokenId = jwt.decode(first.body.data.tokens.refreshToken).jti;
+
+    const reuse = await refresh(user, session, 'token-1');
+
+    expect(reuse.statusCode).toBe(401);
+    expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(storedSession(session).revokedAt).toBeInstanceOf(Date);
+    expect(storedSession(session).revokedReason).toBe('token_reuse');
+    expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'REFRESH_TOKEN_REUSE',
+      securityEvent: expect.objectContaining({ threatLevel: 'high' })
+    }));
+
+    // The token the legitimate holder has now stops working too
+    const afterReuse = await refresh(user, session, currentTokenId);
+    expect(afterReuse.statusCode).toBe(401);
+    expect(afterReuse.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('refuses tokens of an ended session without treating them as reuse', async () => {
+    const user = buildUser();
+    const session = await createSession(user);
+    await (await Session.findById(session._id)).revoke('logout', user._id);
+
+    const res = await refresh(user, session, 'token-1');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+    expect(storedSession(session).revokedReason).toBe('logout');
+    expect(AuditLog.createLog).not.toHaveBeenCalled();
+  });
+
+  test('does not revoke another user\'s session', async () => {
+    const owner = buildUser();
+    const session = await createSession(owner);
+
+    const res = await refresh(buildUser(), session, 'token-0');
+
+    expect(res.body.code).toBe('SESSION_REVOKED');
+    expect(storedSession(session).revokedAt).toBeUndefined();
+  });
+});
+
+describe('revokeAllForUser', () => {
+  test('ends every active session of the user, and only those', async () => {
+    const user = buildUser();
+    const other = buildUser();
+    const sessions = [await createSession(user), await createSession(user, { tokenId: 'token-9' })];
+    const ended = await createSession(user, { revokedAt: new Date(), revokedReason: 'logout' });
+    const othersSession = await createSession(other);
+
+    const revoked = await Session.revokeAllForUser(user._id, 'password_changed', user._id);
+
+    expect(revoked).toBe(2);
+    sessions.forEach(session => expect(storedSession(session).revokedReason).toBe('password_changed'));
+    expect(storedSession(ended).revokedReason).toBe('logout');
+    expect(storedSession(othersSession).revokedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const hl7 = require('../../src/utils/hl7');
+
+/**
+ * HL7 v2 - parsing, field mapping and ACK/NAK generation
+ * Runs on the fixture messages in tests/fixtures/hl7, the same files
+ * `npm run hl7:check` can be pointed at
+ */
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/hl7', `${name}.hl7`), 'utf8');
+
+// Fixtures are stored one segment per line; senders terminate segments with CR
+const asSent = (text) => text.trimEnd().split('\n').join('\r');
+
+const parseError = (text) => {
+  try {
+    hl7.parseMessage(text);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the message to be rejected');
+};
+
+const mappingError = (mapper, text) => {
+  try {
+    mapper(hl7.parseMessage(text));
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the mapping to fail');
+};
+
+const ackSegments = (ack) => ack.split('\r').map(segment => segment.split('|'));
+
+describe('parseMessage', () => {
+  test('reads the MSH header of an ADT^A04', () => {
+    const message = hl7.parseMessage(fixture('adt-a04'));
+
+    expect(message.header).toEqual({
+      sendingApplication: 'REGSYS',
+      sendingFacility: 'MAINHOSP',
+      receivingApplication: 'HIS',
+      receivingFacility: 'MAINHOSP',
+      dateTime: new Date('2024-03-01T07:30:00.000Z'),
+      messageCode: 'ADT',
+      triggerEvent: 'A04',
+      messageType: 'ADT^A04',
+      controlId: 'REG0001',
+      processingId: 'P',
+      version: '2.5.1'
+    });
+    expect(message.segments.map(segment => segment.name)).toEqual(['MSH', 'EVN', 'PID', 'NK1', 'AL1', 'AL1']);
+  });
+
+  test('accepts CR segment terminators as sent over MLLP', () => {
+    const message = hl7.parseMessage(asSent(fixture('oru-r01')));
+
+    expect(message.header.messageType).toBe('ORU^R01');
+    expect(message.header.controlId).toBe('LAB0001');
+    expect(hl7.toLabResults(message)).toEqual(hl7.toLabResults(hl7.parseMessage(fixture('oru-r01'))));
+  });
+
+  test('rejects a message that does not start with MSH', () => {
+    const error = parseError(fixture('malformed-no-msh'));
+
+    expect(error.code).toBe('INVALID_HL7_MESSAGE');
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(error.location).toBe('MSH');
+  });
+
+  test('rejects an empty message', () => {
+    const error = parseError('');
+
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(error.location).toBe('MSH');
+  });
+
+  test('rejects a line that is not a segment', () => {
+    const error = parseError(fixture('malformed-bad-segment'));
+
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(error.location).toBe('line 3');
+    expect(error.message).toBe('Line 3 is not a segment');
+  });
+
+  test('rejects a missing message control ID and keeps the header for the NAK', () => {
+    const error = parseError(fixture('malformed-missing-control-id'));
+
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.requiredFieldMissing);
+    expect(error.location).toBe('MSH-10');
+    expect(error.header).toMatchObject({ sendingApplication: 'REGSYS', triggerEvent: 'A04' });
+  });
+});
+
+describe('toPatientFields', () => {
+  test('maps PID, NK1 and AL1 of an ADT^A04', () => {
+    const fields = hl7.toPatientFields(hl7.parseMessage(fixture('adt-a04')));
+
+    expect(fields).toEqual({
+      identifiers: [
+        { system: 'MAINHOSP', value: 'MRN12345', type: 'MR' },
+        { system: 'MAINHOSP', value: '998877', type: 'NI' }
+      ],
+      user: {
+        email: 'mary.oneil@example.com',
+        profile: {
+          firstName: 'Mary Ann',
+          lastName: "O'Neil",
+          dateOfBirth: '1980-04-12',
+          phone: '5550100123'
+        }
+      },
+      patient: {
+        demographics: {
+          dateOfBirth: '1980-04-12',
+          gender: 'female',
+          allergies: ['Penicillin', 'Aspirin & salicylates'],
+          emergencyContact: {
+            name: "Sean O'Neil",
+            relationship: 'spouse',
+            phone: '5550100999'
+          }
+        }
+      }
+    });
+  });
+
+  test('maps an unknown sex and the PID-30 death indicator', () => {
+    const fields = hl7.toPatientFields(hl7.parseMessage(fixture('adt-a08-deceased')));
+
+    expect(fields.patient.demographics.gender).toBe('prefer_not_to_say');
+    expect(fields.patient.status).toBe('deceased');
+    expect(fields.user.email).toBeUndefined();
+  });
+
+  test('falls back to the sending facility when CX-4 is empty', () => {
+    const { identifiers } = hl7.toPatientFields(hl7.parseMessage(fixture('adt-a08-deceased')));
+
+    expect(identifiers).toEqual([{ system: 'MAINHOSP', value: 'MRN12345' }]);
+  });
+
+  test('requires exactly one PID', () => {
+    const twoPatients = mappingError(hl7.toPatientFields, fixture('malformed-two-patients'));
+    expect(twoPatients.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(twoPatients.location).toBe('PID');
+
+    const noPatient = mappingError(hl7.toPatientFields, fixture('adt-a04').replace(/^PID.*$/m, ''));
+    expect(noPatient.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(noPatient.location).toBe('PID');
+  });
+});
+
+describe('patientSummary', () => {
+  test('summarises the PID of a result message', () => {
+    expect(hl7.patientSummary(hl7.parseMessage(fixture('oru-r01')))).toEqual({
+      name: "Mary Ann O'Neil",
+      dateOfBirth: '1980-04-12',
+      gender: 'F',
+      identifiers: [{ system: 'MAINHOSP', value: 'MRN12345', type: 'MR' }]
+    });
+  });
+});
+
+describe('toLabResults', () => {
+  test('groups OBX rows under their OBR with the order numbers of ORC', () => {
+    const groups = hl7.toLabResults(hl7.parseMessage(fixture('oru-r01')));
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({
+      location: 'OBR 1',
+      placerOrderNumber: '64b1c2d3e4f5a6b7c8d9e0f1',
+      fillerOrderNumber: 'F-778',
+      testCode: 'BMP',
+      testName: 'Basic metabolic panel',
+      specimenType: 'blood',
+      collectionDate: new Date('2024-03-01T09:30:00.000Z')
+    });
+    expect(groups[1]).toMatchObject({ location: 'OBR 2', testCode: 'UA', placerOrderNumber: '64b1c2d3e4f5a6b7c8d9e0f1' });
+  });
+
+  test('maps values, units, flags and notes of the observations', () => {
+    const [panel, urinalysis] = hl7.toLabResults(hl7.parseMessage(fixture('oru-r01')));
+
+    expect(panel.results).toEqual([
+      {
+        testName: 'Potassium',
+        value: '6.9',
+        unit: 'mmol/L',
+        referenceRange: '3.5-5.1',
+        status: 'critical',
+        notes: 'Repeated and confirmed Doctor informed'
+      },
+      { testName: 'Sodium', value: '140', unit: 'mmol/L', referenceRange: '136-145', status: 'normal' },
+      { testName: 'eGFR', value: '>90', unit: 'mL/min/1.73m2', referenceRange: '>60' }
+    ]);
+    expect(urinalysis.results).toEqual([
+      { testName: 'Color', value: 'Yellow' },
+      { testName: 'Appearance', notes: 'Result could not be obtained' }
+    ]);
+  });
+
+  test('skips observations that were reported wrong', () => {
+    const [panel] = hl7.toLabResults(hl7.parseMessage(fixture('oru-r01')));
+
+    expect(panel.results.map(result => result.testName)).not.toContain('Glucose');
+  });
+
+  test('rejects an OBX before any OBR', () => {
+    const error = mappingError(hl7.toLabResults, fixture('malformed-obx-before-obr'));
+
+    expect(error.code).toBe('INVALID_HL7_MESSAGE');
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.segmentSequence);
+    expect(error.location).toBe('OBX at segment 3');
+  });
+
+  test('rejects an OBX without an observation identifier', () => {
+    const error = mappingError(hl7.toLabResults, fixture('oru-r01').replace('OBX|2|NM|2951-2^Sodium^LN|', 'OBX|2|NM||'));
+
+    expect(error.hl7Code).toBe(hl7.ERROR_CODES.requiredFieldMissing);
+  });
+});
+
+describe('buildAck', () => {
+  const { header } = hl7.parseMessage(fixture('oru-r01'));
+  const sender = { application: 'HIS', facility: 'MAINHOSP' };
+
+  test('acknowledges an accepted message', () => {
+    const [msh, msa, ...rest] = ackSegments(hl7.buildAck(header, { code: 'AA', text: 'Message accepted' }, sender));
+
+    expect(msh.slice(0, 6)).toEqual(['MSH', '^~\\&', 'HIS', 'MAINHOSP', 'ANALYZER', 'MAINLAB']);
+    expect(msh[8]).toBe('ACK^R01^ACK');
+    expect(msh[9].length).toBeLessThanOrEqual(20);
+    expect(msh.slice(10)).toEqual(['P', '2.5.1']);
+    expect(msa).toEqual(['MSA', 'AA', 'LAB0001', 'Message accepted']);
+    expect(rest).toEqual([]);
+  });
+
+  test('reports application errors in ERR segments', () => {
+    const errors = [
+      { location: 'OBR 1', hl7Code: hl7.ERROR_CODES.unknownKey, message: 'No lab order 64b1c2d3e4f5a6b7c8d9e0f1' },
+      { location: 'PID-3', message: 'Lookup failed' }
+    ];
+    const [, msa, ...err] = ackSegments(hl7.buildAck(header, { code: 'AE', text: 'Message not processed', errors }, sender));
+
+    expect(msa).toEqual(['MSA', 'AE', 'LAB0001', 'Message not processed']);
+    expect(err).toEqual([
+      ['ERR', '', 'OBR 1', '204^Unknown key identifier^HL70357', 'E', '', '', '', 'No lab order 64b1c2d3e4f5a6b7c8d9e0f1'],
+      ['ERR', '', 'PID-3', '207^Application internal error^HL70357', 'E', '', '', '', 'Lookup failed']
+    ]);
+  });
+
+  test('reports errors of an accepted message as warnings', () => {
+    const errors = [{ location: 'AL1', hl7Code: hl7.ERROR_CODES.dataTypeError, message: 'Allergy skipped' }];
+    const [, , err] = ackSegments(hl7.buildAck(header, { code: 'AA', errors }, sender));
+
+    expect(err[4]).toBe('W');
+  });
+
+  test('escapes delimiters in the acknowledgment text', () => {
+    const [, msa] = hl7.buildAck(header, { code: 'AE', text: 'Result A|B^C & D' }, sender).split('\r');
+
+    expect(msa).toBe('MSA|AE|LAB0001|Result A\\F\\B\\S\\C \\T\\ D');
+  });
+
+  test('rejects a message whose header was read', () => {
+    const error = parseError(fixture('malformed-missing-control-id'));
+    const [msh, msa, err] = ackSegments(hl7.buildAck(error.header, { code: 'AR', text: error.message, errors: [error] }, sender));
+
+    expect(msh.slice(4, 6)).toEqual(['REGSYS', 'MAINHOSP']);
+    expect(msh[8]).toBe('ACK^A04^ACK');
+    expect(msa).toEqual(['MSA', 'AR', '', 'MSH-10 message control ID is required']);
+    expect(err[2]).toBe('MSH-10');
+    expect(err[3]).toBe('101^Required field missing^HL70357');
+  });
+
+  test('rejects a message without a readable header', () => {
+    const error = parseError(fixture('malformed-no-msh'));
+    const [msh, msa, err] = ackSegments(hl7.buildAck(error.header, { code: 'AR', text: error.message, errors: [error] }));
+
+    expect(msh[2]).toBe('HIS');
+    expect(msh[8]).toBe('ACK^ACK');
+    expect(msa).toEqual(['MSA', 'AR', '', 'The message must start with an MSH segment']);
+    expect(err[3]).toBe('100^Segment sequence error^HL70357');
+  });
+});
@@ -0,0 +1,181 @@
+const totp = require('../../src/utils/totp');
+
+/**
+ * TOTP - RFC 6238 codes, replay window and secret storage
+ * The reference vectors are those of RFC 6238 Appendix B for HMAC-SHA1,
+ * cut to the 6 digits authenticator apps show
+ */
+
+// ASCII "12345678901234567890", the RFC 6238 SHA1 seed
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const at = (seconds) => seconds * 1000;
+
+// Assigning undefined to process.env stores the string "undefined"
+const restoreEnv = (name, value) => {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+};
+
+describe('base32', () => {
+  test('encodes the RFC 6238 seed', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('decodes what it encodes, ignoring case, spaces and padding', () => {
+    const bytes = Buffer.from([0, 1, 2, 253, 254, 255, 42]);
+    const encoded = totp.base32Encode(bytes);
+
+    expect(totp.base32Decode(encoded)).toEqual(bytes);
+    expect(totp.base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}==`)).toEqual(bytes);
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 secret');
+  });
+
+  test('generates 160-bit secrets', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(at(seconds)))).toBe(code);
+  });
+
+  test('uses 30-second steps', () => {
+    expect(totp.timeStep(at(59))).toBe(1);
+    expect(totp.timeStep(at(60))).toBe(2);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = at(1111111111);
+  const step = totp.timeStep(time);
+
+  test('returns the step the code belongs to', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  test('accepts the neighbouring steps for clock drift, and no further', () => {
+    const previous = totp.generateCode(RFC_SECRET, step - 1);
+    const next = totp.generateCode(RFC_SECRET, step + 1);
+    const tooOld = totp.generateCode(RFC_SECRET, step - 2);
+
+    expect(totp.verifyCode(RFC_SECRET, previous, { time })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, next, { time })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, tooOld, { time })).toBeNull();
+  });
+
+  test('refuses steps at or before the last one used', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time, afterStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '050471', { time, afterStep: step - 1 })).toBe(step);
+  });
+
+  test('ignores spaces and rejects anything but six digits', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050 471', { time })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, '50471', { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '0504710', { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+
+  test('rejects a wrong code', () => {
+    expect(totp.verifyCode(RFC_SECRET, '123456', { time })).toBeNull();
+  });
+});
+
+describe('otpauthUri', () => {
+  test('describes the secret for authenticator apps', () => {
+    expect(totp.otpauthUri(RFC_SECRET, 'jane@example.com', 'Secure Healthcare')).toBe(
+      `otpauth://totp/Secure%20Healthcare:jane%40example.com?secret=${RFC_SECRET}&issuer=Secure%20Healthcare&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('secret storage', () => {
+  const originalKey = process.env.ENCRYPTION_KEY;
+
+  afterEach(() => restoreEnv('ENCRYPTION_KEY', originalKey));
+
+  test('round-trips a secret with a fresh IV each time', () => {
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+    const first = totp.encryptSecret(RFC_SECRET);
+    const second = totp.encryptSecret(RFC_SECRET);
+
+    expect(first).not.toBe(second);
+    expect(first).not.toContain(RFC_SECRET);
+    expect(totp.decryptSecret(first)).toBe(RFC_SECRET);
+    expect(totp.decryptSecret(second)).toBe(RFC_SECRET);
+  });
+
+  test('refuses a secret encrypted under another key', () => {
+    process.env.ENCRYPTION_KEY = 'test-encryption-key';
+    const stored = totp.encryptSecret(RFC_SECRET);
+
+    process.env.ENCRYPTION_KEY = 'another-key';
+    expect(() => totp.decryptSecret(stored)).toThrow();
+  });
+
+  test('requires ENCRYPTION_KEY', () => {
+    delete process.env.ENCRYPTION_KEY;
+
+    expect(() => totp.encryptSecret(RFC_SECRET)).toThrow('ENCRYPTION_KEY is not configured');
+  });
+});
+
+describe('recovery codes', () => {
+  test('are unique and shaped like 3f9a1-c07d2', () => {
+    const codes = totp.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  test('hash the same however they are typed', () => {
+    const hash = totp.hashRecoveryCode('3f9a1-c07d2');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(totp.hashRecoveryCode('3F9A1 C07D2')).toBe(hash);
+    expect(totp.hashRecoveryCode('3f9a1c07d2')).toBe(hash);
+    expect(totp.hashRecoveryCode('3f9a1-c07d3')).not.toBe(hash);
+  });
+});
+
+describe('isTwoFactorRequired', () => {
+  const originalRoles = process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+  afterEach(() => restoreEnv('TWO_FACTOR_REQUIRED_ROLES', originalRoles));
+
+  test('defaults to administrators and doctors', () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+    expect(totp.isTwoFactorRequired('administrator')).toBe(true);
+    expect(totp.isTwoFactorRequired('doctor')).toBe(true);
+    expect(totp.isTwoFactorRequired('patient')).toBe(false);
+  });
+
+  test('reads TWO_FACTOR_REQUIRED_ROLES, and an empty list requires none', () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = ' pharmacist , lab_technician ';
+    expect(totp.requiredRoles()).toEqual(['pharmacist', 'lab_technician']);
+    expect(totp.isTwoFactorRequired('doctor')).toBe(false);
+
+    process.env.TWO_FACTOR_REQUIRED_ROLES = '';
+    expect(totp.requiredRoles()).toEqual([]);
+  });
+});
@@ -9,6 +9,7 @@ import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import ActiveSessions from './pages/ActiveSessions';
 
 // Role-specific pages
 import PatientDashboard from './pages/patient/PatientDashboard';
@@ -34,6 +35,8 @@ import CreateMedicalRecord from './pages/medical/CreateMedicalRecord';
 import UserManagement from './pages/administrator/UserManagement';
 import AuditLogs from './pages/administrator/AuditLogs';
 import SystemSettings from './pages/administrator/SystemSettings';
+import ErasureRequests from './pages/administrator/ErasureRequests';
+import EmergencyAccessReviews from './pages/administrator/EmergencyAccessReviews';
 
 // Error pages
 import Unauthorized from './pages/Unauthorized';
@@ -54,6 +57,7 @@ function App() {
 
           {/* Protected Routes */}
           <Route path="/dashboard" element={<Layout><Dashboard /></Layout>} />
+          <Route path="/account/sessions" element={<Layout><ActiveSessions /></Layout>} />
 
           {/* Role-specific Dashboards */}
           <Route path="/patient" element={<Layout><PatientDashboard /></Layout>} />
@@ -79,6 +83,8 @@ function App() {
           <Route path="/admin/users" element={<Layout><UserManagement /></Layout>} />
           <Route path="/admin/audit-logs" element={<Layout><AuditLogs /></Layout>} />
           <Route path="/admin/settings" element={<Layout><SystemSettings /></Layout>} />
+          <Route path="/admin/erasure-requests" element={<Layout><ErasureRequests /></Layout>} />
+          <Route path="/admin/emergency-access" element={<Layout><EmergencyAccessReviews /></Layout>} />
 
           {/* Error Routes */}
           <Route path="/unauthorized" element={<Unauthorized />} />
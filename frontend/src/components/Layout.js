@@ -1,6 +1,15 @@
 import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { signOut } from '../services/api';
 
 const Layout = ({ children }) => {
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    await signOut();
+    navigate('/login');
+  };
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-slate-900 shadow-sm border-b border-slate-800">
@@ -12,7 +21,8 @@ const Layout = ({ children }) => {
             <nav className="flex space-x-4">
               <button className="text-slate-300 hover:text-white">Dashboard</button>
               <button className="text-slate-300 hover:text-white">Profile</button>
-              <button className="text-slate-300 hover:text-white">Logout</button>
+              <button onClick={() => navigate('/account/sessions')} className="text-slate-300 hover:text-white">Sessions</button>
+              <button onClick={handleLogout} className="text-slate-300 hover:text-white">Logout</button>
             </nav>
           </div>
         </div>
@@ -160,6 +160,12 @@ export const AuthProvider = ({ children }) => {
 
       const response = await authAPI.login(credentials);
 
+      // Two-factor accounts finish signing in with the mfa token (see Login page)
+      if (response.success && response.data?.mfaToken) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: false, twoFactor: response.code, mfaToken: response.data.mfaToken };
+      }
+
       if (response.success) {
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -244,12 +250,16 @@ export const AuthProvider = ({ children }) => {
   // Refresh token function
   const refreshToken = async () => {
     try {
-      if (!state.tokens.refreshToken) {
+      // The API client may have rotated the tokens since they were loaded into state
+      const stored = JSON.parse(localStorage.getItem('authTokens') || 'null');
+      const currentRefreshToken = stored?.refreshToken || state.tokens.refreshToken;
+
+      if (!currentRefreshToken) {
         throw new Error('No refresh token available');
       }
 
       const response = await authAPI.refreshToken({
-        refreshToken: state.tokens.refreshToken,
+        refreshToken: currentRefreshToken,
       });
 
       if (response.success) {
@@ -280,6 +290,16 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.changePassword(passwordData);
 
       if (response.success) {
+        // Other sessions were signed out; this one continues with new tokens
+        if (response.data?.tokens) {
+          localStorage.setItem('authTokens', JSON.stringify(response.data.tokens));
+          if (state.isAuthenticated) {
+            dispatch({
+              type: AUTH_ACTIONS.REFRESH_TOKEN_SUCCESS,
+              payload: { tokens: response.data.tokens },
+            });
+          }
+        }
         toast.success('Password changed successfully');
         return { success: true };
       } else {
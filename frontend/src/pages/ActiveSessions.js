@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI, signOut } from '../services/api';
+
+const ActiveSessions = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data?.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      await signOut();
+      navigate('/login');
+      return;
+    }
+
+    if (!window.confirm(`Sign out ${session.userAgent || 'this device'}?`)) return;
+
+    try {
+      await authAPI.revokeSession(session._id);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error signing out session:', error);
+    }
+  };
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Active Sessions</h1>
+        <p className="text-gray-600">Devices signed in to your account. Sign out any you do not recognise.</p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No active sessions.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Device</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Signed In</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Active</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sessions.map((session) => (
+                <tr key={session._id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {session.userAgent || 'Unknown device'}
+                    {session.current && (
+                      <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{session.lastIpAddress || session.ipAddress || '—'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{new Date(session.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{new Date(session.lastUsedAt).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    <button
+                      onClick={() => revokeSession(session)}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Sign out
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { signOut } from '../services/api';
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -17,10 +18,8 @@ const Dashboard = () => {
     setLoading(false);
   }, [navigate]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await signOut();
     navigate('/login');
   };
 
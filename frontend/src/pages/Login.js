@@ -12,6 +12,13 @@ const Login = () => {
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [touched, setTouched] = useState({ email: false, password: false });
+  // Second login step: { token, enrolling } once the password has been accepted
+  const [mfa, setMfa] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [pendingLogin, setPendingLogin] = useState(null);
 
   const isEmailValid = useMemo(() => {
     if (!formData.email) return false;
@@ -20,6 +27,9 @@ const Login = () => {
 
   const isPasswordValid = useMemo(() => formData.password?.length > 0, [formData.password]);
   const isFormValid = isEmailValid && isPasswordValid;
+  const isMfaCodeValid = useRecoveryCode
+    ? mfaCode.replace(/[^0-9a-fA-F]/g, '').length === 10
+    : /^\d{6}$/.test(mfaCode.replace(/\s/g, ''));
 
   const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -47,6 +57,86 @@ const Login = () => {
     });
   };
 
+  const navigateForRole = (userRole) => {
+    switch (userRole) {
+      case 'patient':
+      case 'PATIENT':
+        navigate('/patient');
+        break;
+      case 'doctor':
+      case 'DOCTOR':
+        navigate('/doctor');
+        break;
+      case 'receptionist':
+      case 'RECEPTIONIST':
+        navigate('/receptionist');
+        break;
+      case 'lab_technician':
+      case 'LAB_TECHNICIAN':
+        navigate('/lab');
+        break;
+      case 'pharmacist':
+      case 'PHARMACIST':
+        navigate('/pharmacy');
+        break;
+      case 'administrator':
+      case 'ADMINISTRATOR':
+        navigate('/admin');
+        break;
+      default:
+        navigate('/dashboard');
+    }
+  };
+
+  const completeLogin = (data) => {
+    const user = data?.user;
+    const tokens = data?.tokens || {};
+
+    if (tokens.accessToken) {
+      localStorage.setItem('accessToken', tokens.accessToken);
+    }
+    if (tokens.refreshToken) {
+      localStorage.setItem('refreshToken', tokens.refreshToken);
+    }
+    if (user) {
+      localStorage.setItem('user', JSON.stringify(user));
+      localStorage.setItem('authUser', JSON.stringify(user));
+    }
+    localStorage.setItem('authTokens', JSON.stringify(tokens));
+
+    navigateForRole(user?.role);
+  };
+
+  // Back to the password step (expired mfa token or "use a different account")
+  const resetTwoFactor = (message = '') => {
+    setMfa(null);
+    setEnrollment(null);
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setFormData((prev) => ({ ...prev, password: '' }));
+    setError(message);
+    setLoading(false);
+  };
+
+  const startTwoFactor = async (response) => {
+    const enrolling = response.code === 'MFA_ENROLLMENT_REQUIRED';
+    const token = response.data.mfaToken;
+
+    setMfa({ token, enrolling });
+    setMfaCode('');
+    setError('');
+
+    if (enrolling) {
+      const setup = await authAPI.setupTwoFactorLogin(
+        { mfaToken: token },
+        { headers: { 'X-Silent-Errors': 'true' } }
+      );
+      setEnrollment(setup?.data || null);
+    }
+
+    setLoading(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -68,51 +158,10 @@ const Login = () => {
         }
       ));
 
-      if (response?.success) {
-        const user = response.data?.user;
-        const tokens = response.data?.tokens || {};
-
-        if (tokens.accessToken) {
-          localStorage.setItem('accessToken', tokens.accessToken);
-        }
-        if (tokens.refreshToken) {
-          localStorage.setItem('refreshToken', tokens.refreshToken);
-        }
-        if (user) {
-          localStorage.setItem('user', JSON.stringify(user));
-          localStorage.setItem('authUser', JSON.stringify(user));
-        }
-        localStorage.setItem('authTokens', JSON.stringify(tokens));
-
-        const userRole = user?.role;
-        switch (userRole) {
-          case 'patient':
-          case 'PATIENT':
-            navigate('/patient');
-            break;
-          case 'doctor':
-          case 'DOCTOR':
-            navigate('/doctor');
-            break;
-          case 'receptionist':
-          case 'RECEPTIONIST':
-            navigate('/receptionist');
-            break;
-          case 'lab_technician':
-          case 'LAB_TECHNICIAN':
-            navigate('/lab');
-            break;
-          case 'pharmacist':
-          case 'PHARMACIST':
-            navigate('/pharmacy');
-            break;
-          case 'administrator':
-          case 'ADMINISTRATOR':
-            navigate('/admin');
-            break;
-          default:
-            navigate('/dashboard');
-        }
+      if (response?.success && response.data?.mfaToken) {
+        await startTwoFactor(response);
+      } else if (response?.success) {
+        completeLogin(response.data);
       } else {
         const errorMessage = response?.message || response?.errors?.[0] || 'Login failed. Please check your credentials.';
         setError(errorMessage);
@@ -134,6 +183,44 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.verifyTwoFactorLogin(
+        useRecoveryCode
+          ? { mfaToken: mfa.token, recoveryCode: mfaCode }
+          : { mfaToken: mfa.token, code: mfaCode },
+        { headers: { 'X-Silent-Errors': 'true' } }
+      );
+
+      if (response?.data?.recoveryCodes) {
+        // Newly enrolled: show the recovery codes once before continuing
+        setRecoveryCodes(response.data.recoveryCodes);
+        setPendingLogin(response.data);
+        setLoading(false);
+      } else if (response?.success) {
+        completeLogin(response.data);
+      } else {
+        setError(response?.message || 'Verification failed. Please try again.');
+        setLoading(false);
+      }
+    } catch (err) {
+      const data = err?.response?.data;
+
+      if (['MFA_TOKEN_INVALID', 'MFA_TOKEN_REQUIRED', 'ACCOUNT_LOCKED', 'USER_INACTIVE'].includes(data?.code)) {
+        resetTwoFactor(data.message);
+        return;
+      }
+
+      setMfaCode('');
+      setError(data?.message || 'Unable to reach the server. Please try again.');
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-200 via-blue-100 to-teal-100 flex items-center justify-center py-12 px-4">
       <div className="max-w-md w-full">
@@ -143,99 +230,211 @@ const Login = () => {
               <span className="text-blue-600 font-semibold">SH</span>
             </div>
             <p className="text-sm text-gray-500">Secure Healthcare System</p>
-            <h2 className="text-3xl font-semibold text-gray-900 mt-2">Sign in</h2>
-            <p className="mt-2 text-gray-600">Use your Secure Healthcare System account</p>
+            <h2 className="text-3xl font-semibold text-gray-900 mt-2">
+              {mfa ? 'Two-step verification' : 'Sign in'}
+            </h2>
+            <p className="mt-2 text-gray-600">
+              {!mfa && 'Use your Secure Healthcare System account'}
+              {mfa && !mfa.enrolling && 'Enter the code from your authenticator app'}
+              {mfa?.enrolling && 'Your role requires two-step verification. Set it up to continue.'}
+            </p>
           </div>
 
-          <form className="space-y-6 mt-8" onSubmit={handleSubmit}>
-            {error && (
-              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm fade-in-soft">
-                {error}
+          {recoveryCodes ? (
+            <div className="space-y-6 mt-8 fade-in-soft">
+              <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+                authenticator. They will not be shown again.
               </div>
-            )}
-
-            <div className="space-y-5">
-              <div className="relative">
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  onBlur={() => setTouched((prev) => ({ ...prev, email: true }))}
-                  placeholder=" "
-                  className="peer block w-full px-4 py-3 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
-                />
-                <label
-                  htmlFor="email"
-                  className="absolute left-4 top-3 text-sm text-gray-500 transition-all peer-placeholder-shown:top-3.5 peer-placeholder-shown:text-gray-400 peer-[&:not(:placeholder-shown)]:-top-2 peer-[&:not(:placeholder-shown)]:text-xs peer-[&:not(:placeholder-shown)]:text-gray-500 peer-focus:-top-2 peer-focus:text-xs peer-focus:text-blue-600 bg-white px-1"
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+                {recoveryCodes.map((code) => (
+                  <li key={code} className="bg-gray-50 border border-gray-200 rounded px-3 py-2 text-center">{code}</li>
+                ))}
+              </ul>
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => completeLogin(pendingLogin)}
+                  className="inline-flex items-center justify-center px-6 py-2.5 rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition"
                 >
-                  Email or phone
-                </label>
-                {touched.email && !isEmailValid && (
-                  <p className="text-xs text-rose-600 mt-2 fade-in-soft">Enter a valid email address.</p>
-                )}
+                  I have saved my codes
+                </button>
               </div>
+            </div>
+          ) : mfa ? (
+            <form className="space-y-6 mt-8" onSubmit={handleTwoFactorSubmit}>
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm fade-in-soft">
+                  {error}
+                </div>
+              )}
+
+              {mfa.enrolling && (
+                <div className="space-y-3 text-sm text-gray-700">
+                  <p>
+                    Add an account to your authenticator app (Google Authenticator, Microsoft Authenticator,
+                    1Password, ...) using this setup key, then enter the 6-digit code it shows.
+                  </p>
+                  {enrollment ? (
+                    <>
+                      <div className="bg-gray-50 border border-gray-200 rounded-lg px-4 py-3 font-mono text-base tracking-wider text-gray-900 break-all select-all">
+                        {enrollment.secret.match(/.{1,4}/g).join(' ')}
+                      </div>
+                      <a href={enrollment.otpauthUri} className="text-blue-600 hover:text-blue-500">
+                        Open in an authenticator app on this device
+                      </a>
+                    </>
+                  ) : (
+                    <p className="text-gray-500">Generating setup key...</p>
+                  )}
+                </div>
+              )}
 
               <div className="relative">
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
+                  id="mfaCode"
+                  name="mfaCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
                   required
-                  value={formData.password}
-                  onChange={handleChange}
-                  onBlur={() => setTouched((prev) => ({ ...prev, password: true }))}
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(e.target.value)}
                   placeholder=" "
-                  className="peer block w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                  className="peer block w-full px-4 py-3 border border-gray-300 rounded-lg text-gray-900 tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
                 />
                 <label
-                  htmlFor="password"
+                  htmlFor="mfaCode"
                   className="absolute left-4 top-3 text-sm text-gray-500 transition-all peer-placeholder-shown:top-3.5 peer-placeholder-shown:text-gray-400 peer-[&:not(:placeholder-shown)]:-top-2 peer-[&:not(:placeholder-shown)]:text-xs peer-[&:not(:placeholder-shown)]:text-gray-500 peer-focus:-top-2 peer-focus:text-xs peer-focus:text-blue-600 bg-white px-1"
                 >
-                  Password
+                  {useRecoveryCode ? 'Recovery code' : '6-digit code'}
                 </label>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <div className="flex flex-col items-start gap-1">
+                  {!mfa.enrolling && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setUseRecoveryCode((prev) => !prev);
+                        setMfaCode('');
+                        setError('');
+                      }}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-500"
+                    >
+                      {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => resetTwoFactor()}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Use a different account
+                  </button>
+                </div>
                 <button
-                  type="button"
-                  onClick={() => setShowPassword((prev) => !prev)}
-                  className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                  type="submit"
+                  disabled={loading || !isMfaCodeValid || (mfa.enrolling && !enrollment)}
+                  className="inline-flex items-center justify-center px-6 py-2.5 rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition transform hover:-translate-y-0.5 hover:shadow-lg"
                 >
-                  {showPassword ? 'Hide' : 'Show'}
+                  {loading ? 'Verifying...' : 'Verify'}
                 </button>
-                {touched.password && !isPasswordValid && (
-                  <p className="text-xs text-rose-600 mt-2 fade-in-soft">Password is required.</p>
-                )}
               </div>
-            </div>
+            </form>
+          ) : (
+            <form className="space-y-6 mt-8" onSubmit={handleSubmit}>
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm fade-in-soft">
+                  {error}
+                </div>
+              )}
 
-            <div className="flex items-center gap-2 text-xs text-gray-500">
-              <svg className="h-4 w-4 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 11c1.657 0 3-1.343 3-3S13.657 5 12 5s-3 1.343-3 3 1.343 3 3 3z" />
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 11a7 7 0 1114 0v3a4 4 0 01-4 4H9a4 4 0 01-4-4v-3z" />
-              </svg>
-              Secure login • Encrypted communication
-            </div>
+              <div className="space-y-5">
+                <div className="relative">
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    onBlur={() => setTouched((prev) => ({ ...prev, email: true }))}
+                    placeholder=" "
+                    className="peer block w-full px-4 py-3 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                  />
+                  <label
+                    htmlFor="email"
+                    className="absolute left-4 top-3 text-sm text-gray-500 transition-all peer-placeholder-shown:top-3.5 peer-placeholder-shown:text-gray-400 peer-[&:not(:placeholder-shown)]:-top-2 peer-[&:not(:placeholder-shown)]:text-xs peer-[&:not(:placeholder-shown)]:text-gray-500 peer-focus:-top-2 peer-focus:text-xs peer-focus:text-blue-600 bg-white px-1"
+                  >
+                    Email or phone
+                  </label>
+                  {touched.email && !isEmailValid && (
+                    <p className="text-xs text-rose-600 mt-2 fade-in-soft">Enter a valid email address.</p>
+                  )}
+                </div>
 
-            <div className="flex items-center justify-between">
-              <button
-                type="button"
-                onClick={() => navigate('/register')}
-                className="text-sm font-medium text-blue-600 hover:text-blue-500"
-              >
-                Create account
-              </button>
-              <button
-                type="submit"
-                disabled={loading || !isFormValid}
-                className="inline-flex items-center justify-center px-6 py-2.5 rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition transform hover:-translate-y-0.5 hover:shadow-lg"
-              >
-                {loading ? 'Signing in...' : 'Next'}
-              </button>
-            </div>
-          </form>
+                <div className="relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    required
+                    value={formData.password}
+                    onChange={handleChange}
+                    onBlur={() => setTouched((prev) => ({ ...prev, password: true }))}
+                    placeholder=" "
+                    className="peer block w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                  />
+                  <label
+                    htmlFor="password"
+                    className="absolute left-4 top-3 text-sm text-gray-500 transition-all peer-placeholder-shown:top-3.5 peer-placeholder-shown:text-gray-400 peer-[&:not(:placeholder-shown)]:-top-2 peer-[&:not(:placeholder-shown)]:text-xs peer-[&:not(:placeholder-shown)]:text-gray-500 peer-focus:-top-2 peer-focus:text-xs peer-focus:text-blue-600 bg-white px-1"
+                  >
+                    Password
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword((prev) => !prev)}
+                    className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? 'Hide' : 'Show'}
+                  </button>
+                  {touched.password && !isPasswordValid && (
+                    <p className="text-xs text-rose-600 mt-2 fade-in-soft">Password is required.</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2 text-xs text-gray-500">
+                <svg className="h-4 w-4 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 11c1.657 0 3-1.343 3-3S13.657 5 12 5s-3 1.343-3 3 1.343 3 3 3z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 11a7 7 0 1114 0v3a4 4 0 01-4 4H9a4 4 0 01-4-4v-3z" />
+                </svg>
+                Secure login • Encrypted communication
+              </div>
+
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => navigate('/register')}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-500"
+                >
+                  Create account
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading || !isFormValid}
+                  className="inline-flex items-center justify-center px-6 py-2.5 rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition transform hover:-translate-y-0.5 hover:shadow-lg"
+                >
+                  {loading ? 'Signing in...' : 'Next'}
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -1,16 +1,2 @@
-import React from 'react';
-
-const PharmacyDashboard = () => {
-  return (
-    <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">PharmacyDashboard</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-export default PharmacyDashboard;
+// The pharmacy dispense queue lives under pages/pharmacist
+export { default } from './pharmacist/PharmacistDashboard';
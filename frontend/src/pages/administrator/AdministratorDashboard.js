@@ -1,25 +1,45 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { signOut } from '../../services/api';
 
 const AdministratorDashboard = () => {
   const navigate = useNavigate();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [emergencyMetrics, setEmergencyMetrics] = useState(null);
 
   useEffect(() => {
     const userData = localStorage.getItem('user');
     if (userData) {
       setUser(JSON.parse(userData));
+      fetchEmergencyMetrics();
     } else {
       navigate('/login');
     }
     setLoading(false);
   }, [navigate]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+  const fetchEmergencyMetrics = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/admin/emergency-access-reviews/metrics', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEmergencyMetrics(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching emergency access metrics:', error);
+    }
+  };
+
+  const handleLogout = async () => {
+    await signOut();
     navigate('/login');
   };
 
@@ -213,6 +233,24 @@ const AdministratorDashboard = () => {
                   </svg>
                   System Settings
                 </button>
+                <button
+                  onClick={() => navigate('/admin/erasure-requests')}
+                  className="inline-flex items-center px-4 py-3 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                >
+                  <svg className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  Erasure Requests
+                </button>
+                <button
+                  onClick={() => navigate('/admin/emergency-access')}
+                  className="inline-flex items-center px-4 py-3 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                >
+                  <svg className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 15.5c-.77.833.192 2.5 1.732 2.5z" />
+                  </svg>
+                  Emergency Access Reviews
+                </button>
                 <button className="inline-flex items-center px-4 py-3 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">
                   <svg className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
@@ -355,6 +393,55 @@ const AdministratorDashboard = () => {
             </div>
           </div>
 
+          {/* Emergency Access Reviews */}
+          {emergencyMetrics && (
+            <div className="bg-white shadow rounded-lg mb-8">
+              <div className="px-4 py-5 sm:p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">
+                    Emergency Access Reviews
+                  </h3>
+                  <button
+                    onClick={() => navigate('/admin/emergency-access')}
+                    className="bg-indigo-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-indigo-700"
+                  >
+                    Review Queue
+                  </button>
+                </div>
+                {emergencyMetrics.queue.overdue > 0 && (
+                  <div className="mb-4 p-4 bg-red-50 rounded-lg border-l-4 border-red-500 text-sm text-red-700">
+                    {emergencyMetrics.queue.overdue} emergency access review{emergencyMetrics.queue.overdue === 1 ? ' is' : 's are'} overdue
+                    {emergencyMetrics.queue.escalated > 0 && ` (${emergencyMetrics.queue.escalated} escalated)`}
+                  </div>
+                )}
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-yellow-600">{emergencyMetrics.queue.pending}</div>
+                    <div className="text-sm text-gray-500">Awaiting Review</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-red-600">{emergencyMetrics.queue.overdue}</div>
+                    <div className="text-sm text-gray-500">Overdue</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-gray-900">{emergencyMetrics.period.total}</div>
+                    <div className="text-sm text-gray-500">Accesses ({emergencyMetrics.periodDays} days)</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-purple-600">{emergencyMetrics.period.unjustifiedRate}%</div>
+                    <div className="text-sm text-gray-500">Unjustified</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-2xl font-bold text-blue-600">
+                      {emergencyMetrics.period.averageReviewHours !== null ? `${emergencyMetrics.period.averageReviewHours}h` : '-'}
+                    </div>
+                    <div className="text-sm text-gray-500">Avg Time to Review</div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Security Alerts */}
           <div className="bg-white shadow rounded-lg mb-8">
             <div className="px-4 py-5 sm:p-6">
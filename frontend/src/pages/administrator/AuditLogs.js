@@ -1,14 +1,323 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+
+const EVENT_TYPES = [
+  'CREATE',
+  'READ',
+  'UPDATE',
+  'DELETE',
+  'LOGIN',
+  'LOGOUT',
+  'CONSENT_GRANTED',
+  'CONSENT_REVOKED',
+  'EMERGENCY_ACCESS',
+  'DATA_EXPORT',
+  'PASSWORD_CHANGE',
+  'ROLE_CHANGE',
+  'SYSTEM_ERROR'
+];
+
+const RESOURCE_TYPES = ['user', 'patient', 'consent', 'medical_record', 'prescription', 'lab_result', 'visit', 'system'];
+
+const THREAT_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const emptyFilters = {
+  eventType: '',
+  userId: '',
+  targetPatientId: '',
+  resourceType: '',
+  threatLevel: '',
+  requestId: '',
+  from: '',
+  to: ''
+};
+
+const threatBadge = (level) => {
+  switch (level) {
+    case 'critical':
+      return 'bg-red-200 text-red-900';
+    case 'high':
+      return 'bg-red-100 text-red-800';
+    case 'medium':
+      return 'bg-yellow-100 text-yellow-800';
+    default:
+      return 'bg-gray-100 text-gray-700';
+  }
+};
 
 const AuditLogs = () => {
+  const [logs, setLogs] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [selectedLog, setSelectedLog] = useState(null);
+
+  const buildParams = (source) => {
+    const params = {};
+    Object.entries(source).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    return params;
+  };
+
+  const fetchLogs = useCallback(async (cursor = null) => {
+    setLoading(true);
+    try {
+      const params = { ...buildParams(appliedFilters), limit: 50 };
+      if (cursor) params.cursor = cursor;
+
+      const response = await adminAPI.getAuditLogs(params);
+      const page = response.data?.logs || [];
+      setLogs((previous) => (cursor ? [...previous, ...page] : page));
+      setNextCursor(response.data?.pagination?.nextCursor || null);
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(emptyFilters);
+    setAppliedFilters(emptyFilters);
+  };
+
+  const exportLogs = async (format) => {
+    setExporting(true);
+    try {
+      const blob = await adminAPI.exportAuditLogs({ ...buildParams(appliedFilters), format });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-logs.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit logs:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">AuditLogs</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Logs</h1>
+          <p className="text-gray-600">Search and export the system audit trail.</p>
+        </div>
+        <div className="space-x-2">
+          <button
+            onClick={() => exportLogs('csv')}
+            disabled={exporting}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => exportLogs('ndjson')}
+            disabled={exporting}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Export NDJSON
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="bg-white shadow rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <select
+          name="eventType"
+          value={filters.eventType}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">All event types</option>
+          {EVENT_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <select
+          name="resourceType"
+          value={filters.resourceType}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">All resources</option>
+          {RESOURCE_TYPES.map((type) => (
+            <option key={type} value={type}>{type.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <select
+          name="threatLevel"
+          value={filters.threatLevel}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">Any threat level</option>
+          {THREAT_LEVELS.map((level) => (
+            <option key={level} value={level}>{level}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="requestId"
+          placeholder="Request ID"
+          value={filters.requestId}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <input
+          type="text"
+          name="userId"
+          placeholder="User ID"
+          value={filters.userId}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <input
+          type="text"
+          name="targetPatientId"
+          placeholder="Patient ID"
+          value={filters.targetPatientId}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <input
+          type="datetime-local"
+          name="from"
+          title="From"
+          value={filters.from}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <input
+          type="datetime-local"
+          name="to"
+          title="To"
+          value={filters.to}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <div className="md:col-span-4 flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={resetFilters}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Reset
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700"
+          >
+            Search
+          </button>
         </div>
+      </form>
+
+      {/* Logs Table */}
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {logs.length === 0 && !loading ? (
+          <div className="text-center py-12 text-gray-600">No audit log entries match these filters.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Resource</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Threat</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {logs.map((log) => (
+                <tr
+                  key={log._id}
+                  onClick={() => setSelectedLog(log)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {new Date(log.systemDetails?.timestamp).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{log.eventType}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{log.action}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {log.userId?.email || log.userRole || 'anonymous'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{log.resourceType}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${threatBadge(log.securityEvent?.threatLevel)}`}>
+                      {log.securityEvent?.threatLevel || 'low'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{log.requestDetails?.ipAddress}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {loading && (
+          <div className="flex items-center justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        )}
       </div>
+
+      {nextCursor && !loading && (
+        <div className="flex justify-center mt-4">
+          <button
+            onClick={() => fetchLogs(nextCursor)}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Load more
+          </button>
+        </div>
+      )}
+
+      {/* Log Detail Modal */}
+      {selectedLog && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50" onClick={() => setSelectedLog(null)}></div>
+            <div className="bg-white rounded-lg p-6 max-w-2xl w-full relative z-10">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">{selectedLog.action}</h3>
+              <p className="text-sm text-gray-600 mb-4">{selectedLog.description}</p>
+              <pre className="bg-gray-50 rounded-md p-4 text-xs text-gray-800 overflow-auto max-h-96">
+                {JSON.stringify(selectedLog, null, 2)}
+              </pre>
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={() => setSelectedLog(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
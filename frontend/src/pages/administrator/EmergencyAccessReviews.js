@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+
+const STATUSES = ['pending', 'justified', 'unjustified'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  justified: 'bg-green-100 text-green-800',
+  unjustified: 'bg-red-100 text-red-800'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const personName = (person) => (person ? `${person.profile?.firstName} ${person.profile?.lastName}` : '-');
+
+const EmergencyAccessReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState('');
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (filter === 'overdue') {
+        params.overdue = 'true';
+      } else if (filter) {
+        params.status = filter;
+      }
+
+      const response = await adminAPI.getEmergencyReviews(params);
+      setReviews(response.data?.reviews || []);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error fetching emergency access reviews:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, page]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const openReview = async (grantId) => {
+    try {
+      const response = await adminAPI.getEmergencyReview(grantId);
+      setSelected(response.data);
+      setNotes('');
+    } catch (error) {
+      console.error('Error fetching emergency access review:', error);
+      alert('Failed to load emergency access review');
+    }
+  };
+
+  const submitReview = async (outcome) => {
+    if (notes.trim().length < 10) {
+      alert('Please enter review notes (at least 10 characters)');
+      return;
+    }
+    if (outcome === 'unjustified' && !window.confirm('Mark this access unjustified? Any remaining access will be revoked.')) {
+      return;
+    }
+
+    try {
+      await adminAPI.completeEmergencyReview(selected.review._id, { outcome, notes });
+      setSelected(null);
+      fetchReviews();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to record review');
+    }
+  };
+
+  const review = selected?.review;
+  const currentUserId = JSON.parse(localStorage.getItem('user') || '{}').id;
+  const isOwnAccess = review && review.requestedBy?._id === currentUserId;
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Emergency Access Reviews</h1>
+          <p className="text-sm text-gray-600">
+            Every break-glass access must be reviewed by someone other than the person who used it
+          </p>
+        </div>
+        <select
+          value={filter}
+          onChange={(e) => { setPage(1); setFilter(e.target.value); }}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          <option value="overdue">overdue</option>
+          {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : reviews.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No emergency access reviews</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested By</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Granted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Review Due</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {reviews.map(item => (
+                <tr key={item._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {personName(item.requestedBy)}
+                    <div className="text-xs text-gray-500">{item.requesterRole}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{personName(item.patientId?.userId)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{formatDateTime(item.grantedAt)}</td>
+                  <td className={`px-6 py-4 text-sm ${item.isOverdue ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                    {formatDateTime(item.review?.dueAt)}
+                    {item.review?.escalatedAt && <div className="text-xs">escalated</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[item.review?.status]}`}>
+                      {item.review?.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-right text-sm">
+                    <button
+                      onClick={() => openReview(item._id)}
+                      className="text-indigo-600 hover:text-indigo-900 font-medium"
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="mt-4 flex justify-between items-center text-sm text-gray-600">
+          <span>Page {pagination.page} of {pagination.pages} ({pagination.total} reviews)</span>
+          <div className="space-x-2">
+            <button
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              disabled={page >= pagination.pages}
+              onClick={() => setPage(page + 1)}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {review && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-screen overflow-y-auto">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              Emergency access by {personName(review.requestedBy)} ({review.requesterRole})
+            </h2>
+
+            <dl className="text-sm space-y-2 mb-4">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Patient</dt>
+                <dd>{personName(review.patientId?.userId)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Window</dt>
+                <dd>{formatDateTime(review.grantedAt)} to {formatDateTime(review.expiresAt)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Review due</dt>
+                <dd className={review.isOverdue ? 'text-red-600' : ''}>{formatDateTime(review.review?.dueAt)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Reason</dt>
+                <dd className="text-gray-900">{review.reason}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Justification</dt>
+                <dd className="text-gray-900">{review.justification}</dd>
+              </div>
+              {review.review?.status !== 'pending' && (
+                <div>
+                  <dt className="text-gray-500">
+                    Reviewed as {review.review?.status} by {personName(review.review?.reviewedBy)} on {formatDateTime(review.review?.reviewedAt)}
+                  </dt>
+                  <dd className="text-gray-900">{review.review?.notes}</dd>
+                </div>
+              )}
+            </dl>
+
+            <div className="bg-gray-50 rounded-md p-3 text-sm mb-4">
+              <h3 className="font-medium text-gray-900 mb-2">
+                Accessed during the window ({selected.summary?.accessCount} entries
+                {selected.summary?.dataTypes?.length > 0 && `: ${selected.summary.dataTypes.join(', ')}`})
+              </h3>
+              {selected.accessLog?.length === 0 ? (
+                <p className="text-gray-500">No access was recorded under this grant</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                  {selected.accessLog.map(entry => (
+                    <li key={entry._id} className="py-1">
+                      <span className="text-gray-500">{formatDateTime(entry.systemDetails?.timestamp)}</span>{' '}
+                      <span className="font-medium">{entry.action}</span>{' '}
+                      {entry.dataAccessed?.dataType && <span>({entry.dataAccessed.dataType})</span>}
+                      <div className="text-xs text-gray-500 font-mono">{entry.requestDetails?.method} {entry.requestDetails?.endpoint}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {selected.summary?.truncated && (
+                <p className="text-xs text-gray-500 mt-1">Showing the first {selected.summary.accessCount} entries</p>
+              )}
+            </div>
+
+            {review.review?.status === 'pending' && (
+              isOwnAccess ? (
+                <p className="text-sm text-yellow-700 mb-4">You used this access, so another administrator must review it.</p>
+              ) : (
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Review notes (required)"
+                  rows={3}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm mb-4"
+                />
+              )
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setSelected(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              {review.review?.status === 'pending' && !isOwnAccess && (
+                <>
+                  <button
+                    onClick={() => submitReview('unjustified')}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700"
+                  >
+                    Unjustified
+                  </button>
+                  <button
+                    onClick={() => submitReview('justified')}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+                  >
+                    Justified
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmergencyAccessReviews;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+
+const STATUSES = ['pending', 'approved', 'rejected', 'completed', 'failed'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-gray-100 text-gray-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const ErasureRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState('');
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (status) params.status = status;
+
+      const response = await adminAPI.getErasureRequests(params);
+      setRequests(response.data?.requests || []);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error fetching erasure requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const openRequest = async (requestId) => {
+    try {
+      const response = await adminAPI.getErasureRequest(requestId);
+      setSelected(response.data);
+      setNotes('');
+    } catch (error) {
+      console.error('Error fetching erasure request:', error);
+      alert('Failed to load erasure request');
+    }
+  };
+
+  const approve = async () => {
+    if (!window.confirm('Approve this request and anonymize the patient now? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await adminAPI.approveErasureRequest(selected.request._id, { notes });
+      alert('Erasure completed');
+      setSelected(null);
+      fetchRequests();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to approve erasure request');
+      fetchRequests();
+    }
+  };
+
+  const reject = async () => {
+    if (notes.trim().length < 5) {
+      alert('Please enter a reason for the rejection');
+      return;
+    }
+
+    try {
+      await adminAPI.rejectErasureRequest(selected.request._id, { reason: notes });
+      setSelected(null);
+      fetchRequests();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to reject erasure request');
+    }
+  };
+
+  const request = selected?.request;
+  const retention = selected?.retention;
+  const canReview = request && ['pending', 'failed'].includes(request.status);
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Erasure Requests</h1>
+          <p className="text-sm text-gray-600">
+            Review patient right-to-erasure requests against legal retention rules
+          </p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => { setPage(1); setStatus(e.target.value); }}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : requests.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No erasure requests</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reviewed By</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {requests.map(item => (
+                <tr key={item._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {item.userId?.profile?.firstName} {item.userId?.profile?.lastName}
+                    <div className="text-xs text-gray-500">{item.userId?.email}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">{formatDate(item.requestedAt)}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[item.status]}`}>
+                      {item.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {item.reviewedBy ? `${item.reviewedBy.profile?.firstName} ${item.reviewedBy.profile?.lastName}` : '-'}
+                  </td>
+                  <td className="px-6 py-4 text-right text-sm">
+                    <button
+                      onClick={() => openRequest(item._id)}
+                      className="text-indigo-600 hover:text-indigo-900 font-medium"
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="mt-4 flex justify-between items-center text-sm text-gray-600">
+          <span>Page {pagination.page} of {pagination.pages} ({pagination.total} requests)</span>
+          <div className="space-x-2">
+            <button
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              disabled={page >= pagination.pages}
+              onClick={() => setPage(page + 1)}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {request && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              Erasure request: {request.userId?.profile?.firstName} {request.userId?.profile?.lastName}
+            </h2>
+
+            <dl className="text-sm space-y-2 mb-4">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Status</dt>
+                <dd>{request.status}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Requested</dt>
+                <dd>{formatDate(request.requestedAt)}</dd>
+              </div>
+              {request.reason && (
+                <div>
+                  <dt className="text-gray-500">Reason</dt>
+                  <dd className="text-gray-900">{request.reason}</dd>
+                </div>
+              )}
+              {request.reviewNotes && (
+                <div>
+                  <dt className="text-gray-500">Review notes</dt>
+                  <dd className="text-gray-900">{request.reviewNotes}</dd>
+                </div>
+              )}
+              {request.failureReason && (
+                <div className="text-red-600">Last attempt failed: {request.failureReason}</div>
+              )}
+            </dl>
+
+            {retention && (
+              <div className="bg-gray-50 rounded-md p-3 text-sm mb-4">
+                <h3 className="font-medium text-gray-900 mb-2">Retention assessment</h3>
+                <p>Retention period: {retention.periodYears} years (data after {formatDate(retention.cutoffDate)} is held)</p>
+                <p>Medical records held: {retention.heldMedicalRecords}</p>
+                <p>Visits held: {retention.heldVisits}</p>
+                {retention.releaseAfter && <p>Held data releasable after {formatDate(retention.releaseAfter)}</p>}
+              </div>
+            )}
+
+            {request.outcome && request.status === 'completed' && (
+              <div className="bg-green-50 rounded-md p-3 text-sm mb-4">
+                <h3 className="font-medium text-gray-900 mb-2">Erasure certificate</h3>
+                <p>Medical records: {request.outcome.medicalRecords}, visits: {request.outcome.visits}, consents: {request.outcome.consents}, complaints: {request.outcome.complaints}, assignments: {request.outcome.assignments}, appointments: {request.outcome.appointments ?? 0}, lab orders: {request.outcome.labOrders ?? 0}, import rows: {request.outcome.importRows ?? 0}, HL7 messages: {request.outcome.hl7Messages ?? 0}, consent requests: {request.outcome.consentRequests ?? 0}, renewal requests: {request.outcome.consentRenewalRequests ?? 0}, prescription fills: {request.outcome.prescriptionFills ?? 0}, emergency access grants: {request.outcome.emergencyAccessGrants ?? 0}, notifications: {request.outcome.notifications ?? 0}</p>
+                <p className="font-mono text-xs break-all mt-1">{request.certificate?.hash}</p>
+              </div>
+            )}
+
+            {canReview && (
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Review notes (required to reject)"
+                rows={3}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm mb-4"
+              />
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setSelected(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              {canReview && (
+                <>
+                  {request.status === 'pending' && (
+                    <button
+                      onClick={reject}
+                      className="px-4 py-2 bg-gray-600 text-white rounded-md text-sm hover:bg-gray-700"
+                    >
+                      Reject
+                    </button>
+                  )}
+                  <button
+                    onClick={approve}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+                  >
+                    {request.status === 'failed' ? 'Retry Erasure' : 'Approve & Erase'}
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ErasureRequests;
@@ -1,14 +1,481 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+
+const STAFF_ROLES = ['doctor', 'receptionist', 'lab_technician', 'pharmacist', 'administrator'];
+
+const emptyNewUser = {
+  email: '',
+  password: '',
+  role: 'doctor',
+  firstName: '',
+  lastName: '',
+  phone: '',
+  licenseNumber: '',
+  specialization: '',
+  department: '',
+  receptionistId: ''
+};
+
+const formatRole = (role) => role?.replace('_', ' ');
 
 const UserManagement = () => {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    role: '',
+    status: '',
+    search: '',
+    lastLoginFrom: '',
+    lastLoginTo: ''
+  });
+  const [page, setPage] = useState(1);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newUser, setNewUser] = useState(emptyNewUser);
+  const [roleChangeUser, setRoleChangeUser] = useState(null);
+  const [newRole, setNewRole] = useState('');
+
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await adminAPI.getUsers(params);
+      setUsers(response.data?.users || []);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleFilterChange = (e) => {
+    setPage(1);
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const createUser = async () => {
+    if (!newUser.email || !newUser.password || !newUser.firstName || !newUser.lastName) {
+      alert('Please fill all required fields');
+      return;
+    }
+
+    const professionalInfo = {};
+    ['licenseNumber', 'specialization', 'department', 'receptionistId'].forEach((field) => {
+      if (newUser[field]) professionalInfo[field] = newUser[field];
+    });
+
+    try {
+      await adminAPI.createUser({
+        email: newUser.email,
+        password: newUser.password,
+        role: newUser.role,
+        profile: {
+          firstName: newUser.firstName,
+          lastName: newUser.lastName,
+          phone: newUser.phone || undefined,
+          professionalInfo
+        }
+      });
+      alert('User created successfully!');
+      setShowCreateModal(false);
+      setNewUser(emptyNewUser);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error creating user:', error);
+    }
+  };
+
+  const toggleStatus = async (user) => {
+    const status = user.status === 'suspended' ? 'active' : 'suspended';
+    const reason = window.prompt(`Reason for ${status === 'suspended' ? 'suspending' : 'reactivating'} ${user.email}:`);
+    if (reason === null) return;
+
+    try {
+      await adminAPI.updateUserStatus(user._id, { status, reason });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error updating user status:', error);
+    }
+  };
+
+  const changeRole = async () => {
+    if (!roleChangeUser || !newRole) return;
+
+    try {
+      await adminAPI.changeUserRole(roleChangeUser._id, { role: newRole });
+      setRoleChangeUser(null);
+      setNewRole('');
+      fetchUsers();
+    } catch (error) {
+      console.error('Error changing role:', error);
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    const reason = window.prompt(`Reason for resetting two-factor authentication for ${user.email}:`);
+    if (reason === null) return;
+
+    try {
+      await adminAPI.resetTwoFactor(user._id, { reason });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+    }
+  };
+
+  const forceLogout = async (user) => {
+    const reason = window.prompt(`Reason for signing ${user.email} out of all sessions:`);
+    if (reason === null) return;
+
+    try {
+      const response = await adminAPI.revokeUserSessions(user._id, { reason });
+      window.alert(response.message);
+    } catch (error) {
+      console.error('Error signing out user:', error);
+    }
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Delete and anonymize ${user.email}? This cannot be undone.`)) return;
+
+    try {
+      await adminAPI.deleteUser(user._id);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+    }
+  };
+
   return (
     <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">UserManagement</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
+          <p className="text-gray-600">Onboard staff, manage roles and account status.</p>
+        </div>
+        <button
+          onClick={() => setShowCreateModal(true)}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-indigo-700"
+        >
+          Create Staff Account
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+        <input
+          type="text"
+          name="search"
+          placeholder="Search name or email"
+          value={filters.search}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <select
+          name="role"
+          value={filters.role}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">All roles</option>
+          <option value="patient">patient</option>
+          {STAFF_ROLES.map((role) => (
+            <option key={role} value={role}>{formatRole(role)}</option>
+          ))}
+        </select>
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        >
+          <option value="">Any status</option>
+          <option value="active">active</option>
+          <option value="inactive">inactive</option>
+          <option value="suspended">suspended</option>
+          <option value="deleted">deleted</option>
+        </select>
+        <input
+          type="date"
+          name="lastLoginFrom"
+          title="Last login from"
+          value={filters.lastLoginFrom}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+        <input
+          type="date"
+          name="lastLoginTo"
+          title="Last login to"
+          value={filters.lastLoginTo}
+          onChange={handleFilterChange}
+          className="border border-gray-300 rounded-md px-3 py-2"
+        />
+      </div>
+
+      {/* Users Table */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No users match these filters.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Login</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map((user) => (
+                <tr key={user._id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {user.profile?.firstName} {user.profile?.lastName}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{user.email}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{formatRole(user.role)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${user.status === 'active' ? 'bg-green-100 text-green-800' :
+                      user.status === 'suspended' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-gray-100 text-gray-800'
+                      }`}>
+                      {user.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {user.security?.lastLogin ? new Date(user.security.lastLogin).toLocaleString() : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right space-x-2">
+                    {user.status !== 'deleted' && (
+                      <>
+                        <button
+                          onClick={() => toggleStatus(user)}
+                          className="text-yellow-700 hover:text-yellow-900"
+                        >
+                          {user.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                        </button>
+                        {user.role !== 'patient' && (
+                          <button
+                            onClick={() => {
+                              setRoleChangeUser(user);
+                              setNewRole(user.role);
+                            }}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            Change Role
+                          </button>
+                        )}
+                        <button
+                          onClick={() => forceLogout(user)}
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          Sign Out
+                        </button>
+                        {user.security?.twoFactorEnabled && (
+                          <button
+                            onClick={() => resetTwoFactor(user)}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => deleteUser(user)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Pagination */}
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+        <span>{pagination.total} users</span>
+        <div className="space-x-2">
+          <button
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages || 1}</span>
+          <button
+            disabled={page >= (pagination.pages || 1)}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          >
+            Next
+          </button>
         </div>
       </div>
+
+      {/* Create Staff Modal */}
+      {showCreateModal && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-lg w-full relative z-10">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Create Staff Account</h3>
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="text"
+                  placeholder="First name *"
+                  value={newUser.firstName}
+                  onChange={(e) => setNewUser({ ...newUser, firstName: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                />
+                <input
+                  type="text"
+                  placeholder="Last name *"
+                  value={newUser.lastName}
+                  onChange={(e) => setNewUser({ ...newUser, lastName: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                />
+                <input
+                  type="email"
+                  placeholder="Email *"
+                  value={newUser.email}
+                  onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                />
+                <input
+                  type="password"
+                  placeholder="Temporary password *"
+                  value={newUser.password}
+                  onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                />
+                <select
+                  value={newUser.role}
+                  onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                >
+                  {STAFF_ROLES.map((role) => (
+                    <option key={role} value={role}>{formatRole(role)}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Phone"
+                  value={newUser.phone}
+                  onChange={(e) => setNewUser({ ...newUser, phone: e.target.value })}
+                  className="border border-gray-300 rounded-md px-3 py-2"
+                />
+                {['doctor', 'lab_technician', 'pharmacist'].includes(newUser.role) && (
+                  <>
+                    <input
+                      type="text"
+                      placeholder="License number *"
+                      value={newUser.licenseNumber}
+                      onChange={(e) => setNewUser({ ...newUser, licenseNumber: e.target.value })}
+                      className="border border-gray-300 rounded-md px-3 py-2"
+                    />
+                    <input
+                      type="text"
+                      placeholder="Department *"
+                      value={newUser.department}
+                      onChange={(e) => setNewUser({ ...newUser, department: e.target.value })}
+                      className="border border-gray-300 rounded-md px-3 py-2"
+                    />
+                  </>
+                )}
+                {newUser.role === 'doctor' && (
+                  <input
+                    type="text"
+                    placeholder="Specialization *"
+                    value={newUser.specialization}
+                    onChange={(e) => setNewUser({ ...newUser, specialization: e.target.value })}
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                )}
+                {newUser.role === 'receptionist' && (
+                  <input
+                    type="text"
+                    placeholder="Receptionist ID *"
+                    value={newUser.receptionistId}
+                    onChange={(e) => setNewUser({ ...newUser, receptionistId: e.target.value })}
+                    className="border border-gray-300 rounded-md px-3 py-2"
+                  />
+                )}
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setShowCreateModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={createUser}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                >
+                  Create
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Change Role Modal */}
+      {roleChangeUser && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-md w-full relative z-10">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Change Role</h3>
+              <p className="text-sm text-gray-600 mb-4">{roleChangeUser.email}</p>
+              <select
+                value={newRole}
+                onChange={(e) => setNewRole(e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2"
+              >
+                {STAFF_ROLES.map((role) => (
+                  <option key={role} value={role}>{formatRole(role)}</option>
+                ))}
+              </select>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setRoleChangeUser(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={changeRole}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,5 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { signOut } from '../../services/api';
+
+const emptyPrescription = {
+  medication: '',
+  dosage: '',
+  frequency: '',
+  duration: '',
+  quantity: '',
+  refills: '',
+  instructions: '',
+  encounterId: '',
+  overrideReason: ''
+};
+
+const PRIORITY_STYLES = {
+  critical: 'bg-red-200 text-red-900',
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-green-100 text-green-800'
+};
+
+const WARNING_STYLES = {
+  severe: 'bg-red-50 border-red-200 text-red-800',
+  moderate: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  mild: 'bg-slate-50 border-slate-200 text-slate-700'
+};
+
+const ENCOUNTER_STATUS_STYLES = {
+  planned: 'bg-slate-100 text-slate-700',
+  in_progress: 'bg-sky-100 text-sky-800',
+  finished: 'bg-green-100 text-green-800',
+  cancelled: 'bg-rose-100 text-rose-700'
+};
+
+const RECORD_SECTIONS = [
+  ['vital_signs', 'Vital Signs'],
+  ['diagnosis', 'Diagnoses'],
+  ['prescription', 'Prescriptions'],
+  ['lab_result', 'Lab Results'],
+  ['imaging', 'Imaging'],
+  ['procedure', 'Procedures'],
+  ['clinical_note', 'Clinical Notes'],
+  ['allergy', 'Allergies'],
+  ['immunization', 'Immunizations']
+];
 
 const DoctorDashboard = () => {
   const navigate = useNavigate();
@@ -7,17 +52,35 @@ const DoctorDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [patients, setPatients] = useState([]);
   const [complaints, setComplaints] = useState([]);
+  const [complaintFilter, setComplaintFilter] = useState('open,in_progress');
+  const [reassignData, setReassignData] = useState(null);
+  const [doctors, setDoctors] = useState([]);
   const [medicalRecords, setMedicalRecords] = useState([]);
+  const [encounters, setEncounters] = useState([]);
+  const [encounterDetail, setEncounterDetail] = useState(null);
+  const [reviews, setReviews] = useState([]);
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [activeTab, setActiveTab] = useState('complaints');
-  const [showPrescriptionModal, setShowPrescriptionModal] = useState(false);
-  const [prescriptionData, setPrescriptionData] = useState({
-    medication: '',
-    dosage: '',
-    frequency: '',
-    duration: '',
-    instructions: ''
+  const [expiringConsents, setExpiringConsents] = useState([]);
+  const [showConsentRequestModal, setShowConsentRequestModal] = useState(false);
+  const [consentRequestData, setConsentRequestData] = useState({
+    dataType: 'medical_history',
+    purpose: 'treatment',
+    durationDays: 30,
+    justification: ''
+  });
+  const [labTests, setLabTests] = useState([]);
+  const [labOrders, setLabOrders] = useState([]);
+  const [showLabOrderModal, setShowLabOrderModal] = useState(false);
+  const [labOrderData, setLabOrderData] = useState({
+    testType: 'CBC',
+    priority: 'routine',
+    clinicalNotes: '',
+    encounterId: ''
   });
+  const [showPrescriptionModal, setShowPrescriptionModal] = useState(false);
+  const [prescriptionData, setPrescriptionData] = useState(emptyPrescription);
+  const [prescriptionWarnings, setPrescriptionWarnings] = useState([]);
 
   useEffect(() => {
     const userData = localStorage.getItem('user');
@@ -31,15 +94,25 @@ const DoctorDashboard = () => {
 
   useEffect(() => {
     if (user) {
-      fetchComplaints();
       fetchPatients();
+      fetchExpiringConsents();
+      fetchLabTests();
+      fetchLabOrders();
+      fetchReviews();
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user) {
+      fetchComplaints();
+    }
+  }, [user, complaintFilter]);
+
   const fetchComplaints = async () => {
     try {
       const token = localStorage.getItem('accessToken');
-      const response = await fetch(`http://localhost:5000/api/doctor/complaints/${user._id}`, {
+      const query = complaintFilter ? `?status=${complaintFilter}` : '';
+      const response = await fetch(`http://localhost:5000/api/doctor/complaints${query}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -55,6 +128,128 @@ const DoctorDashboard = () => {
     }
   };
 
+  const updateComplaint = async (complaint, action, body = {}) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/doctor/complaints/${complaint._id}/${action}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message || 'Failed to update complaint');
+        return false;
+      }
+      fetchComplaints();
+      return true;
+    } catch (error) {
+      console.error('Error updating complaint:', error);
+      alert('Failed to update complaint');
+      return false;
+    }
+  };
+
+  const fetchReviews = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/doctor/reviews', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setReviews(data.data?.records || []);
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
+  const reviewRecord = async (record, action, body = {}) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/doctor/reviews/${record._id}/${action}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message || 'Failed to review record');
+        return;
+      }
+      fetchReviews();
+    } catch (error) {
+      console.error('Error reviewing record:', error);
+      alert('Failed to review record');
+    }
+  };
+
+  const returnRecord = (record) => {
+    const comments = prompt('What needs to change? (min 5 characters)');
+    if (comments === null) return;
+    reviewRecord(record, 'return', { comments });
+  };
+
+  const startComplaint = (complaint) => {
+    const note = prompt('Progress note (optional)');
+    if (note === null) return;
+    updateComplaint(complaint, 'progress', { note });
+  };
+
+  const resolveComplaint = (complaint) => {
+    const resolution = prompt('Resolution summary');
+    if (!resolution) return;
+    updateComplaint(complaint, 'resolve', { resolution });
+  };
+
+  const openReassign = async (complaint) => {
+    setReassignData({ complaint, doctorId: '', reason: '' });
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/doctor/doctors', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setDoctors(data.data?.doctors || []);
+      }
+    } catch (error) {
+      console.error('Error fetching doctors:', error);
+    }
+  };
+
+  const submitReassign = async () => {
+    if (!reassignData.doctorId || !reassignData.reason.trim()) {
+      alert('Choose a doctor and give a reason');
+      return;
+    }
+
+    const reassigned = await updateComplaint(reassignData.complaint, 'reassign', {
+      doctorId: reassignData.doctorId,
+      reason: reassignData.reason
+    });
+    if (reassigned) {
+      setReassignData(null);
+    }
+  };
+
   const fetchPatients = async () => {
     try {
       const token = localStorage.getItem('accessToken');
@@ -74,6 +269,160 @@ const DoctorDashboard = () => {
     }
   };
 
+  const fetchExpiringConsents = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/consent/my-consents', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setExpiringConsents((data.data?.consents || []).filter(consent => consent.timeRemaining <= 14));
+      }
+    } catch (error) {
+      console.error('Error fetching consents:', error);
+    }
+  };
+
+  const requestConsentRenewal = async (consentId) => {
+    const message = prompt('Message to the patient (optional)');
+    if (message === null) return;
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/consent/${consentId}/renewal-requests`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ message })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        alert('Renewal request sent to the patient');
+      } else {
+        alert(data.message || 'Failed to request renewal');
+      }
+    } catch (error) {
+      console.error('Error requesting consent renewal:', error);
+      alert('Failed to request renewal');
+    }
+  };
+
+  const submitConsentRequest = async () => {
+    if (!selectedPatient || consentRequestData.justification.trim().length < 10) {
+      alert('Please explain why you need access (at least 10 characters)');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/consent/requests', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          patientId: selectedPatient._id,
+          ...consentRequestData
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        alert('Consent request sent to the patient');
+        setShowConsentRequestModal(false);
+        setConsentRequestData({ ...consentRequestData, justification: '' });
+      } else {
+        alert(data.message || 'Failed to send consent request');
+      }
+    } catch (error) {
+      console.error('Error requesting consent:', error);
+      alert('Failed to send consent request');
+    }
+  };
+
+  const fetchLabTests = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/lab/tests', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setLabTests(data.data?.tests || []);
+      }
+    } catch (error) {
+      console.error('Error fetching lab tests:', error);
+    }
+  };
+
+  const fetchLabOrders = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      };
+      // Open orders plus the most recent results
+      const [openResponse, resultedResponse] = await Promise.all([
+        fetch('http://localhost:5000/api/lab/orders', { headers }),
+        fetch('http://localhost:5000/api/lab/orders?status=resulted&limit=10', { headers })
+      ]);
+
+      if (openResponse.ok && resultedResponse.ok) {
+        const open = await openResponse.json();
+        const resulted = await resultedResponse.json();
+        setLabOrders([...(open.data?.orders || []), ...(resulted.data?.orders || [])]);
+      }
+    } catch (error) {
+      console.error('Error fetching lab orders:', error);
+    }
+  };
+
+  const submitLabOrder = async () => {
+    if (!selectedPatient || !labOrderData.testType.trim()) {
+      alert('Please choose a test');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${selectedPatient._id}/lab-orders`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...labOrderData, encounterId: labOrderData.encounterId || undefined })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        alert('Lab order placed');
+        setShowLabOrderModal(false);
+        setLabOrderData({ testType: 'CBC', priority: 'routine', clinicalNotes: '', encounterId: '' });
+        fetchLabOrders();
+      } else {
+        alert(data.message || 'Failed to place lab order');
+      }
+    } catch (error) {
+      console.error('Error placing lab order:', error);
+      alert('Failed to place lab order');
+    }
+  };
+
   const fetchPatientRecords = async (patientId) => {
     try {
       const token = localStorage.getItem('accessToken');
@@ -93,8 +442,135 @@ const DoctorDashboard = () => {
     }
   };
 
+  const fetchPatientEncounters = async (patientId) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${patientId}/encounters?limit=10`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEncounters(data.data?.encounters || []);
+      } else {
+        setEncounters([]);
+      }
+    } catch (error) {
+      console.error('Error fetching encounters:', error);
+    }
+  };
+
+  // Everything recorded during one encounter
+  const openEncounter = async (encounterId) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${selectedPatient._id}/encounters/${encounterId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setEncounterDetail(data.data);
+      } else {
+        alert(data.message || 'Failed to load encounter');
+      }
+    } catch (error) {
+      console.error('Error fetching encounter:', error);
+      alert('Failed to load encounter');
+    }
+  };
+
+  const uploadAttachment = async (record, file) => {
+    if (!file) return;
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await fetch(`http://localhost:5000/api/patients/${selectedPatient._id}/medical-records/${record._id}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        openEncounter(encounterDetail.encounter._id);
+      } else {
+        alert(data.message || 'Failed to upload attachment');
+      }
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      alert('Failed to upload attachment');
+    }
+  };
+
+  // Downloads go through a short-lived signed link
+  const downloadAttachment = async (record, attachment) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${selectedPatient._id}/medical-records/${record._id}/attachments/${attachment._id}/url`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        window.open(`http://localhost:5000${data.data.url}`, '_blank', 'noopener');
+      } else {
+        alert(data.message || 'Failed to download attachment');
+      }
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      alert('Failed to download attachment');
+    }
+  };
+
+  // Show allergy and interaction warnings as soon as the medication is entered
+  const checkPrescription = async () => {
+    if (!selectedPatient || !prescriptionData.medication.trim()) {
+      setPrescriptionWarnings([]);
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${selectedPatient._id}/prescriptions/check`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ medicationName: prescriptionData.medication })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setPrescriptionWarnings(data.data?.warnings || []);
+      }
+    } catch (error) {
+      console.error('Error checking prescription:', error);
+    }
+  };
+
+  const closePrescriptionModal = () => {
+    setShowPrescriptionModal(false);
+    setPrescriptionData(emptyPrescription);
+    setPrescriptionWarnings([]);
+  };
+
   const createPrescription = async () => {
-    if (!selectedPatient || !prescriptionData.medication) {
+    if (!selectedPatient || !prescriptionData.medication || !prescriptionData.dosage || !prescriptionData.frequency) {
       alert('Please fill all required fields');
       return;
     }
@@ -110,30 +586,37 @@ const DoctorDashboard = () => {
         body: JSON.stringify({
           recordType: 'prescription',
           content: {
-            title: `Prescription by Dr. ${user?.profile?.firstName} ${user?.profile?.lastName}`,
-            medication: prescriptionData.medication,
-            dosage: prescriptionData.dosage,
-            frequency: prescriptionData.frequency,
-            duration: prescriptionData.duration,
-            instructions: prescriptionData.instructions,
-            prescribedBy: user._id
-          }
+            title: `${prescriptionData.medication} ${prescriptionData.dosage}`,
+            description: `Prescription by Dr. ${user?.profile?.firstName} ${user?.profile?.lastName}: ` +
+              `${prescriptionData.medication} ${prescriptionData.dosage}, ${prescriptionData.frequency}`,
+            prescription: {
+              medicationName: prescriptionData.medication,
+              dosage: prescriptionData.dosage,
+              frequency: prescriptionData.frequency,
+              duration: prescriptionData.duration,
+              quantity: prescriptionData.quantity ? parseInt(prescriptionData.quantity) : undefined,
+              refills: parseInt(prescriptionData.refills) || 0,
+              instructions: prescriptionData.instructions
+            }
+          },
+          encounterId: prescriptionData.encounterId || undefined,
+          overrideReason: prescriptionData.overrideReason || undefined
         })
       });
 
+      const data = await response.json();
       if (response.ok) {
-        alert('Prescription created successfully!');
-        setShowPrescriptionModal(false);
-        setPrescriptionData({
-          medication: '',
-          dosage: '',
-          frequency: '',
-          duration: '',
-          instructions: ''
-        });
+        alert('Prescription sent to the pharmacy queue');
+        closePrescriptionModal();
         if (selectedPatient) {
           fetchPatientRecords(selectedPatient._id);
+          fetchPatientEncounters(selectedPatient._id);
         }
+      } else if (data.code === 'CLINICAL_OVERRIDE_REQUIRED') {
+        setPrescriptionWarnings(data.data?.warnings || []);
+        alert('This prescription has severe warnings. Enter an override reason to proceed.');
+      } else {
+        alert(data.message || 'Failed to create prescription');
       }
     } catch (error) {
       console.error('Error creating prescription:', error);
@@ -144,12 +627,11 @@ const DoctorDashboard = () => {
   const handlePatientSelect = (patient) => {
     setSelectedPatient(patient);
     fetchPatientRecords(patient._id);
+    fetchPatientEncounters(patient._id);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await signOut();
     navigate('/login');
   };
 
@@ -210,7 +692,21 @@ const DoctorDashboard = () => {
           <div className="lg:col-span-2">
             <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
               <div className="p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Assigned Complaints</h3>
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Assigned Complaints</h3>
+                  <select
+                    value={complaintFilter}
+                    onChange={(e) => setComplaintFilter(e.target.value)}
+                    className="border border-sky-200 rounded-md px-2 py-1 text-sm"
+                  >
+                    <option value="open,in_progress">Active</option>
+                    <option value="open">Open</option>
+                    <option value="in_progress">In progress</option>
+                    <option value="resolved">Resolved</option>
+                    <option value="closed">Closed</option>
+                    <option value="">All</option>
+                  </select>
+                </div>
                 {complaints.length === 0 ? (
                   <div className="text-center py-10">
                     <div className="text-slate-400 mb-4">
@@ -228,23 +724,62 @@ const DoctorDashboard = () => {
                         <div className="flex justify-between items-start mb-3">
                           <div>
                             <h4 className="font-medium text-gray-900">
-                              {complaint.patientId?.profile?.firstName} {complaint.patientId?.profile?.lastName}
+                              {complaint.patientId?.userId?.profile?.firstName} {complaint.patientId?.userId?.profile?.lastName}
                             </h4>
                             <p className="text-sm text-slate-600">{complaint.description}</p>
+                            <p className="text-xs text-slate-500 mt-1">
+                              {complaint.status.replace('_', ' ')}
+                              {complaint.status === 'open' && (complaint.acceptedAt ? ' (accepted)' : ' (not accepted)')}
+                              {' · '}received {new Date(complaint.createdAt).toLocaleString()}
+                            </p>
+                            {complaint.resolution && (
+                              <p className="text-xs text-slate-600 mt-1">Resolution: {complaint.resolution}</p>
+                            )}
                           </div>
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${complaint.priority === 'high' ? 'bg-red-100 text-red-800' :
-                            complaint.priority === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                              'bg-green-100 text-green-800'
-                            }`}>
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${PRIORITY_STYLES[complaint.priority]}`}>
                             {complaint.priority}
                           </span>
                         </div>
-                        <button
-                          onClick={() => handlePatientSelect(complaint.patientId)}
-                          className="bg-sky-600 text-white px-3 py-1 rounded text-sm hover:bg-sky-700"
-                        >
-                          View Records
-                        </button>
+                        <div className="flex flex-wrap gap-2">
+                          <button
+                            onClick={() => handlePatientSelect(complaint.patientId)}
+                            className="bg-sky-600 text-white px-3 py-1 rounded text-sm hover:bg-sky-700"
+                          >
+                            View Records
+                          </button>
+                          {complaint.status === 'open' && !complaint.acceptedAt && (
+                            <button
+                              onClick={() => updateComplaint(complaint, 'accept')}
+                              className="border border-sky-300 text-sky-700 px-3 py-1 rounded text-sm hover:bg-sky-50"
+                            >
+                              Accept
+                            </button>
+                          )}
+                          {complaint.status === 'open' && (
+                            <button
+                              onClick={() => startComplaint(complaint)}
+                              className="border border-sky-300 text-sky-700 px-3 py-1 rounded text-sm hover:bg-sky-50"
+                            >
+                              Start
+                            </button>
+                          )}
+                          {complaint.status === 'in_progress' && (
+                            <button
+                              onClick={() => resolveComplaint(complaint)}
+                              className="border border-green-300 text-green-700 px-3 py-1 rounded text-sm hover:bg-green-50"
+                            >
+                              Resolve
+                            </button>
+                          )}
+                          {['open', 'in_progress'].includes(complaint.status) && (
+                            <button
+                              onClick={() => openReassign(complaint)}
+                              className="border border-slate-300 text-slate-700 px-3 py-1 rounded text-sm hover:bg-slate-50"
+                            >
+                              Reassign
+                            </button>
+                          )}
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -262,7 +797,7 @@ const DoctorDashboard = () => {
                   <div>
                     <p className="text-sm font-medium text-slate-500">Name</p>
                     <p className="text-gray-900">
-                      {selectedPatient.profile?.firstName} {selectedPatient.profile?.lastName}
+                      {selectedPatient.userId?.profile?.firstName} {selectedPatient.userId?.profile?.lastName}
                     </p>
                   </div>
                   <div>
@@ -270,6 +805,33 @@ const DoctorDashboard = () => {
                     <p className="text-xs text-slate-500 mt-1">Last updated: Today</p>
                     <p className="text-gray-900">{medicalRecords.length} records</p>
                   </div>
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Encounters</p>
+                    {encounters.length === 0 ? (
+                      <p className="text-sm text-slate-500">No encounters yet</p>
+                    ) : (
+                      <div className="space-y-2 mt-1">
+                        {encounters.map((encounter) => (
+                          <button
+                            key={encounter._id}
+                            onClick={() => openEncounter(encounter._id)}
+                            className="w-full text-left border border-sky-200 rounded-md px-3 py-2 hover:bg-sky-50"
+                          >
+                            <div className="flex justify-between items-center">
+                              <span className="text-sm font-medium text-gray-900">
+                                {new Date(encounter.startTime).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                                {' · '}{encounter.type.replace('_', ' ')}
+                              </span>
+                              <span className={`px-2 py-0.5 rounded-full text-xs ${ENCOUNTER_STATUS_STYLES[encounter.status]}`}>
+                                {encounter.status.replace('_', ' ')}
+                              </span>
+                            </div>
+                            {encounter.reason && <p className="text-xs text-slate-600 truncate">{encounter.reason}</p>}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
                 </div>
                 <button
                   onClick={() => setShowPrescriptionModal(true)}
@@ -277,6 +839,18 @@ const DoctorDashboard = () => {
                 >
                   Create Prescription
                 </button>
+                <button
+                  onClick={() => setShowLabOrderModal(true)}
+                  className="w-full mt-2 bg-sky-600 text-white px-4 py-2 rounded-md text-sm hover:bg-sky-700"
+                >
+                  Order Lab Test
+                </button>
+                <button
+                  onClick={() => setShowConsentRequestModal(true)}
+                  className="w-full mt-2 border border-sky-300 text-sky-700 px-4 py-2 rounded-md text-sm hover:bg-sky-50"
+                >
+                  Request Access
+                </button>
               </div>
             ) : (
               <div className="bg-white rounded-xl border border-sky-200 p-6 text-center shadow-sm">
@@ -289,11 +863,148 @@ const DoctorDashboard = () => {
                 <p className="text-sm text-slate-500 mt-1">Choose a complaint to review records and prescribe care.</p>
               </div>
             )}
+
+            {reviews.length > 0 && (
+              <div className="bg-white rounded-xl border border-sky-200 p-6 shadow-sm mt-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Awaiting Your Sign-off</h3>
+                <div className="space-y-3">
+                  {reviews.map((record) => (
+                    <div key={record._id} className="border border-sky-200 rounded-lg p-3 bg-sky-50/40">
+                      <div className="flex justify-between items-start">
+                        <p className="font-medium text-gray-900">{record.content?.title}</p>
+                        <span className="text-xs text-slate-600">{record.recordType.replace('_', ' ')}</span>
+                      </div>
+                      <p className="text-sm text-slate-600">
+                        {record.patientId?.userId?.profile?.firstName} {record.patientId?.userId?.profile?.lastName}
+                        {' · '}by {record.providerId?.profile?.firstName} {record.providerId?.profile?.lastName}
+                      </p>
+                      <p className="text-sm text-slate-500 mt-1">{record.content?.description}</p>
+                      {record.flags?.critical && (
+                        <p className="text-sm font-medium text-red-700">Critical</p>
+                      )}
+                      <div className="flex gap-2 mt-2">
+                        <button
+                          onClick={() => reviewRecord(record, 'approve')}
+                          className="bg-sky-600 text-white px-3 py-1 rounded text-sm hover:bg-sky-700"
+                        >
+                          Sign Off
+                        </button>
+                        <button
+                          onClick={() => returnRecord(record)}
+                          className="border border-slate-300 text-slate-700 px-3 py-1 rounded text-sm hover:bg-slate-50"
+                        >
+                          Return
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {labOrders.length > 0 && (
+              <div className="bg-white rounded-xl border border-sky-200 p-6 shadow-sm mt-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">My Lab Orders</h3>
+                <div className="space-y-3">
+                  {labOrders.map((order) => (
+                    <div
+                      key={order._id}
+                      className={`border rounded-lg p-3 ${order.hasCriticalResult ? 'border-red-300 bg-red-50' : 'border-sky-200 bg-sky-50/40'}`}
+                    >
+                      <div className="flex justify-between items-start">
+                        <p className="font-medium text-gray-900">{order.testType}</p>
+                        <span className="text-xs text-slate-600">{order.status.replace('_', ' ')}</span>
+                      </div>
+                      <p className="text-sm text-slate-600">
+                        {order.patientId?.userId?.profile?.firstName} {order.patientId?.userId?.profile?.lastName}
+                        {order.priority !== 'routine' && <span className="ml-2 text-red-600 uppercase text-xs">{order.priority}</span>}
+                      </p>
+                      {order.hasCriticalResult && (
+                        <p className="text-sm font-medium text-red-700">Critical result</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {expiringConsents.length > 0 && (
+              <div className="bg-white rounded-xl border border-amber-200 p-6 shadow-sm mt-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Consents Expiring Soon</h3>
+                <div className="space-y-3">
+                  {expiringConsents.map((consent) => (
+                    <div key={consent._id} className="border border-amber-200 rounded-lg p-3 bg-amber-50/40">
+                      <p className="font-medium text-gray-900">
+                        {consent.patientId?.userId?.profile?.firstName} {consent.patientId?.userId?.profile?.lastName}
+                      </p>
+                      <p className="text-sm text-slate-600">
+                        {consent.dataType?.replace('_', ' ')} for {consent.purpose}
+                      </p>
+                      <p className="text-sm text-amber-700">Expires in {consent.timeRemaining} days</p>
+                      <button
+                        onClick={() => requestConsentRenewal(consent._id)}
+                        className="mt-2 bg-sky-600 text-white px-3 py-1 rounded text-sm hover:bg-sky-700"
+                      >
+                        Request Renewal
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
           </div>
         </div>
       </main>
 
+      {/* Reassign Complaint Modal */}
+      {reassignData && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-md w-full relative z-10 border border-sky-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Reassign Complaint</h3>
+              <div className="space-y-4">
+                <select
+                  value={reassignData.doctorId}
+                  onChange={(e) => setReassignData({ ...reassignData, doctorId: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="">Select doctor *</option>
+                  {doctors.map((doctor) => (
+                    <option key={doctor._id} value={doctor._id}>
+                      Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                      {doctor.profile?.professionalInfo?.specialization && ` (${doctor.profile.professionalInfo.specialization})`}
+                    </option>
+                  ))}
+                </select>
+                <textarea
+                  placeholder="Reason for reassignment *"
+                  value={reassignData.reason}
+                  onChange={(e) => setReassignData({ ...reassignData, reason: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                  rows={3}
+                />
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setReassignData(null)}
+                  className="px-4 py-2 border border-sky-200 rounded-md text-slate-700 hover:bg-sky-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={submitReassign}
+                  className="px-4 py-2 bg-sky-600 text-white rounded-md hover:bg-sky-700"
+                >
+                  Reassign
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Prescription Modal */}
       {showPrescriptionModal && (
         <div className="fixed z-10 inset-0 overflow-y-auto">
@@ -307,8 +1018,16 @@ const DoctorDashboard = () => {
                   placeholder="Medication *"
                   value={prescriptionData.medication}
                   onChange={(e) => setPrescriptionData({ ...prescriptionData, medication: e.target.value })}
+                  onBlur={checkPrescription}
                   className="w-full border border-sky-200 rounded-md px-3 py-2"
                 />
+                {prescriptionWarnings.map((warning, index) => (
+                  <div key={index} className={`border rounded-md px-3 py-2 text-sm ${WARNING_STYLES[warning.severity]}`}>
+                    <span className="font-semibold uppercase text-xs mr-2">{warning.severity}</span>
+                    {warning.message}
+                    {warning.allergen && <span className="text-xs"> (recorded allergy: {warning.allergen})</span>}
+                  </div>
+                ))}
                 <input
                   type="text"
                   placeholder="Dosage *"
@@ -325,11 +1044,41 @@ const DoctorDashboard = () => {
                 />
                 <input
                   type="text"
-                  placeholder="Duration *"
+                  placeholder="Duration"
                   value={prescriptionData.duration}
                   onChange={(e) => setPrescriptionData({ ...prescriptionData, duration: e.target.value })}
                   className="w-full border border-sky-200 rounded-md px-3 py-2"
                 />
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Quantity"
+                    value={prescriptionData.quantity}
+                    onChange={(e) => setPrescriptionData({ ...prescriptionData, quantity: e.target.value })}
+                    className="w-full border border-sky-200 rounded-md px-3 py-2"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Refills"
+                    value={prescriptionData.refills}
+                    onChange={(e) => setPrescriptionData({ ...prescriptionData, refills: e.target.value })}
+                    className="w-full border border-sky-200 rounded-md px-3 py-2"
+                  />
+                </div>
+                <select
+                  value={prescriptionData.encounterId}
+                  onChange={(e) => setPrescriptionData({ ...prescriptionData, encounterId: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="">No encounter</option>
+                  {encounters.filter((encounter) => encounter.status !== 'cancelled').map((encounter) => (
+                    <option key={encounter._id} value={encounter._id}>
+                      {new Date(encounter.startTime).toLocaleDateString()} · {encounter.reason || encounter.type.replace('_', ' ')}
+                    </option>
+                  ))}
+                </select>
                 <textarea
                   placeholder="Instructions"
                   value={prescriptionData.instructions}
@@ -337,10 +1086,19 @@ const DoctorDashboard = () => {
                   className="w-full border border-sky-200 rounded-md px-3 py-2"
                   rows={3}
                 />
+                {prescriptionWarnings.some(warning => warning.severity === 'severe') && (
+                  <textarea
+                    placeholder="Override reason for severe warnings *"
+                    value={prescriptionData.overrideReason}
+                    onChange={(e) => setPrescriptionData({ ...prescriptionData, overrideReason: e.target.value })}
+                    className="w-full border border-red-300 rounded-md px-3 py-2"
+                    rows={2}
+                  />
+                )}
               </div>
               <div className="flex justify-end space-x-3 mt-6">
                 <button
-                  onClick={() => setShowPrescriptionModal(false)}
+                  onClick={closePrescriptionModal}
                   className="px-4 py-2 border border-sky-200 rounded-md text-slate-700 hover:bg-sky-50"
                 >
                   Cancel
@@ -356,6 +1114,251 @@ const DoctorDashboard = () => {
           </div>
         </div>
       )}
+
+      {/* Encounter Detail Modal */}
+      {encounterDetail && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-2xl w-full relative z-10 border border-sky-200">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {new Date(encounterDetail.encounter.startTime).toLocaleString([], { weekday: 'long', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                  </h3>
+                  <p className="text-sm text-slate-600">
+                    {encounterDetail.encounter.type.replace('_', ' ')} with Dr. {encounterDetail.encounter.providerId?.profile?.firstName} {encounterDetail.encounter.providerId?.profile?.lastName}
+                    {encounterDetail.encounter.location && ` · ${encounterDetail.encounter.location}`}
+                  </p>
+                </div>
+                <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${ENCOUNTER_STATUS_STYLES[encounterDetail.encounter.status]}`}>
+                  {encounterDetail.encounter.status.replace('_', ' ')}
+                </span>
+              </div>
+              <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+                {encounterDetail.encounter.reason && (
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Reason</p>
+                    <p className="text-gray-900">{encounterDetail.encounter.reason}</p>
+                  </div>
+                )}
+                {encounterDetail.complaint && (
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Complaint</p>
+                    <p className="text-gray-900">{encounterDetail.complaint.description}</p>
+                    {encounterDetail.complaint.resolution && (
+                      <p className="text-sm text-green-700">Resolution: {encounterDetail.complaint.resolution}</p>
+                    )}
+                  </div>
+                )}
+                {encounterDetail.encounter.vitals?.heartRate && (
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Vitals</p>
+                    <p className="text-gray-900">
+                      BP {encounterDetail.encounter.vitals.bloodPressure?.systolic}/{encounterDetail.encounter.vitals.bloodPressure?.diastolic}
+                      {' · '}HR {encounterDetail.encounter.vitals.heartRate}
+                      {encounterDetail.encounter.vitals.temperature && ` · ${encounterDetail.encounter.vitals.temperature}°`}
+                    </p>
+                  </div>
+                )}
+                {encounterDetail.encounter.diagnosis && (
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Diagnosis</p>
+                    <p className="text-gray-900">{encounterDetail.encounter.diagnosis}</p>
+                  </div>
+                )}
+                {RECORD_SECTIONS.filter(([type]) => encounterDetail.records[type]).map(([type, label]) => (
+                  <div key={type}>
+                    <p className="text-sm font-medium text-slate-500">{label}</p>
+                    {encounterDetail.records[type].map((record) => (
+                      <div key={record._id} className="border border-sky-200 rounded-md px-3 py-2 mt-1">
+                        <p className="text-gray-900">{record.content?.title}</p>
+                        {record.content?.description && (
+                          <p className="text-sm text-slate-600">{record.content.description}</p>
+                        )}
+                        {(record.attachments || []).map((attachment) => (
+                          <button
+                            key={attachment._id}
+                            onClick={() => downloadAttachment(record, attachment)}
+                            className="block text-sm text-sky-600 hover:text-sky-800"
+                          >
+                            {attachment.originalName} ({Math.ceil(attachment.size / 1024)} KB)
+                          </button>
+                        ))}
+                        <label className="inline-block mt-1 text-xs text-slate-500 cursor-pointer hover:text-sky-700">
+                          Attach file
+                          <input
+                            type="file"
+                            accept=".pdf,.jpg,.jpeg,.png,.tif,.tiff,.dcm,application/pdf,image/jpeg,image/png,image/tiff,application/dicom"
+                            className="hidden"
+                            onChange={(e) => uploadAttachment(record, e.target.files[0])}
+                          />
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                {encounterDetail.labOrders.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-slate-500">Lab Orders</p>
+                    {encounterDetail.labOrders.map((order) => (
+                      <div key={order._id} className="flex justify-between border border-sky-200 rounded-md px-3 py-2 mt-1">
+                        <span className="text-gray-900">{order.testType}</span>
+                        <span className={`text-xs ${order.hasCriticalResult ? 'text-red-700 font-medium' : 'text-slate-600'}`}>
+                          {order.hasCriticalResult ? 'critical result' : order.status.replace('_', ' ')}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {Object.keys(encounterDetail.records).length === 0 && encounterDetail.labOrders.length === 0 && (
+                  <p className="text-sm text-slate-500">No records or lab orders were added during this encounter.</p>
+                )}
+              </div>
+              <div className="flex justify-end mt-6">
+                <button
+                  onClick={() => setEncounterDetail(null)}
+                  className="px-4 py-2 border border-sky-200 rounded-md text-slate-700 hover:bg-sky-50"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Lab Order Modal */}
+      {showLabOrderModal && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-md w-full relative z-10 border border-sky-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Order Lab Test</h3>
+              <div className="space-y-4">
+                <select
+                  value={labOrderData.testType}
+                  onChange={(e) => setLabOrderData({ ...labOrderData, testType: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  {labTests.map((test) => (
+                    <option key={test.code} value={test.code}>{test.name} ({test.specimenType})</option>
+                  ))}
+                </select>
+                <select
+                  value={labOrderData.priority}
+                  onChange={(e) => setLabOrderData({ ...labOrderData, priority: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="routine">Routine</option>
+                  <option value="urgent">Urgent</option>
+                  <option value="stat">STAT</option>
+                </select>
+                <select
+                  value={labOrderData.encounterId}
+                  onChange={(e) => setLabOrderData({ ...labOrderData, encounterId: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="">No encounter</option>
+                  {encounters.filter((encounter) => encounter.status !== 'cancelled').map((encounter) => (
+                    <option key={encounter._id} value={encounter._id}>
+                      {new Date(encounter.startTime).toLocaleDateString()} · {encounter.reason || encounter.type.replace('_', ' ')}
+                    </option>
+                  ))}
+                </select>
+                <textarea
+                  placeholder="Clinical notes"
+                  value={labOrderData.clinicalNotes}
+                  onChange={(e) => setLabOrderData({ ...labOrderData, clinicalNotes: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                  rows={3}
+                />
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setShowLabOrderModal(false)}
+                  className="px-4 py-2 border border-sky-200 rounded-md text-slate-700 hover:bg-sky-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={submitLabOrder}
+                  className="px-4 py-2 bg-sky-600 text-white rounded-md hover:bg-sky-700"
+                >
+                  Place Order
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Consent Request Modal */}
+      {showConsentRequestModal && (
+        <div className="fixed z-10 inset-0 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen px-4">
+            <div className="fixed inset-0 bg-slate-900/50"></div>
+            <div className="bg-white rounded-lg p-6 max-w-md w-full relative z-10 border border-sky-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Request Access</h3>
+              <div className="space-y-4">
+                <select
+                  value={consentRequestData.dataType}
+                  onChange={(e) => setConsentRequestData({ ...consentRequestData, dataType: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="demographics">Demographics</option>
+                  <option value="medical_history">Medical History</option>
+                  <option value="visits">Visits</option>
+                  <option value="medications">Medications</option>
+                  <option value="lab_results">Lab Results</option>
+                  <option value="prescriptions">Prescriptions</option>
+                  <option value="all_records">All Records</option>
+                </select>
+                <select
+                  value={consentRequestData.purpose}
+                  onChange={(e) => setConsentRequestData({ ...consentRequestData, purpose: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                >
+                  <option value="treatment">Treatment</option>
+                  <option value="diagnosis">Diagnosis</option>
+                  <option value="follow_up">Follow-up</option>
+                  <option value="emergency_care">Emergency Care</option>
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="730"
+                  placeholder="Duration (days)"
+                  value={consentRequestData.durationDays}
+                  onChange={(e) => setConsentRequestData({ ...consentRequestData, durationDays: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                />
+                <textarea
+                  placeholder="Justification *"
+                  value={consentRequestData.justification}
+                  onChange={(e) => setConsentRequestData({ ...consentRequestData, justification: e.target.value })}
+                  className="w-full border border-sky-200 rounded-md px-3 py-2"
+                  rows={3}
+                />
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  onClick={() => setShowConsentRequestModal(false)}
+                  className="px-4 py-2 border border-sky-200 rounded-md text-slate-700 hover:bg-sky-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={submitConsentRequest}
+                  className="px-4 py-2 bg-sky-600 text-white rounded-md hover:bg-sky-700"
+                >
+                  Send Request
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
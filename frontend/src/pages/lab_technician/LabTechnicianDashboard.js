@@ -1,14 +1,356 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { labAPI } from '../../services/api';
+
+const STATUSES = ['ordered', 'collected', 'in_progress', 'resulted', 'cancelled'];
+const RESULT_STATUSES = ['normal', 'abnormal', 'critical', 'pending'];
+
+const PRIORITY_STYLES = {
+  stat: 'bg-red-100 text-red-800',
+  urgent: 'bg-yellow-100 text-yellow-800',
+  routine: 'bg-gray-100 text-gray-800'
+};
+
+const RESULT_STYLES = {
+  normal: 'text-green-700',
+  abnormal: 'text-yellow-700',
+  critical: 'text-red-700 font-semibold',
+  pending: 'text-gray-500'
+};
+
+const formatLabel = (value) => value?.replace(/_/g, ' ');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const emptyResult = { testName: '', value: '', unit: '', referenceRange: '', status: '', notes: '' };
 
 const LabTechnicianDashboard = () => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [priority, setPriority] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [results, setResults] = useState([]);
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (status) params.status = status;
+      if (priority) params.priority = priority;
+
+      const response = await labAPI.getOrders(params);
+      setOrders(response.data?.orders || []);
+    } catch (error) {
+      console.error('Error fetching lab worklist:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, priority]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const collect = async (order) => {
+    const specimenId = prompt('Specimen ID / barcode');
+    if (specimenId === null) return;
+
+    try {
+      await labAPI.collectSpecimen(order._id, { specimenId });
+      fetchOrders();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to record collection');
+    }
+  };
+
+  const cancel = async (order) => {
+    const reason = prompt('Reason for cancelling this order');
+    if (!reason) return;
+
+    try {
+      await labAPI.cancelOrder(order._id, { reason });
+      fetchOrders();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to cancel order');
+    }
+  };
+
+  // Start from the saved results, or one row per catalog component
+  const openResults = async (order) => {
+    try {
+      const response = await labAPI.getOrder(order._id);
+      const { order: fullOrder, test } = response.data;
+
+      setSelected(fullOrder);
+      if (fullOrder.results?.length > 0) {
+        setResults(fullOrder.results.map(result => ({ ...emptyResult, ...result, status: result.status === 'pending' ? '' : result.status })));
+      } else if (test) {
+        setResults(test.components.map(component => ({
+          ...emptyResult,
+          testName: component.testName,
+          unit: component.unit,
+          referenceRange: component.referenceRange
+        })));
+      } else {
+        setResults([{ ...emptyResult }]);
+      }
+    } catch (error) {
+      console.error('Error loading lab order:', error);
+      alert('Failed to load lab order');
+    }
+  };
+
+  const updateResult = (index, field, value) => {
+    setResults(results.map((result, i) => (i === index ? { ...result, [field]: value } : result)));
+  };
+
+  const saveResults = async () => {
+    const entered = results
+      .filter(result => result.testName.trim())
+      .map(result => ({ ...result, status: result.status || undefined }));
+
+    try {
+      const response = await labAPI.saveResults(selected._id, { results: entered });
+      const saved = response.data?.order;
+      setSelected({ ...selected, status: saved.status, results: saved.results });
+      setResults(saved.results.map(result => ({ ...emptyResult, ...result, status: result.status === 'pending' ? '' : result.status })));
+      fetchOrders();
+      return saved;
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to save results');
+      return null;
+    }
+  };
+
+  const publish = async () => {
+    const saved = await saveResults();
+    if (!saved) return;
+
+    const critical = saved.results.some(result => result.status === 'critical');
+    const confirmText = critical
+      ? 'This order has a CRITICAL result. Publish and alert the ordering doctor now?'
+      : 'Publish these results to the patient record?';
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      await labAPI.publishResults(saved._id, {});
+      alert('Results published');
+      setSelected(null);
+      fetchOrders();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to publish results');
+    }
+  };
+
+  const openOrders = orders.filter(order => ['ordered', 'collected', 'in_progress'].includes(order.status));
+  const statCount = openOrders.filter(order => order.priority === 'stat').length;
+
   return (
     <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">LabTechnicianDashboard</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Lab Worklist</h1>
+          <p className="text-sm text-gray-600">
+            {openOrders.length} open orders{statCount > 0 && `, ${statCount} STAT`}
+          </p>
         </div>
+        <div className="flex space-x-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">Open orders</option>
+            {STATUSES.map(s => <option key={s} value={s}>{formatLabel(s)}</option>)}
+          </select>
+          <select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All priorities</option>
+            <option value="stat">stat</option>
+            <option value="urgent">urgent</option>
+            <option value="routine">routine</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : orders.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No lab orders</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Test</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {orders.map(order => (
+                <tr key={order._id}>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium uppercase ${PRIORITY_STYLES[order.priority]}`}>
+                      {order.priority}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {order.testType}
+                    <div className="text-xs text-gray-500">{order.specimenType}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {order.patientId?.userId?.profile?.firstName} {order.patientId?.userId?.profile?.lastName}
+                    <div className="text-xs text-gray-500">
+                      DOB {order.patientId?.demographics?.dateOfBirth ? new Date(order.patientId.demographics.dateOfBirth).toLocaleDateString() : '-'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {formatDateTime(order.createdAt)}
+                    <div className="text-xs text-gray-500">
+                      Dr. {order.orderedBy?.profile?.firstName} {order.orderedBy?.profile?.lastName}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {formatLabel(order.status)}
+                    {order.hasCriticalResult && <div className="text-xs text-red-600 font-medium">critical</div>}
+                  </td>
+                  <td className="px-6 py-4 text-right text-sm space-x-3 whitespace-nowrap">
+                    {order.status === 'ordered' && (
+                      <button onClick={() => collect(order)} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                        Collect
+                      </button>
+                    )}
+                    {['collected', 'in_progress'].includes(order.status) && (
+                      <button onClick={() => openResults(order)} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                        Results
+                      </button>
+                    )}
+                    {['ordered', 'collected', 'in_progress'].includes(order.status) && (
+                      <button onClick={() => cancel(order)} className="text-gray-500 hover:text-gray-700">
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
       </div>
+
+      {selected && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full p-6 max-h-screen overflow-y-auto">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">
+              {selected.testType} for {selected.patientId?.userId?.profile?.firstName} {selected.patientId?.userId?.profile?.lastName}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Specimen {selected.collection?.specimenId || '-'} collected {formatDateTime(selected.collection?.collectedAt)}
+              {selected.clinicalNotes && <span className="block mt-1">Clinical notes: {selected.clinicalNotes}</span>}
+            </p>
+
+            <table className="min-w-full text-sm mb-2">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-1 pr-2">Test</th>
+                  <th className="py-1 pr-2">Value</th>
+                  <th className="py-1 pr-2">Unit</th>
+                  <th className="py-1 pr-2">Reference</th>
+                  <th className="py-1 pr-2">Status</th>
+                  <th className="py-1">Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((result, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={result.testName}
+                        onChange={(e) => updateResult(index, 'testName', e.target.value)}
+                        className="w-full border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={result.value}
+                        onChange={(e) => updateResult(index, 'value', e.target.value)}
+                        className="w-24 border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={result.unit || ''}
+                        onChange={(e) => updateResult(index, 'unit', e.target.value)}
+                        className="w-20 border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        value={result.referenceRange || ''}
+                        onChange={(e) => updateResult(index, 'referenceRange', e.target.value)}
+                        className="w-32 border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select
+                        value={result.status || ''}
+                        onChange={(e) => updateResult(index, 'status', e.target.value)}
+                        className={`border border-gray-300 rounded-md px-2 py-1 ${RESULT_STYLES[result.status || 'pending']}`}
+                      >
+                        <option value="">auto</option>
+                        {RESULT_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1">
+                      <input
+                        value={result.notes || ''}
+                        onChange={(e) => updateResult(index, 'notes', e.target.value)}
+                        className="w-full border border-gray-300 rounded-md px-2 py-1"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => setResults([...results, { ...emptyResult }])}
+              className="text-sm text-indigo-600 hover:text-indigo-900 mb-4"
+            >
+              + Add result
+            </button>
+            <p className="text-xs text-gray-500 mb-4">
+              Leave status on auto to classify numeric values against the reference range. Values past a critical limit are always marked critical.
+            </p>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setSelected(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              <button
+                onClick={saveResults}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md text-sm hover:bg-gray-700"
+              >
+                Save
+              </button>
+              <button
+                onClick={publish}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+              >
+                Publish Results
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
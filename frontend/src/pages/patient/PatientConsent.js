@@ -1,14 +1,225 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { consentAPI } from '../../services/api';
+
+const DATA_TYPES = ['demographics', 'medical_history', 'visits', 'medications', 'lab_results', 'prescriptions', 'all_records'];
+const PURPOSES = ['treatment', 'diagnosis', 'emergency_care', 'follow_up', 'research', 'quality_assurance', 'billing', 'legal_compliance'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  denied: 'bg-gray-100 text-gray-800'
+};
+
+const formatLabel = (value) => value?.replace(/_/g, ' ');
 
 const PatientConsent = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [scope, setScope] = useState({ dataType: '', purpose: '', durationDays: '' });
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await consentAPI.getRequests();
+      setRequests(response.data?.consentRequests || []);
+    } catch (error) {
+      console.error('Error fetching consent requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const startEditing = (request) => {
+    setEditing(request._id);
+    setScope({
+      dataType: request.dataType,
+      purpose: request.purpose,
+      durationDays: request.durationDays
+    });
+  };
+
+  const approve = async (request, editedScope) => {
+    try {
+      await consentAPI.approveRequest(request._id, editedScope || {});
+      alert('Access granted');
+      setEditing(null);
+      fetchRequests();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to approve request');
+    }
+  };
+
+  const deny = async (request) => {
+    const reason = prompt('Reason for denying (optional)');
+    if (reason === null) return;
+
+    try {
+      await consentAPI.denyRequest(request._id, { reason });
+      fetchRequests();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to deny request');
+    }
+  };
+
+  const pending = requests.filter(request => request.status === 'pending');
+  const history = requests.filter(request => request.status !== 'pending');
+
   return (
     <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">PatientConsent</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Consent Requests</h1>
+        <p className="text-sm text-gray-600">
+          Care team members ask here for access to your records. Approve as requested, narrow the scope, or deny.
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg mb-6">
+        <div className="px-4 py-5 sm:p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Pending</h2>
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : pending.length === 0 ? (
+            <p className="text-gray-500">No pending requests</p>
+          ) : (
+            <div className="space-y-4">
+              {pending.map(request => (
+                <div key={request._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-medium text-gray-900">
+                        {request.requestedBy?.profile?.firstName} {request.requestedBy?.profile?.lastName}
+                        <span className="ml-2 text-sm text-gray-500">{formatLabel(request.requestedBy?.role)}</span>
+                      </h3>
+                      <p className="text-sm text-gray-700">
+                        Requests <span className="font-medium">{formatLabel(request.dataType)}</span> for{' '}
+                        <span className="font-medium">{formatLabel(request.purpose)}</span> for {request.durationDays} days
+                      </p>
+                      <p className="text-sm text-gray-600 mt-1">{request.justification}</p>
+                      {request.initiatedBy && request.initiatedBy._id !== request.requestedBy?._id && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Filed by {request.initiatedBy.profile?.firstName} {request.initiatedBy.profile?.lastName} ({formatLabel(request.initiatedBy.role)})
+                        </p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">{new Date(request.createdAt).toLocaleString()}</p>
+                    </div>
+                    {editing !== request._id && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => approve(request)}
+                          className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => startEditing(request)}
+                          className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          Edit Scope
+                        </button>
+                        <button
+                          onClick={() => deny(request)}
+                          className="px-3 py-1 bg-red-50 text-red-600 rounded-md text-sm hover:bg-red-100"
+                        >
+                          Deny
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {editing === request._id && (
+                    <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3">
+                      <select
+                        value={scope.dataType}
+                        onChange={(e) => setScope({ ...scope, dataType: e.target.value })}
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      >
+                        {DATA_TYPES.map(type => <option key={type} value={type}>{formatLabel(type)}</option>)}
+                      </select>
+                      <select
+                        value={scope.purpose}
+                        onChange={(e) => setScope({ ...scope, purpose: e.target.value })}
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      >
+                        {PURPOSES.map(purpose => <option key={purpose} value={purpose}>{formatLabel(purpose)}</option>)}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        max="730"
+                        value={scope.durationDays}
+                        onChange={(e) => setScope({ ...scope, durationDays: e.target.value })}
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                        placeholder="Days"
+                      />
+                      <div className="sm:col-span-3 flex justify-end space-x-2">
+                        <button
+                          onClick={() => setEditing(null)}
+                          className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => approve(request, scope)}
+                          className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+                        >
+                          Approve With Changes
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
+
+      {history.length > 0 && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">History</h2>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Requested By</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Responded</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {history.map(request => {
+                  const granted = request.grantedScope?.dataType ? request.grantedScope : request;
+                  return (
+                    <tr key={request._id}>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {request.requestedBy?.profile?.firstName} {request.requestedBy?.profile?.lastName}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {formatLabel(granted.dataType)} / {formatLabel(granted.purpose)} / {granted.durationDays} days
+                        {request.grantedScope?.dataType && <span className="ml-1 text-xs text-gray-500">(edited)</span>}
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                          {request.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">
+                        {request.respondedAt ? new Date(request.respondedAt).toLocaleDateString() : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { signOut } from '../../services/api';
 
 const PatientDashboard = () => {
   const navigate = useNavigate();
@@ -14,6 +15,17 @@ const PatientDashboard = () => {
   const [selectedDoctor, setSelectedDoctor] = useState('');
   const [selectedDataType, setSelectedDataType] = useState('all_records');
   const [consentPurpose, setConsentPurpose] = useState('treatment');
+  const [accessReport, setAccessReport] = useState(null);
+  const [accessReportLoading, setAccessReportLoading] = useState(false);
+  const [erasureRequests, setErasureRequests] = useState([]);
+  const [renewalRequests, setRenewalRequests] = useState([]);
+  const [pendingConsentRequests, setPendingConsentRequests] = useState(0);
+  const [appointments, setAppointments] = useState([]);
+  const [appointmentDoctor, setAppointmentDoctor] = useState('');
+  const [appointmentSlots, setAppointmentSlots] = useState([]);
+  const [appointmentSlot, setAppointmentSlot] = useState('');
+  const [appointmentReason, setAppointmentReason] = useState('');
+  const [reschedulingId, setReschedulingId] = useState(null);
 
   useEffect(() => {
     const userData = localStorage.getItem('user');
@@ -31,6 +43,18 @@ const PatientDashboard = () => {
     }
   }, [user]);
 
+  useEffect(() => {
+    if (activeTab === 'access' && patientId && !accessReport) {
+      fetchAccessReport();
+    }
+  }, [activeTab, patientId]);
+
+  useEffect(() => {
+    if (activeTab === 'appointments' && patientId) {
+      fetchAppointments();
+    }
+  }, [activeTab, patientId]);
+
   const getPatientId = async () => {
     try {
       const token = localStorage.getItem('accessToken');
@@ -49,6 +73,9 @@ const PatientDashboard = () => {
           fetchMedicalRecords(currentPatient._id || currentPatient.userId._id);
           fetchConsents(currentPatient._id || currentPatient.userId._id);
           fetchAssignedDoctors(currentPatient._id || currentPatient.userId._id);
+          fetchErasureRequests(currentPatient._id || currentPatient.userId._id);
+          fetchRenewalRequests();
+          fetchPendingConsentRequests();
         }
       }
     } catch (error) {
@@ -101,7 +128,7 @@ const PatientDashboard = () => {
 
           if (response.ok) {
             const data = await response.json();
-            setConsents(data.data || []);
+            setConsents(data.data?.consents || []);
           }
         }
       }
@@ -110,6 +137,77 @@ const PatientDashboard = () => {
     }
   };
 
+  const fetchRenewalRequests = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/consent/renewal-requests?status=pending', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setRenewalRequests(data.data.renewalRequests || []);
+      }
+    } catch (error) {
+      console.error('Error fetching renewal requests:', error);
+    }
+  };
+
+  const fetchPendingConsentRequests = async () => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch('http://localhost:5000/api/consent/requests?status=pending', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setPendingConsentRequests(data.data.consentRequests?.length || 0);
+      }
+    } catch (error) {
+      console.error('Error fetching consent requests:', error);
+    }
+  };
+
+  const respondToRenewal = async (requestId, action) => {
+    let body = {};
+    if (action === 'decline') {
+      const reason = prompt('Reason for declining (optional)');
+      if (reason === null) return;
+      body = { reason };
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/consent/renewal-requests/${requestId}/${action}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        alert(action === 'approve' ? 'Consent renewed successfully!' : 'Renewal request declined');
+        fetchRenewalRequests();
+        fetchConsents();
+      } else {
+        alert(data.message || 'Failed to respond to renewal request');
+      }
+    } catch (error) {
+      console.error('Error responding to renewal request:', error);
+      alert('Failed to respond to renewal request');
+    }
+  };
+
   const fetchAssignedDoctors = async (pId) => {
     try {
       const token = localStorage.getItem('accessToken');
@@ -199,10 +297,233 @@ const PatientDashboard = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+  const fetchErasureRequests = async (pId) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${pId || patientId}/erasure-requests`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setErasureRequests(data.data.requests || []);
+      }
+    } catch (error) {
+      console.error('Error fetching erasure requests:', error);
+    }
+  };
+
+  const requestErasure = async () => {
+    const reason = prompt('Why would you like your data erased? (optional)');
+    if (reason === null) return;
+    if (!window.confirm('Your account and data will be anonymized once an administrator approves this request. Records we must keep by law will be retained until their retention period ends. Continue?')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${patientId}/erasure-requests`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        alert('Your erasure request has been submitted for review.');
+        fetchErasureRequests();
+      } else {
+        alert(data.message || 'Failed to submit erasure request');
+      }
+    } catch (error) {
+      console.error('Error requesting erasure:', error);
+      alert('Failed to submit erasure request');
+    }
+  };
+
+  const fetchAccessReport = async () => {
+    setAccessReportLoading(true);
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(`http://localhost:5000/api/patients/${patientId}/access-report`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setAccessReport(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching access report:', error);
+    } finally {
+      setAccessReportLoading(false);
+    }
+  };
+
+  const downloadFile = async (url, fileName, errorMessage) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        alert(error.message || errorMessage);
+        return;
+      }
+
+      const blob = await response.blob();
+      const objectUrl = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      alert(errorMessage);
+    }
+  };
+
+  const downloadAccessReport = (format) => downloadFile(
+    `http://localhost:5000/api/patients/${patientId}/access-report?format=${format}`,
+    `access-report.${format}`,
+    'Failed to download access report'
+  );
+
+  const downloadMyData = (format) => downloadFile(
+    `http://localhost:5000/api/patients/${patientId}/export?format=${format}`,
+    format === 'fhir' ? 'my-health-data.fhir.json' : 'my-health-data.json',
+    'Failed to export your data'
+  );
+
+  const accessBasisLabel = (basis) => {
+    switch (basis) {
+      case 'consent':
+        return { text: 'Your consent', className: 'bg-teal-100 text-teal-800' };
+      case 'emergency_override':
+        return { text: 'Emergency override', className: 'bg-rose-100 text-rose-800' };
+      case 'administrator_override':
+        return { text: 'Administrator', className: 'bg-amber-100 text-amber-800' };
+      case 'denied':
+        return { text: 'Denied', className: 'bg-slate-200 text-slate-700' };
+      default:
+        return { text: 'Care team', className: 'bg-sky-100 text-sky-800' };
+    }
+  };
+
+  const appointmentRequest = async (path, method = 'GET', body) => {
+    const token = localStorage.getItem('accessToken');
+    const response = await fetch(`http://localhost:5000/api/appointments${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchAppointments = async () => {
+    try {
+      const data = await appointmentRequest(`?from=${new Date().toLocaleDateString('en-CA')}`);
+      setAppointments(data.data || []);
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+    }
+  };
+
+  const fetchAppointmentSlots = async (doctorId) => {
+    setAppointmentDoctor(doctorId);
+    setAppointmentSlot('');
+    setAppointmentSlots([]);
+    if (!doctorId) return;
+    try {
+      const data = await appointmentRequest(`/slots?doctorId=${doctorId}&days=14`);
+      setAppointmentSlots(data.data?.slots || []);
+    } catch (error) {
+      console.error('Error fetching slots:', error);
+    }
+  };
+
+  const resetAppointmentForm = () => {
+    setReschedulingId(null);
+    setAppointmentDoctor('');
+    setAppointmentSlots([]);
+    setAppointmentSlot('');
+    setAppointmentReason('');
+  };
+
+  const saveAppointment = async () => {
+    if (!appointmentDoctor || !appointmentSlot) {
+      alert('Please choose a doctor and a time');
+      return;
+    }
+
+    try {
+      if (reschedulingId) {
+        await appointmentRequest(`/${reschedulingId}/reschedule`, 'PUT', {
+          startTime: appointmentSlot,
+          reason: appointmentReason
+        });
+        alert('Appointment rescheduled');
+      } else {
+        await appointmentRequest('', 'POST', {
+          doctorId: appointmentDoctor,
+          startTime: appointmentSlot,
+          reason: appointmentReason
+        });
+        alert('Appointment booked');
+      }
+      resetAppointmentForm();
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error saving appointment:', error);
+      alert(error.message || 'Failed to save appointment');
+      fetchAppointmentSlots(appointmentDoctor);
+    }
+  };
+
+  const startReschedule = (appointment) => {
+    setReschedulingId(appointment._id);
+    setAppointmentReason('');
+    fetchAppointmentSlots(appointment.doctorId?._id);
+  };
+
+  const cancelAppointment = async (appointmentId) => {
+    const reason = window.prompt('Reason for cancellation (optional):');
+    if (reason === null) return;
+
+    try {
+      await appointmentRequest(`/${appointmentId}/cancel`, 'PUT', { reason });
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      alert(error.message || 'Failed to cancel appointment');
+    }
+  };
+
+  const handleLogout = async () => {
+    await signOut();
     navigate('/login');
   };
 
@@ -297,6 +618,24 @@ const PatientDashboard = () => {
               >
                 Access Control
               </button>
+              <button
+                onClick={() => setActiveTab('access')}
+                className={`py-3 px-1 border-b-2 text-sm ${activeTab === 'access'
+                    ? 'border-sky-700 text-sky-900 font-semibold'
+                    : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-sky-300'
+                  }`}
+              >
+                Access History
+              </button>
+              <button
+                onClick={() => setActiveTab('appointments')}
+                className={`py-3 px-1 border-b-2 text-sm ${activeTab === 'appointments'
+                    ? 'border-sky-700 text-sky-900 font-semibold'
+                    : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-sky-300'
+                  }`}
+              >
+                Appointments
+              </button>
             </nav>
           </div>
 
@@ -409,9 +748,180 @@ const PatientDashboard = () => {
           </div>
         )}
 
+        {/* Appointments Tab */}
+        {activeTab === 'appointments' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg leading-6 font-semibold text-slate-900 mb-4">
+                  {reschedulingId ? 'Choose a New Time' : 'Book an Appointment'}
+                </h3>
+                {assignedDoctors.length === 0 ? (
+                  <p className="text-slate-600">You can book once the reception team has assigned you a doctor.</p>
+                ) : (
+                  <div className="space-y-4">
+                    <select
+                      value={appointmentDoctor}
+                      disabled={Boolean(reschedulingId)}
+                      onChange={(e) => fetchAppointmentSlots(e.target.value)}
+                      className="w-full border border-sky-200 rounded-md px-3 py-2"
+                    >
+                      <option value="">Choose a doctor...</option>
+                      {assignedDoctors.map((doctor) => (
+                        <option key={doctor._id} value={doctor._id}>
+                          Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={appointmentSlot}
+                      onChange={(e) => setAppointmentSlot(e.target.value)}
+                      className="w-full border border-sky-200 rounded-md px-3 py-2"
+                    >
+                      <option value="">{appointmentDoctor && appointmentSlots.length === 0 ? 'No free times in the next 14 days' : 'Choose a time...'}</option>
+                      {appointmentSlots.map((slot) => (
+                        <option key={slot.startTime} value={slot.startTime}>
+                          {new Date(slot.startTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                          {slot.location && ` · ${slot.location}`}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      maxLength={200}
+                      value={appointmentReason}
+                      onChange={(e) => setAppointmentReason(e.target.value)}
+                      placeholder={reschedulingId ? 'Reason for rescheduling (optional)' : 'Reason for visit (optional)'}
+                      className="w-full border border-sky-200 rounded-md px-3 py-2"
+                    />
+                    <div className="flex gap-3 justify-end">
+                      {reschedulingId && (
+                        <button
+                          onClick={resetAppointmentForm}
+                          className="px-4 py-2 border border-sky-200 rounded-md text-sm font-medium text-slate-700 hover:bg-sky-50"
+                        >
+                          Keep Current Time
+                        </button>
+                      )}
+                      <button
+                        onClick={saveAppointment}
+                        className="bg-sky-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-sky-700"
+                      >
+                        {reschedulingId ? 'Reschedule' : 'Book'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg leading-6 font-semibold text-slate-900 mb-4">
+                  Upcoming Appointments
+                </h3>
+                {appointments.length === 0 ? (
+                  <p className="text-slate-600">You have no upcoming appointments.</p>
+                ) : (
+                  <div className="space-y-4">
+                    {appointments.map((appointment) => (
+                      <div key={appointment._id} className="border border-sky-200 rounded-lg p-4 bg-sky-50/40 flex justify-between items-start">
+                        <div>
+                          <h4 className="text-lg font-medium text-slate-900">
+                            {new Date(appointment.startTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                          </h4>
+                          <p className="text-sm text-slate-600">
+                            Dr. {appointment.doctorId?.profile?.firstName} {appointment.doctorId?.profile?.lastName}
+                            {appointment.location && ` · ${appointment.location}`}
+                          </p>
+                          {appointment.reason && (
+                            <p className="text-sm text-slate-500 mt-1">{appointment.reason}</p>
+                          )}
+                          <span className="inline-flex mt-2 px-2.5 py-0.5 rounded-full text-xs font-medium bg-sky-100 text-sky-800">
+                            {appointment.status.replace('_', ' ')}
+                          </span>
+                        </div>
+                        {appointment.status === 'scheduled' && (
+                          <div className="flex gap-3 text-sm font-medium">
+                            <button onClick={() => startReschedule(appointment)} className="text-sky-600 hover:text-sky-800">
+                              Reschedule
+                            </button>
+                            <button onClick={() => cancelAppointment(appointment._id)} className="text-rose-600 hover:text-rose-800">
+                              Cancel
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Access Control Tab */}
         {activeTab === 'consent' && (
           <div>
+            {pendingConsentRequests > 0 && (
+              <div className="bg-amber-50 border border-amber-200 rounded-xl mb-6 px-4 py-4 flex justify-between items-center">
+                <p className="text-sm text-amber-800">
+                  You have {pendingConsentRequests} pending access {pendingConsentRequests === 1 ? 'request' : 'requests'} from your care team.
+                </p>
+                <button
+                  onClick={() => navigate('/patient/consent')}
+                  className="bg-sky-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-sky-700"
+                >
+                  Review Requests
+                </button>
+              </div>
+            )}
+
+            {renewalRequests.length > 0 && (
+              <div className="bg-white rounded-xl border border-amber-200 mb-6 shadow-sm">
+                <div className="px-4 py-5 sm:p-6">
+                  <h3 className="text-lg leading-6 font-semibold text-slate-900 mb-4">
+                    Renewal Requests
+                  </h3>
+                  <div className="space-y-4">
+                    {renewalRequests.map((request) => (
+                      <div key={request._id} className="border border-amber-200 rounded-lg p-4 bg-amber-50/40">
+                        <div className="flex justify-between items-center">
+                          <div>
+                            <h4 className="font-medium text-slate-900">
+                              {request.requestedBy?.profile?.firstName} {request.requestedBy?.profile?.lastName}
+                              <span className="text-sm text-slate-500 ml-2">{request.requestedBy?.role?.replace('_', ' ')}</span>
+                            </h4>
+                            <p className="text-sm text-slate-600">
+                              Renew {request.consentId?.dataType?.replace('_', ' ')} access for {request.consentId?.purpose} by {request.durationDays} days
+                            </p>
+                            <p className="text-sm text-slate-600">
+                              Current consent ends {request.consentId && new Date(request.consentId.validUntil).toLocaleDateString()}
+                            </p>
+                            {request.message && <p className="text-sm text-slate-500 italic mt-1">"{request.message}"</p>}
+                          </div>
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => respondToRenewal(request._id, 'approve')}
+                              className="bg-sky-600 text-white px-3 py-1 rounded-md text-sm font-medium hover:bg-sky-700"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => respondToRenewal(request._id, 'decline')}
+                              className="bg-rose-50 text-rose-600 px-3 py-1 rounded-md text-sm font-medium hover:bg-rose-100"
+                            >
+                              Decline
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="bg-white rounded-xl border border-sky-200 mb-6 shadow-sm">
               <div className="px-4 py-5 sm:p-6">
                 <div className="flex justify-between items-center mb-4">
@@ -451,6 +961,11 @@ const PatientDashboard = () => {
                             <p className="text-sm text-slate-600">
                               Status: {consent.isActive ? 'Active' : 'Inactive'}
                             </p>
+                            {consent.timeRemaining <= 14 && (
+                              <p className="text-sm text-amber-700">
+                                Expires in {consent.timeRemaining} days
+                              </p>
+                            )}
                           </div>
                           {consent.isActive && (
                             <button
@@ -467,6 +982,157 @@ const PatientDashboard = () => {
                 )}
               </div>
             </div>
+
+            <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+              <div className="px-4 py-5 sm:p-6 flex justify-between items-center">
+                <div>
+                  <h3 className="text-lg leading-6 font-semibold text-slate-900">
+                    Download My Data
+                  </h3>
+                  <p className="text-xs text-slate-600 mt-1">
+                    A complete copy of your profile, records, consents and access history. Limited to a few exports per hour.
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => downloadMyData('json')}
+                    className="bg-white border border-sky-300 text-sky-700 px-3 py-2 rounded-md text-sm font-medium hover:bg-sky-50"
+                  >
+                    JSON
+                  </button>
+                  <button
+                    onClick={() => downloadMyData('fhir')}
+                    className="bg-sky-600 text-white px-3 py-2 rounded-md text-sm font-medium hover:bg-sky-700"
+                  >
+                    FHIR R4
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl border border-rose-200 shadow-sm mt-6">
+              <div className="px-4 py-5 sm:p-6 flex justify-between items-center">
+                <div>
+                  <h3 className="text-lg leading-6 font-semibold text-slate-900">
+                    Erase My Data
+                  </h3>
+                  <p className="text-xs text-slate-600 mt-1">
+                    Ask us to delete your account and anonymize your records (GDPR Article 17).
+                  </p>
+                  {erasureRequests[0] && (
+                    <p className="text-sm text-slate-700 mt-2">
+                      Latest request: <span className="font-medium">{erasureRequests[0].status}</span>
+                      {' '}on {new Date(erasureRequests[0].requestedAt).toLocaleDateString()}
+                      {erasureRequests[0].status === 'rejected' && erasureRequests[0].reviewNotes && ` (${erasureRequests[0].reviewNotes})`}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={requestErasure}
+                  disabled={['pending', 'approved', 'failed'].includes(erasureRequests[0]?.status)}
+                  className="bg-rose-50 text-rose-600 px-4 py-2 rounded-md text-sm font-medium hover:bg-rose-100 disabled:opacity-50"
+                >
+                  Request Erasure
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Access History Tab */}
+        {activeTab === 'access' && (
+          <div>
+            <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+              <div className="px-4 py-5 sm:p-6">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h3 className="text-lg leading-6 font-semibold text-slate-900">
+                      Who Accessed My Record
+                    </h3>
+                    <p className="text-xs text-slate-600 mt-1">
+                      Every access to your record by someone other than you over the last six years.
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => downloadAccessReport('csv')}
+                      className="bg-white border border-sky-300 text-sky-700 px-3 py-2 rounded-md text-sm font-medium hover:bg-sky-50"
+                    >
+                      Download CSV
+                    </button>
+                    <button
+                      onClick={() => downloadAccessReport('pdf')}
+                      className="bg-sky-600 text-white px-3 py-2 rounded-md text-sm font-medium hover:bg-sky-700"
+                    >
+                      Download PDF
+                    </button>
+                  </div>
+                </div>
+
+                {accessReportLoading ? (
+                  <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-gray-300 border-t-blue-600 animate-spin"></div>
+                  </div>
+                ) : !accessReport || accessReport.accesses.length === 0 ? (
+                  <div className="text-center py-12">
+                    <h3 className="text-lg font-semibold text-slate-900 mb-1">No accesses recorded</h3>
+                    <p className="text-slate-600">No one other than you has accessed your record in this period.</p>
+                  </div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-3 gap-4 mb-4">
+                      <div className="rounded-lg bg-sky-50 p-3">
+                        <p className="text-xs text-slate-600">Total accesses</p>
+                        <p className="text-xl font-semibold text-slate-900">{accessReport.summary.total}</p>
+                      </div>
+                      <div className="rounded-lg bg-rose-50 p-3">
+                        <p className="text-xs text-slate-600">Emergency overrides</p>
+                        <p className="text-xl font-semibold text-slate-900">{accessReport.summary.emergencyAccesses}</p>
+                      </div>
+                      <div className="rounded-lg bg-slate-50 p-3">
+                        <p className="text-xs text-slate-600">Denied attempts</p>
+                        <p className="text-xl font-semibold text-slate-900">{accessReport.summary.deniedAttempts}</p>
+                      </div>
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-sky-100 text-sm">
+                        <thead>
+                          <tr className="text-left text-xs uppercase text-slate-500">
+                            <th className="py-2 pr-4">When</th>
+                            <th className="py-2 pr-4">Who</th>
+                            <th className="py-2 pr-4">Role</th>
+                            <th className="py-2 pr-4">Data</th>
+                            <th className="py-2 pr-4">Purpose</th>
+                            <th className="py-2 pr-4">Basis</th>
+                            <th className="py-2">Consent ID</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-sky-100">
+                          {accessReport.accesses.map((entry) => {
+                            const basis = accessBasisLabel(entry.accessBasis);
+                            return (
+                              <tr key={entry.logId}>
+                                <td className="py-2 pr-4 whitespace-nowrap text-slate-700">{new Date(entry.accessedAt).toLocaleString()}</td>
+                                <td className="py-2 pr-4 text-slate-900">{entry.accessedBy}</td>
+                                <td className="py-2 pr-4 text-slate-600">{entry.role?.replace('_', ' ')}</td>
+                                <td className="py-2 pr-4 text-slate-600">{entry.dataType?.replace('_', ' ')}</td>
+                                <td className="py-2 pr-4 text-slate-600">{entry.purpose?.replace('_', ' ') || '-'}</td>
+                                <td className="py-2 pr-4">
+                                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${basis.className}`}>
+                                    {basis.text}
+                                  </span>
+                                </td>
+                                <td className="py-2 text-xs text-slate-500 font-mono">{entry.consentId || '-'}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
           </div>
         )}
         </div>
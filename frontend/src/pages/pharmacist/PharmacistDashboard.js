@@ -1,14 +1,311 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { pharmacyAPI } from '../../services/api';
+
+const STATUSES = ['queued', 'partially_filled', 'refill_available', 'completed', 'rejected'];
+
+const STATUS_STYLES = {
+  queued: 'bg-blue-100 text-blue-800',
+  partially_filled: 'bg-yellow-100 text-yellow-800',
+  refill_available: 'bg-indigo-100 text-indigo-800',
+  completed: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const SEVERITY_STYLES = {
+  severe: 'bg-red-50 text-red-800 border-red-200',
+  moderate: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+  mild: 'bg-gray-50 text-gray-700 border-gray-200'
+};
+
+const formatLabel = (value) => value?.replace(/_/g, ' ');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+const patientName = (patient) => `${patient?.userId?.profile?.firstName || ''} ${patient?.userId?.profile?.lastName || ''}`;
+
+const emptyDispense = { quantity: '', reason: '', overrideReason: '', notes: '' };
 
 const PharmacistDashboard = () => {
+  const [prescriptions, setPrescriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [detail, setDetail] = useState(null);
+  const [dispenseData, setDispenseData] = useState(emptyDispense);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await pharmacyAPI.getQueue(status ? { status } : {});
+      setPrescriptions(response.data?.prescriptions || []);
+    } catch (error) {
+      console.error('Error fetching dispense queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Default the quantity to what is still owed on the current fill
+  const openPrescription = async (record) => {
+    try {
+      const response = await pharmacyAPI.getPrescription(record._id);
+      const data = response.data;
+      const owed = data.prescription.dispensing?.status === 'partially_filled'
+        ? data.prescription.dispensing.quantityOutstanding
+        : data.prescription.content?.prescription?.quantity;
+
+      setDetail(data);
+      setDispenseData({ ...emptyDispense, quantity: owed || '' });
+    } catch (error) {
+      console.error('Error loading prescription:', error);
+      alert('Failed to load prescription');
+    }
+  };
+
+  const dispense = async () => {
+    try {
+      const response = await pharmacyAPI.dispense(detail.prescription._id, dispenseData);
+      alert(response.message || 'Prescription dispensed');
+      setDetail(null);
+      fetchQueue();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to dispense prescription');
+    }
+  };
+
+  const reject = async () => {
+    const reason = prompt('Reason for rejecting this prescription (the prescriber will be notified)');
+    if (!reason) return;
+
+    try {
+      await pharmacyAPI.reject(detail.prescription._id, { reason });
+      setDetail(null);
+      fetchQueue();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to reject prescription');
+    }
+  };
+
+  const selected = detail?.prescription;
+  const medication = selected?.content?.prescription;
+  const warnings = detail?.clinicalCheck?.warnings || [];
+  const dispensable = ['queued', 'partially_filled', 'refill_available'].includes(selected?.dispensing?.status || 'queued');
+
   return (
     <div className="px-4 py-6 sm:px-0">
-      <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
-        <div className="text-center">
-          <h1 className="text-2xl font-bold text-gray-900 mb-4">PharmacistDashboard</h1>
-          <p className="text-gray-600">Page content coming soon...</p>
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Dispense Queue</h1>
+          <p className="text-sm text-gray-600">{prescriptions.length} prescriptions</p>
         </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">Waiting (queued, partially filled)</option>
+          {STATUSES.map(s => <option key={s} value={s}>{formatLabel(s)}</option>)}
+        </select>
       </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-6 text-center text-gray-500">Loading...</div>
+        ) : prescriptions.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No prescriptions</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Medication</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Prescribed</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {prescriptions.map(record => (
+                <tr key={record._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {record.content?.prescription?.medicationName} {record.content?.prescription?.dosage}
+                    <div className="text-xs text-gray-500">
+                      {record.content?.prescription?.frequency}
+                      {record.content?.prescription?.quantity && `, qty ${record.content.prescription.quantity}`}
+                      {`, ${record.content?.prescription?.refills || 0} refills`}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {patientName(record.patientId)}
+                    {record.patientId?.demographics?.allergies?.length > 0 && (
+                      <div className="text-xs text-red-600">
+                        Allergies: {record.patientId.demographics.allergies.join(', ')}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {formatDateTime(record.recordDate)}
+                    <div className="text-xs text-gray-500">
+                      Dr. {record.providerId?.profile?.firstName} {record.providerId?.profile?.lastName}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[record.dispensing?.status]}`}>
+                      {formatLabel(record.dispensing?.status)}
+                    </span>
+                    {record.dispensing?.status === 'partially_filled' && (
+                      <div className="text-xs text-gray-500 mt-1">{record.dispensing.quantityOutstanding} outstanding</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-right text-sm">
+                    <button onClick={() => openPrescription(record)} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                      Open
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {detail && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full p-6 max-h-screen overflow-y-auto">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">
+              {medication?.medicationName} {medication?.dosage} for {patientName(selected.patientId)}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {medication?.frequency}
+              {medication?.duration && `, ${medication.duration}`}
+              {medication?.quantity && `, qty ${medication.quantity}`}
+              {`, ${medication?.refills || 0} refills left. `}
+              Dr. {selected.providerId?.profile?.firstName} {selected.providerId?.profile?.lastName}, {formatDateTime(selected.recordDate)}
+              {medication?.instructions && <span className="block mt-1">Instructions: {medication.instructions}</span>}
+            </p>
+
+            <div className="rounded-md p-3 mb-2 text-sm bg-gray-50 text-gray-700">
+              <span className="font-medium">Allergies: </span>
+              {detail.clinicalCheck.allergies.length > 0 ? detail.clinicalCheck.allergies.join(', ') : 'none recorded'}
+            </div>
+            <div className="mb-4 space-y-2">
+              {warnings.map((warning, index) => (
+                <div key={index} className={`rounded-md border p-2 text-sm ${SEVERITY_STYLES[warning.severity]}`}>
+                  <span className="font-medium uppercase text-xs mr-2">{warning.severity}</span>
+                  {warning.message}
+                  {warning.allergen && <span className="text-xs"> (allergy: {warning.allergen})</span>}
+                </div>
+              ))}
+            </div>
+
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Active medications</h3>
+            {detail.medications.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">None</p>
+            ) : (
+              <ul className="text-sm text-gray-700 mb-4 space-y-1">
+                {detail.medications.map((entry, index) => (
+                  <li key={entry.recordId || index}>
+                    {entry.name} {entry.dosage}, {entry.frequency}
+                    <span className="text-xs text-gray-500"> ({formatLabel(entry.source)}{entry.dispensingStatus && `, ${formatLabel(entry.dispensingStatus)}`})</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Fill history</h3>
+            {detail.fills.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">Not filled yet</p>
+            ) : (
+              <table className="min-w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-1 pr-2">Date</th>
+                    <th className="py-1 pr-2">Type</th>
+                    <th className="py-1 pr-2">Fill</th>
+                    <th className="py-1 pr-2">Dispensed</th>
+                    <th className="py-1 pr-2">Outstanding</th>
+                    <th className="py-1">Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detail.fills.map(fill => (
+                    <tr key={fill._id}>
+                      <td className="py-1 pr-2">{formatDateTime(fill.createdAt)}</td>
+                      <td className="py-1 pr-2">{formatLabel(fill.type)}</td>
+                      <td className="py-1 pr-2">{fill.fillNumber || '-'}</td>
+                      <td className="py-1 pr-2">{fill.quantityDispensed}</td>
+                      <td className="py-1 pr-2">{fill.quantityOutstanding}</td>
+                      <td className="py-1">{fill.reason || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {dispensable && (
+              <div className="space-y-3 mb-4">
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Quantity *"
+                  value={dispenseData.quantity}
+                  onChange={(e) => setDispenseData({ ...dispenseData, quantity: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                <input
+                  type="text"
+                  placeholder="Partial fill reason (required if dispensing less than owed)"
+                  value={dispenseData.reason}
+                  onChange={(e) => setDispenseData({ ...dispenseData, reason: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                {detail.clinicalCheck.requiresOverride && (
+                  <input
+                    type="text"
+                    placeholder="Override reason for severe warnings *"
+                    value={dispenseData.overrideReason}
+                    onChange={(e) => setDispenseData({ ...dispenseData, overrideReason: e.target.value })}
+                    className="w-full border border-red-300 rounded-md px-3 py-2 text-sm"
+                  />
+                )}
+                <textarea
+                  placeholder="Notes"
+                  value={dispenseData.notes}
+                  onChange={(e) => setDispenseData({ ...dispenseData, notes: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  rows={2}
+                />
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setDetail(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              {dispensable && (
+                <>
+                  <button
+                    onClick={reject}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700"
+                  >
+                    Reject
+                  </button>
+                  <button
+                    onClick={dispense}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+                  >
+                    Dispense
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,5 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { signOut } from '../../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyBooking = {
+  patientId: '',
+  patientName: '',
+  doctorId: '',
+  type: 'consultation',
+  reason: '',
+  startTime: '',
+  followUpOf: null
+};
+
+const APPOINTMENT_STATUS_STYLES = {
+  scheduled: 'bg-sky-100 text-sky-800',
+  checked_in: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  no_show: 'bg-rose-100 text-rose-800'
+};
 
 const ReceptionistDashboard = () => {
   const navigate = useNavigate();
@@ -20,6 +40,16 @@ const ReceptionistDashboard = () => {
   const [assignmentPatient, setAssignmentPatient] = useState('');
   const [assignmentDoctor, setAssignmentDoctor] = useState('');
   const [assignmentReason, setAssignmentReason] = useState('');
+  const [requestTreatmentConsent, setRequestTreatmentConsent] = useState(true);
+  const [appointmentDate, setAppointmentDate] = useState(new Date().toLocaleDateString('en-CA'));
+  const [appointments, setAppointments] = useState([]);
+  const [followUps, setFollowUps] = useState([]);
+  const [showBookingModal, setShowBookingModal] = useState(false);
+  const [booking, setBooking] = useState(emptyBooking);
+  const [reschedulingId, setReschedulingId] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [availabilityDoctor, setAvailabilityDoctor] = useState('');
+  const [availabilityWindows, setAvailabilityWindows] = useState([]);
 
   useEffect(() => {
     const userData = localStorage.getItem('user');
@@ -40,6 +70,13 @@ const ReceptionistDashboard = () => {
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user && activeTab === 'appointments') {
+      fetchAppointments();
+      fetchFollowUps();
+    }
+  }, [user, activeTab, appointmentDate]);
+
   const fetchPatients = async (searchTerm = '') => {
     try {
       const token = localStorage.getItem('accessToken');
@@ -181,7 +218,8 @@ const ReceptionistDashboard = () => {
         body: JSON.stringify({
           patientId: assignmentPatient,
           doctorId: assignmentDoctor,
-          reason: assignmentReason || 'Assigned for regular consultation'
+          reason: assignmentReason || 'Assigned for regular consultation',
+          requestConsent: requestTreatmentConsent
         })
       });
 
@@ -227,10 +265,166 @@ const ReceptionistDashboard = () => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+  const appointmentRequest = async (path, method = 'GET', body) => {
+    const token = localStorage.getItem('accessToken');
+    const response = await fetch(`http://localhost:5000/api/appointments${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchAppointments = async () => {
+    try {
+      const data = await appointmentRequest(`?date=${appointmentDate}`);
+      setAppointments(data.data || []);
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+    }
+  };
+
+  const fetchFollowUps = async () => {
+    try {
+      const data = await appointmentRequest('/follow-ups');
+      setFollowUps(data.data || []);
+    } catch (error) {
+      console.error('Error fetching follow-ups:', error);
+    }
+  };
+
+  const fetchSlots = async (doctorId) => {
+    setSlots([]);
+    if (!doctorId) return;
+    try {
+      const data = await appointmentRequest(`/slots?doctorId=${doctorId}&days=14`);
+      setSlots(data.data?.slots || []);
+    } catch (error) {
+      console.error('Error fetching slots:', error);
+    }
+  };
+
+  const openBooking = (prefill = {}) => {
+    setBooking({ ...emptyBooking, ...prefill });
+    setReschedulingId(null);
+    fetchSlots(prefill.doctorId);
+    setShowBookingModal(true);
+  };
+
+  const openReschedule = (appointment) => {
+    setBooking({
+      ...emptyBooking,
+      patientName: `${appointment.patientId?.userId?.profile?.firstName || ''} ${appointment.patientId?.userId?.profile?.lastName || ''}`,
+      doctorId: appointment.doctorId?._id
+    });
+    setReschedulingId(appointment._id);
+    fetchSlots(appointment.doctorId?._id);
+    setShowBookingModal(true);
+  };
+
+  const closeBooking = () => {
+    setShowBookingModal(false);
+    setBooking(emptyBooking);
+    setReschedulingId(null);
+    setSlots([]);
+  };
+
+  const saveBooking = async () => {
+    if ((!reschedulingId && !booking.patientId) || !booking.doctorId || !booking.startTime) {
+      alert('Please select a patient, doctor and slot');
+      return;
+    }
+
+    try {
+      if (reschedulingId) {
+        await appointmentRequest(`/${reschedulingId}/reschedule`, 'PUT', {
+          startTime: booking.startTime,
+          reason: booking.reason
+        });
+        alert('Appointment rescheduled');
+      } else {
+        await appointmentRequest('', 'POST', {
+          patientId: booking.patientId,
+          doctorId: booking.doctorId,
+          startTime: booking.startTime,
+          type: booking.type,
+          reason: booking.reason,
+          followUpOf: booking.followUpOf
+        });
+        alert('Appointment booked');
+      }
+      closeBooking();
+      fetchAppointments();
+      fetchFollowUps();
+    } catch (error) {
+      console.error('Error saving appointment:', error);
+      alert(error.message || 'Failed to save appointment');
+      fetchSlots(booking.doctorId);
+    }
+  };
+
+  const updateAppointment = async (appointment, action) => {
+    try {
+      if (action === 'cancel') {
+        const reason = window.prompt('Reason for cancellation (optional):');
+        if (reason === null) return;
+        await appointmentRequest(`/${appointment._id}/cancel`, 'PUT', { reason });
+      } else if (action === 'no-show') {
+        if (!window.confirm('Mark this appointment as a no-show?')) return;
+        await appointmentRequest(`/${appointment._id}/no-show`, 'PUT');
+      } else {
+        await appointmentRequest(`/${appointment._id}/check-in`, 'POST');
+      }
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error updating appointment:', error);
+      alert(error.message || 'Failed to update appointment');
+    }
+  };
+
+  const fetchAvailability = async (doctorId) => {
+    setAvailabilityDoctor(doctorId);
+    setAvailabilityWindows([]);
+    if (!doctorId) return;
+    try {
+      const data = await appointmentRequest(`/availability/${doctorId}`);
+      setAvailabilityWindows((data.data?.windows || []).map(({ dayOfWeek, startTime, endTime, slotMinutes, location }) => ({
+        dayOfWeek, startTime, endTime, slotMinutes, location: location || ''
+      })));
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+    }
+  };
+
+  const updateWindow = (index, field, value) => {
+    setAvailabilityWindows(availabilityWindows.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const saveAvailability = async () => {
+    try {
+      await appointmentRequest(`/availability/${availabilityDoctor}`, 'PUT', {
+        windows: availabilityWindows.map(entry => ({
+          ...entry,
+          dayOfWeek: Number(entry.dayOfWeek),
+          slotMinutes: Number(entry.slotMinutes)
+        }))
+      });
+      alert('Availability saved');
+    } catch (error) {
+      console.error('Error saving availability:', error);
+      alert(error.message || 'Failed to save availability');
+    }
+  };
+
+  const handleLogout = async () => {
+    await signOut();
     navigate('/login');
   };
 
@@ -319,6 +513,15 @@ const ReceptionistDashboard = () => {
               >
                 Doctor Assignments
               </button>
+              <button
+                onClick={() => setActiveTab('appointments')}
+                className={`py-3 px-1 border-b-2 text-sm ${activeTab === 'appointments'
+                  ? 'border-teal-600 text-slate-900 font-semibold'
+                  : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-sky-300'
+                  }`}
+              >
+                Appointments
+              </button>
             </nav>
           </div>
 
@@ -611,6 +814,16 @@ const ReceptionistDashboard = () => {
                           placeholder="Enter reason for assignment..."
                         />
                       </div>
+
+                      <label className="flex items-center gap-2 text-sm text-slate-700">
+                        <input
+                          type="checkbox"
+                          checked={requestTreatmentConsent}
+                          onChange={(e) => setRequestTreatmentConsent(e.target.checked)}
+                          className="rounded border-sky-300"
+                        />
+                        Ask the patient to consent to treatment access for this doctor
+                      </label>
                     </div>
 
                     <div className="flex gap-3 justify-end">
@@ -637,6 +850,335 @@ const ReceptionistDashboard = () => {
               )}
             </div>
           )}
+
+          {/* Appointments Tab */}
+          {activeTab === 'appointments' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+                <div className="px-4 py-5 sm:p-6">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg leading-6 font-semibold text-gray-900">
+                      Appointments
+                    </h3>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="date"
+                        value={appointmentDate}
+                        onChange={(e) => setAppointmentDate(e.target.value)}
+                        className="border border-sky-200 rounded-md px-3 py-2 text-sm"
+                      />
+                      <button
+                        onClick={() => openBooking()}
+                        className="bg-teal-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-teal-700"
+                      >
+                        + Book Appointment
+                      </button>
+                    </div>
+                  </div>
+
+                  {appointments.length === 0 ? (
+                    <p className="text-center text-slate-500 py-10">No appointments on this day.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {appointments.map((appointment) => (
+                        <div key={appointment._id} className="border border-sky-200 rounded-lg p-4 bg-sky-50/40 flex justify-between items-start">
+                          <div>
+                            <h4 className="font-medium text-gray-900">
+                              {new Date(appointment.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                              {' - '}
+                              {appointment.patientId?.userId?.profile?.firstName} {appointment.patientId?.userId?.profile?.lastName}
+                            </h4>
+                            <p className="text-sm text-slate-600">
+                              Dr. {appointment.doctorId?.profile?.firstName} {appointment.doctorId?.profile?.lastName}
+                              {appointment.location && ` · ${appointment.location}`}
+                              {` · ${appointment.type.replace('_', ' ')}`}
+                            </p>
+                            {appointment.reason && (
+                              <p className="text-sm text-slate-500">{appointment.reason}</p>
+                            )}
+                            <span className={`inline-flex mt-2 px-2.5 py-0.5 rounded-full text-xs font-medium ${APPOINTMENT_STATUS_STYLES[appointment.status]}`}>
+                              {appointment.status.replace('_', ' ')}
+                            </span>
+                          </div>
+                          {appointment.status === 'scheduled' && (
+                            <div className="flex gap-3 text-sm font-medium">
+                              <button onClick={() => updateAppointment(appointment, 'check-in')} className="text-teal-600 hover:text-teal-800">
+                                Check in
+                              </button>
+                              <button onClick={() => updateAppointment(appointment, 'no-show')} className="text-amber-600 hover:text-amber-800">
+                                No-show
+                              </button>
+                              <button onClick={() => openReschedule(appointment)} className="text-sky-600 hover:text-sky-800">
+                                Reschedule
+                              </button>
+                              <button onClick={() => updateAppointment(appointment, 'cancel')} className="text-rose-600 hover:text-rose-800">
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+                <div className="px-4 py-5 sm:p-6">
+                  <h3 className="text-lg leading-6 font-semibold text-gray-900 mb-4">
+                    Suggested Follow-ups
+                  </h3>
+                  {followUps.length === 0 ? (
+                    <p className="text-slate-500">No follow-ups waiting to be booked.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {followUps.map((suggestion) => (
+                        <div key={suggestion.source.id} className="border border-sky-200 rounded-lg p-4 flex justify-between items-center">
+                          <div>
+                            <h4 className="font-medium text-gray-900">
+                              {suggestion.patient?.userId?.profile?.firstName} {suggestion.patient?.userId?.profile?.lastName}
+                            </h4>
+                            <p className="text-sm text-slate-600">
+                              {suggestion.reason || suggestion.source.recordType || 'Visit'}
+                              {' · '}
+                              {suggestion.suggestedDate
+                                ? `due ${new Date(suggestion.suggestedDate).toLocaleDateString()}`
+                                : `flagged ${new Date(suggestion.sourceDate).toLocaleDateString()}`}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => openBooking({
+                              patientId: suggestion.patientId,
+                              patientName: `${suggestion.patient?.userId?.profile?.firstName || ''} ${suggestion.patient?.userId?.profile?.lastName || ''}`,
+                              doctorId: suggestion.doctorId || '',
+                              type: 'follow_up',
+                              reason: `Follow-up: ${suggestion.reason || ''}`.substring(0, 200),
+                              followUpOf: { type: suggestion.source.type, id: suggestion.source.id }
+                            })}
+                            className="text-teal-600 hover:text-teal-800 text-sm font-medium"
+                          >
+                            Book
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-white rounded-xl border border-sky-200 shadow-sm">
+                <div className="px-4 py-5 sm:p-6">
+                  <h3 className="text-lg leading-6 font-semibold text-gray-900 mb-4">
+                    Doctor Availability
+                  </h3>
+                  <select
+                    value={availabilityDoctor}
+                    onChange={(e) => fetchAvailability(e.target.value)}
+                    className="w-full border border-sky-200 rounded-md px-3 py-2 mb-4"
+                  >
+                    <option value="">Choose a doctor...</option>
+                    {doctors.map((doctor) => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                      </option>
+                    ))}
+                  </select>
+
+                  {availabilityDoctor && (
+                    <div className="space-y-2">
+                      {availabilityWindows.map((entry, index) => (
+                        <div key={index} className="flex flex-wrap items-center gap-2">
+                          <select
+                            value={entry.dayOfWeek}
+                            onChange={(e) => updateWindow(index, 'dayOfWeek', e.target.value)}
+                            className="border border-sky-200 rounded-md px-2 py-1 text-sm"
+                          >
+                            {WEEKDAYS.map((day, dayIndex) => (
+                              <option key={day} value={dayIndex}>{day}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="time"
+                            value={entry.startTime}
+                            onChange={(e) => updateWindow(index, 'startTime', e.target.value)}
+                            className="border border-sky-200 rounded-md px-2 py-1 text-sm"
+                          />
+                          <span className="text-slate-500 text-sm">to</span>
+                          <input
+                            type="time"
+                            value={entry.endTime}
+                            onChange={(e) => updateWindow(index, 'endTime', e.target.value)}
+                            className="border border-sky-200 rounded-md px-2 py-1 text-sm"
+                          />
+                          <input
+                            type="number"
+                            min="5"
+                            max="240"
+                            value={entry.slotMinutes}
+                            onChange={(e) => updateWindow(index, 'slotMinutes', e.target.value)}
+                            className="w-20 border border-sky-200 rounded-md px-2 py-1 text-sm"
+                          />
+                          <span className="text-slate-500 text-sm">min</span>
+                          <input
+                            type="text"
+                            placeholder="Location"
+                            value={entry.location}
+                            onChange={(e) => updateWindow(index, 'location', e.target.value)}
+                            className="border border-sky-200 rounded-md px-2 py-1 text-sm"
+                          />
+                          <button
+                            onClick={() => setAvailabilityWindows(availabilityWindows.filter((_, i) => i !== index))}
+                            className="text-rose-600 hover:text-rose-800 text-sm font-medium"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      <div className="flex gap-3 pt-2">
+                        <button
+                          onClick={() => setAvailabilityWindows([
+                            ...availabilityWindows,
+                            { dayOfWeek: 1, startTime: '09:00', endTime: '12:00', slotMinutes: 30, location: '' }
+                          ])}
+                          className="px-4 py-2 border border-sky-200 rounded-md text-sm font-medium text-slate-700 hover:bg-sky-50"
+                        >
+                          + Add Window
+                        </button>
+                        <button
+                          onClick={saveAvailability}
+                          className="px-4 py-2 bg-teal-600 text-white rounded-md text-sm font-medium hover:bg-teal-700"
+                        >
+                          Save Availability
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Booking Modal */}
+              {showBookingModal && (
+                <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+                  <div className="bg-white rounded-lg p-8 max-w-md w-full mx-4">
+                    <h2 className="text-2xl font-semibold text-gray-900 mb-6">
+                      {reschedulingId ? 'Reschedule Appointment' : 'Book Appointment'}
+                    </h2>
+
+                    <div className="space-y-4 mb-6">
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                          Patient *
+                        </label>
+                        {booking.patientName ? (
+                          <p className="text-slate-900">{booking.patientName}</p>
+                        ) : (
+                          <select
+                            value={booking.patientId}
+                            onChange={(e) => setBooking({ ...booking, patientId: e.target.value })}
+                            className="w-full border border-sky-200 rounded-md px-3 py-2"
+                          >
+                            <option value="">Choose a patient...</option>
+                            {patients.map((patient) => (
+                              <option key={patient._id} value={patient._id}>
+                                {patient.profile?.firstName} {patient.profile?.lastName}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                          Doctor *
+                        </label>
+                        <select
+                          value={booking.doctorId}
+                          disabled={Boolean(reschedulingId)}
+                          onChange={(e) => {
+                            setBooking({ ...booking, doctorId: e.target.value, startTime: '' });
+                            fetchSlots(e.target.value);
+                          }}
+                          className="w-full border border-sky-200 rounded-md px-3 py-2"
+                        >
+                          <option value="">Choose a doctor...</option>
+                          {doctors.map((doctor) => (
+                            <option key={doctor._id} value={doctor._id}>
+                              Dr. {doctor.profile?.firstName} {doctor.profile?.lastName}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                          Slot *
+                        </label>
+                        <select
+                          value={booking.startTime}
+                          onChange={(e) => setBooking({ ...booking, startTime: e.target.value })}
+                          className="w-full border border-sky-200 rounded-md px-3 py-2"
+                        >
+                          <option value="">{booking.doctorId && slots.length === 0 ? 'No free slots in the next 14 days' : 'Choose a slot...'}</option>
+                          {slots.map((slot) => (
+                            <option key={slot.startTime} value={slot.startTime}>
+                              {new Date(slot.startTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                              {slot.location && ` · ${slot.location}`}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      {!reschedulingId && (
+                        <div>
+                          <label className="block text-sm font-medium text-slate-700 mb-2">
+                            Type
+                          </label>
+                          <select
+                            value={booking.type}
+                            onChange={(e) => setBooking({ ...booking, type: e.target.value })}
+                            className="w-full border border-sky-200 rounded-md px-3 py-2"
+                          >
+                            <option value="consultation">Consultation</option>
+                            <option value="follow_up">Follow-up</option>
+                            <option value="routine_checkup">Routine checkup</option>
+                            <option value="emergency">Emergency</option>
+                          </select>
+                        </div>
+                      )}
+
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                          {reschedulingId ? 'Reason for rescheduling' : 'Reason for visit'}
+                        </label>
+                        <textarea
+                          value={booking.reason}
+                          onChange={(e) => setBooking({ ...booking, reason: e.target.value })}
+                          rows={2}
+                          maxLength={200}
+                          className="w-full border border-sky-200 rounded-md px-3 py-2"
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex gap-3 justify-end">
+                      <button
+                        onClick={closeBooking}
+                        className="px-4 py-2 border border-sky-200 rounded-md text-sm font-medium text-slate-700 hover:bg-sky-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={saveBooking}
+                        className="px-4 py-2 bg-teal-600 text-white rounded-md text-sm font-medium hover:bg-teal-700"
+                      >
+                        {reschedulingId ? 'Reschedule' : 'Book'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </main>
     </div>
@@ -41,6 +41,19 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Refresh tokens rotate on every use, so concurrent 401s share one refresh request;
+// a second refresh with the same token would look like reuse and end the session
+let refreshRequest = null;
+const refreshTokens = (refreshToken) => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE_URL}/auth/refresh-token`, { refreshToken })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Response interceptor to handle errors and token refresh
 apiClient.interceptors.response.use(
   (response) => {
@@ -61,8 +74,11 @@ apiClient.interceptors.response.use(
 
     const { status, data } = error.response;
 
+    // A 401 from the login steps is a credential error, not an expired session
+    const isLoginRequest = originalRequest?.url?.startsWith('/auth/login');
+
     // Handle 401 Unauthorized - token expired or invalid
-    if (status === 401 && !originalRequest._retry) {
+    if (status === 401 && !originalRequest._retry && !isLoginRequest) {
       originalRequest._retry = true;
 
       try {
@@ -72,16 +88,17 @@ apiClient.interceptors.response.use(
           const { refreshToken } = JSON.parse(authData);
           
           if (refreshToken) {
-            const response = await axios.post(`${API_BASE_URL}/auth/refresh-token`, {
-              refreshToken,
-            });
+            const response = await refreshTokens(refreshToken);
 
             if (response.data.success) {
               // Update tokens in localStorage
-              localStorage.setItem('authTokens', JSON.stringify(response.data.data.tokens));
+              const { tokens } = response.data.data;
+              localStorage.setItem('authTokens', JSON.stringify(tokens));
+              localStorage.setItem('accessToken', tokens.accessToken);
+              localStorage.setItem('refreshToken', tokens.refreshToken);
               
               // Retry the original request with new token
-              const { accessToken } = response.data.data.tokens;
+              const { accessToken } = tokens;
               originalRequest.headers.Authorization = `Bearer ${accessToken}`;
               
               return apiClient(originalRequest);
@@ -162,6 +179,15 @@ export const authAPI = {
   refreshToken: (tokens, config = {}) => apiClient.post('/auth/refresh-token', tokens, config),
   changePassword: (passwordData, config = {}) => apiClient.post('/auth/change-password', passwordData, config),
   getProfile: (config = {}) => apiClient.get('/auth/profile', config),
+  getSessions: (config = {}) => apiClient.get('/auth/sessions', config),
+  revokeSession: (sessionId, config = {}) => apiClient.delete(`/auth/sessions/${sessionId}`, config),
+  verifyTwoFactorLogin: (data, config = {}) => apiClient.post('/auth/login/2fa', data, config),
+  setupTwoFactorLogin: (data, config = {}) => apiClient.post('/auth/login/2fa/setup', data, config),
+  getTwoFactorStatus: (config = {}) => apiClient.get('/auth/2fa', config),
+  setupTwoFactor: (config = {}) => apiClient.post('/auth/2fa/setup', null, config),
+  enableTwoFactor: (data, config = {}) => apiClient.post('/auth/2fa/enable', data, config),
+  disableTwoFactor: (data, config = {}) => apiClient.post('/auth/2fa/disable', data, config),
+  regenerateRecoveryCodes: (data, config = {}) => apiClient.post('/auth/2fa/recovery-codes', data, config),
 };
 
 export const patientAPI = {
@@ -173,7 +199,10 @@ export const patientAPI = {
   getVisits: (patientId, params) => apiClient.get(`/patients/${patientId}/visits`, { params }),
   addVisit: (patientId, data) => apiClient.post(`/patients/${patientId}/visits`, data),
   getMedications: (patientId, params) => apiClient.get(`/patients/${patientId}/medications`, { params }),
+  getLabOrders: (patientId, params) => apiClient.get(`/patients/${patientId}/lab-orders`, { params }),
+  createLabOrder: (patientId, data) => apiClient.post(`/patients/${patientId}/lab-orders`, data),
   emergencyAccess: (patientId, data) => apiClient.post(`/patients/${patientId}/emergency-access`, data),
+  exportData: (patientId, params) => apiClient.get(`/patients/${patientId}/export`, { params, responseType: 'blob' }),
 };
 
 export const consentAPI = {
@@ -184,19 +213,78 @@ export const consentAPI = {
   update: (consentId, data) => apiClient.put(`/consent/${consentId}`, data),
   check: (params) => apiClient.get('/consent/check', { params }),
   getStats: (patientId) => apiClient.get(`/consent/patients/${patientId}/stats`),
+  createRequest: (data) => apiClient.post('/consent/requests', data),
+  getRequests: (params) => apiClient.get('/consent/requests', { params }),
+  approveRequest: (requestId, data) => apiClient.put(`/consent/requests/${requestId}/approve`, data),
+  denyRequest: (requestId, data) => apiClient.put(`/consent/requests/${requestId}/deny`, data),
+  requestRenewal: (consentId, data) => apiClient.post(`/consent/${consentId}/renewal-requests`, data),
+  getRenewalRequests: (params) => apiClient.get('/consent/renewal-requests', { params }),
+  approveRenewal: (requestId) => apiClient.put(`/consent/renewal-requests/${requestId}/approve`),
+  declineRenewal: (requestId, data) => apiClient.put(`/consent/renewal-requests/${requestId}/decline`, data),
+};
+
+export const notificationAPI = {
+  getNotifications: (params) => apiClient.get('/notifications', { params }),
+  markAsRead: (notificationId) => apiClient.put(`/notifications/${notificationId}/read`),
+  markAllAsRead: () => apiClient.put('/notifications/read-all'),
+};
+
+export const labAPI = {
+  getTests: () => apiClient.get('/lab/tests'),
+  getOrders: (params) => apiClient.get('/lab/orders', { params }),
+  getOrder: (orderId) => apiClient.get(`/lab/orders/${orderId}`),
+  collectSpecimen: (orderId, data) => apiClient.put(`/lab/orders/${orderId}/collect`, data),
+  saveResults: (orderId, data) => apiClient.put(`/lab/orders/${orderId}/results`, data),
+  publishResults: (orderId, data) => apiClient.post(`/lab/orders/${orderId}/publish`, data),
+  cancelOrder: (orderId, data) => apiClient.put(`/lab/orders/${orderId}/cancel`, data),
+};
+
+export const pharmacyAPI = {
+  getQueue: (params) => apiClient.get('/pharmacy/queue', { params }),
+  getPrescription: (recordId) => apiClient.get(`/pharmacy/prescriptions/${recordId}`),
+  dispense: (recordId, data) => apiClient.post(`/pharmacy/prescriptions/${recordId}/dispense`, data),
+  reject: (recordId, data) => apiClient.put(`/pharmacy/prescriptions/${recordId}/reject`, data),
 };
 
 export const adminAPI = {
   getUsers: (params) => apiClient.get('/admin/users', { params }),
+  getUser: (userId) => apiClient.get(`/admin/users/${userId}`),
   createUser: (data) => apiClient.post('/admin/users', data),
   updateUser: (userId, data) => apiClient.put(`/admin/users/${userId}`, data),
+  updateUserStatus: (userId, data) => apiClient.put(`/admin/users/${userId}/status`, data),
+  changeUserRole: (userId, data) => apiClient.put(`/admin/users/${userId}/role`, data),
+  resetTwoFactor: (userId, data) => apiClient.put(`/admin/users/${userId}/two-factor/reset`, data),
+  getUserSessions: (userId) => apiClient.get(`/admin/users/${userId}/sessions`),
+  revokeUserSessions: (userId, data) => apiClient.put(`/admin/users/${userId}/sessions/revoke`, data),
   deleteUser: (userId) => apiClient.delete(`/admin/users/${userId}`),
   getAuditLogs: (params) => apiClient.get('/admin/audit-logs', { params }),
+  exportAuditLogs: (params) => apiClient.get('/admin/audit-logs/export', { params, responseType: 'blob' }),
+  getErasureRequests: (params) => apiClient.get('/admin/erasure-requests', { params }),
+  getErasureRequest: (requestId) => apiClient.get(`/admin/erasure-requests/${requestId}`),
+  approveErasureRequest: (requestId, data) => apiClient.put(`/admin/erasure-requests/${requestId}/approve`, data),
+  rejectErasureRequest: (requestId, data) => apiClient.put(`/admin/erasure-requests/${requestId}/reject`, data),
+  getEmergencyReviews: (params) => apiClient.get('/admin/emergency-access-reviews', { params }),
+  getEmergencyReviewMetrics: (params) => apiClient.get('/admin/emergency-access-reviews/metrics', { params }),
+  getEmergencyReview: (grantId) => apiClient.get(`/admin/emergency-access-reviews/${grantId}`),
+  completeEmergencyReview: (grantId, data) => apiClient.put(`/admin/emergency-access-reviews/${grantId}`, data),
   getSystemStats: () => apiClient.get('/admin/stats'),
   getSettings: () => apiClient.get('/admin/settings'),
   updateSettings: (data) => apiClient.put('/admin/settings', data),
 };
 
+// End the server-side session and forget the stored tokens
+export const signOut = async () => {
+  try {
+    if (localStorage.getItem('authTokens')) {
+      await authAPI.logout({ headers: { 'X-Silent-Errors': 'true' } });
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  } finally {
+    ['authTokens', 'authUser', 'accessToken', 'refreshToken', 'user'].forEach((key) => localStorage.removeItem(key));
+  }
+};
+
 // Utility function to handle API errors consistently
 export const handleApiError = (error, customMessage = null) => {
   if (error.response) {